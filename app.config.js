@@ -47,6 +47,15 @@ const data = {
     "TWITTER_IMAGE_URL": "/images/twitter-image.jpg",
     "rioBase": "https://raider.io/api/v1",
     "mplus": { "maxRatingForScore": 3700 },
+    "GUILD_FETCH_CONCURRENCY": 4,
+    "BATTLENET_RATE_LIMIT": { "perSecond": 100, "perHour": 36000 },
+    "HISTORY_RETENTION": { "rawDays": 14, "dailyDays": 180, "weeklyDays": 730 },
+    // Log levels (error, warn, info, debug): a default and per-module overrides, e.g. { "warcraftlogs": "debug" }
+    "LOGGING": { "level": "info", "modules": {} },
+    // Scheduled guild updates (cron expressions, optional IANA timezone); changes apply without a restart
+    "SCHEDULES": [
+        { "id": "guild-refresh", "name": "Full guild refresh", "cron": "*/30 * * * *", "dataTypes": ["raid", "mplus", "pvp"], "enabled": true, "runOnStartup": true }
+    ],
     "warcraftLogs": {
         "zones": [
             { "id": 46, "name": "VS / DR / MQD", "patch": "12.0.0", "partition": 1, "difficulty": 4, "bossCount": 9 },
@@ -5,9 +5,43 @@
 
 import { getAppSettings, hasAppSettings } from './database.js';
 import config from '../app.config.js';
+import { createLogger, configureLogging } from './services/logger.js';
+
+const log = createLogger('config');
 
 let cachedSettings = null;
 
+// Called with (settings, { source }) every time settings are (re)loaded
+const settingsListeners = [];
+
+/**
+ * Register a function called whenever settings are (re)loaded, e.g. after PUT /api/settings.
+ * `source` is 'database' for AppSettings and 'file' for the app.config.js fallback.
+ * @param {Function} listener - (settings, { source }) => void
+ */
+export function onSettingsLoaded(listener) {
+  settingsListeners.push(listener);
+}
+
+/**
+ * Cache the loaded settings, apply their LOGGING levels and notify the listeners.
+ * @param {Object} settings - App settings
+ * @param {string} source - 'database' or 'file'
+ * @returns {Object} The settings
+ */
+function cacheSettings(settings, source) {
+  cachedSettings = settings;
+  configureLogging(settings.LOGGING);
+  settingsListeners.forEach(listener => {
+    try {
+      listener(settings, { source });
+    } catch (error) {
+      log.error('❌ Settings listener failed:', error);
+    }
+  });
+  return cachedSettings;
+}
+
 /**
  * Get app settings from database, or fall back to app.config.js
  * @returns {Promise<Object>} App settings object
@@ -26,19 +60,16 @@ export async function getConfig() {
       if (dbSettings) {
         // Remove MongoDB _id field
         const { _id, ...settings } = dbSettings;
-        cachedSettings = settings;
-        return cachedSettings;
+        return cacheSettings(settings, 'database');
       }
     }
     
     // Fall back to app.config.js if database settings don't exist
-    cachedSettings = config;
-    return cachedSettings;
+    return cacheSettings(config, 'file');
   } catch (error) {
-    console.error('❌ Failed to load config from database, using app.config.js:', error);
+    log.error('❌ Failed to load config from database, using app.config.js:', error);
     // Fall back to app.config.js on error
-    cachedSettings = config;
-    return cachedSettings;
+    return cacheSettings(config, 'file');
   }
 }
 
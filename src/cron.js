@@ -1,66 +1,307 @@
 import cron from 'node-cron';
-import { startGuildUpdate } from './services/guildUpdater.js';
+import { enqueueGuildUpdate, startJobWorker, waitForJob, hasLiveJobWorker } from './services/jobQueue.js';
 import { hasAppSettings } from './database.js';
+import { getConfig, onSettingsLoaded } from './config.js';
+import { getNextScheduledUpdate } from './utils.js';
+import { createLogger } from './services/logger.js';
 
-console.log('🔧 Cron script loaded successfully');
+const log = createLogger('cron');
 
-const cronSchedule = '*/30 * * * *'; // Every 30 minutes
+log.debug('🔧 Cron script loaded successfully');
 
-export async function startCron(io) {
-  // Check if AppSettings exists before starting cron
-  const appSettingsExist = await hasAppSettings();
-  if (!appSettingsExist) {
-    console.log('⚠️ App settings not initialized. Cron jobs will not start until installation is complete.');
-    return;
+export const SCHEDULE_DATA_TYPES = ['raid', 'mplus', 'pvp', 'stats', 'transmog'];
+
+// Data types refreshed when no schedule names them ('transmog' is opt-in)
+const DEFAULT_DATA_TYPES = ['raid', 'mplus', 'pvp'];
+
+// Used when the settings have no SCHEDULES (installations from before schedules were configurable)
+export const DEFAULT_SCHEDULES = [
+  {
+    id: 'guild-refresh',
+    name: 'Full guild refresh',
+    cron: '*/30 * * * *',
+    dataTypes: DEFAULT_DATA_TYPES,
+    enabled: true,
+    runOnStartup: true
   }
-  
-  // // Run guild update immediately on startup
-  console.log('🚀 Running initial guild update on startup...');
-  startGuildUpdate(['raid', 'mplus', 'pvp'], io)
-    .then(result => {
-      if (result.success) {
-        console.log('✅ Initial guild update completed successfully');
-        console.log('📊 Process ID:', result.processId);
-        console.log('🎯 Data types:', result.dataTypes);
-      } else {
-        console.log('❌ Initial guild update failed:', result.error);
-        console.log('💬 Message:', result.message);
+];
+
+const SCHEDULE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+// Registered tasks by schedule ID: { schedule, key, task, lastTriggeredAt, lastJobId, lastError }
+const scheduledTasks = new Map();
+
+// Set once the scheduler is running (it does not start before installation)
+let cronStartedAt = null;
+let listeningForSettings = false;
+
+/**
+ * Check that a time zone is known to the runtime.
+ * @param {string} timezone - IANA time zone, e.g. 'Europe/Amsterdam'
+ * @returns {boolean} True when valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the SCHEDULES setting.
+ * @param {Array<Object>} schedules - [{ id, name, cron, dataTypes, enabled, runOnStartup, force, timezone }]
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export function validateSchedules(schedules) {
+  if (!Array.isArray(schedules)) {
+    return { isValid: false, errors: ['SCHEDULES must be an array'] };
+  }
+
+  const errors = [];
+  const ids = new Set();
+  schedules.forEach((schedule, index) => {
+    const label = `SCHEDULES[${index}]`;
+    if (!schedule || typeof schedule !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (typeof schedule.id !== 'string' || !SCHEDULE_ID_PATTERN.test(schedule.id)) {
+      errors.push(`${label}.id must be lowercase letters, digits and dashes`);
+    } else if (ids.has(schedule.id)) {
+      errors.push(`${label}.id "${schedule.id}" is used more than once`);
+    } else {
+      ids.add(schedule.id);
+    }
+
+    if (schedule.name !== undefined && (typeof schedule.name !== 'string' || !schedule.name.trim())) {
+      errors.push(`${label}.name must be a non-empty string`);
+    }
+
+    if (schedule.timezone !== undefined && schedule.timezone !== null
+      && (typeof schedule.timezone !== 'string' || !isValidTimezone(schedule.timezone))) {
+      errors.push(`${label}.timezone must be an IANA time zone such as "Europe/Amsterdam"`);
+    }
+
+    if (typeof schedule.cron !== 'string' || !cron.validate(schedule.cron)) {
+      errors.push(`${label}.cron is not a valid cron expression`);
+    } else {
+      try {
+        getNextScheduledUpdate(schedule.cron, schedule.timezone);
+      } catch (error) {
+        errors.push(`${label}.cron: ${error.message}`);
+      }
+    }
+
+    if (!Array.isArray(schedule.dataTypes) || !schedule.dataTypes.length
+      || schedule.dataTypes.some(type => !SCHEDULE_DATA_TYPES.includes(type))) {
+      errors.push(`${label}.dataTypes must be a non-empty list of: ${SCHEDULE_DATA_TYPES.join(', ')}`);
+    }
+
+    ['enabled', 'runOnStartup', 'force'].forEach(field => {
+      if (schedule[field] !== undefined && typeof schedule[field] !== 'boolean') {
+        errors.push(`${label}.${field} must be true or false`);
       }
-    })
-    .catch(error => {
-      console.error('💥 Initial guild update crashed:', error);
     });
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Schedules from the settings, or the default schedule when none are configured.
+ * Invalid settings (edited outside the API) are ignored with an error.
+ * @param {Object} config - App settings
+ * @returns {Array<Object>} Schedules with defaults applied
+ */
+function resolveSchedules(config) {
+  let schedules = config?.SCHEDULES ?? DEFAULT_SCHEDULES;
+  const { isValid, errors } = validateSchedules(schedules);
+  if (!isValid) {
+    log.error('❌ Invalid SCHEDULES setting, using the default schedule', { errors });
+    schedules = DEFAULT_SCHEDULES;
+  }
+
+  return schedules.map(schedule => ({
+    name: schedule.id,
+    timezone: null,
+    enabled: true,
+    runOnStartup: false,
+    force: false,
+    ...schedule
+  }));
+}
+
+/**
+ * Queue the guild update of a schedule. The job worker runs it; when another guild
+ * update is queued or running the trigger is skipped.
+ * @param {Object} schedule - Schedule
+ * @param {string} reason - 'scheduled' or 'startup'
+ */
+async function triggerSchedule(schedule, reason) {
+  const entry = scheduledTasks.get(schedule.id);
+  log.info(`🕐 Running ${reason} update "${schedule.name}"...`, { scheduleId: schedule.id, dataTypes: schedule.dataTypes });
+
+  try {
+    const result = await enqueueGuildUpdate(schedule.dataTypes, `cron:${schedule.id}`, { force: schedule.force });
+    if (entry) {
+      entry.lastTriggeredAt = new Date();
+      entry.lastJobId = result.jobId || null;
+      entry.lastError = result.success ? null : result.error;
+    }
 
-  // Schedule regular updates every 30 minutes
-  cron.schedule(cronSchedule, async () => {
-    console.log('🕐 Running scheduled guild update...');
-    const result = await startGuildUpdate(['raid', 'mplus', 'pvp'], io);
     if (result.success) {
-      console.log('✅ Scheduled guild update started successfully');
-      console.log('📊 Process ID:', result.processId);
-      console.log('🎯 Data types:', result.dataTypes);
+      log.info(`✅ ${reason === 'startup' ? 'Initial' : 'Scheduled'} guild update queued`, {
+        scheduleId: schedule.id,
+        processId: result.processId,
+        dataTypes: result.dataTypes
+      });
     } else {
-      console.log('❌ Scheduled guild update failed:', result.error);
-      console.log('💬 Message:', result.message);
+      log.warn(`❌ ${reason === 'startup' ? 'Initial' : 'Scheduled'} guild update not queued`, {
+        scheduleId: schedule.id,
+        error: result.error,
+        message: result.message
+      });
+    }
+  } catch (error) {
+    log.error('💥 Scheduled guild update crashed:', error);
+  }
+}
+
+/**
+ * Bring the registered tasks in line with the settings: removed or changed schedules are
+ * stopped, new or changed ones are registered, unchanged ones keep running.
+ * @param {Object} config - App settings
+ * @returns {Array<Object>} Schedules that were newly registered
+ */
+function applySchedules(config) {
+  const schedules = resolveSchedules(config).filter(schedule => schedule.enabled);
+  const wanted = new Map(schedules.map(schedule => [schedule.id, schedule]));
+
+  scheduledTasks.forEach((entry, id) => {
+    const schedule = wanted.get(id);
+    if (!schedule || JSON.stringify(schedule) !== entry.key) {
+      entry.task.stop();
+      scheduledTasks.delete(id);
+      log.info(`⏹️  Schedule "${entry.schedule.name}" stopped`, { scheduleId: id });
     }
   });
-  
-  console.log(`⏰ Scheduled guild updates every 30 minutes (cron: ${cronSchedule})`);
-  console.log('🎯 Initial update completed, regular schedule active');
+
+  const added = [];
+  schedules.forEach(schedule => {
+    if (scheduledTasks.has(schedule.id)) {
+      return;
+    }
+    const task = cron.schedule(schedule.cron, () => triggerSchedule(schedule, 'scheduled'),
+      schedule.timezone ? { timezone: schedule.timezone } : {});
+    scheduledTasks.set(schedule.id, {
+      schedule,
+      key: JSON.stringify(schedule),
+      task,
+      lastTriggeredAt: null,
+      lastJobId: null,
+      lastError: null
+    });
+    added.push(schedule);
+    log.info(`⏰ Scheduled "${schedule.name}" (cron: ${schedule.cron}${schedule.timezone ? `, ${schedule.timezone}` : ''})`, {
+      scheduleId: schedule.id,
+      dataTypes: schedule.dataTypes
+    });
+  });
+
+  return added;
+}
+
+/**
+ * Get the state of the scheduled guild updates.
+ * `schedule` and `nextRun` describe the schedule that fires next.
+ * @returns {{ enabled: boolean, schedule: string|null, startedAt: string|null, nextRun: string|null, schedules: Array<Object> }} Cron status
+ */
+export function getCronStatus() {
+  const schedules = [...scheduledTasks.values()]
+    .map(({ schedule, lastTriggeredAt, lastJobId, lastError }) => ({
+      id: schedule.id,
+      name: schedule.name,
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+      dataTypes: schedule.dataTypes,
+      runOnStartup: schedule.runOnStartup,
+      force: schedule.force,
+      nextRun: getNextScheduledUpdate(schedule.cron, schedule.timezone),
+      lastTriggeredAt: lastTriggeredAt ? lastTriggeredAt.toISOString() : null,
+      lastJobId,
+      lastError
+    }))
+    .sort((a, b) => a.nextRun.localeCompare(b.nextRun));
+
+  return {
+    enabled: Boolean(cronStartedAt) && schedules.length > 0,
+    schedule: schedules[0]?.cron || null,
+    startedAt: cronStartedAt ? cronStartedAt.toISOString() : null,
+    nextRun: schedules[0]?.nextRun || null,
+    schedules
+  };
+}
+
+/**
+ * Register the SCHEDULES from the settings and queue the schedules marked runOnStartup.
+ * The job worker runs the queued updates.
+ * @param {Object} config - App settings
+ */
+function startSchedules(config) {
+  const firstStart = !cronStartedAt;
+  cronStartedAt = cronStartedAt || new Date();
+
+  const added = applySchedules(config);
+  if (firstStart) {
+    added.filter(schedule => schedule.runOnStartup)
+      .forEach(schedule => triggerSchedule(schedule, 'startup'));
+    log.info(`🎯 Scheduler active with ${scheduledTasks.size} schedule(s)`);
+  }
 }
 
-console.log('📋 Checking if running as standalone script...');
-console.log('🔍 import.meta.url:', import.meta.url);
-console.log('🔍 process.argv[1]:', process.argv[1]);
+/**
+ * Start the scheduler. Schedules are reloaded whenever the settings are, so edits made
+ * through /api/settings (and the installation) apply without a restart.
+ */
+export async function startCron() {
+  if (!listeningForSettings) {
+    listeningForSettings = true;
+    onSettingsLoaded((settings, { source }) => {
+      // The app.config.js fallback (before installation, or when MongoDB fails) leaves the schedules as they are
+      if (source === 'database') {
+        startSchedules(settings);
+      }
+    });
+  }
+
+  // Check if AppSettings exists before starting cron
+  const appSettingsExist = await hasAppSettings();
+  if (!appSettingsExist) {
+    log.warn('⚠️ App settings not initialized. Cron jobs will not start until installation is complete.');
+    return;
+  }
+
+  if (!cronStartedAt) {
+    startSchedules(await getConfig());
+  }
+}
+
+log.debug('📋 Checking if running as standalone script...', { url: import.meta.url, argv1: process.argv[1] });
 
 // Main execution block for running as standalone script
 // Check if this file is being run directly (not imported)
 const isMainModule = process.argv[1] && process.argv[1].endsWith('cron.js');
 
+// How long `npm run cron` waits for its guild update, and how often it checks the worker running it is alive
+const CLI_MAX_WAIT_MS = 24 * 60 * 60 * 1000;
+const CLI_WORKER_CHECK_MS = 60 * 1000;
+
 if (isMainModule) {
-  console.log('🚀 Starting manual guild update...');
-  console.log('📁 Current working directory:', process.cwd());
-  console.log('🔍 Checking for required files...');
+  log.info('🚀 Starting manual guild update...');
+  log.debug('🔍 Checking for required files...', { cwd: process.cwd() });
   
   // Check if required files exist
   const fs = await import('fs');
@@ -69,49 +310,68 @@ if (isMainModule) {
   const configPath = path.join(process.cwd(), 'app.config.js');
   const guildFetcherPath = path.join(process.cwd(), 'tools/guildFetcher/fetchGuild.mjs');
   
-  console.log('📋 Config file path:', configPath);
-  console.log('🔧 Guild fetcher path:', guildFetcherPath);
   
   if (!fs.existsSync(configPath)) {
-    console.error('❌ Config file not found:', configPath);
+    log.error('❌ Config file not found', { path: configPath });
     process.exit(1);
   }
   
   if (!fs.existsSync(guildFetcherPath)) {
-    console.error('❌ Guild fetcher not found:', guildFetcherPath);
+    log.error('❌ Guild fetcher not found', { path: guildFetcherPath });
     process.exit(1);
   }
   
-  console.log('✅ Required files found');
+  log.info('✅ Required files found');
   
   // Create a mock io object for standalone execution
   const mockIo = {
     emit: (event, data) => {
-      console.log(`📡 Emitting ${event}:`, data);
+      log.info(`📡 Emitting ${event}`, data);
     }
   };
   
   try {
-    console.log('🔄 Starting guild update process...');
-    
-    // Run the guild update immediately
-    const result = await startGuildUpdate(['raid', 'mplus', 'pvp'], mockIo);
+    log.info('🔄 Starting guild update process...');
     
+    // The job goes to the server's queue when a server runs a job worker; otherwise
+    // (or with --standalone) it runs here
+    let runningHere = process.argv.includes('--standalone') || !(await hasLiveJobWorker());
+    if (runningHere) {
+      log.info('🧰 No job worker running elsewhere, running the guild update in this process');
+      await startJobWorker(mockIo);
+    }
+    // --force refetches every resource instead of only what changed on Battle.net
+    const result = await enqueueGuildUpdate(DEFAULT_DATA_TYPES, 'cli', { force: process.argv.includes('--force') });
+
+    let job = null;
     if (result.success) {
-      console.log('✅ Manual guild update completed successfully');
-      console.log('📊 Process ID:', result.processId);
-      console.log('🎯 Data types:', result.dataTypes);
+      log.info('⏳ Guild update queued, waiting for it to finish...', { jobId: result.jobId, runningHere });
+      const deadline = Date.now() + CLI_MAX_WAIT_MS;
+      while (!job && Date.now() < deadline) {
+        job = await waitForJob(result.jobId, Math.min(CLI_WORKER_CHECK_MS, deadline - Date.now()));
+        // The other worker stopped before finishing the job: this process takes over
+        if (!job && !runningHere && !(await hasLiveJobWorker())) {
+          log.warn('⚠️ The job worker running elsewhere stopped, running the guild update in this process');
+          runningHere = true;
+          await startJobWorker(mockIo);
+        }
+      }
+    }
+    
+    if (job?.status === 'succeeded') {
+      log.info('✅ Manual guild update completed successfully', { processId: result.processId, dataTypes: result.dataTypes });
       process.exit(0);
+    } else if (job) {
+      log.warn(`❌ Manual guild update ${job.status}`, { error: job.error });
+      process.exit(1);
     } else {
-      console.log('❌ Manual guild update failed:', result.error);
-      console.log('💬 Message:', result.message);
+      log.warn('❌ Manual guild update failed', { error: result.error, message: result.message });
       process.exit(1);
     }
   } catch (error) {
-    console.error('💥 Manual guild update crashed:', error);
-    console.error('📚 Stack trace:', error.stack);
+    log.error('💥 Manual guild update crashed:', error);
     process.exit(1);
   }
 } else {
-  console.log('📋 Script imported as module, not running standalone');
+  log.debug('📋 Script imported as module, not running standalone');
 } 
\ No newline at end of file
@@ -1,8 +1,12 @@
 // MongoDB database utility functions for Season 3 and members collections
-import { MongoClient } from 'mongodb';
+import { MongoClient, ObjectId } from 'mongodb';
 import dotenv from 'dotenv';
+import { errorsLogged } from './services/metrics.js';
+import { createLogger, getCorrelationId } from './services/logger.js';
 dotenv.config();
 
+const log = createLogger('database');
+
 // MongoDB connection URI from environment variable
 const MONGODB_URI = process.env.MONGODB;
 // Database name from environment variable
@@ -16,13 +20,41 @@ const MEMBERS_COLLECTION_NAME = process.env.MEMBERS_COLLECTION_NAME;
 const ERRORS_COLLECTION_NAME = process.env.ERRORS_COLLECTION_NAME;
 // Collection name for top seasonal statistics
 const TOP_SEASONAL_COLLECTION_NAME = process.env.TOP_SEASONAL_COLLECTION_NAME || 'topSeasonal';
+// Collection name for historical member snapshots
+const SNAPSHOTS_COLLECTION_NAME = process.env.SNAPSHOTS_COLLECTION_NAME || 'memberSnapshots';
+// Collection name for members who have left the guild
+const ALUMNI_COLLECTION_NAME = process.env.ALUMNI_COLLECTION_NAME || 'alumni';
+// Collection name for roster join/leave events
+const ROSTER_EVENTS_COLLECTION_NAME = process.env.ROSTER_EVENTS_COLLECTION_NAME || 'rosterEvents';
+// Collection name for players (groups of main/alt characters)
+const PLAYERS_COLLECTION_NAME = process.env.PLAYERS_COLLECTION_NAME || 'players';
+// Collection names for Battle.net-authenticated users and their sessions
+const USERS_COLLECTION_NAME = process.env.USERS_COLLECTION_NAME || 'users';
+const SESSIONS_COLLECTION_NAME = process.env.SESSIONS_COLLECTION_NAME || 'sessions';
+// Collection name for the security audit log (logins, admin actions)
+const AUDIT_LOG_COLLECTION_NAME = process.env.AUDIT_LOG_COLLECTION_NAME || 'auditLog';
+// Collection name for failed login counters and lockouts
+const LOGIN_ATTEMPTS_COLLECTION_NAME = process.env.LOGIN_ATTEMPTS_COLLECTION_NAME || 'loginAttempts';
+// Collection name for the history of guild update runs
+const GUILD_UPDATE_RUNS_COLLECTION_NAME = process.env.GUILD_UPDATE_RUNS_COLLECTION_NAME || 'guildUpdateRuns';
+// Job queue collection (guild and character updates)
+const JOBS_COLLECTION_NAME = process.env.JOBS_COLLECTION_NAME || 'jobs';
+// Heartbeats of the processes running a job worker
+const JOB_WORKERS_COLLECTION_NAME = process.env.JOB_WORKERS_COLLECTION_NAME || 'jobWorkers';
+// Collection name for cached member transmog collections
+const TRANSMOG_COLLECTION_NAME = process.env.TRANSMOG_COLLECTION_NAME || 'transmogCollections';
+// Collection name for cached Warcraft Logs and Raider.io responses
+const API_CACHE_COLLECTION_NAME = process.env.API_CACHE_COLLECTION_NAME || 'apiCache';
+
+// Collections kept by POST /api/reset
+export const RESET_PRESERVED_COLLECTIONS = ['AppSettings', AUDIT_LOG_COLLECTION_NAME];
 
 // Declare singleton variables for MongoDB connection
 let client;
 let db;
 let collection;
 
-console.log('MongoDB config:', { db: DB_NAME, signup: SEASON_SIGN_UP, members: MEMBERS_COLLECTION_NAME, errors: ERRORS_COLLECTION_NAME });
+log.debug('MongoDB config', { db: DB_NAME, signup: SEASON_SIGN_UP, members: MEMBERS_COLLECTION_NAME, errors: ERRORS_COLLECTION_NAME });
 
 // Check for required environment variables
 if (!MONGODB_URI) throw new Error('Missing required environment variable: MONGODB_URI');
@@ -49,10 +81,10 @@ export async function connectToDatabase() {
     db = client.db(DB_NAME);
     // Optionally, assign collection if you want a default one
     // collection = db.collection(MEMBERS_COLLECTION_NAME);
-    console.log('✅ Connected to MongoDB successfully');
+    log.info('✅ Connected to MongoDB successfully');
     return { client, db, collection };
   } catch (error) {
-    console.error('❌ Failed to connect to MongoDB:', error);
+    log.error('❌ Failed to connect to MongoDB:', error);
     throw error;
   }
 }
@@ -86,7 +118,7 @@ export async function findMemberByName(name, server) {
     
     return member;
   } catch (error) {
-    console.error('❌ Failed to find member by name:', error);
+    log.error('❌ Failed to find member by name:', error);
     // Return null instead of throwing error - this is expected for new members
     return null;
   }
@@ -116,10 +148,10 @@ export async function updateMember(name, server, characterData) {
       { upsert: false }
     );
     
-    console.log(`✅ Updated member: ${name}-${server}`);
+    log.info(`✅ Updated member: ${name}-${server}`);
     return result;
   } catch (error) {
-    console.error('❌ Failed to update member:', error);
+    log.error('❌ Failed to update member:', error);
     // Don't throw error, just log it and continue
     return { modifiedCount: 0 };
   }
@@ -142,10 +174,10 @@ export async function addMember(characterData) {
     
     const result = await membersCollection.insertOne(memberData);
     
-    console.log(`✅ Added new member: ${characterData.name}-${characterData.server}`);
+    log.info(`✅ Added new member: ${characterData.name}-${characterData.server}`);
     return result;
   } catch (error) {
-    console.error('❌ Failed to add member:', error);
+    log.error('❌ Failed to add member:', error);
     // Don't throw error, just log it and continue
     return { insertedId: null };
   }
@@ -166,7 +198,7 @@ export async function getAllMembers() {
     
     return members;
   } catch (error) {
-    console.error('❌ Failed to get all members:', error);
+    log.error('❌ Failed to get all members:', error);
     throw error;
   }
 }
@@ -182,7 +214,7 @@ export async function getMemberCount() {
     const count = await membersCollection.countDocuments({});
     return count;
   } catch (error) {
-    console.error('❌ Failed to get member count:', error);
+    log.error('❌ Failed to get member count:', error);
     return 0;
   }
 }
@@ -198,7 +230,7 @@ export async function hasMembersData() {
     const count = await membersCollection.countDocuments({});
     return count > 0;
   } catch (error) {
-    console.error('❌ Failed to check members data existence:', error);
+    log.error('❌ Failed to check members data existence:', error);
     return false;
   }
 }
@@ -219,7 +251,7 @@ export async function getMembersDataStatus() {
     
     return 'ready';
   } catch (error) {
-    console.error('❌ Failed to get members data status:', error);
+    log.error('❌ Failed to get members data status:', error);
     return 'error';
   }
 }
@@ -238,7 +270,7 @@ export async function hasGuildData() {
     
     return false
   } catch (error) {
-    console.error('❌ Failed to check guild data existence:', error);
+    log.error('❌ Failed to check guild data existence:', error);
     return false;
   }
 }
@@ -257,11 +289,40 @@ export async function getDataStatus() {
     
     return membersStatus;
   } catch (error) {
-    console.error('❌ Failed to get data status:', error);
+    log.error('❌ Failed to get data status:', error);
     return 'error';
   }
 }
 
+/**
+ * Get the member count and the oldest/newest update time of the members collection.
+ * @returns {Promise<{ count: number, newestUpdate: Date|null, oldestUpdate: Date|null }>} Data freshness
+ */
+export async function getMembersDataFreshness() {
+  try {
+    const membersCollection = await getMembersCollection();
+    const [freshness] = await membersCollection.aggregate([
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          newestUpdate: { $max: '$lastUpdated' },
+          oldestUpdate: { $min: '$lastUpdated' }
+        }
+      }
+    ]).toArray();
+
+    return {
+      count: freshness?.count || 0,
+      newestUpdate: freshness?.newestUpdate || null,
+      oldestUpdate: freshness?.oldestUpdate || null
+    };
+  } catch (error) {
+    log.error('❌ Failed to get members data freshness:', error);
+    throw error;
+  }
+}
+
 // ===== SEASON 3 COLLECTION FUNCTIONS =====
 
 /**
@@ -284,11 +345,10 @@ export async function saveSeason3Signup(signupData) {
     // Insert the new document
     const result = await season3Collection.insertOne(document);
     
-    console.log('✅ Season 3 signup saved to MongoDB:', result.insertedId);
+    log.info('✅ Season 3 signup saved to MongoDB', { id: result.insertedId });
     return result;
   } catch (error) {
-    console.error('❌ Failed to save Season 3 signup to MongoDB:', error);
-    console.error('❌ Error details:', error.message, error.stack);
+    log.error('❌ Failed to save Season 3 signup to MongoDB:', error);
     throw error;
   }
 }
@@ -310,7 +370,7 @@ export async function getSeason3Signups() {
     
     return signups;
   } catch (error) {
-    console.error('❌ Failed to get Season 3 signups from MongoDB:', error);
+    log.error('❌ Failed to get Season 3 signups from MongoDB:', error);
     throw error;
   }
 }
@@ -344,10 +404,10 @@ export async function saveSeason3Data(characterData) {
     // Insert the new document
     const result = await season3Collection.insertOne(document);
     
-    console.log('✅ Season 3 character data saved to MongoDB:', result.insertedId);
+    log.info('✅ Season 3 character data saved to MongoDB', { id: result.insertedId });
     return result;
   } catch (error) {
-    console.error('❌ Failed to save Season 3 character data to MongoDB:', error);
+    log.error('❌ Failed to save Season 3 character data to MongoDB:', error);
     throw error;
   }
 }
@@ -361,12 +421,16 @@ export async function getLatestSeason3Data() {
     const { db } = await connectToDatabase();
     const season3Collection = db.collection(SEASON_SIGN_UP);
     
-    console.log('🔍 Searching for Season 3 data in collection:', SEASON_SIGN_UP);
+    log.debug('🔍 Searching for Season 3 data', { collection: SEASON_SIGN_UP });
     
-    // First, let's see what's actually in the collection
-    const allDocuments = await season3Collection.find({}).toArray();
-    console.log('📋 All documents in season3_data collection:', allDocuments.length);
-    console.log('📄 Document types found:', allDocuments.map(doc => ({ type: doc.type, timestamp: doc.timestamp })));
+    // Listing the collection is only worth a full scan when debugging
+    if (log.isLevelEnabled('debug')) {
+      const allDocuments = await season3Collection.find({}, { projection: { type: 1, timestamp: 1 } }).toArray();
+      log.debug('📋 Documents in Season 3 collection', {
+        count: allDocuments.length,
+        documents: allDocuments.map(doc => ({ type: doc.type, timestamp: doc.timestamp }))
+      });
+    }
     
     // Find the most recent character data document
     const latestDocument = await season3Collection
@@ -375,16 +439,14 @@ export async function getLatestSeason3Data() {
       .limit(1)
       .toArray();
     
-    console.log('🎯 Latest character_data document:', latestDocument);
-    
     if (latestDocument.length === 0) {
-      console.log('❌ No character_data documents found');
+      log.debug('❌ No character_data documents found');
       return null;
     }
     
     return latestDocument[0];
   } catch (error) {
-    console.error('❌ Failed to get latest Season 3 data from MongoDB:', error);
+    log.error('❌ Failed to get latest Season 3 data from MongoDB:', error);
     throw error;
   }
 }
@@ -401,11 +463,22 @@ export async function hasSeason3Data() {
     const count = await season3Collection.countDocuments({ type: 'character_data' });
     return count > 0;
   } catch (error) {
-    console.error('❌ Failed to check Season 3 data existence:', error);
+    log.error('❌ Failed to check Season 3 data existence:', error);
     return false;
   }
 }
 
+/**
+ * Ping MongoDB. Throws when the server cannot be reached.
+ * @returns {Promise<{ latencyMs: number }>} Round-trip time of the ping
+ */
+export async function pingDatabase() {
+  const { db } = await connectToDatabase();
+  const startedAt = Date.now();
+  await db.command({ ping: 1 });
+  return { latencyMs: Date.now() - startedAt };
+}
+
 /**
  * Close the MongoDB connection gracefully.
  * @returns {Promise<void>}
@@ -417,16 +490,35 @@ export async function closeDatabase() {
       client = null;
       db = null;
       collection = null;
-      console.log('✅ MongoDB connection closed');
+      markIndexesMissing();
+      log.info('✅ MongoDB connection closed');
     }
   } catch (error) {
-    console.error('❌ Failed to close MongoDB connection:', error);
+    log.error('❌ Failed to close MongoDB connection:', error);
   }
 }
 
+/**
+ * Forget which collections already have their indexes, so they are created again
+ * the next time each collection is requested (after POST /api/reset dropped them).
+ */
+export function markIndexesMissing() {
+  snapshotIndexesReady = false;
+  transmogIndexesReady = false;
+  apiCacheIndexesReady = false;
+  guildUpdateRunIndexesReady = false;
+  jobIndexesReady = false;
+  jobWorkerIndexesReady = false;
+  playerIndexesReady = false;
+  userIndexesReady = false;
+  sessionIndexesReady = false;
+  auditIndexesReady = false;
+  loginAttemptIndexesReady = false;
+}
+
 // Graceful shutdown handler for SIGINT (Ctrl+C)
 process.on('SIGINT', async () => {
-  console.log('SIGINT received, closing database connection...');
+  log.info('SIGINT received, closing database connection...');
   await closeDatabase();
   process.exit(0);
 });
@@ -451,12 +543,13 @@ async function getErrorsCollection() {
  * @param {string} errorData.type - Type of error (e.g., 'api', 'guild-fetch', 'database')
  * @param {string} errorData.endpoint - API endpoint or process name where error occurred
  * @param {Error} errorData.error - The original error object
- * @param {Object} errorData.context - Additional context data
+ * @param {Object} errorData.context - Additional context data (the current correlation id is added)
  * @param {string} errorData.processId - Process ID if applicable
  * @param {string} errorData.character - Character name if applicable
  * @returns {Promise<Object>} MongoDB insert result
  */
 export async function logError({ type, endpoint, error, context = {}, processId = null, character = null }) {
+  errorsLogged.inc({ type: type || 'unknown' });
   try {
     const errorsCollection = await getErrorsCollection();
     
@@ -476,6 +569,7 @@ export async function logError({ type, endpoint, error, context = {}, processId
         ...context,
         processId,
         character,
+        correlationId: context.correlationId || getCorrelationId(),
         userAgent: context.userAgent || null,
         ip: context.ip || null,
         url: context.url || null,
@@ -491,10 +585,10 @@ export async function logError({ type, endpoint, error, context = {}, processId
     
     const result = await errorsCollection.insertOne(errorLog);
     
-    console.log(`📝 Error logged to MongoDB: ${result.insertedId}`);
+    log.info(`📝 Error logged to MongoDB: ${result.insertedId}`, { type: errorLog.type, endpoint: errorLog.endpoint });
     return result;
   } catch (logError) {
-    console.error('❌ Failed to log error to MongoDB:', logError);
+    log.error('❌ Failed to log error to MongoDB:', logError);
     // Don't throw error here to avoid infinite loops
     return { insertedId: null };
   }
@@ -529,7 +623,7 @@ export async function getErrorLogs({ type = null, endpoint = null, resolved = nu
     
     return errors;
   } catch (error) {
-    console.error('❌ Failed to get error logs from MongoDB:', error);
+    log.error('❌ Failed to get error logs from MongoDB:', error);
     throw error;
   }
 }
@@ -583,7 +677,7 @@ export async function getErrorStats() {
       byEndpoint: endpointStats
     };
   } catch (error) {
-    console.error('❌ Failed to get error stats from MongoDB:', error);
+    log.error('❌ Failed to get error stats from MongoDB:', error);
     throw error;
   }
 }
@@ -601,14 +695,14 @@ export async function getErrorById(errorId) {
     const error = await errorsCollection.findOne({ _id: new ObjectId(errorId) });
     
     if (error) {
-      console.log(`✅ Retrieved error ${errorId} from MongoDB`);
+      log.info(`✅ Retrieved error ${errorId} from MongoDB`);
     } else {
-      console.log(`⚠️ Error ${errorId} not found in MongoDB`);
+      log.info(`⚠️ Error ${errorId} not found in MongoDB`);
     }
     
     return error;
   } catch (error) {
-    console.error('❌ Failed to get error by ID from MongoDB:', error);
+    log.error('❌ Failed to get error by ID from MongoDB:', error);
     throw error;
   }
 }
@@ -628,10 +722,10 @@ export async function resolveError(errorId) {
       { $set: { resolved: true, resolvedAt: new Date() } }
     );
     
-    console.log(`✅ Error ${errorId} marked as resolved`);
+    log.info(`✅ Error ${errorId} marked as resolved`);
     return result;
   } catch (error) {
-    console.error('❌ Failed to resolve error:', error);
+    log.error('❌ Failed to resolve error:', error);
     throw error;
   }
 }
@@ -648,10 +742,10 @@ export async function deleteError(errorId) {
     
     const result = await errorsCollection.deleteOne({ _id: new ObjectId(errorId) });
     
-    console.log(`🗑️ Error ${errorId} deleted`);
+    log.info(`🗑️ Error ${errorId} deleted`);
     return result;
   } catch (error) {
-    console.error('❌ Failed to delete error:', error);
+    log.error('❌ Failed to delete error:', error);
     throw error;
   }
 }
@@ -676,10 +770,10 @@ export async function deleteAllErrors({ type = null, resolved = null, severity =
     
     const result = await errorsCollection.deleteMany(filter);
     
-    console.log(`🗑️ Deleted ${result.deletedCount} error logs`);
+    log.info(`🗑️ Deleted ${result.deletedCount} error logs`);
     return result;
   } catch (error) {
-    console.error('❌ Failed to delete all errors:', error);
+    log.error('❌ Failed to delete all errors:', error);
     throw error;
   }
 }
@@ -719,10 +813,10 @@ export async function saveTopSeasonalStats(seasonalStats) {
       { upsert: true }
     );
     
-    console.log(`✅ Top seasonal stats saved for season ${seasonalStats.season}`);
+    log.info(`✅ Top seasonal stats saved for season ${seasonalStats.season}`);
     return result;
   } catch (error) {
-    console.error('❌ Failed to save top seasonal stats:', error);
+    log.error('❌ Failed to save top seasonal stats:', error);
     throw error;
   }
 }
@@ -749,7 +843,7 @@ export async function getTopSeasonalStats(season = null) {
     
     return stats.length > 0 ? stats[0] : null;
   } catch (error) {
-    console.error('❌ Failed to get top seasonal stats:', error);
+    log.error('❌ Failed to get top seasonal stats:', error);
     throw error;
   }
 }
@@ -769,7 +863,7 @@ export async function getAllTopSeasonalStats() {
     
     return stats;
   } catch (error) {
-    console.error('❌ Failed to get all top seasonal stats:', error);
+    log.error('❌ Failed to get all top seasonal stats:', error);
     throw error;
   }
 }
@@ -785,10 +879,10 @@ export async function deleteTopSeasonalStats(season) {
     
     const result = await topSeasonalCollection.deleteOne({ season });
     
-    console.log(`🗑️ Top seasonal stats for season ${season} deleted`);
+    log.info(`🗑️ Top seasonal stats for season ${season} deleted`);
     return result;
   } catch (error) {
-    console.error('❌ Failed to delete top seasonal stats:', error);
+    log.error('❌ Failed to delete top seasonal stats:', error);
     throw error;
   }
 }
@@ -805,152 +899,1932 @@ export async function hasTopSeasonalStats(season) {
     const count = await topSeasonalCollection.countDocuments({ season });
     return count > 0;
   } catch (error) {
-    console.error('❌ Failed to check top seasonal stats existence:', error);
+    log.error('❌ Failed to check top seasonal stats existence:', error);
     return false;
   }
 }
 
-// ===== APP SETTINGS COLLECTION FUNCTIONS =====
+// ===== MEMBER SNAPSHOT COLLECTION FUNCTIONS =====
+
+let snapshotIndexesReady = false;
 
 /**
- * Get the MongoDB collection for app settings.
- * @returns {Promise<Collection>} The app settings collection
+ * Get the MongoDB collection for historical member snapshots.
+ * Indexes are created the first time the collection is requested.
+ * @returns {Promise<Collection>} The member snapshots collection
  */
-async function getAppSettingsCollection() {
+async function getSnapshotsCollection() {
   const connection = await connectToDatabase();
   if (!connection || !connection.db) {
     throw new Error('Database connection failed');
   }
-  return connection.db.collection('AppSettings');
+  const snapshotsCollection = connection.db.collection(SNAPSHOTS_COLLECTION_NAME);
+  if (!snapshotIndexesReady) {
+    await snapshotsCollection.createIndex({ name: 1, server: 1, timestamp: -1 });
+    await snapshotsCollection.createIndex({ granularity: 1, timestamp: -1 });
+    snapshotIndexesReady = true;
+  }
+  return snapshotsCollection;
 }
 
 /**
- * Get the current app settings from MongoDB.
- * @returns {Promise<Object|null>} App settings document or null if not found
+ * Save snapshots of member metrics.
+ * @param {Object[]} snapshots - Snapshot documents ({ name, server, timestamp, granularity, metrics })
+ * @returns {Promise<Object>} MongoDB insert result
  */
-export async function getAppSettings() {
+export async function saveMemberSnapshots(snapshots) {
   try {
-    const appSettingsCollection = await getAppSettingsCollection();
-    const settings = await appSettingsCollection.findOne({});
-    return settings;
+    if (!snapshots.length) {
+      return { insertedCount: 0 };
+    }
+    const snapshotsCollection = await getSnapshotsCollection();
+    const result = await snapshotsCollection.insertMany(snapshots, { ordered: false });
+    return result;
+  } catch (error) {
+    log.error('❌ Failed to save member snapshots:', error);
+    // Don't throw error, history is best-effort and must not break a guild update
+    return { insertedCount: 0 };
+  }
+}
+
+/**
+ * Get snapshots for a single member, oldest first.
+ * @param {string} name - Character name
+ * @param {string} server - Server name
+ * @param {Object} options - Query options
+ * @param {Date} options.from - Only include snapshots at or after this date
+ * @param {Date} options.to - Only include snapshots at or before this date
+ * @returns {Promise<Object[]>} Array of snapshot documents
+ */
+export async function getMemberSnapshots(name, server, { from = null, to = null } = {}) {
+  try {
+    const snapshotsCollection = await getSnapshotsCollection();
+
+    const filter = { name, server };
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+
+    const snapshots = await snapshotsCollection
+      .find(filter)
+      .sort({ timestamp: 1 })
+      .toArray();
+
+    return snapshots;
   } catch (error) {
-    console.error('❌ Failed to get app settings:', error);
+    log.error('❌ Failed to get member snapshots:', error);
     throw error;
   }
 }
 
 /**
- * Check if app settings have been initialized.
- * @returns {Promise<boolean>} True if app settings exist
+ * Get the latest snapshot of every member taken at or before a date.
+ * Used as the baseline when comparing current member data against an earlier point in time.
+ * @param {Date} before - Upper bound for snapshot timestamps
+ * @returns {Promise<Object[]>} One snapshot document per member
  */
-export async function hasAppSettings() {
+export async function getLatestMemberSnapshotsBefore(before) {
   try {
-    const appSettingsCollection = await getAppSettingsCollection();
-    const count = await appSettingsCollection.countDocuments({});
-    return count > 0;
+    const snapshotsCollection = await getSnapshotsCollection();
+
+    const snapshots = await snapshotsCollection.aggregate([
+      { $match: { timestamp: { $lte: before } } },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: { name: '$name', server: '$server' },
+          snapshot: { $last: '$$ROOT' }
+        }
+      },
+      { $replaceRoot: { newRoot: '$snapshot' } }
+    ]).toArray();
+
+    return snapshots;
   } catch (error) {
-    console.error('❌ Failed to check app settings existence:', error);
-    return false;
+    log.error('❌ Failed to get latest member snapshots:', error);
+    throw error;
   }
 }
 
 /**
- * Save or update app settings in MongoDB.
- * @param {Object} settings - App settings data
- * @returns {Promise<Object>} MongoDB upsert result
+ * Build the $dateTrunc expression bucketing snapshots by timestamp. With `week`
+ * options, weeks start at the weekly reset instead of Sunday midnight UTC.
+ * @param {'day'|'week'} unit - Bucket size
+ * @param {Object|null} week - Raid week options from getWeekBucketOptions() (services/weeklyReset)
+ * @returns {Object} Aggregation expression
  */
-export async function saveAppSettings(settings) {
+function snapshotBucket(unit, week) {
+  if (unit !== 'week' || !week) {
+    return { $dateTrunc: { date: '$timestamp', unit } };
+  }
+
+  // Shift by the reset time so the bucket starts on the reset day at midnight, then shift back
+  const shift = { unit: 'minute', amount: week.offsetMinutes };
+  return {
+    $dateAdd: {
+      startDate: {
+        $dateTrunc: {
+          date: { $dateSubtract: { startDate: '$timestamp', ...shift } },
+          unit: 'week',
+          startOfWeek: week.startOfWeek,
+          timezone: week.timezone
+        }
+      },
+      ...shift
+    }
+  };
+}
+
+/**
+ * Get a guild-wide series for one metric, bucketed by day or week.
+ * Each member contributes its latest snapshot in a bucket, so members with
+ * several raw snapshots on the same day are not over-weighted.
+ * @param {string} metric - Metric key inside snapshot.metrics
+ * @param {Object} options - Query options
+ * @param {Date} options.from - Start of the range
+ * @param {Date} options.to - End of the range
+ * @param {'day'|'week'} options.unit - Bucket size
+ * @param {Object} [options.week] - Raid week options for weekly buckets (see snapshotBucket)
+ * @returns {Promise<Object[]>} Array of { timestamp, average, min, max, total, members }
+ */
+export async function getGuildSnapshotSeries(metric, { from = null, to = null, unit = 'day', week = null } = {}) {
   try {
-    const appSettingsCollection = await getAppSettingsCollection();
-    
-    const document = {
-      ...settings,
-      lastUpdated: new Date(),
-      createdAt: settings.createdAt || new Date()
-    };
-    
-    const result = await appSettingsCollection.updateOne(
-      {},
-      { $set: document },
-      { upsert: true }
+    const snapshotsCollection = await getSnapshotsCollection();
+
+    const match = { [`metrics.${metric}`]: { $type: 'number' } };
+    if (from || to) {
+      match.timestamp = {};
+      if (from) match.timestamp.$gte = from;
+      if (to) match.timestamp.$lte = to;
+    }
+
+    const series = await snapshotsCollection.aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: {
+            name: '$name',
+            server: '$server',
+            bucket: snapshotBucket(unit, week)
+          },
+          value: { $last: `$metrics.${metric}` }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.bucket',
+          average: { $avg: '$value' },
+          min: { $min: '$value' },
+          max: { $max: '$value' },
+          total: { $sum: '$value' },
+          members: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          timestamp: '$_id',
+          average: 1,
+          min: 1,
+          max: 1,
+          total: 1,
+          members: 1
+        }
+      }
+    ]).toArray();
+
+    return series;
+  } catch (error) {
+    log.error('❌ Failed to get guild snapshot series:', error);
+    throw error;
+  }
+}
+
+/**
+ * Collapse snapshots of one granularity older than a cutoff into a coarser granularity.
+ * The latest snapshot per member per bucket is kept and re-labelled; the rest are deleted.
+ * @param {'raw'|'daily'} sourceGranularity - Granularity to compact
+ * @param {'daily'|'weekly'} targetGranularity - Granularity to produce
+ * @param {Date} cutoff - Only snapshots older than this are compacted
+ * @param {Object} [week] - Raid week options for weekly buckets (see snapshotBucket)
+ * @returns {Promise<{ kept: number, deleted: number }>} Compaction counts
+ */
+export async function downsampleMemberSnapshots(sourceGranularity, targetGranularity, cutoff, week = null) {
+  try {
+    const snapshotsCollection = await getSnapshotsCollection();
+    const unit = targetGranularity === 'weekly' ? 'week' : 'day';
+    const filter = { granularity: sourceGranularity, timestamp: { $lt: cutoff } };
+
+    const latestPerBucket = await snapshotsCollection.aggregate([
+      { $match: filter },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: {
+            name: '$name',
+            server: '$server',
+            bucket: snapshotBucket(unit, week)
+          },
+          keepId: { $last: '$_id' }
+        }
+      }
+    ]).toArray();
+
+    const keepIds = latestPerBucket.map(entry => entry.keepId);
+    if (keepIds.length === 0) {
+      return { kept: 0, deleted: 0 };
+    }
+
+    await snapshotsCollection.updateMany(
+      { _id: { $in: keepIds } },
+      { $set: { granularity: targetGranularity } }
     );
-    
-    console.log('✅ App settings saved to MongoDB');
+    const deleteResult = await snapshotsCollection.deleteMany({ ...filter, _id: { $nin: keepIds } });
+
+    return { kept: keepIds.length, deleted: deleteResult.deletedCount };
+  } catch (error) {
+    log.error('❌ Failed to downsample member snapshots:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete snapshots of a granularity older than a cutoff.
+ * @param {'raw'|'daily'|'weekly'} granularity - Granularity to prune
+ * @param {Date} cutoff - Snapshots older than this are deleted
+ * @returns {Promise<Object>} MongoDB delete result
+ */
+export async function deleteMemberSnapshotsBefore(granularity, cutoff) {
+  try {
+    const snapshotsCollection = await getSnapshotsCollection();
+    const result = await snapshotsCollection.deleteMany({ granularity, timestamp: { $lt: cutoff } });
     return result;
   } catch (error) {
-    console.error('❌ Failed to save app settings:', error);
+    log.error('❌ Failed to delete member snapshots:', error);
     throw error;
   }
 }
 
-// ===== ADMIN COLLECTION FUNCTIONS =====
+// ===== ALUMNI & ROSTER EVENT COLLECTION FUNCTIONS =====
 
 /**
- * Get the MongoDB collection for admin users.
- * @returns {Promise<Collection>} The admin collection
+ * Get the MongoDB collection for archived (departed) members.
+ * @returns {Promise<Collection>} The alumni collection
  */
-async function getAdminCollection() {
+async function getAlumniCollection() {
   const connection = await connectToDatabase();
   if (!connection || !connection.db) {
     throw new Error('Database connection failed');
   }
-  return connection.db.collection('Admin');
+  return connection.db.collection(ALUMNI_COLLECTION_NAME);
 }
 
 /**
- * Get admin user by username.
- * @param {string} username - Admin username
- * @returns {Promise<Object|null>} Admin document or null if not found
+ * Get the MongoDB collection for roster join/leave events.
+ * @returns {Promise<Collection>} The roster events collection
  */
-export async function getAdminByUsername(username) {
+async function getRosterEventsCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  return connection.db.collection(ROSTER_EVENTS_COLLECTION_NAME);
+}
+
+/**
+ * Get the name/server pair of every member currently in the members collection.
+ * @returns {Promise<Object[]>} Array of { name, server, metaData, guildData }
+ */
+export async function getMemberKeys() {
   try {
-    const adminCollection = await getAdminCollection();
-    const admin = await adminCollection.findOne({ username });
-    return admin;
+    const membersCollection = await getMembersCollection();
+
+    const members = await membersCollection
+      .find({}, { projection: { _id: 0, name: 1, server: 1, metaData: 1, guildData: 1 } })
+      .toArray();
+
+    return members;
   } catch (error) {
-    console.error('❌ Failed to get admin by username:', error);
+    log.error('❌ Failed to get member keys:', error);
     throw error;
   }
 }
 
 /**
- * Create a new admin user.
- * @param {string} username - Admin username
- * @param {string} hashedPassword - Hashed password
- * @returns {Promise<Object>} MongoDB insert result
+ * Move members to the alumni collection, flagged as departed.
+ * The member documents are copied as they were at departure and then removed from the members collection.
+ * @param {Object[]} members - Array of { name, server }
+ * @param {Date} departedAt - Departure timestamp
+ * @param {string} processId - Guild update process that detected the departure
+ * @returns {Promise<{ archived: number, removed: number }>} Archive counts
  */
-export async function createAdmin(username, hashedPassword) {
+export async function archiveMembers(members, departedAt, processId = null) {
   try {
-    const adminCollection = await getAdminCollection();
-    
-    const admin = {
-      username,
-      password: hashedPassword,
-      createdAt: new Date(),
-      lastLogin: null
+    if (!members.length) {
+      return { archived: 0, removed: 0 };
+    }
+
+    const membersCollection = await getMembersCollection();
+    const alumniCollection = await getAlumniCollection();
+    const filter = { $or: members.map(({ name, server }) => ({ name, server })) };
+
+    const documents = await membersCollection.find(filter).toArray();
+    if (!documents.length) {
+      return { archived: 0, removed: 0 };
+    }
+
+    const archiveResult = await alumniCollection.bulkWrite(documents.map(({ _id, ...member }) => ({
+      replaceOne: {
+        filter: { name: member.name, server: member.server },
+        replacement: {
+          ...member,
+          departed: true,
+          departedAt,
+          departedProcessId: processId
+        },
+        upsert: true
+      }
+    })));
+
+    const deleteResult = await membersCollection.deleteMany({ _id: { $in: documents.map(doc => doc._id) } });
+
+    return {
+      archived: archiveResult.upsertedCount + archiveResult.modifiedCount,
+      removed: deleteResult.deletedCount
     };
-    
-    const result = await adminCollection.insertOne(admin);
-    console.log('✅ Admin user created');
-    return result;
   } catch (error) {
-    console.error('❌ Failed to create admin:', error);
+    log.error('❌ Failed to archive members:', error);
     throw error;
   }
 }
 
 /**
- * Check if any admin users exist.
- * @returns {Promise<boolean>} True if at least one admin exists
+ * Remove a returning member from the alumni collection.
+ * @param {string} name - Character name
+ * @param {string} server - Server name
+ * @returns {Promise<Object|null>} The archived document, or null if the character was never archived
  */
-export async function hasAdmin() {
+export async function removeAlumnus(name, server) {
   try {
-    const adminCollection = await getAdminCollection();
-    const count = await adminCollection.countDocuments({});
-    return count > 0;
+    const alumniCollection = await getAlumniCollection();
+    return await alumniCollection.findOneAndDelete({ name, server });
   } catch (error) {
-    console.error('❌ Failed to check admin existence:', error);
-    return false;
+    log.error('❌ Failed to remove alumnus:', error);
+    return null;
+  }
+}
+
+/**
+ * Get archived members, most recent departures first.
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of documents
+ * @returns {Promise<Object[]>} Array of alumni documents
+ */
+export async function getAlumni({ limit = 100 } = {}) {
+  try {
+    const alumniCollection = await getAlumniCollection();
+
+    const alumni = await alumniCollection
+      .find({})
+      .sort({ departedAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    return alumni;
+  } catch (error) {
+    log.error('❌ Failed to get alumni:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save roster join/leave events.
+ * @param {Object[]} events - Event documents ({ type, name, server, timestamp, processId })
+ * @returns {Promise<Object>} MongoDB insert result
+ */
+export async function saveRosterEvents(events) {
+  try {
+    if (!events.length) {
+      return { insertedCount: 0 };
+    }
+    const eventsCollection = await getRosterEventsCollection();
+    const result = await eventsCollection.insertMany(events, { ordered: false });
+    return result;
+  } catch (error) {
+    log.error('❌ Failed to save roster events:', error);
+    // Don't throw error, the events are informational and must not break a guild update
+    return { insertedCount: 0 };
+  }
+}
+
+/**
+ * Get roster events, most recent first.
+ * @param {Object} options - Query options
+ * @param {Date} options.from - Only include events at or after this date
+ * @param {Date} options.to - Only include events at or before this date
+ * @param {'member-joined'|'member-left'} options.type - Only include one event type
+ * @param {number} options.limit - Maximum number of events
+ * @returns {Promise<Object[]>} Array of event documents
+ */
+export async function getRosterEvents({ from = null, to = null, type = null, limit = 100 } = {}) {
+  try {
+    const eventsCollection = await getRosterEventsCollection();
+
+    const query = {};
+    if (type) query.type = type;
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = from;
+      if (to) query.timestamp.$lte = to;
+    }
+
+    const events = await eventsCollection
+      .find(query)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .toArray();
+
+    return events;
+  } catch (error) {
+    log.error('❌ Failed to get roster events:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count joins and departures per day, week or month.
+ * @param {Object} options - Query options
+ * @param {Date} options.from - Start of the range
+ * @param {Date} options.to - End of the range
+ * @param {'day'|'week'|'month'} options.unit - Bucket size
+ * @returns {Promise<Object[]>} Array of { timestamp, joined, left, net }
+ */
+export async function getRosterChurnSeries({ from = null, to = null, unit = 'week' } = {}) {
+  try {
+    const eventsCollection = await getRosterEventsCollection();
+
+    const match = {};
+    if (from || to) {
+      match.timestamp = {};
+      if (from) match.timestamp.$gte = from;
+      if (to) match.timestamp.$lte = to;
+    }
+
+    const series = await eventsCollection.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$timestamp', unit } },
+          joined: { $sum: { $cond: [{ $eq: ['$type', 'member-joined'] }, 1, 0] } },
+          left: { $sum: { $cond: [{ $eq: ['$type', 'member-left'] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          timestamp: '$_id',
+          joined: 1,
+          left: 1,
+          net: { $subtract: ['$joined', '$left'] }
+        }
+      }
+    ]).toArray();
+
+    return series;
+  } catch (error) {
+    log.error('❌ Failed to get roster churn series:', error);
+    throw error;
+  }
+}
+
+// ===== TRANSMOG COLLECTION FUNCTIONS =====
+
+let transmogIndexesReady = false;
+
+/**
+ * Get the MongoDB collection for cached member transmog collections.
+ * @returns {Promise<Collection>} The transmog collections collection
+ */
+async function getTransmogCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const transmogCollection = connection.db.collection(TRANSMOG_COLLECTION_NAME);
+  if (!transmogIndexesReady) {
+    await transmogCollection.createIndex({ memberKey: 1 }, { unique: true });
+    await transmogCollection.createIndex({ 'appearanceSets.id': 1 });
+    await transmogCollection.createIndex({ 'slots.appearanceIds': 1 });
+    transmogIndexesReady = true;
+  }
+  return transmogCollection;
+}
+
+/**
+ * Insert or replace a member's cached transmog collection.
+ * @param {Object} collection - { name, server, memberKey, appearanceSets, slots, appearanceCount, lastModified, fetchedAt }
+ * @returns {Promise<Object>} MongoDB update result
+ */
+export async function saveMemberTransmogCollection(collection) {
+  try {
+    const transmogCollection = await getTransmogCollection();
+    return await transmogCollection.updateOne(
+      { memberKey: collection.memberKey },
+      { $set: collection },
+      { upsert: true }
+    );
+  } catch (error) {
+    log.error('❌ Failed to save transmog collection:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a member's cached transmog collection.
+ * @param {string} memberKey - Member key (name-server)
+ * @returns {Promise<Object|null>} The cached collection or null if it was never fetched
+ */
+export async function getMemberTransmogCollection(memberKey) {
+  try {
+    const transmogCollection = await getTransmogCollection();
+    return await transmogCollection.findOne({ memberKey }, { projection: { _id: 0 } });
+  } catch (error) {
+    log.error('❌ Failed to get transmog collection:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the keys of the cached collections among the given members.
+ * @param {string[]} memberKeys - Member keys to consider
+ * @returns {Promise<Object[]>} Array of { memberKey, name, server, fetchedAt }
+ */
+export async function getTransmogCollectionKeys(memberKeys) {
+  try {
+    const transmogCollection = await getTransmogCollection();
+    return await transmogCollection
+      .find({ memberKey: { $in: memberKeys } }, { projection: { _id: 0, memberKey: 1, name: 1, server: 1, fetchedAt: 1 } })
+      .toArray();
+  } catch (error) {
+    log.error('❌ Failed to get transmog collection keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the members whose cached collection contains an appearance set.
+ * @param {number} setId - Appearance set ID
+ * @param {string[]} memberKeys - Member keys to consider
+ * @returns {Promise<Object[]>} Array of { memberKey, name, server, appearanceSets } (only the matching set)
+ */
+export async function findTransmogSetCollectors(setId, memberKeys) {
+  try {
+    const transmogCollection = await getTransmogCollection();
+    return await transmogCollection
+      .find(
+        { memberKey: { $in: memberKeys }, 'appearanceSets.id': setId },
+        { projection: { _id: 0, memberKey: 1, name: 1, server: 1, appearanceSets: { $elemMatch: { id: setId } } } }
+      )
+      .toArray();
+  } catch (error) {
+    log.error('❌ Failed to find transmog set collectors:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the members whose cached collection contains an appearance, with the slot it was collected in.
+ * @param {number} appearanceId - Item appearance ID
+ * @param {string[]} memberKeys - Member keys to consider
+ * @returns {Promise<Object[]>} Array of { memberKey, name, server, slots } (only the matching slot)
+ */
+export async function findTransmogAppearanceCollectors(appearanceId, memberKeys) {
+  try {
+    const transmogCollection = await getTransmogCollection();
+    return await transmogCollection
+      .find(
+        { memberKey: { $in: memberKeys }, 'slots.appearanceIds': appearanceId },
+        {
+          projection: {
+            _id: 0,
+            memberKey: 1,
+            name: 1,
+            server: 1,
+            slots: { $elemMatch: { appearanceIds: appearanceId } }
+          }
+        }
+      )
+      .toArray();
+  } catch (error) {
+    log.error('❌ Failed to find transmog appearance collectors:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count, for every appearance set collected by at least one member, how many members have it.
+ * @param {string[]} memberKeys - Member keys to consider
+ * @returns {Promise<Object[]>} Array of { id, name, collectedBy }, most collected first
+ */
+export async function getTransmogSetCounts(memberKeys) {
+  try {
+    const transmogCollection = await getTransmogCollection();
+    return await transmogCollection.aggregate([
+      { $match: { memberKey: { $in: memberKeys } } },
+      { $unwind: '$appearanceSets' },
+      {
+        $group: {
+          _id: '$appearanceSets.id',
+          name: { $first: '$appearanceSets.name' },
+          collectedBy: { $sum: 1 }
+        }
+      },
+      { $sort: { collectedBy: -1, _id: 1 } },
+      { $project: { _id: 0, id: '$_id', name: 1, collectedBy: 1 } }
+    ]).toArray();
+  } catch (error) {
+    log.error('❌ Failed to get transmog set counts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Per-slot collection statistics: how many appearances members have in each slot, and how
+ * many distinct appearances the guild has collected in it between them.
+ * @param {string[]} memberKeys - Member keys to consider
+ * @returns {Promise<Object[]>} Array of { type, name, members, averageAppearances, maxAppearances, distinctAppearances }
+ */
+export async function getTransmogSlotStats(memberKeys) {
+  try {
+    const transmogCollection = await getTransmogCollection();
+    return await transmogCollection.aggregate([
+      { $match: { memberKey: { $in: memberKeys } } },
+      { $unwind: '$slots' },
+      {
+        $facet: {
+          perMember: [
+            {
+              $group: {
+                _id: '$slots.type',
+                name: { $first: '$slots.name' },
+                members: { $sum: 1 },
+                averageAppearances: { $avg: { $size: '$slots.appearanceIds' } },
+                maxAppearances: { $max: { $size: '$slots.appearanceIds' } }
+              }
+            }
+          ],
+          distinct: [
+            { $unwind: '$slots.appearanceIds' },
+            { $group: { _id: { type: '$slots.type', appearanceId: '$slots.appearanceIds' } } },
+            { $group: { _id: '$_id.type', distinctAppearances: { $sum: 1 } } }
+          ]
+        }
+      },
+      { $unwind: '$perMember' },
+      {
+        $project: {
+          _id: 0,
+          type: '$perMember._id',
+          name: '$perMember.name',
+          members: '$perMember.members',
+          averageAppearances: { $round: ['$perMember.averageAppearances', 1] },
+          maxAppearances: '$perMember.maxAppearances',
+          distinctAppearances: {
+            $ifNull: [
+              {
+                $first: {
+                  $map: {
+                    input: { $filter: { input: '$distinct', cond: { $eq: ['$$this._id', '$perMember._id'] } } },
+                    in: '$$this.distinctAppearances'
+                  }
+                }
+              },
+              0
+            ]
+          }
+        }
+      },
+      { $sort: { type: 1 } }
+    ], { allowDiskUse: true }).toArray();
+  } catch (error) {
+    log.error('❌ Failed to get transmog slot stats:', error);
+    throw error;
+  }
+}
+
+// ===== API CACHE COLLECTION FUNCTIONS =====
+
+let apiCacheIndexesReady = false;
+
+/**
+ * Get the MongoDB collection for cached Warcraft Logs and Raider.io responses.
+ * Entries are removed by a TTL index on expiresAt.
+ * @returns {Promise<Collection>} The API cache collection
+ */
+async function getApiCacheCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const cacheCollection = connection.db.collection(API_CACHE_COLLECTION_NAME);
+  if (!apiCacheIndexesReady) {
+    await cacheCollection.createIndex({ key: 1 }, { unique: true });
+    await cacheCollection.createIndex({ realm: 1, name: 1, type: 1 });
+    await cacheCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    apiCacheIndexesReady = true;
+  }
+  return cacheCollection;
+}
+
+/**
+ * Build the filter for API cache entries.
+ * @param {Object} filters - { source, type, realm, name }, null fields match any entry
+ * @returns {Object} MongoDB filter
+ */
+function apiCacheFilter({ source = null, type = null, realm = null, name = null } = {}) {
+  const filter = {};
+  if (source) filter.source = source;
+  if (type) filter.type = type;
+  if (realm) filter.realm = realm;
+  if (name) filter.name = name;
+  return filter;
+}
+
+/**
+ * Get an unexpired API cache entry. The TTL monitor runs about once a minute,
+ * so expiry is checked here as well.
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} The entry, or null when missing or expired
+ */
+export async function getApiCacheEntry(key) {
+  try {
+    const cacheCollection = await getApiCacheCollection();
+    return await cacheCollection.findOne({ key, expiresAt: { $gt: new Date() } });
+  } catch (error) {
+    log.error('❌ Failed to get API cache entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save an API cache entry, replacing the previous entry with the same key.
+ * @param {Object} entry - { key, source, type, realm, name, data, createdAt, expiresAt }
+ * @returns {Promise<Object>} MongoDB update result
+ */
+export async function saveApiCacheEntry(entry) {
+  try {
+    const cacheCollection = await getApiCacheCollection();
+    return await cacheCollection.replaceOne({ key: entry.key }, entry, { upsert: true });
+  } catch (error) {
+    log.error('❌ Failed to save API cache entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get unexpired API cache entries, newest first.
+ * @param {Object} options - Filters and paging
+ * @param {string|null} options.source - 'warcraftlogs' or 'raiderio'
+ * @param {string|null} options.type - Query type (e.g. 'wcl_member')
+ * @param {string|null} options.realm - Realm slug
+ * @param {string|null} options.name - Character name
+ * @param {boolean} options.withData - Include the cached responses
+ * @param {number} options.limit - Maximum number of entries (0 for all)
+ * @param {number} options.skip - Number of entries to skip
+ * @returns {Promise<{ entries: Object[], total: number }>} Matching entries and the total count
+ */
+export async function getApiCacheEntries({ withData = false, limit = 100, skip = 0, ...filters } = {}) {
+  try {
+    const cacheCollection = await getApiCacheCollection();
+    const filter = { ...apiCacheFilter(filters), expiresAt: { $gt: new Date() } };
+    const projection = withData ? { _id: 0 } : { _id: 0, data: 0 };
+
+    const [entries, total] = await Promise.all([
+      cacheCollection.find(filter, { projection }).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      cacheCollection.countDocuments(filter)
+    ]);
+
+    return { entries, total };
+  } catch (error) {
+    log.error('❌ Failed to get API cache entries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete API cache entries.
+ * @param {Object} filters - { source, type, realm, name }, null fields match any entry
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function deleteApiCacheEntries(filters = {}) {
+  try {
+    const cacheCollection = await getApiCacheCollection();
+    const result = await cacheCollection.deleteMany(apiCacheFilter(filters));
+    return result.deletedCount;
+  } catch (error) {
+    log.error('❌ Failed to delete API cache entries:', error);
+    throw error;
+  }
+}
+
+// ===== GUILD UPDATE RUN COLLECTION FUNCTIONS =====
+
+let guildUpdateRunIndexesReady = false;
+
+/**
+ * Get the MongoDB collection for guild update runs.
+ * @returns {Promise<Collection>} The guild update runs collection
+ */
+async function getGuildUpdateRunsCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const runsCollection = connection.db.collection(GUILD_UPDATE_RUNS_COLLECTION_NAME);
+  if (!guildUpdateRunIndexesReady) {
+    await runsCollection.createIndex({ finishedAt: -1 });
+    await runsCollection.createIndex({ success: 1, finishedAt: -1 });
+    guildUpdateRunIndexesReady = true;
+  }
+  return runsCollection;
+}
+
+/**
+ * Record a finished guild update run. Best-effort: a failure is logged and ignored.
+ * @param {Object} run - { processId, dataTypes, startedAt, finishedAt, success, memberCount, error }
+ * @returns {Promise<Object|null>} MongoDB insert result, or null when saving failed
+ */
+export async function saveGuildUpdateRun(run) {
+  try {
+    const runsCollection = await getGuildUpdateRunsCollection();
+    return await runsCollection.insertOne(run);
+  } catch (error) {
+    log.error('❌ Failed to save guild update run:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the most recent guild update run.
+ * @param {Object} options - Options
+ * @param {boolean|null} options.success - Only successful (true) or failed (false) runs, or any (null)
+ * @returns {Promise<Object|null>} The run, or null when none was recorded
+ */
+export async function getLatestGuildUpdateRun({ success = null } = {}) {
+  try {
+    const runsCollection = await getGuildUpdateRunsCollection();
+    const filter = success === null ? {} : { success };
+    return await runsCollection.findOne(filter, { sort: { finishedAt: -1 } });
+  } catch (error) {
+    log.error('❌ Failed to get latest guild update run:', error);
+    throw error;
+  }
+}
+
+// ===== JOB COLLECTION FUNCTIONS =====
+
+let jobIndexesReady = false;
+
+/**
+ * Get the MongoDB collection for queued, running and finished jobs.
+ * Finished jobs are removed by a TTL index on expiresAt. Active jobs that must not run
+ * side by side hold an `activeLock` (their type), unique among the jobs that have one.
+ * @returns {Promise<Collection>} The jobs collection
+ */
+async function getJobsCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const jobsCollection = connection.db.collection(JOBS_COLLECTION_NAME);
+  if (!jobIndexesReady) {
+    await jobsCollection.createIndex({ type: 1, status: 1, createdAt: 1 });
+    await jobsCollection.createIndex({ createdAt: -1 });
+    await jobsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await jobsCollection.createIndex(
+      { activeLock: 1 },
+      { unique: true, partialFilterExpression: { activeLock: { $exists: true } } }
+    );
+    jobIndexesReady = true;
+  }
+  return jobsCollection;
+}
+
+/**
+ * Insert a job.
+ * @param {Object} job - Job document (type, params, status, ...)
+ * @returns {Promise<Object>} The job with its _id
+ * @throws {MongoServerError} Code 11000 when another active job holds the same activeLock
+ */
+export async function createJob(job) {
+  try {
+    const jobsCollection = await getJobsCollection();
+    const result = await jobsCollection.insertOne(job);
+    return { ...job, _id: result.insertedId };
+  } catch (error) {
+    // A duplicate activeLock is expected when two requests queue the same job type
+    if (error.code !== 11000) log.error('❌ Failed to create job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a job by ID.
+ * @param {string} jobId - Job ID
+ * @param {Object} options - Options
+ * @param {boolean} options.withResults - Include the per-member results
+ * @returns {Promise<Object|null>} The job, or null when not found
+ */
+export async function getJobById(jobId, { withResults = true } = {}) {
+  try {
+    if (!ObjectId.isValid(jobId)) {
+      return null;
+    }
+    const jobsCollection = await getJobsCollection();
+    return await jobsCollection.findOne(
+      { _id: new ObjectId(jobId) },
+      withResults ? {} : { projection: { results: 0 } }
+    );
+  } catch (error) {
+    log.error('❌ Failed to get job:', error);
+    throw error;
+  }
+}
+
+/**
+ * List jobs, newest first, without their per-member results.
+ * @param {Object} filters - { type, status, limit, skip }
+ * @returns {Promise<{ jobs: Object[], total: number }>} Jobs and the total matching the filters
+ */
+export async function getJobs({ type = null, status = null, limit = 50, skip = 0 } = {}) {
+  try {
+    const jobsCollection = await getJobsCollection();
+    const filter = {};
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+
+    const [jobs, total] = await Promise.all([
+      jobsCollection.find(filter, { projection: { results: 0 } })
+        .sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      jobsCollection.countDocuments(filter)
+    ]);
+    return { jobs, total };
+  } catch (error) {
+    log.error('❌ Failed to get jobs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the queued or running job of a type, if any.
+ * @param {string} type - Job type
+ * @returns {Promise<Object|null>} The oldest active job
+ */
+export async function findActiveJob(type) {
+  try {
+    const jobsCollection = await getJobsCollection();
+    return await jobsCollection.findOne(
+      { type, status: { $in: ['queued', 'running'] } },
+      { sort: { createdAt: 1 }, projection: { results: 0 } }
+    );
+  } catch (error) {
+    log.error('❌ Failed to find active job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Atomically take the oldest queued job of a type and mark it running under a worker's lease.
+ * @param {string} type - Job type
+ * @param {Object} lease - Lease
+ * @param {string} lease.workerId - Worker taking the job
+ * @param {Date} lease.leaseExpiresAt - When the job counts as interrupted unless the lease is renewed
+ * @returns {Promise<Object|null>} The claimed job, or null when the queue is empty
+ */
+export async function claimNextJob(type, { workerId, leaseExpiresAt }) {
+  try {
+    const jobsCollection = await getJobsCollection();
+    return await jobsCollection.findOneAndUpdate(
+      { type, status: 'queued' },
+      { $set: { status: 'running', startedAt: new Date(), workerId, leaseExpiresAt } },
+      { sort: { createdAt: 1 }, returnDocument: 'after' }
+    );
+  } catch (error) {
+    log.error('❌ Failed to claim job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set fields on a job.
+ * @param {string|ObjectId} jobId - Job ID
+ * @param {Object} fields - Fields to set, e.g. { 'progress.total': 212 }
+ * @returns {Promise<void>}
+ */
+export async function updateJob(jobId, fields) {
+  try {
+    const jobsCollection = await getJobsCollection();
+    await jobsCollection.updateOne({ _id: new ObjectId(jobId) }, { $set: fields });
+  } catch (error) {
+    log.error('❌ Failed to update job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store the final status of a job and release its active lock.
+ * @param {string|ObjectId} jobId - Job ID
+ * @param {Object} fields - Fields to set (status, error, finishedAt, expiresAt)
+ * @returns {Promise<void>}
+ */
+export async function finishJob(jobId, fields) {
+  try {
+    const jobsCollection = await getJobsCollection();
+    await jobsCollection.updateOne({ _id: new ObjectId(jobId) }, { $set: fields, $unset: { activeLock: '' } });
+  } catch (error) {
+    log.error('❌ Failed to finish job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Extend the lease of the running jobs a worker holds.
+ * @param {string[]} jobIds - Job IDs
+ * @param {string} workerId - Worker holding the jobs
+ * @param {Date} leaseExpiresAt - New lease expiry
+ * @returns {Promise<number>} Number of leases renewed
+ */
+export async function renewJobLeases(jobIds, workerId, leaseExpiresAt) {
+  try {
+    const jobsCollection = await getJobsCollection();
+    const result = await jobsCollection.updateMany(
+      { _id: { $in: jobIds.map(jobId => new ObjectId(jobId)) }, workerId, status: 'running' },
+      { $set: { leaseExpiresAt } }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    log.error('❌ Failed to renew job leases:', error);
+    throw error;
+  }
+}
+
+/**
+ * Append a per-member result to a job and advance its progress.
+ * @param {string|ObjectId} jobId - Job ID
+ * @param {Object} result - { character, name, server, outcome, error }
+ * @param {boolean} failed - Whether the result counts as a failure
+ * @returns {Promise<void>}
+ */
+export async function recordJobResult(jobId, result, failed) {
+  try {
+    const jobsCollection = await getJobsCollection();
+    await jobsCollection.updateOne(
+      { _id: new ObjectId(jobId) },
+      {
+        $push: { results: result },
+        $inc: { 'progress.completed': 1, 'progress.failed': failed ? 1 : 0 }
+      }
+    );
+  } catch (error) {
+    log.error('❌ Failed to record job result:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cancel a job that has not started yet.
+ * @param {string} jobId - Job ID
+ * @param {Object} fields - Extra fields to set (cancelledBy, finishedAt, expiresAt)
+ * @returns {Promise<Object|null>} The cancelled job, or null when it was not queued
+ */
+export async function cancelQueuedJob(jobId, fields) {
+  try {
+    if (!ObjectId.isValid(jobId)) {
+      return null;
+    }
+    const jobsCollection = await getJobsCollection();
+    return await jobsCollection.findOneAndUpdate(
+      { _id: new ObjectId(jobId), status: 'queued' },
+      { $set: { ...fields, status: 'cancelled' }, $unset: { activeLock: '' } },
+      { returnDocument: 'after', projection: { results: 0 } }
+    );
+  } catch (error) {
+    log.error('❌ Failed to cancel job:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark running jobs whose worker stopped renewing their lease as failed. Jobs from
+ * before leases existed have none and count as interrupted.
+ * @param {Object} fields - Fields to set (error, finishedAt, expiresAt)
+ * @returns {Promise<number>} Number of interrupted jobs
+ */
+export async function failInterruptedJobs(fields) {
+  try {
+    const jobsCollection = await getJobsCollection();
+    const result = await jobsCollection.updateMany(
+      { status: 'running', $or: [{ leaseExpiresAt: { $lt: new Date() } }, { leaseExpiresAt: null }] },
+      { $set: { ...fields, status: 'failed' }, $unset: { activeLock: '' } }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    log.error('❌ Failed to fail interrupted jobs:', error);
+    throw error;
+  }
+}
+
+let jobWorkerIndexesReady = false;
+
+/**
+ * Get the MongoDB collection for job worker heartbeats.
+ * A worker's entry is removed by a TTL index on expiresAt once it stops beating.
+ * @returns {Promise<Collection>} The job workers collection
+ */
+async function getJobWorkersCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const workersCollection = connection.db.collection(JOB_WORKERS_COLLECTION_NAME);
+  if (!jobWorkerIndexesReady) {
+    await workersCollection.createIndex({ workerId: 1 }, { unique: true });
+    await workersCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    jobWorkerIndexesReady = true;
+  }
+  return workersCollection;
+}
+
+/**
+ * Record a job worker heartbeat.
+ * @param {string} workerId - Worker ID
+ * @param {Date} expiresAt - When the worker counts as stopped without another heartbeat
+ * @returns {Promise<void>}
+ */
+export async function saveJobWorkerHeartbeat(workerId, expiresAt) {
+  try {
+    const workersCollection = await getJobWorkersCollection();
+    await workersCollection.updateOne(
+      { workerId },
+      { $set: { lastHeartbeat: new Date(), expiresAt } },
+      { upsert: true }
+    );
+  } catch (error) {
+    log.error('❌ Failed to save job worker heartbeat:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count the job workers whose last heartbeat has not expired.
+ * @param {string|null} excludeWorkerId - Worker to leave out (the caller's own)
+ * @returns {Promise<number>} Number of live workers
+ */
+export async function countLiveJobWorkers(excludeWorkerId = null) {
+  try {
+    const workersCollection = await getJobWorkersCollection();
+    const filter = { expiresAt: { $gt: new Date() } };
+    if (excludeWorkerId) filter.workerId = { $ne: excludeWorkerId };
+    return await workersCollection.countDocuments(filter);
+  } catch (error) {
+    log.error('❌ Failed to count live job workers:', error);
+    throw error;
+  }
+}
+
+// ===== PLAYER COLLECTION FUNCTIONS =====
+
+let playerIndexesReady = false;
+
+/**
+ * Get the MongoDB collection for players.
+ * A character can only be linked to one player, enforced by a unique multikey index.
+ * @returns {Promise<Collection>} The players collection
+ */
+async function getPlayersCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const playersCollection = connection.db.collection(PLAYERS_COLLECTION_NAME);
+  if (!playerIndexesReady) {
+    await playersCollection.createIndex(
+      { 'characters.name': 1, 'characters.server': 1 },
+      { unique: true, partialFilterExpression: { 'characters.name': { $exists: true } } }
+    );
+    playerIndexesReady = true;
+  }
+  return playersCollection;
+}
+
+/**
+ * Get all players, sorted by name.
+ * @returns {Promise<Object[]>} Array of player documents
+ */
+export async function getAllPlayers() {
+  try {
+    const playersCollection = await getPlayersCollection();
+    return await playersCollection.find({}).sort({ name: 1 }).toArray();
+  } catch (error) {
+    log.error('❌ Failed to get players:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a player by ID.
+ * @param {string} playerId - Player ID
+ * @returns {Promise<Object|null>} The player document or null if not found
+ */
+export async function getPlayerById(playerId) {
+  try {
+    if (!ObjectId.isValid(playerId)) {
+      return null;
+    }
+    const playersCollection = await getPlayersCollection();
+    return await playersCollection.findOne({ _id: new ObjectId(playerId) });
+  } catch (error) {
+    log.error('❌ Failed to get player by ID:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the player a character is linked to.
+ * @param {string} name - Character name
+ * @param {string} server - Server name
+ * @returns {Promise<Object|null>} The player document or null if the character is not linked
+ */
+export async function findPlayerByCharacter(name, server) {
+  try {
+    const playersCollection = await getPlayersCollection();
+    return await playersCollection.findOne({ characters: { $elemMatch: { name, server } } });
+  } catch (error) {
+    log.error('❌ Failed to find player by character:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a player.
+ * @param {Object} playerData - { name, notes, characters: [{ name, server, main }] }
+ * @returns {Promise<Object>} The created player document
+ */
+export async function createPlayer(playerData) {
+  try {
+    const playersCollection = await getPlayersCollection();
+
+    const player = {
+      ...playerData,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await playersCollection.insertOne(player);
+    return { _id: result.insertedId, ...player };
+  } catch (error) {
+    log.error('❌ Failed to create player:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a player.
+ * @param {string} playerId - Player ID
+ * @param {Object} updates - Fields to set (name, notes, characters)
+ * @returns {Promise<Object|null>} The updated player document or null if not found
+ */
+export async function updatePlayer(playerId, updates) {
+  try {
+    if (!ObjectId.isValid(playerId)) {
+      return null;
+    }
+    const playersCollection = await getPlayersCollection();
+    return await playersCollection.findOneAndUpdate(
+      { _id: new ObjectId(playerId) },
+      { $set: { ...updates, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+  } catch (error) {
+    log.error('❌ Failed to update player:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a player. Linked characters are not touched.
+ * @param {string} playerId - Player ID
+ * @returns {Promise<boolean>} True if a player was deleted
+ */
+export async function deletePlayer(playerId) {
+  try {
+    if (!ObjectId.isValid(playerId)) {
+      return false;
+    }
+    const playersCollection = await getPlayersCollection();
+    const result = await playersCollection.deleteOne({ _id: new ObjectId(playerId) });
+    return result.deletedCount > 0;
+  } catch (error) {
+    log.error('❌ Failed to delete player:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the player owned by a Battle.net account.
+ * @param {number|string} bnetId - Battle.net account ID
+ * @returns {Promise<Object|null>} The player document or null if the account has not claimed characters
+ */
+export async function findPlayerByBnetId(bnetId) {
+  try {
+    const playersCollection = await getPlayersCollection();
+    return await playersCollection.findOne({ bnetId });
+  } catch (error) {
+    log.error('❌ Failed to find player by Battle.net ID:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get members by name/server pairs.
+ * @param {Object[]} characters - Array of { name, server }
+ * @returns {Promise<Object[]>} Matching member documents
+ */
+export async function getMembersByKeys(characters) {
+  try {
+    if (!characters.length) {
+      return [];
+    }
+    const membersCollection = await getMembersCollection();
+    return await membersCollection
+      .find({ $or: characters.map(({ name, server }) => ({ name, server })) })
+      .toArray();
+  } catch (error) {
+    log.error('❌ Failed to get members by keys:', error);
+    throw error;
+  }
+}
+
+// ===== USER & SESSION COLLECTION FUNCTIONS =====
+
+let userIndexesReady = false;
+let sessionIndexesReady = false;
+
+/**
+ * Get the MongoDB collection for Battle.net-authenticated users.
+ * One user per Battle.net account, enforced by a unique index on bnetId.
+ * @returns {Promise<Collection>} The users collection
+ */
+async function getUsersCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const usersCollection = connection.db.collection(USERS_COLLECTION_NAME);
+  if (!userIndexesReady) {
+    await usersCollection.createIndex({ bnetId: 1 }, { unique: true });
+    userIndexesReady = true;
+  }
+  return usersCollection;
+}
+
+/**
+ * Get the MongoDB collection for login sessions.
+ * Expired sessions are removed by a TTL index on expiresAt.
+ * @returns {Promise<Collection>} The sessions collection
+ */
+async function getSessionsCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const sessionsCollection = connection.db.collection(SESSIONS_COLLECTION_NAME);
+  if (!sessionIndexesReady) {
+    await sessionsCollection.createIndex({ tokenHash: 1 }, { unique: true });
+    await sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    sessionIndexesReady = true;
+  }
+  return sessionsCollection;
+}
+
+/**
+ * Create or update a user from a Battle.net login.
+ * @param {Object} userData - { bnetId, battletag, characters }
+ * @returns {Promise<Object>} The stored user document
+ */
+export async function upsertBnetUser({ bnetId, battletag, characters }) {
+  try {
+    const usersCollection = await getUsersCollection();
+    return await usersCollection.findOneAndUpdate(
+      { bnetId },
+      {
+        $set: { battletag, characters, lastLogin: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+  } catch (error) {
+    log.error('❌ Failed to save Battle.net user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user by Battle.net account ID.
+ * @param {number|string} bnetId - Battle.net account ID
+ * @returns {Promise<Object|null>} The user document or null if not found
+ */
+export async function getUserByBnetId(bnetId) {
+  try {
+    const usersCollection = await getUsersCollection();
+    return await usersCollection.findOne({ bnetId });
+  } catch (error) {
+    log.error('❌ Failed to get user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a login session. Only the hash of the session token is stored.
+ * @param {Object} session - { tokenHash, bnetId, expiresAt }
+ * @returns {Promise<Object>} MongoDB insert result
+ */
+export async function createSession(session) {
+  try {
+    const sessionsCollection = await getSessionsCollection();
+    return await sessionsCollection.insertOne({ ...session, createdAt: new Date() });
+  } catch (error) {
+    log.error('❌ Failed to create session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an unexpired session by token hash.
+ * @param {string} tokenHash - SHA-256 hash of the session token
+ * @returns {Promise<Object|null>} The session document or null if missing or expired
+ */
+export async function getSessionByTokenHash(tokenHash) {
+  try {
+    const sessionsCollection = await getSessionsCollection();
+    return await sessionsCollection.findOne({ tokenHash, expiresAt: { $gt: new Date() } });
+  } catch (error) {
+    log.error('❌ Failed to get session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a session (logout).
+ * @param {string} tokenHash - SHA-256 hash of the session token
+ * @returns {Promise<boolean>} True if a session was deleted
+ */
+export async function deleteSession(tokenHash) {
+  try {
+    const sessionsCollection = await getSessionsCollection();
+    const result = await sessionsCollection.deleteOne({ tokenHash });
+    return result.deletedCount > 0;
+  } catch (error) {
+    log.error('❌ Failed to delete session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the signups submitted by a Battle.net account, newest first.
+ * @param {number|string} bnetId - Battle.net account ID
+ * @returns {Promise<Object[]>} Array of signup documents
+ */
+export async function getSignupsByBnetId(bnetId) {
+  try {
+    const { db } = await connectToDatabase();
+    const season3Collection = db.collection(SEASON_SIGN_UP);
+    return await season3Collection
+      .find({ type: 'signup', bnetId })
+      .sort({ timestamp: -1 })
+      .toArray();
+  } catch (error) {
+    log.error('❌ Failed to get signups by Battle.net ID:', error);
+    throw error;
+  }
+}
+
+// ===== AUDIT LOG & LOGIN ATTEMPT COLLECTION FUNCTIONS =====
+
+let auditIndexesReady = false;
+let loginAttemptIndexesReady = false;
+
+/**
+ * Get the MongoDB collection for the audit log.
+ * @returns {Promise<Collection>} The audit log collection
+ */
+async function getAuditLogCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const auditCollection = connection.db.collection(AUDIT_LOG_COLLECTION_NAME);
+  if (!auditIndexesReady) {
+    await auditCollection.createIndex({ timestamp: -1 });
+    await auditCollection.createIndex({ action: 1, timestamp: -1 });
+    await auditCollection.createIndex({ actor: 1, timestamp: -1 });
+    auditIndexesReady = true;
+  }
+  return auditCollection;
+}
+
+/**
+ * Get the MongoDB collection for failed login counters.
+ * Entries are removed by a TTL index on expiresAt once the attempt window and lockout have passed.
+ * @returns {Promise<Collection>} The login attempts collection
+ */
+async function getLoginAttemptsCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  const attemptsCollection = connection.db.collection(LOGIN_ATTEMPTS_COLLECTION_NAME);
+  if (!loginAttemptIndexesReady) {
+    await attemptsCollection.createIndex({ key: 1 }, { unique: true });
+    await attemptsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    loginAttemptIndexesReady = true;
+  }
+  return attemptsCollection;
+}
+
+/**
+ * Save an audit event. Best-effort: a failure is logged and never blocks the audited action.
+ * @param {Object} event - { timestamp, action, outcome, actor, ip, target, details }
+ * @returns {Promise<Object|null>} MongoDB insert result, or null when saving failed
+ */
+export async function saveAuditEvent(event) {
+  try {
+    const auditCollection = await getAuditLogCollection();
+    return await auditCollection.insertOne(event);
+  } catch (error) {
+    log.error('❌ Failed to save audit event:', error);
+    return null;
+  }
+}
+
+/**
+ * Get audit events, newest first.
+ * @param {Object} options - Filters and paging
+ * @param {Date|null} options.from - Oldest event to include
+ * @param {Date|null} options.to - Newest event to include
+ * @param {string|null} options.action - Action, or an action prefix ending in "." (e.g. "login.")
+ * @param {string|null} options.actor - Username or login name
+ * @param {string|null} options.outcome - 'success', 'failure' or 'denied'
+ * @param {string|null} options.ip - Client IP
+ * @param {number} options.limit - Maximum number of events (0 for all)
+ * @param {number} options.skip - Number of events to skip
+ * @returns {Promise<{ events: Object[], total: number }>} Matching events and the total count
+ */
+export async function getAuditEvents({ from = null, to = null, action = null, actor = null, outcome = null, ip = null, limit = 100, skip = 0 } = {}) {
+  try {
+    // Only plain values reach the query, never operators from a parsed query string
+    const textFilters = { action, actor, outcome, ip };
+    Object.entries(textFilters).forEach(([name, value]) => {
+      if (value !== null && typeof value !== 'string') {
+        throw new TypeError(`Audit filter ${name} must be a string`);
+      }
+    });
+    if ([from, to].some(date => date !== null && !(date instanceof Date))) {
+      throw new TypeError('Audit filters from and to must be dates');
+    }
+
+    const auditCollection = await getAuditLogCollection();
+
+    const filter = {};
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+    if (action) {
+      filter.action = action.endsWith('.')
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : action;
+    }
+    if (actor) filter.actor = actor;
+    if (outcome) filter.outcome = outcome;
+    if (ip) filter.ip = ip;
+
+    const [events, total] = await Promise.all([
+      auditCollection.find(filter).sort({ timestamp: -1 }).skip(skip).limit(limit).toArray(),
+      auditCollection.countDocuments(filter)
+    ]);
+
+    return { events, total };
+  } catch (error) {
+    log.error('❌ Failed to get audit events:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the failed login counters for a set of keys.
+ * @param {string[]} keys - Throttle keys, e.g. ['user:admin', 'ip:203.0.113.5']
+ * @returns {Promise<Object[]>} Array of login attempt documents
+ */
+export async function getLoginAttempts(keys) {
+  try {
+    const attemptsCollection = await getLoginAttemptsCollection();
+    return await attemptsCollection.find({ key: { $in: keys } }).toArray();
+  } catch (error) {
+    log.error('❌ Failed to get login attempts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count a failed login for a key. The counter restarts when the previous
+ * failure is older than the attempt window.
+ * @param {string} key - Throttle key
+ * @param {Date} windowStart - Failures before this time no longer count
+ * @returns {Promise<Object>} The updated login attempt document
+ */
+export async function incrementLoginFailures(key, windowStart) {
+  try {
+    const attemptsCollection = await getLoginAttemptsCollection();
+    return await attemptsCollection.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          key,
+          failures: {
+            $cond: [
+              { $gte: [{ $ifNull: ['$lastFailureAt', new Date(0)] }, windowStart] },
+              { $add: [{ $ifNull: ['$failures', 0] }, 1] },
+              1
+            ]
+          },
+          lastFailureAt: '$$NOW'
+        }
+      }],
+      { upsert: true, returnDocument: 'after' }
+    );
+  } catch (error) {
+    log.error('❌ Failed to record login failure:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the lockout and expiry of a login attempt counter.
+ * @param {string} key - Throttle key
+ * @param {Object} updates - { lockedUntil, expiresAt }
+ * @returns {Promise<Object>} MongoDB update result
+ */
+export async function updateLoginAttempt(key, { lockedUntil, expiresAt }) {
+  try {
+    const attemptsCollection = await getLoginAttemptsCollection();
+    return await attemptsCollection.updateOne({ key }, { $set: { lockedUntil, expiresAt } });
+  } catch (error) {
+    log.error('❌ Failed to update login attempt:', error);
+    throw error;
+  }
+}
+
+/**
+ * Clear the failed login counters for a set of keys.
+ * @param {string[]} keys - Throttle keys
+ * @returns {Promise<number>} Number of counters removed
+ */
+export async function clearLoginAttempts(keys) {
+  try {
+    const attemptsCollection = await getLoginAttemptsCollection();
+    const result = await attemptsCollection.deleteMany({ key: { $in: keys } });
+    return result.deletedCount;
+  } catch (error) {
+    log.error('❌ Failed to clear login attempts:', error);
+    throw error;
+  }
+}
+
+// ===== APP SETTINGS COLLECTION FUNCTIONS =====
+
+/**
+ * Get the MongoDB collection for app settings.
+ * @returns {Promise<Collection>} The app settings collection
+ */
+async function getAppSettingsCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  return connection.db.collection('AppSettings');
+}
+
+/**
+ * Get the current app settings from MongoDB.
+ * @returns {Promise<Object|null>} App settings document or null if not found
+ */
+export async function getAppSettings() {
+  try {
+    const appSettingsCollection = await getAppSettingsCollection();
+    const settings = await appSettingsCollection.findOne({});
+    return settings;
+  } catch (error) {
+    log.error('❌ Failed to get app settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check if app settings have been initialized.
+ * @returns {Promise<boolean>} True if app settings exist
+ */
+export async function hasAppSettings() {
+  try {
+    const appSettingsCollection = await getAppSettingsCollection();
+    const count = await appSettingsCollection.countDocuments({});
+    return count > 0;
+  } catch (error) {
+    log.error('❌ Failed to check app settings existence:', error);
+    return false;
+  }
+}
+
+/**
+ * Save or update app settings in MongoDB.
+ * @param {Object} settings - App settings data
+ * @returns {Promise<Object>} MongoDB upsert result
+ */
+export async function saveAppSettings(settings) {
+  try {
+    const appSettingsCollection = await getAppSettingsCollection();
+    
+    const document = {
+      ...settings,
+      lastUpdated: new Date(),
+      createdAt: settings.createdAt || new Date()
+    };
+    
+    const result = await appSettingsCollection.updateOne(
+      {},
+      { $set: document },
+      { upsert: true }
+    );
+    
+    log.info('✅ App settings saved to MongoDB');
+    return result;
+  } catch (error) {
+    log.error('❌ Failed to save app settings:', error);
+    throw error;
+  }
+}
+
+// ===== ADMIN COLLECTION FUNCTIONS =====
+
+/**
+ * Get the MongoDB collection for admin users.
+ * @returns {Promise<Collection>} The admin collection
+ */
+async function getAdminCollection() {
+  const connection = await connectToDatabase();
+  if (!connection || !connection.db) {
+    throw new Error('Database connection failed');
+  }
+  return connection.db.collection('Admin');
+}
+
+/**
+ * Get admin user by username.
+ * @param {string} username - Admin username
+ * @returns {Promise<Object|null>} Admin document or null if not found
+ */
+export async function getAdminByUsername(username) {
+  try {
+    const adminCollection = await getAdminCollection();
+    const admin = await adminCollection.findOne({ username });
+    return admin;
+  } catch (error) {
+    log.error('❌ Failed to get admin by username:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new admin user.
+ * @param {string} username - Admin username
+ * @param {string} hashedPassword - Hashed password
+ * @param {string} role - Admin role (owner, officer, raid-leader, viewer)
+ * @returns {Promise<Object>} MongoDB insert result
+ */
+export async function createAdmin(username, hashedPassword, role = 'owner') {
+  try {
+    const adminCollection = await getAdminCollection();
+    
+    const admin = {
+      username,
+      password: hashedPassword,
+      role,
+      tokenVersion: 0,
+      createdAt: new Date(),
+      lastLogin: null
+    };
+    
+    const result = await adminCollection.insertOne(admin);
+    log.info('✅ Admin user created');
+    return result;
+  } catch (error) {
+    log.error('❌ Failed to create admin:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check if any admin users exist.
+ * @returns {Promise<boolean>} True if at least one admin exists
+ */
+export async function hasAdmin() {
+  try {
+    const adminCollection = await getAdminCollection();
+    const count = await adminCollection.countDocuments({});
+    return count > 0;
+  } catch (error) {
+    log.error('❌ Failed to check admin existence:', error);
+    return false;
+  }
+}
+
+/**
+ * Get all admin users without their password hashes.
+ * @returns {Promise<Object[]>} Array of admin documents
+ */
+export async function getAllAdmins() {
+  try {
+    const adminCollection = await getAdminCollection();
+    return await adminCollection
+      .find({}, { projection: { password: 0 } })
+      .sort({ createdAt: 1 })
+      .toArray();
+  } catch (error) {
+    log.error('❌ Failed to get admins:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update an admin user. Password and role changes bump tokenVersion, which revokes issued tokens.
+ * @param {string} username - Admin username
+ * @param {Object} updates - { role, password (hashed), lastLogin }
+ * @returns {Promise<Object|null>} The updated admin document (without password) or null if not found
+ */
+export async function updateAdmin(username, updates) {
+  try {
+    const adminCollection = await getAdminCollection();
+    const revokesTokens = updates.password !== undefined || updates.role !== undefined;
+
+    return await adminCollection.findOneAndUpdate(
+      { username },
+      {
+        $set: updates,
+        ...(revokesTokens ? { $inc: { tokenVersion: 1 } } : {})
+      },
+      { returnDocument: 'after', projection: { password: 0 } }
+    );
+  } catch (error) {
+    log.error('❌ Failed to update admin:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an admin user.
+ * @param {string} username - Admin username
+ * @returns {Promise<boolean>} True if an admin was deleted
+ */
+export async function deleteAdmin(username) {
+  try {
+    const adminCollection = await getAdminCollection();
+    const result = await adminCollection.deleteOne({ username });
+    return result.deletedCount > 0;
+  } catch (error) {
+    log.error('❌ Failed to delete admin:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count owners. Admins without a role predate roles and count as owners.
+ * @returns {Promise<number>} Number of owner accounts
+ */
+export async function countOwnerAdmins() {
+  try {
+    const adminCollection = await getAdminCollection();
+    return await adminCollection.countDocuments({
+      $or: [{ role: 'owner' }, { role: { $exists: false } }]
+    });
+  } catch (error) {
+    log.error('❌ Failed to count owner admins:', error);
+    throw error;
   }
 }
 
@@ -978,7 +2852,7 @@ export async function getJoinText() {
     const joinText = await joinTextCollection.findOne({});
     return joinText;
   } catch (error) {
-    console.error('❌ Failed to get join text:', error);
+    log.error('❌ Failed to get join text:', error);
     throw error;
   }
 }
@@ -993,7 +2867,7 @@ export async function hasJoinText() {
     const count = await joinTextCollection.countDocuments({});
     return count > 0;
   } catch (error) {
-    console.error('❌ Failed to check join text existence:', error);
+    log.error('❌ Failed to check join text existence:', error);
     return false;
   }
 }
@@ -1021,17 +2895,17 @@ export async function saveJoinText(joinText) {
       { upsert: true }
     );
     
-    console.log('✅ Join text saved to MongoDB');
+    log.info('✅ Join text saved to MongoDB');
     return result;
   } catch (error) {
-    console.error('❌ Failed to save join text:', error);
+    log.error('❌ Failed to save join text:', error);
     throw error;
   }
 }
 
 // Graceful shutdown handler for SIGTERM (kill signal)
 process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, closing database connection...');
+  log.info('SIGTERM received, closing database connection...');
   await closeDatabase();
   process.exit(0);
 }); 
\ No newline at end of file
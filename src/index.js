@@ -2,36 +2,23 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
+import passport from 'passport';
 
 // Import routers
-import dataFilteredRouter from './routes/data.js';
-import statsMissingEnchantsRouter from './routes/statsMissingEnchants.js';
-import statsTopPvpRouter from './routes/statsTopPvp.js';
-import statsTopPveRouter from './routes/statsTopPve.js';
-import statsRoleCountsRouter from './routes/statsRoleCounts.js';
-import updateRouter from './routes/update.js';
-import statusRouter from './routes/status.js';
-import healthRouter from './routes/health.js';
-import apiSeasonsDataRouter from './routes/apiSeasonsData.js';
-import apiSeasonsSignupRouter from './routes/apiSeasonsSignup.js';
-import apiSeasonSignupsRouter from './routes/apiSeasonSignups.js';
-import apiCharacterFetchRouter from './routes/apiCharacterFetch.js';
-import apiSeasonalStatsRouter from './routes/apiSeasonalStats.js';
-import errorsRouter from './routes/errors.js';
-import installRouter from './routes/install.js';
-import configRouter from './routes/config.js';
-import resetRouter from './routes/reset.js';
-import settingsRouter from './routes/settings.js';
-import upgradeRouter from './routes/upgrade.js';
-import jointextRouter from './routes/jointext.js';
-import apiRosterRouter from './routes/apiRoster.js';
-import apiRankingsRouter from './routes/apiRankings.js';
+import { registerRoutes } from './routes/index.js';
+import { assertAccessPolicies } from './services/accessPolicy.js';
+import { requestMetrics } from './services/metrics.js';
+import { createLogger, requestContext, REQUEST_ID_HEADER } from './services/logger.js';
 import { logError } from './database.js';
 import { startCron } from './cron.js';
+import { startJobWorker } from './services/jobQueue.js';
+import { getConfig } from './config.js';
 
 import dotenv from 'dotenv';
 dotenv.config();
 
+const log = createLogger('server');
+
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
@@ -45,53 +32,52 @@ const port = process.env.PORT || 8000;
 // Bind to all interfaces in production so Coolify/Docker proxies can reach the app
 const host = process.env.HOST || (process.env.NODE_ENV === 'production' ? '0.0.0.0' : 'localhost');
 
+/**
+ * Read TRUST_PROXY for Express: 'true'/'false', a number of proxy hops, or a list of
+ * trusted proxy addresses/subnets (e.g. "loopback, 10.0.0.0/8").
+ * @param {string|undefined} value - TRUST_PROXY
+ * @returns {boolean|number|string} Express 'trust proxy' setting
+ */
+function parseTrustProxy(value) {
+  const trimmed = (value || '').trim();
+  if (!trimmed || trimmed === 'false') return false;
+  if (trimmed === 'true') return true;
+  return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+}
+
+// Behind a reverse proxy, req.ip (used by the per-IP login lockout and the audit log)
+// is the client's address from X-Forwarded-For only when the proxy is trusted
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware
-app.use(cors());
+// Correlation id for every request, reused by logs, logError and guild update events
+app.use(requestContext);
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
 app.use(express.json());
 app.use(express.static('public'));
+app.use(passport.initialize());
+// Request latency per router for /metrics (static files are not counted)
+app.use(requestMetrics);
 
 // Make io available to routes
 app.set('io', io);
 
 // Register routers
-app.use('/api/data', dataFilteredRouter);
-app.use('/api/data/filtered', dataFilteredRouter);
-app.use('/api/stats/missing-enchants', statsMissingEnchantsRouter);
-app.use('/api/stats/top-pvp', statsTopPvpRouter);
-app.use('/api/stats/top-pve', statsTopPveRouter);
-app.use('/api/stats/role-counts', statsRoleCountsRouter);
-app.use('/api/update', updateRouter);
-app.use('/api/status', statusRouter);
-app.use('/api/health', healthRouter);
-app.use('/api/seasons/data', apiSeasonsDataRouter);
-app.use('/api/seasons/signup', apiSeasonsSignupRouter);
-// Legacy support - keep old routes for backward compatibility
-app.use('/api/season3/data', apiSeasonsDataRouter);
-app.use('/api/season3/signup', apiSeasonsSignupRouter);
-app.use('/api/season-signups', apiSeasonSignupsRouter);
-app.use('/api/fetch', apiCharacterFetchRouter);
-app.use('/api/seasonal-stats', apiSeasonalStatsRouter);
-app.use('/api/errors', errorsRouter);
-app.use('/api/install', installRouter);
-app.use('/api/config', configRouter);
-app.use('/api/reset', resetRouter);
-app.use('/api/settings', settingsRouter);
-app.use('/api/upgrade', upgradeRouter);
-app.use('/api/jointext', jointextRouter);
-app.use('/api/roster', apiRosterRouter);
-app.use('/api/rankings', apiRankingsRouter);
+registerRoutes(app);
+
+// Refuse to start when a route has no declared access policy
+assertAccessPolicies(app);
 
 // WebSocket connection handling
 io.on('connection', (socket) => {
-  console.log('🔌 Socket.IO: Client connected -', socket.id);
-  console.log('   Transport:', socket.conn.transport.name);
+  log.debug('🔌 Socket.IO: Client connected', { socketId: socket.id, transport: socket.conn.transport.name });
   
   socket.on('disconnect', (reason) => {
-    console.log('❌ Socket.IO: Client disconnected -', socket.id, 'Reason:', reason);
+    log.debug('❌ Socket.IO: Client disconnected', { socketId: socket.id, reason });
   });
   
   socket.on('error', (error) => {
-    console.error('⚠️  Socket.IO: Socket error -', socket.id, error);
+    log.error(`⚠️  Socket.IO: Socket error (${socket.id})`, error);
   });
 });
 
@@ -113,7 +99,7 @@ app.use(async (error, req, res, next) => {
     }
   });
   
-  console.error('Unhandled error:', error);
+  log.error('Unhandled error:', error);
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -131,24 +117,27 @@ app.use((req, res) => {
 
 // Start the server and log the port
 server.listen(port, host, async () => {
-    console.log(`Server is running on http://${host}:${port}`);
-    // Start the cron job for scheduled guild updates (only if AppSettings exists)
-    await startCron(io);
+    log.info(`Server is running on http://${host}:${port}`);
+    // Load settings once so their LOGGING levels apply from the start
+    await getConfig();
+    // Resume queued jobs, then start the cron job for scheduled guild updates (only if AppSettings exists)
+    await startJobWorker(io);
+    await startCron();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  log.info('SIGTERM received, shutting down gracefully');
   server.close(() => {
-    console.log('Server closed');
+    log.info('Server closed');
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  log.info('SIGINT received, shutting down gracefully');
   server.close(() => {
-    console.log('Server closed');
+    log.info('Server closed');
     process.exit(0);
   });
 });
@@ -0,0 +1,296 @@
+/**
+ * @file Route handler for /api/admins endpoint - Admin accounts and roles
+ * @module routes/admins
+ */
+
+import express from 'express';
+import bcrypt from 'bcrypt';
+import {
+  getAllAdmins,
+  getAdminByUsername,
+  createAdmin,
+  updateAdmin,
+  deleteAdmin,
+  countOwnerAdmins,
+  logError
+} from '../database.js';
+import {
+  ROLES,
+  PERMISSIONS,
+  getAdminRole,
+  hasPermission,
+  requireAdmin,
+  requirePermission
+} from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { validatePassword } from './install.js';
+
+const router = express.Router();
+
+/**
+ * Check that an admin change would not leave the site without an owner.
+ * @param {Object} admin - Admin being changed
+ * @param {string|null} newRole - Role after the change, or null when the admin is deleted
+ * @returns {Promise<boolean>} True if the change removes the last owner
+ */
+async function removesLastOwner(admin, newRole) {
+  if (getAdminRole(admin) !== 'owner' || newRole === 'owner') {
+    return false;
+  }
+  return (await countOwnerAdmins()) <= 1;
+}
+
+/**
+ * GET /api/admins/me - The logged-in admin, their role and permissions
+ */
+router.get('/me', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    admin: req.admin,
+    permissions: Object.keys(PERMISSIONS).filter(permission => hasPermission(req.admin.role, permission))
+  });
+});
+
+/**
+ * GET /api/admins - List admin accounts (owner only)
+ */
+router.get('/', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const admins = await getAllAdmins();
+
+    res.json({
+      success: true,
+      admins: admins.map(admin => ({
+        username: admin.username,
+        role: getAdminRole(admin),
+        createdAt: admin.createdAt,
+        lastLogin: admin.lastLogin
+      })),
+      roles: ROLES
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/admins',
+      error: error,
+      context: { method: 'GET' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load admins',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admins - Create an admin account with a role (owner only)
+ */
+router.post('/', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+
+    if (!username || !password || !role) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Username, password and role are required'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        message: `role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const passwordValidation = validatePassword(password);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password does not meet requirements',
+        message: 'Password validation failed',
+        errors: passwordValidation.errors
+      });
+    }
+
+    if (await getAdminByUsername(username)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Admin already exists',
+        message: `An admin named ${username} already exists`
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await createAdmin(username, hashedPassword, role);
+
+    await recordAuditEvent({
+      action: 'admin.create',
+      req,
+      target: username,
+      details: { role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Admin ${username} created with role ${role}`
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/admins',
+      error: error,
+      context: { method: 'POST', username: req.body?.username }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create admin',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admins/:username - Change an admin's role or password (owner only)
+ * Either change signs the admin out everywhere.
+ */
+router.put('/:username', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { role, password } = req.body;
+    const admin = await getAdminByUsername(req.params.username);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found',
+        message: `No admin named ${req.params.username}`
+      });
+    }
+
+    const updates = {};
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid role',
+          message: `role must be one of: ${ROLES.join(', ')}`
+        });
+      }
+      if (await removesLastOwner(admin, role)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Last owner',
+          message: 'The last owner cannot be demoted, promote another admin first'
+        });
+      }
+      updates.role = role;
+    }
+
+    if (password !== undefined) {
+      const passwordValidation = validatePassword(password);
+      if (!passwordValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password does not meet requirements',
+          message: 'Password validation failed',
+          errors: passwordValidation.errors
+        });
+      }
+      updates.password = await bcrypt.hash(password, 10);
+    }
+
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update',
+        message: 'Provide a role and/or a password'
+      });
+    }
+
+    const updated = await updateAdmin(admin.username, updates);
+
+    await recordAuditEvent({
+      action: 'admin.update',
+      req,
+      target: admin.username,
+      details: { role: updates.role, passwordChanged: Boolean(updates.password) }
+    });
+
+    res.json({
+      success: true,
+      message: `Admin ${admin.username} updated`,
+      admin: { username: updated.username, role: getAdminRole(updated) }
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/admins/:username',
+      error: error,
+      context: { method: 'PUT', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update admin',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admins/:username - Delete an admin account (owner only)
+ */
+router.delete('/:username', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const admin = await getAdminByUsername(req.params.username);
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found',
+        message: `No admin named ${req.params.username}`
+      });
+    }
+
+    if (await removesLastOwner(admin, null)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Last owner',
+        message: 'The last owner cannot be deleted'
+      });
+    }
+
+    await deleteAdmin(admin.username);
+
+    await recordAuditEvent({
+      action: 'admin.delete',
+      req,
+      target: admin.username
+    });
+
+    res.json({
+      success: true,
+      message: `Admin ${admin.username} deleted`
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/admins/:username',
+      error: error,
+      context: { method: 'DELETE', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete admin',
+      message: error.message
+    });
+  }
+});
+
+export default router;
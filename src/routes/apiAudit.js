@@ -0,0 +1,171 @@
+/**
+ * @file Route handler for /api/audit endpoint - Security audit log (logins, lockouts, admin actions)
+ * @module routes/apiAudit
+ */
+
+import express from 'express';
+import { getAuditEvents, logError } from '../database.js';
+import { requirePermission } from '../services/adminAuth.js';
+import {
+  AUDIT_OUTCOMES,
+  AUDIT_EXPORT_FORMATS,
+  auditEventsToCsv,
+  recordAuditEvent
+} from '../services/auditLog.js';
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 1000;
+const MAX_EXPORT_EVENTS = 50000;
+
+/**
+ * Parse the audit filters shared by the list and export endpoints.
+ * @param {Object} query - Express query
+ * @returns {{ filters: Object|null, error: string|null }} Filters, or a validation message
+ */
+function parseAuditFilters(query) {
+  const { action, actor, outcome, ip, from, to } = query;
+
+  // Repeated parameters (?actor=a&actor=b) and brackets (?actor[$ne]=x) parse to arrays and objects
+  const notText = Object.entries({ action, actor, outcome, ip, from, to })
+    .filter(([, value]) => value !== undefined && typeof value !== 'string')
+    .map(([name]) => name);
+  if (notText.length) {
+    return { filters: null, error: `${notText.join(', ')} must be given once, as plain text` };
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return { filters: null, error: 'from and to must be valid dates (e.g. 2025-08-01 or an ISO timestamp)' };
+  }
+
+  if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+    return { filters: null, error: `outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}` };
+  }
+
+  return {
+    filters: {
+      action: action || null,
+      actor: actor || null,
+      outcome: outcome || null,
+      ip: ip || null,
+      from: fromDate,
+      to: toDate
+    },
+    error: null
+  };
+}
+
+/**
+ * GET /api/audit - Audit events, newest first.
+ * @route GET /api/audit
+ * @query {string} action - Action (e.g. 'login.failure'), or a prefix ending in '.' (e.g. 'login.')
+ * @query {string} actor - Admin username or attempted login name
+ * @query {string} outcome - 'success', 'failure' or 'denied'
+ * @query {string} ip - Client IP
+ * @query {string} from - Oldest event (date)
+ * @query {string} to - Newest event (date)
+ * @query {number} limit - Page size (default: 100, max: 1000)
+ * @query {number} skip - Events to skip (default: 0)
+ * @returns {Object} JSON response with the events and the total matching count.
+ */
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { filters, error: filterError } = parseAuditFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: filterError
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const { events, total } = await getAuditEvents({ ...filters, limit, skip });
+
+    res.json({
+      success: true,
+      events,
+      total,
+      limit,
+      skip,
+      filters
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/audit',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get audit log',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/audit/export - Download the audit events matching the filters.
+ * @route GET /api/audit/export
+ * @query {string} format - 'csv' (default) or 'json'
+ * @query {string} action, actor, outcome, ip, from, to - Same filters as GET /api/audit
+ * @returns {string} CSV or JSON attachment (at most 50000 events).
+ */
+router.get('/export', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { format = 'csv' } = req.query;
+    if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `format must be one of: ${AUDIT_EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { filters, error: filterError } = parseAuditFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: filterError
+      });
+    }
+
+    const { events, total } = await getAuditEvents({ ...filters, limit: MAX_EXPORT_EVENTS });
+
+    // Exports are themselves audited: the log leaves the system
+    await recordAuditEvent({
+      action: 'audit.export',
+      req,
+      details: { format, filters, exported: events.length, total }
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.attachment(filename);
+
+    if (format === 'json') {
+      return res.type('application/json; charset=utf-8').send(JSON.stringify(events, null, 2));
+    }
+    res.type('text/csv; charset=utf-8').send(auditEventsToCsv(events));
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/audit/export',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export audit log',
+      message: error.message
+    });
+  }
+});
+
+export default router;
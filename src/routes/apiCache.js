@@ -0,0 +1,235 @@
+/**
+ * @file Route handler for /api/cache endpoint - Cached Warcraft Logs and Raider.io responses
+ * @module routes/apiCache
+ */
+
+import express from 'express';
+import { logError } from '../database.js';
+import { getConfig } from '../config.js';
+import { requirePermission } from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import {
+  API_CACHE_TYPES,
+  API_CACHE_SOURCES,
+  getApiCacheTtlMinutes,
+  listApiCacheEntries,
+  invalidateApiCache
+} from '../services/apiCache.js';
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Read the source and type filters, answering 400 when one is unknown.
+ * @param {Object} query - Request query
+ * @param {Object} res - Express response
+ * @returns {Object|null} { source, type }, or null when the response was sent
+ */
+function requireCacheFilters({ source, type, realm, name }, res) {
+  // Repeated parameters (?realm=a&realm=b) and brackets (?realm[$ne]=x) parse to arrays and objects
+  const notText = Object.entries({ source, type, realm, name })
+    .filter(([, value]) => value !== undefined && typeof value !== 'string')
+    .map(([field]) => field);
+  if (notText.length) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid filters',
+      message: `${notText.join(', ')} must be given once, as plain text`
+    });
+    return null;
+  }
+
+  if ((source && !API_CACHE_SOURCES.includes(source)) || (type && !Object.hasOwn(API_CACHE_TYPES, type))) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid filters',
+      message: `source must be one of: ${API_CACHE_SOURCES.join(', ')}; type must be one of: ${Object.keys(API_CACHE_TYPES).join(', ')}`
+    });
+    return null;
+  }
+  return { source: source || null, type: type || null };
+}
+
+/**
+ * GET /api/cache - Cached responses, newest first, without the response data.
+ * @route GET /api/cache
+ * @query {string} source - 'warcraftlogs' or 'raiderio'
+ * @query {string} type - Query type (e.g. 'wcl_member')
+ * @query {string} realm - Realm slug
+ * @query {string} name - Character name
+ * @query {number} limit - Page size (default: 50, max: 200)
+ * @query {number} skip - Entries to skip (default: 0)
+ * @returns {Object} JSON response with the entries, the total matching count and the TTL of each query type.
+ */
+router.get('/', requirePermission('settings:read'), async (req, res) => {
+  try {
+    const filters = requireCacheFilters(req.query, res);
+    if (!filters) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const config = await getConfig();
+    const { entries, total } = await listApiCacheEntries({
+      ...filters,
+      realm: req.query.realm?.toLowerCase() || null,
+      name: req.query.name?.toLowerCase() || null,
+      limit,
+      skip
+    });
+
+    res.json({
+      success: true,
+      types: Object.fromEntries(Object.entries(API_CACHE_TYPES).map(([type, { source, description }]) => [
+        type,
+        { source, description, ttlMinutes: getApiCacheTtlMinutes(config, type) }
+      ])),
+      entries,
+      total,
+      limit,
+      skip
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/cache',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get cache entries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/cache/:realm/:name - A character's cached responses, with the response data.
+ * @route GET /api/cache/:realm/:name
+ * @query {string} type - Query type
+ * @returns {Object} JSON response with the entries.
+ */
+router.get('/:realm/:name', requirePermission('settings:read'), async (req, res) => {
+  try {
+    const filters = requireCacheFilters(req.query, res);
+    if (!filters) return;
+
+    const { entries, total } = await listApiCacheEntries({
+      ...filters,
+      realm: req.params.realm.toLowerCase(),
+      name: req.params.name.toLowerCase(),
+      withData: true,
+      limit: 0
+    });
+
+    res.json({
+      success: true,
+      entries,
+      total
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/cache/:realm/:name',
+      error,
+      context: { method: 'GET', params: req.params, query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get cache entries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/cache/:realm/:name - Invalidate a character's cached responses,
+ * so the next update refetches them.
+ * @route DELETE /api/cache/:realm/:name
+ * @query {string} source - Only this source
+ * @query {string} type - Only this query type
+ * @returns {Object} JSON response with the number of entries removed.
+ */
+router.delete('/:realm/:name', requirePermission('guild:update'), async (req, res) => {
+  try {
+    const filters = requireCacheFilters(req.query, res);
+    if (!filters) return;
+
+    const realm = req.params.realm.toLowerCase();
+    const name = req.params.name.toLowerCase();
+    const deletedCount = await invalidateApiCache({ ...filters, realm, name });
+
+    await recordAuditEvent({
+      action: 'cache.invalidate',
+      req,
+      target: `${name}-${realm}`,
+      details: { ...filters, deletedCount }
+    });
+
+    res.json({
+      success: true,
+      message: `Invalidated ${deletedCount} cached responses for ${name}-${realm}`,
+      deletedCount
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/cache/:realm/:name',
+      error,
+      context: { method: 'DELETE', params: req.params, query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invalidate cache entries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/cache - Invalidate every cached response, or those of a source or query type.
+ * @route DELETE /api/cache
+ * @query {string} source - Only this source
+ * @query {string} type - Only this query type
+ * @returns {Object} JSON response with the number of entries removed.
+ */
+router.delete('/', requirePermission('guild:update'), async (req, res) => {
+  try {
+    const filters = requireCacheFilters(req.query, res);
+    if (!filters) return;
+
+    const deletedCount = await invalidateApiCache(filters);
+
+    await recordAuditEvent({
+      action: 'cache.invalidate-all',
+      req,
+      target: 'apiCache',
+      details: { ...filters, deletedCount }
+    });
+
+    res.json({
+      success: true,
+      message: `Invalidated ${deletedCount} cached responses`,
+      deletedCount
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/cache',
+      error,
+      context: { method: 'DELETE', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invalidate cache entries',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,112 @@
+/**
+ * @file Route handler for /api/churn endpoint - Roster joins, departures and alumni
+ * @module routes/apiChurn
+ */
+
+import express from 'express';
+import { getRosterChurnSeries, getRosterEvents, getAlumni, logError } from '../database.js';
+
+const router = express.Router();
+
+const GRANULARITY_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+};
+
+/**
+ * GET /api/churn - Joins and departures over time.
+ * @route GET /api/churn
+ * @query {string} from - Start date (optional)
+ * @query {string} to - End date (optional)
+ * @query {string} granularity - 'daily', 'weekly' (default) or 'monthly'
+ * @query {number} limit - Number of recent events to include (default: 50)
+ * @returns {Object} JSON response with totals, a bucketed series and the most recent events.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { from, to, granularity = 'weekly', limit = 50 } = req.query;
+
+    const unit = GRANULARITY_UNITS[granularity];
+    if (!unit) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: `granularity must be one of: ${Object.keys(GRANULARITY_UNITS).join(', ')}`
+      });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: 'from and to must be valid dates (e.g. 2025-08-01 or an ISO timestamp)'
+      });
+    }
+
+    const [series, events] = await Promise.all([
+      getRosterChurnSeries({ from: fromDate, to: toDate, unit }),
+      getRosterEvents({ from: fromDate, to: toDate, limit: Math.min(parseInt(limit) || 50, 500) })
+    ]);
+
+    const joined = series.reduce((sum, point) => sum + point.joined, 0);
+    const left = series.reduce((sum, point) => sum + point.left, 0);
+
+    res.json({
+      success: true,
+      granularity,
+      totals: { joined, left, net: joined - left },
+      series,
+      events
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/churn',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load roster churn',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/churn/alumni - Members who have left the guild, most recent first.
+ * @route GET /api/churn/alumni
+ * @query {number} limit - Maximum number of alumni (default: 100)
+ * @returns {Object} JSON response with archived member documents.
+ */
+router.get('/alumni', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const alumni = await getAlumni({ limit });
+
+    res.json({
+      success: true,
+      alumni,
+      count: alumni.length
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/churn/alumni',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load alumni',
+      message: error.message
+    });
+  }
+});
+
+export default router;
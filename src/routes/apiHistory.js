@@ -0,0 +1,141 @@
+/**
+ * @file Route handler for /api/history endpoint - Historical member metrics
+ * @module routes/apiHistory
+ */
+
+import express from 'express';
+import { getMemberSnapshots, getGuildSnapshotSeries, logError } from '../database.js';
+import { getConfig } from '../config.js';
+import { HISTORY_METRICS } from '../services/memberHistory.js';
+import { getResetSchedule, getWeekBucketOptions } from '../services/weeklyReset.js';
+
+const router = express.Router();
+
+/**
+ * Parse the shared metric/from/to query parameters.
+ * @param {Object} query - Express query object
+ * @returns {{ metric: string, from: Date|null, to: Date|null, error: string|null }} Parsed parameters
+ */
+function parseHistoryQuery(query) {
+  const { metric = 'itemLevel', from, to } = query;
+
+  if (!HISTORY_METRICS.includes(metric)) {
+    return { error: `Unknown metric "${metric}". Valid metrics: ${HISTORY_METRICS.join(', ')}` };
+  }
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+    return { error: 'from and to must be valid dates (e.g. 2025-08-01 or an ISO timestamp)' };
+  }
+
+  return { metric, from: fromDate, to: toDate, error: null };
+}
+
+/**
+ * GET /api/history/guild - Guild-wide aggregate series for one metric.
+ * @route GET /api/history/guild
+ * @query {string} metric - Metric to aggregate (default: itemLevel)
+ * @query {string} from - Start date (optional)
+ * @query {string} to - End date (optional)
+ * @query {string} granularity - 'daily' or 'weekly' (raid weeks, default: daily)
+ * @returns {Object} JSON response with one point per bucket.
+ */
+router.get('/guild', async (req, res) => {
+  try {
+    const { metric, from, to, error } = parseHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid query', message: error });
+    }
+
+    const { granularity = 'daily' } = req.query;
+    if (!['daily', 'weekly'].includes(granularity)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: 'granularity must be "daily" or "weekly"'
+      });
+    }
+
+    const series = await getGuildSnapshotSeries(metric, {
+      from,
+      to,
+      unit: granularity === 'weekly' ? 'week' : 'day',
+      week: getWeekBucketOptions(getResetSchedule(await getConfig()))
+    });
+
+    res.json({
+      success: true,
+      metric,
+      granularity,
+      series,
+      count: series.length
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/history/guild',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load guild history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/history/:realm/:name - Time series of one metric for a single member.
+ * @route GET /api/history/:realm/:name
+ * @param {string} realm - The realm slug
+ * @param {string} name - The character name
+ * @query {string} metric - Metric to return (default: itemLevel)
+ * @query {string} from - Start date (optional)
+ * @query {string} to - End date (optional)
+ * @returns {Object} JSON response with the member's data points.
+ */
+router.get('/:realm/:name', async (req, res) => {
+  try {
+    const { metric, from, to, error } = parseHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid query', message: error });
+    }
+
+    const name = req.params.name.toLowerCase();
+    const server = req.params.realm.toLowerCase();
+    const snapshots = await getMemberSnapshots(name, server, { from, to });
+
+    const points = snapshots.map(snapshot => ({
+      timestamp: snapshot.timestamp,
+      value: snapshot.metrics?.[metric] ?? null,
+      granularity: snapshot.granularity
+    }));
+
+    res.json({
+      success: true,
+      name,
+      server,
+      metric,
+      points,
+      count: points.length
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/history/member',
+      error,
+      context: { method: 'GET', params: req.params, query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load member history',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,234 @@
+/**
+ * @file Route handler for /api/jobs endpoint - Guild and character update jobs
+ * @module routes/apiJobs
+ */
+
+import express from 'express';
+import { getJobs, getJobById, logError } from '../database.js';
+import { requirePermission } from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import {
+  JOB_TYPES,
+  JOB_STATUSES,
+  cancelJob,
+  retryJob,
+  serialiseJob
+} from '../services/jobQueue.js';
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * GET /api/jobs - Jobs, newest first, without per-member results.
+ * @route GET /api/jobs
+ * @query {string} type - 'guild-update' or 'character-update'
+ * @query {string} status - 'queued', 'running', 'succeeded', 'failed' or 'cancelled'
+ * @query {number} limit - Page size (default: 50, max: 200)
+ * @query {number} skip - Jobs to skip (default: 0)
+ * @returns {Object} JSON response with the jobs and the total matching count.
+ */
+router.get('/', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const { type, status } = req.query;
+    if ((type && !JOB_TYPES.includes(type)) || (status && !JOB_STATUSES.includes(status))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid filters',
+        message: `type must be one of: ${JOB_TYPES.join(', ')}; status must be one of: ${JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+    const { jobs, total } = await getJobs({ type: type || null, status: status || null, limit, skip });
+
+    res.json({
+      success: true,
+      jobs: jobs.map(serialiseJob),
+      total,
+      limit,
+      skip
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/jobs',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id - One job with its per-member results.
+ * @route GET /api/jobs/:id
+ * @returns {Object} JSON response with the job.
+ */
+router.get('/:id', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const job = await getJobById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No job with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      job: serialiseJob(job)
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/jobs/:id',
+      error,
+      context: { method: 'GET', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel - Cancel a queued or running job.
+ * A running guild update stops after the members already being fetched.
+ * @route POST /api/jobs/:id/cancel
+ * @returns {Object} JSON response with the job (202 while a running job is stopping).
+ */
+router.post('/:id/cancel', requirePermission('guild:update'), async (req, res) => {
+  try {
+    const { job, outcome } = await cancelJob(req.params.id, req.admin.username);
+
+    if (outcome === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No job with ID ${req.params.id}`
+      });
+    }
+
+    if (outcome === 'not_active') {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is not active',
+        message: `Job ${req.params.id} is ${job.status} and cannot be cancelled`
+      });
+    }
+
+    await recordAuditEvent({
+      action: 'job.cancel',
+      req,
+      target: req.params.id,
+      details: { type: job.type, status: job.status }
+    });
+
+    res.status(outcome === 'cancelling' ? 202 : 200).json({
+      success: true,
+      message: outcome === 'cancelling'
+        ? `Job ${req.params.id} is stopping`
+        : `Job ${req.params.id} cancelled`,
+      job: serialiseJob(job)
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/jobs/:id/cancel',
+      error,
+      context: { method: 'POST', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/retry - Queue a new job retrying a finished one.
+ * A guild update that went through its roster only refetches the members that failed.
+ * @route POST /api/jobs/:id/retry
+ * @returns {Object} JSON response with the new job.
+ */
+router.post('/:id/retry', requirePermission('guild:update'), async (req, res) => {
+  try {
+    const { job, activeJob, outcome } = await retryJob(req.params.id, req.admin.username);
+
+    if (outcome === 'not_found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `No job with ID ${req.params.id}`
+      });
+    }
+
+    if (outcome === 'not_finished') {
+      return res.status(409).json({
+        success: false,
+        error: 'Job has not finished',
+        message: `Job ${req.params.id} is ${job.status}, cancel it or wait for it to finish`
+      });
+    }
+
+    if (outcome === 'nothing_to_retry') {
+      return res.status(409).json({
+        success: false,
+        error: 'Nothing to retry',
+        message: `Job ${req.params.id} has no failed members`
+      });
+    }
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'Guild update already in progress',
+        jobId: activeJob._id.toString(),
+        message: 'Another guild update is queued or running. Please wait for it to complete.'
+      });
+    }
+
+    await recordAuditEvent({
+      action: 'job.retry',
+      req,
+      target: req.params.id,
+      details: { retryJobId: job._id.toString(), members: job.params.members?.length || null }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: job.params.members
+        ? `Retrying ${job.params.members.length} failed members`
+        : `Job ${req.params.id} queued again`,
+      job: serialiseJob(job)
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/jobs/:id/retry',
+      error,
+      context: { method: 'POST', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry job',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,244 @@
+/**
+ * @file Route handler for /api/me endpoint - Personal dashboard, character claims
+ * and verified signups for members logged in with Battle.net
+ * @module routes/apiMe
+ */
+
+import express from 'express';
+import {
+  findPlayerByBnetId,
+  findPlayerByCharacter,
+  createPlayer,
+  updatePlayer,
+  saveSeason3Signup,
+  getSignupsByBnetId,
+  logError
+} from '../database.js';
+import { requireMemberSession } from '../services/bnetAuth.js';
+import { normalizeCharacterRef, withSingleMain, buildPlayerSummary } from '../services/players.js';
+
+const router = express.Router();
+
+// Set by saveSeason3Signup, never taken from the request
+const STORED_SIGNUP_FIELDS = ['_id', 'type', 'timestamp'];
+
+router.use(requireMemberSession);
+
+/**
+ * Find one of the logged-in user's guild characters.
+ * @param {Object} user - User document
+ * @param {Object} ref - { name, server }
+ * @returns {Object|undefined} The owned character
+ */
+function findOwnedCharacter(user, ref) {
+  const { name, server } = normalizeCharacterRef(ref || {});
+  return user.characters.find(character => character.name === name && character.server === server);
+}
+
+/**
+ * GET /api/me/dashboard - Personal dashboard for the logged-in member.
+ * Uses the claimed player when there is one, otherwise every guild character on the account.
+ * @route GET /api/me/dashboard
+ * @returns {Object} JSON response with the player summary and the user's signups.
+ */
+router.get('/dashboard', async (req, res) => {
+  try {
+    const player = await findPlayerByBnetId(req.user.bnetId);
+    const summary = await buildPlayerSummary(player || {
+      name: req.user.battletag,
+      characters: req.user.characters.map(normalizeCharacterRef)
+    });
+    const signups = await getSignupsByBnetId(req.user.bnetId);
+
+    res.json({
+      success: true,
+      battletag: req.user.battletag,
+      claimed: Boolean(player),
+      player: summary,
+      signups
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/me/dashboard',
+      error,
+      context: { method: 'GET', bnetId: req.user.bnetId }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load dashboard',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/me/claim - Claim guild characters on the logged-in account.
+ * Claimed characters are linked to the account's player (created on first claim).
+ * @route POST /api/me/claim
+ * @body {Object[]} characters - [{ name, server, main }]
+ * @returns {Object} JSON response with the updated player.
+ */
+router.post('/claim', async (req, res) => {
+  try {
+    const requested = Array.isArray(req.body.characters) ? req.body.characters : [];
+    if (!requested.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'No characters',
+        message: 'Please provide the characters to claim'
+      });
+    }
+
+    const invalid = requested.some(ref => !ref || typeof ref !== 'object'
+      || typeof ref.name !== 'string' || typeof ref.server !== 'string' || !ref.name.trim() || !ref.server.trim());
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid characters',
+        message: 'Every character needs a name and a server (realm slug)'
+      });
+    }
+
+    // The same character listed twice is claimed once, as main if either entry says so
+    const claimedByKey = new Map();
+    requested.map(normalizeCharacterRef).forEach(character => {
+      const key = `${character.name}-${character.server}`;
+      const listed = claimedByKey.get(key);
+      claimedByKey.set(key, listed ? { ...listed, main: listed.main || character.main } : character);
+    });
+    const claimed = [...claimedByKey.values()];
+
+    const notOwned = claimed.filter(character => !findOwnedCharacter(req.user, character));
+    if (notOwned.length) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not your character',
+        message: `Not guild characters on your Battle.net account: ${notOwned.map(ref => `${ref.name}-${ref.server}`).join(', ')}`
+      });
+    }
+
+    const player = await findPlayerByBnetId(req.user.bnetId);
+
+    // A character linked by an officer to someone else's player can't be claimed
+    for (const character of claimed) {
+      const owner = await findPlayerByCharacter(character.name, character.server);
+      if (owner && String(owner._id) !== String(player?._id)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Character already linked',
+          message: `${character.name}-${character.server} is linked to another player, ask an officer to unlink it`
+        });
+      }
+    }
+
+    const existing = (player?.characters || []).filter(ref =>
+      !claimed.some(character => character.name === ref.name && character.server === ref.server)
+    );
+    const hasNewMain = claimed.some(character => character.main);
+    const characters = withSingleMain([
+      ...claimed,
+      ...existing.map(ref => (hasNewMain ? { ...ref, main: false } : ref))
+    ]);
+
+    const updated = player
+      ? await updatePlayer(String(player._id), { characters })
+      : await createPlayer({ name: req.user.battletag, bnetId: req.user.bnetId, notes: '', characters });
+
+    res.json({
+      success: true,
+      message: `Claimed ${claimed.length} character${claimed.length === 1 ? '' : 's'}`,
+      player: await buildPlayerSummary(updated)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Character already linked',
+        message: 'One of the characters is already linked to another player'
+      });
+    }
+
+    await logError({
+      type: 'api',
+      endpoint: '/api/me/claim',
+      error,
+      context: { method: 'POST', bnetId: req.user.bnetId, body: req.body }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim characters',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/me/signup - Submit a season signup tied to a verified character.
+ * @route POST /api/me/signup
+ * @body {Object} character - { name, server } of the current character (must be on the account)
+ * @body {Object} seasonCharacter - Optional { name, server } of the character for the season
+ * @returns {Object} JSON response with the saved signup.
+ */
+router.post('/signup', async (req, res) => {
+  try {
+    const { character: characterRef, seasonCharacter: seasonRef, ...fields } = req.body;
+    const formData = Object.fromEntries(
+      Object.entries(fields).filter(([field]) => !STORED_SIGNUP_FIELDS.includes(field))
+    );
+
+    const character = findOwnedCharacter(req.user, characterRef);
+    if (!character) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not your character',
+        message: 'The signup character must be a guild character on your Battle.net account'
+      });
+    }
+
+    // The season character may not exist yet, so it is only flagged verified when it is on the account
+    const seasonCharacter = seasonRef ? findOwnedCharacter(req.user, seasonRef) : null;
+
+    const signup = {
+      ...formData,
+      discordName: formData.discordName || req.user.battletag,
+      currentCharacterName: character.name,
+      seasonCharacterName: seasonCharacter?.name || seasonRef?.name || character.name,
+      characterClass: formData.characterClass || character.class,
+      verified: true,
+      verifiedCharacter: { name: character.name, server: character.server },
+      seasonCharacterVerified: Boolean(seasonCharacter),
+      bnetId: req.user.bnetId,
+      battletag: req.user.battletag
+    };
+
+    const result = await saveSeason3Signup(signup);
+
+    res.json({
+      success: true,
+      message: 'Signup submitted successfully',
+      seasons: {
+        id: result.insertedId,
+        timestamp: new Date().toISOString(),
+        ...signup
+      }
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/me/signup',
+      error,
+      context: { method: 'POST', bnetId: req.user.bnetId }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process signup',
+      message: error.message
+    });
+  }
+});
+
+export default router;
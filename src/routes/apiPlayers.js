@@ -0,0 +1,454 @@
+/**
+ * @file Route handler for /api/players endpoint - Players and their main/alt characters
+ * @module routes/apiPlayers
+ */
+
+import express from 'express';
+import {
+  getAllPlayers,
+  getPlayerById,
+  findPlayerByCharacter,
+  createPlayer,
+  updatePlayer,
+  deletePlayer,
+  logError
+} from '../database.js';
+import {
+  normalizeCharacterRef,
+  withSingleMain,
+  buildPlayerSummary,
+  suggestPlayerLinks
+} from '../services/players.js';
+import { getConfig } from '../config.js';
+import { requirePermission, requestHasPermission } from '../services/adminAuth.js';
+
+const router = express.Router();
+
+
+/**
+ * Validate and normalize a list of character references from a request body.
+ * @param {Array} characters - Character references ({ name, server, main })
+ * @returns {{ characters: Object[]|null, error: string|null }} Normalized references or a validation error
+ */
+function parseCharacters(characters) {
+  if (!Array.isArray(characters)) {
+    return { characters: null, error: 'characters must be an array of { name, server, main }' };
+  }
+
+  const normalized = characters.map(normalizeCharacterRef);
+  if (normalized.some(character => !character.name || !character.server)) {
+    return { characters: null, error: 'Every character needs a name and a server (realm slug)' };
+  }
+
+  const keys = new Set(normalized.map(character => `${character.name}-${character.server}`));
+  if (keys.size !== normalized.length) {
+    return { characters: null, error: 'A character can only be listed once' };
+  }
+
+  return { characters: withSingleMain(normalized), error: null };
+}
+
+/**
+ * Send the 409 response for a character already linked to another player.
+ * @param {Object} res - Express response
+ * @returns {Object} Express response
+ */
+function sendAlreadyLinked(res) {
+  return res.status(409).json({
+    success: false,
+    error: 'Character already linked',
+    message: 'One of the characters is already linked to another player'
+  });
+}
+
+/**
+ * Summary options for a public read: officers' notes only for admins with players:read.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Options for buildPlayerSummary
+ */
+async function summaryOptions(req) {
+  return { includeNotes: await requestHasPermission(req, 'players:read') };
+}
+
+/**
+ * GET /api/players - List players with their characters and readiness (public)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const config = await getConfig();
+    const players = await getAllPlayers();
+    const options = await summaryOptions(req);
+    const summaries = await Promise.all(players.map(player => buildPlayerSummary(player, config, options)));
+
+    res.json({
+      success: true,
+      players: summaries,
+      count: summaries.length
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/players',
+      error: error,
+      context: { method: 'GET' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load players',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/players/suggestions - Suggested character groupings from signup data (admin only)
+ */
+router.get('/suggestions', requirePermission('players:read'), async (req, res) => {
+  try {
+    const suggestions = await suggestPlayerLinks();
+
+    res.json({
+      success: true,
+      suggestions,
+      count: suggestions.length
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/players/suggestions',
+      error: error,
+      context: { method: 'GET' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build player suggestions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/players/by-character/:realm/:name - Find the player a character belongs to (public)
+ */
+router.get('/by-character/:realm/:name', async (req, res) => {
+  try {
+    const player = await findPlayerByCharacter(
+      req.params.name.toLowerCase(),
+      req.params.realm.toLowerCase()
+    );
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found',
+        message: 'This character is not linked to a player'
+      });
+    }
+
+    res.json({
+      success: true,
+      player: await buildPlayerSummary(player, null, await summaryOptions(req))
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/players/by-character',
+      error: error,
+      context: { method: 'GET', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find player',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/players/:id - A player's characters and aggregate readiness (public)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const player = await getPlayerById(req.params.id);
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found',
+        message: `No player with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      player: await buildPlayerSummary(player, null, await summaryOptions(req))
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/players/:id',
+      error: error,
+      context: { method: 'GET', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load player',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/players - Create a player and link characters (admin only)
+ */
+router.post('/', requirePermission('players:write'), async (req, res) => {
+  try {
+    const { name, notes = '', characters: rawCharacters = [] } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing player name',
+        message: 'Please provide a name for the player'
+      });
+    }
+
+    const { characters, error } = parseCharacters(rawCharacters);
+    if (error) {
+      return res.status(400).json({ success: false, error: 'Invalid characters', message: error });
+    }
+
+    const player = await createPlayer({
+      name: name.trim(),
+      notes,
+      characters,
+      updatedBy: req.admin.username
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Player created successfully',
+      player: await buildPlayerSummary(player, null, { includeNotes: true })
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendAlreadyLinked(res);
+    }
+
+    await logError({
+      type: 'api',
+      endpoint: '/api/players',
+      error: error,
+      context: { method: 'POST', body: req.body }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create player',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/players/:id - Rename a player, edit notes or replace the linked characters (admin only)
+ */
+router.put('/:id', requirePermission('players:write'), async (req, res) => {
+  try {
+    const { name, notes, characters: rawCharacters } = req.body;
+    const updates = { updatedBy: req.admin.username };
+
+    if (name !== undefined) updates.name = String(name).trim();
+    if (notes !== undefined) updates.notes = notes;
+    if (rawCharacters !== undefined) {
+      const { characters, error } = parseCharacters(rawCharacters);
+      if (error) {
+        return res.status(400).json({ success: false, error: 'Invalid characters', message: error });
+      }
+      updates.characters = characters;
+    }
+
+    const player = await updatePlayer(req.params.id, updates);
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found',
+        message: `No player with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Player updated successfully',
+      player: await buildPlayerSummary(player, null, { includeNotes: true })
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendAlreadyLinked(res);
+    }
+
+    await logError({
+      type: 'api',
+      endpoint: '/api/players/:id',
+      error: error,
+      context: { method: 'PUT', params: req.params, body: req.body }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update player',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/players/:id/characters - Link a character to a player (admin only)
+ * Setting main: true makes it the player's main and demotes the previous one.
+ */
+router.post('/:id/characters', requirePermission('players:write'), async (req, res) => {
+  try {
+    const player = await getPlayerById(req.params.id);
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found',
+        message: `No player with ID ${req.params.id}`
+      });
+    }
+
+    const character = normalizeCharacterRef(req.body);
+    if (!character.name || !character.server) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid character',
+        message: 'Please provide the character name and server (realm slug)'
+      });
+    }
+
+    const others = (player.characters || [])
+      .filter(ref => ref.name !== character.name || ref.server !== character.server)
+      .map(ref => (character.main ? { ...ref, main: false } : ref));
+
+    const updated = await updatePlayer(req.params.id, {
+      characters: withSingleMain(character.main ? [character, ...others] : [...others, character]),
+      updatedBy: req.admin.username
+    });
+
+    res.json({
+      success: true,
+      message: `Linked ${character.name}-${character.server} to ${player.name}`,
+      player: await buildPlayerSummary(updated, null, { includeNotes: true })
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendAlreadyLinked(res);
+    }
+
+    await logError({
+      type: 'api',
+      endpoint: '/api/players/:id/characters',
+      error: error,
+      context: { method: 'POST', params: req.params, body: req.body }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to link character',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/players/:id/characters/:realm/:name - Unlink a character from a player (admin only)
+ */
+router.delete('/:id/characters/:realm/:name', requirePermission('players:write'), async (req, res) => {
+  try {
+    const player = await getPlayerById(req.params.id);
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found',
+        message: `No player with ID ${req.params.id}`
+      });
+    }
+
+    const name = req.params.name.toLowerCase();
+    const server = req.params.realm.toLowerCase();
+    const characters = (player.characters || [])
+      .filter(ref => ref.name !== name || ref.server !== server);
+
+    if (characters.length === (player.characters || []).length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Character not linked',
+        message: `${name}-${server} is not linked to ${player.name}`
+      });
+    }
+
+    const updated = await updatePlayer(req.params.id, {
+      characters,
+      updatedBy: req.admin.username
+    });
+
+    res.json({
+      success: true,
+      message: `Unlinked ${name}-${server} from ${player.name}`,
+      player: await buildPlayerSummary(updated, null, { includeNotes: true })
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/players/:id/characters',
+      error: error,
+      context: { method: 'DELETE', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlink character',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/players/:id - Delete a player; the characters themselves are kept (admin only)
+ */
+router.delete('/:id', requirePermission('players:write'), async (req, res) => {
+  try {
+    const deleted = await deletePlayer(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found',
+        message: `No player with ID ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Player deleted successfully'
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/players/:id',
+      error: error,
+      context: { method: 'DELETE', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete player',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -5,85 +5,132 @@
 import express from 'express';
 import { getAllMembers } from '../database.js';
 import { logError } from '../database.js';
-import { combinedRankScore, tierForCombinedRank } from '../services/characterEnrichment.js';
+import { getConfig } from '../config.js';
 import { normalizeRaiderScores } from '../services/mergeRaiderLogs.js';
 import { normalizeMplusMember } from '../services/mplusEnrichment.js';
+import {
+  getScoringProfile,
+  getScoringProfileNames,
+  resolveScoringProfile,
+  validateScoringProfile
+} from '../services/scoringProfiles.js';
+import { buildRankings, compareRankings } from '../services/rankings.js';
 
 const router = express.Router();
 
+/**
+ * Load the scoring profile named in the request, answering 400 when there is no such profile.
+ * @param {Object} config - App config
+ * @param {string} [name] - Profile name (default: the active profile)
+ * @param {Object} res - Express response
+ * @returns {Object|null} Profile, or null when the response was sent
+ */
+function requireScoringProfile(config, name, res) {
+  // A repeated ?profile= parses to an array, which is no profile name
+  const profile = name == null || typeof name === 'string' ? getScoringProfile(config, name) : null;
+  if (!profile) {
+    res.status(400).json({
+      success: false,
+      error: 'Unknown scoring profile',
+      message: `profile must be one of: ${getScoringProfileNames(config).join(', ')}`,
+    });
+    return null;
+  }
+  return profile;
+}
+
 /**
  * GET /api/rankings/all — Combined raid + M+ rankings for all members with enrichment data.
+ * @query {string} profile - Scoring profile (default: SCORING_PROFILE)
  */
 router.get('/all', async (req, res) => {
   try {
-    const members = await getAllMembers();
+    const config = await getConfig();
+    const profile = requireScoringProfile(config, req.query.profile, res);
+    if (!profile) return;
 
-    const raiders = [];
-    const mplusMembers = [];
-    const combined = [];
+    const members = await getAllMembers();
+    const { raiders, mplus, combined } = buildRankings(members, profile);
 
-    for (const member of members) {
-      const enrichment = member.enrichment;
-      if (!enrichment) continue;
+    res.json({
+      success: true,
+      profile: profile.name,
+      raiders,
+      mplus,
+      combined,
+      fetchedAt: members.find((m) => m.enrichment?.fetchedAt)?.enrichment?.fetchedAt ?? null,
+      count: combined.length,
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/rankings/all',
+      error,
+      context: { method: 'GET', query: req.query },
+    });
 
-      if (enrichment.raider) {
-        const raider = normalizeRaiderScores(enrichment.raider);
-        if (raider) raiders.push(raider);
-      }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load rankings',
+      message: error.message,
+    });
+  }
+});
 
-      if (enrichment.mplus) {
-        const mplus = normalizeMplusMember(enrichment.mplus);
-        if (mplus) mplusMembers.push(mplus);
+/**
+ * POST /api/rankings/dry-run — How the combined ranking would change under another profile.
+ * Body: { profile: name or profile object, baseline?: name (default: SCORING_PROFILE) }
+ */
+router.post('/dry-run', async (req, res) => {
+  try {
+    const config = await getConfig();
+    const { profile: requested, baseline: baselineName } = req.body || {};
+
+    let proposed;
+    if (requested && typeof requested === 'object') {
+      const validation = validateScoringProfile(requested);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid scoring profile',
+          message: 'Scoring profile validation failed',
+          errors: validation.errors,
+        });
       }
-
-      if (enrichment.raider || enrichment.mplus) {
-        combined.push({
-          name: member.name,
-          server: member.server,
-          className: member.metaData?.class,
-          spec: member.metaData?.spec,
-          classColour: enrichment.raider?.classColour ?? enrichment.mplus?.classColour ?? '#aaa',
-          raidScore: enrichment.raidScore ?? 0,
-          mplusScore: enrichment.mplusScore ?? 0,
-          mplusRating: enrichment.rioRating ?? enrichment.mplus?.score ?? 0,
-          combinedScore: enrichment.combinedScore ?? combinedRankScore(
-            enrichment.raidScore ?? 0,
-            enrichment.mplusScore ?? 0,
-          ),
-          role: enrichment.raider?.role ?? member.processedStats?.role ?? 'DPS',
+      proposed = { name: null, ...resolveScoringProfile(requested, config) };
+    } else {
+      if (typeof requested !== 'string' || !requested) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing profile',
+          message: 'profile must be a profile name or a profile object',
         });
       }
+      proposed = requireScoringProfile(config, requested, res);
+      if (!proposed) return;
     }
 
-    raiders.sort((a, b) => b.overallProgressScore - a.overallProgressScore);
-    mplusMembers.sort((a, b) => b.totalMplusScore - a.totalMplusScore);
-    combined.sort((a, b) => b.combinedScore - a.combinedScore);
-
-    const ranked = combined.map((p, i) => ({
-      ...p,
-      rank: i + 1,
-      tier: tierForCombinedRank(i + 1),
-    }));
+    const baseline = requireScoringProfile(config, baselineName, res);
+    if (!baseline) return;
 
+    const members = await getAllMembers();
     res.json({
       success: true,
-      raiders,
-      mplus: mplusMembers,
-      combined: ranked,
-      fetchedAt: members.find((m) => m.enrichment?.fetchedAt)?.enrichment?.fetchedAt ?? null,
-      count: ranked.length,
+      baseline: baseline.name,
+      profile: proposed.name,
+      ...compareRankings(members, baseline, proposed),
     });
   } catch (error) {
     await logError({
       type: 'api',
-      endpoint: '/api/rankings/all',
+      endpoint: '/api/rankings/dry-run',
       error,
-      context: { method: 'GET' },
+      context: { method: 'POST' },
     });
 
     res.status(500).json({
       success: false,
-      error: 'Failed to load rankings',
+      error: 'Failed to compare rankings',
       message: error.message,
     });
   }
@@ -91,10 +138,14 @@ router.get('/all', async (req, res) => {
 
 /**
  * GET /api/rankings/member/:realm/:name — Enrichment for a single member.
+ * @query {string} profile - Scoring profile (default: SCORING_PROFILE)
  */
 router.get('/member/:realm/:name', async (req, res) => {
   try {
     const { realm, name } = req.params;
+    const profile = requireScoringProfile(await getConfig(), req.query.profile, res);
+    if (!profile) return;
+
     const { findMemberByName } = await import('../database.js');
     const member = await findMemberByName(name.toLowerCase(), realm.toLowerCase());
 
@@ -106,11 +157,12 @@ router.get('/member/:realm/:name', async (req, res) => {
     }
 
     const enrichment = member.enrichment ?? null;
-    if (enrichment?.raider) enrichment.raider = normalizeRaiderScores(enrichment.raider);
-    if (enrichment?.mplus) enrichment.mplus = normalizeMplusMember(enrichment.mplus);
+    if (enrichment?.raider) enrichment.raider = normalizeRaiderScores(enrichment.raider, profile);
+    if (enrichment?.mplus) enrichment.mplus = normalizeMplusMember(enrichment.mplus, profile);
 
     res.json({
       success: true,
+      profile: profile.name,
       name: member.name,
       server: member.server,
       enrichment,
@@ -0,0 +1,64 @@
+/**
+ * @file Route handler for /api/reports endpoint - Guild progression reports
+ * @module routes/apiReports
+ */
+
+import express from 'express';
+import { logError } from '../database.js';
+import { buildWeeklyReport, renderWeeklyReport, REPORT_FORMATS } from '../services/weeklyReport.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/reports/weekly - Week-over-week progression report.
+ * @route GET /api/reports/weekly
+ * @query {string} format - 'json' (default), 'markdown' or 'csv'
+ * @query {string} since - Baseline date (optional, defaults to the start of the previous raid week)
+ * @returns {Object|string} JSON response, or the rendered Markdown/CSV document.
+ */
+router.get('/weekly', async (req, res) => {
+  try {
+    const { format = 'json', since } = req.query;
+
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `format must be one of: ${REPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const sinceDate = since ? new Date(since) : null;
+    if (sinceDate && isNaN(sinceDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid since parameter',
+        message: 'since must be a valid date (e.g. 2025-08-01 or an ISO timestamp)'
+      });
+    }
+
+    const report = await buildWeeklyReport({ since: sinceDate });
+
+    if (format === 'json') {
+      return res.json({ success: true, report });
+    }
+
+    const { body, contentType } = renderWeeklyReport(report, format);
+    res.type(contentType).send(body);
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/reports/weekly',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build weekly report',
+      message: error.message
+    });
+  }
+});
+
+export default router;
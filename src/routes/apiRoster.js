@@ -9,92 +9,14 @@ import {
   connectToDatabase
 } from '../database.js';
 import { logError } from '../database.js';
-import bcrypt from 'bcrypt';
-import { getAdminByUsername } from '../database.js';
+import { requirePermission } from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
 
 const router = express.Router();
 
 // Collection name for rosters
 const ROSTER_COLLECTION = 'rosters';
 
-/**
- * Middleware to verify admin authentication
- */
-async function verifyAdmin(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        message: 'Please provide admin credentials'
-      });
-    }
-
-    // Decode Basic Auth
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-    const [username, password] = credentials.split(':');
-
-    if (!username || !password) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials',
-        message: 'Username and password are required'
-      });
-    }
-
-    // Verify admin credentials
-    const admin = await getAdminByUsername(username);
-    if (!admin) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin username'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
-
-    const passwordMatch = await bcrypt.compare(password, admin.password);
-    if (!passwordMatch) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin password'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
-
-    // Attach admin info to request
-    req.admin = admin;
-    next();
-  } catch (error) {
-    await logError({
-      type: 'security',
-      endpoint: req.path,
-      error: error,
-      context: { ip: req.ip }
-    });
-    
-    res.status(500).json({
-      success: false,
-      error: 'Authentication error',
-      message: error.message
-    });
-  }
-}
 
 /**
  * GET /api/roster - Get the current roster (public)
@@ -147,7 +69,7 @@ router.get('/', async (req, res) => {
 /**
  * POST /api/roster - Create or update roster (admin only)
  */
-router.post('/', verifyAdmin, async (req, res) => {
+router.post('/', requirePermission('roster:write'), async (req, res) => {
   try {
     const { tanks, healers, dps, substitutes, socials } = req.body;
     
@@ -179,6 +101,18 @@ router.post('/', verifyAdmin, async (req, res) => {
       { upsert: true }
     );
     
+    await recordAuditEvent({
+      action: 'roster.save',
+      req,
+      details: {
+        tanks: rosterData.tanks.length,
+        healers: rosterData.healers.length,
+        dps: rosterData.dps.length,
+        substitutes: rosterData.substitutes.length,
+        socials: rosterData.socials.length
+      }
+    });
+    
     res.json({
       success: true,
       message: 'Roster saved successfully',
@@ -203,7 +137,7 @@ router.post('/', verifyAdmin, async (req, res) => {
 /**
  * DELETE /api/roster/:characterId - Remove a character from roster (admin only)
  */
-router.delete('/:characterId', verifyAdmin, async (req, res) => {
+router.delete('/:characterId', requirePermission('roster:write'), async (req, res) => {
   try {
     const { characterId } = req.params;
     
@@ -246,6 +180,12 @@ router.delete('/:characterId', verifyAdmin, async (req, res) => {
       updatedRoster
     );
     
+    await recordAuditEvent({
+      action: 'roster.remove',
+      req,
+      target: characterId
+    });
+    
     res.json({
       success: true,
       message: 'Character removed from roster',
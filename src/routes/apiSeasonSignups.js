@@ -10,97 +10,19 @@ import {
   connectToDatabase
 } from '../database.js';
 import { logError } from '../database.js';
-import bcrypt from 'bcrypt';
-import { getAdminByUsername } from '../database.js';
+import { requirePermission } from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
 
 const router = express.Router();
 
 // Collection name from environment
 const SEASON_SIGN_UP = process.env.SIGNUP_COLLECTION;
 
-/**
- * Middleware to verify admin authentication
- */
-async function verifyAdmin(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        message: 'Please provide admin credentials'
-      });
-    }
-
-    // Decode Basic Auth
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-    const [username, password] = credentials.split(':');
-
-    if (!username || !password) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials',
-        message: 'Username and password are required'
-      });
-    }
-
-    // Verify admin credentials
-    const admin = await getAdminByUsername(username);
-    if (!admin) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin username'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
-
-    const passwordMatch = await bcrypt.compare(password, admin.password);
-    if (!passwordMatch) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin password'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
-
-    // Attach admin info to request
-    req.admin = admin;
-    next();
-  } catch (error) {
-    await logError({
-      type: 'security',
-      endpoint: req.path,
-      error: error,
-      context: { ip: req.ip }
-    });
-    
-    res.status(500).json({
-      success: false,
-      error: 'Authentication error',
-      message: error.message
-    });
-  }
-}
 
 /**
  * GET /api/season-signups - Get all season signups (admin only)
  */
-router.get('/', verifyAdmin, async (req, res) => {
+router.get('/', requirePermission('signups:read'), async (req, res) => {
   try {
     const signups = await getSeason3Signups();
     
@@ -128,7 +50,7 @@ router.get('/', verifyAdmin, async (req, res) => {
 /**
  * DELETE /api/season-signups/:id - Delete a season signup (admin only)
  */
-router.delete('/:id', verifyAdmin, async (req, res) => {
+router.delete('/:id', requirePermission('signups:delete'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -167,15 +89,10 @@ router.delete('/:id', verifyAdmin, async (req, res) => {
     }
 
     // Log the deletion
-    await logError({
-      type: 'admin-action',
-      endpoint: '/api/season-signups',
-      error: new Error('Season signup deleted'),
-      context: { 
-        username: req.admin.username,
-        ip: req.ip,
-        deletedId: id
-      }
+    await recordAuditEvent({
+      action: 'signup.delete',
+      req,
+      target: id
     });
 
     res.json({
@@ -12,6 +12,9 @@ import {
 } from '../database.js';
 import { processCharacterSeasonalStats } from '../../tools/guildFetcher/seasonalStats.mjs';
 import { getAllMembers } from '../database.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('apiSeasonalStats');
 
 const router = express.Router();
 
@@ -25,7 +28,7 @@ router.get('/', async (req, res) => {
   try {
     const { season } = req.query;
     
-    console.log(`🔍 Fetching seasonal statistics${season ? ` for season ${season}` : ''}`);
+    log.debug(`🔍 Fetching seasonal statistics${season ? ` for season ${season}` : ''}`);
     
     const seasonalStats = await getTopSeasonalStats(season ? parseInt(season) : null);
     
@@ -57,7 +60,7 @@ router.get('/', async (req, res) => {
       }
     });
     
-    console.error('❌ Error fetching seasonal statistics:', error);
+    log.error('❌ Error fetching seasonal statistics:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch seasonal statistics',
@@ -73,7 +76,7 @@ router.get('/', async (req, res) => {
  */
 router.get('/all', async (req, res) => {
   try {
-    console.log('🔍 Fetching all seasonal statistics');
+    log.debug('🔍 Fetching all seasonal statistics');
     
     const allStats = await getAllTopSeasonalStats();
     
@@ -96,7 +99,7 @@ router.get('/all', async (req, res) => {
       }
     });
     
-    console.error('❌ Error fetching all seasonal statistics:', error);
+    log.error('❌ Error fetching all seasonal statistics:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch all seasonal statistics',
@@ -116,7 +119,7 @@ router.get('/character/:realm/:character', async (req, res) => {
   try {
     const { realm, character } = req.params;
     
-    console.log(`🔍 Fetching seasonal statistics for ${character}-${realm}`);
+    log.debug(`🔍 Fetching seasonal statistics for ${character}-${realm}`);
     
     // Find the character in the database
     const members = await getAllMembers();
@@ -163,7 +166,7 @@ router.get('/character/:realm/:character', async (req, res) => {
       }
     });
     
-    console.error('❌ Error fetching character seasonal statistics:', error);
+    log.error('❌ Error fetching character seasonal statistics:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch character seasonal statistics',
@@ -183,7 +186,7 @@ router.get('/leaderboard', async (req, res) => {
   try {
     const { type = 'players', limit = 10 } = req.query;
     
-    console.log(`🔍 Fetching ${type} leaderboard`);
+    log.debug(`🔍 Fetching ${type} leaderboard`);
     
     const seasonalStats = await getTopSeasonalStats();
     
@@ -243,7 +246,7 @@ router.get('/leaderboard', async (req, res) => {
       }
     });
     
-    console.error('❌ Error fetching leaderboard:', error);
+    log.error('❌ Error fetching leaderboard:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to fetch leaderboard',
@@ -259,7 +262,7 @@ router.get('/leaderboard', async (req, res) => {
  */
 router.get('/status', async (req, res) => {
   try {
-    console.log('🔍 Checking seasonal statistics status');
+    log.debug('🔍 Checking seasonal statistics status');
     
     const hasStats = await hasTopSeasonalStats();
     const latestStats = hasStats ? await getTopSeasonalStats() : null;
@@ -285,7 +288,7 @@ router.get('/status', async (req, res) => {
       }
     });
     
-    console.error('❌ Error checking seasonal statistics status:', error);
+    log.error('❌ Error checking seasonal statistics status:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to check seasonal statistics status',
@@ -13,9 +13,16 @@ import { saveSeason3Signup } from '../database.js';
  */
 const router = express.Router();
 
+// Set only by POST /api/me/signup for characters on a logged-in Battle.net account
+const VERIFIED_SIGNUP_FIELDS = ['verified', 'verifiedCharacter', 'seasonCharacterVerified', 'bnetId', 'battletag'];
+// Set by saveSeason3Signup
+const STORED_SIGNUP_FIELDS = ['_id', 'type', 'timestamp'];
+
 router.post('/', async (req, res) => {
   try {
-    const formData = req.body;
+    const formData = Object.fromEntries(
+      Object.entries(req.body || {}).filter(([field]) => !STORED_SIGNUP_FIELDS.includes(field) && !VERIFIED_SIGNUP_FIELDS.includes(field))
+    );
     
     // Validate against test/demo characters
     const isTestOrDemoCharacter = (name) => {
@@ -0,0 +1,126 @@
+/**
+ * @file Route handler for /api/tier endpoint - Tier set status and token demand
+ * @module routes/apiTier
+ */
+
+import express from 'express';
+import { getAllMembers, logError } from '../database.js';
+import { getConfig } from '../config.js';
+import {
+  ARMOR_TYPES,
+  CLASS_ARMOR_TYPES,
+  getCurrentTierSeason,
+  summariseTierDemand
+} from '../services/tierCatalog.js';
+
+const router = express.Router();
+
+/**
+ * Load the current tier season, answering 404 when no catalog is configured.
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Current season, or null when the response was sent
+ */
+async function requireTierSeason(res) {
+  const season = getCurrentTierSeason(await getConfig());
+  if (!season) {
+    res.status(404).json({
+      success: false,
+      error: 'No tier catalog',
+      message: 'Configure TIER_CATALOG (with a currentSeason) in the settings'
+    });
+    return null;
+  }
+  return season;
+}
+
+/**
+ * GET /api/tier - Guild-wide tier token demand per armor type for the current season.
+ * @route GET /api/tier
+ * @returns {Object} JSON response with, per armor type, the members still missing each tier slot.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const season = await requireTierSeason(res);
+    if (!season) return;
+
+    const members = await getAllMembers();
+    res.json({
+      success: true,
+      season: { id: season.id, name: season.name },
+      armorTypes: summariseTierDemand(members),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/tier',
+      error,
+      context: { method: 'GET' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load tier demand',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/tier/members - Tier status of every member for the current season.
+ * @route GET /api/tier/members
+ * @query {string} armorType - Only members of this armor type (Cloth, Leather, Mail, Plate)
+ * @query {string} missing - Only members still missing this slot (e.g. HANDS)
+ * @returns {Object} JSON response with the members' owned and missing tier slots.
+ */
+router.get('/members', async (req, res) => {
+  try {
+    const { armorType, missing } = req.query;
+    if (armorType && !ARMOR_TYPES.includes(armorType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: `armorType must be one of: ${ARMOR_TYPES.join(', ')}`
+      });
+    }
+
+    const season = await requireTierSeason(res);
+    if (!season) return;
+
+    const members = (await getAllMembers())
+      .filter(member => member.tier && member.tier.season === season.id)
+      .map(member => ({
+        name: member.name,
+        server: member.server,
+        class: member.metaData?.class,
+        spec: member.metaData?.spec,
+        armorType: CLASS_ARMOR_TYPES[member.metaData?.class] || null,
+        tier: member.tier
+      }))
+      .filter(member => !armorType || member.armorType === armorType)
+      .filter(member => !missing || member.tier.missing.includes(missing))
+      .sort((a, b) => a.tier.pieces - b.tier.pieces || a.name.localeCompare(b.name));
+
+    res.json({
+      success: true,
+      season: { id: season.id, name: season.name },
+      members,
+      count: members.length
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/tier/members',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load tier status',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,153 @@
+/**
+ * @file Route handler for /api/transmog endpoint - Guild transmog collection lookups
+ * @module routes/apiTransmog
+ */
+
+import express from 'express';
+import { getMemberTransmogCollection, logError } from '../database.js';
+import {
+  getCollectionCompleteness,
+  getSetCollectors,
+  getAppearanceCollectors,
+  transmogMemberKey
+} from '../services/transmogCollection.js';
+
+const router = express.Router();
+
+/**
+ * Parse a positive integer ID route parameter.
+ * @param {string} value - Raw parameter
+ * @returns {number|null} The ID, or null when it is not a positive integer
+ */
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * GET /api/transmog/completeness - Guild-wide collection completeness per appearance set and slot.
+ * @route GET /api/transmog/completeness
+ * @returns {Object} JSON response with the set and slot statistics.
+ */
+router.get('/completeness', async (req, res) => {
+  try {
+    const completeness = await getCollectionCompleteness();
+    res.json({ success: true, ...completeness });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/transmog/completeness',
+      error,
+      context: { method: 'GET' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load transmog completeness',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/transmog/sets/:setId - Members who have, and have not, collected an appearance set.
+ * @route GET /api/transmog/sets/:setId
+ * @param {string} setId - Appearance set ID
+ * @returns {Object} JSON response with collectedBy, missing and untracked member lists.
+ */
+router.get('/sets/:setId', async (req, res) => {
+  try {
+    const setId = parseId(req.params.setId);
+    if (!setId) {
+      return res.status(400).json({ success: false, error: 'Invalid set ID', message: 'setId must be a positive integer' });
+    }
+
+    const result = await getSetCollectors(setId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/transmog/sets',
+      error,
+      context: { method: 'GET', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load appearance set collectors',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/transmog/appearances/:appearanceId - Members who have, and have not, collected an item appearance.
+ * @route GET /api/transmog/appearances/:appearanceId
+ * @param {string} appearanceId - Item appearance ID
+ * @returns {Object} JSON response with collectedBy, missing and untracked member lists.
+ */
+router.get('/appearances/:appearanceId', async (req, res) => {
+  try {
+    const appearanceId = parseId(req.params.appearanceId);
+    if (!appearanceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appearance ID',
+        message: 'appearanceId must be a positive integer'
+      });
+    }
+
+    const result = await getAppearanceCollectors(appearanceId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/transmog/appearances',
+      error,
+      context: { method: 'GET', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load appearance collectors',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/transmog/members/:realm/:name - A member's cached transmog collection.
+ * @route GET /api/transmog/members/:realm/:name
+ * @param {string} realm - The realm slug
+ * @param {string} name - The character name
+ * @returns {Object} JSON response with the cached collection.
+ */
+router.get('/members/:realm/:name', async (req, res) => {
+  try {
+    const collection = await getMemberTransmogCollection(transmogMemberKey(req.params.name, req.params.realm));
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transmog collection not found',
+        message: `No cached transmog collection for ${req.params.name}-${req.params.realm}`
+      });
+    }
+
+    res.json({ success: true, collection });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/transmog/members',
+      error,
+      context: { method: 'GET', params: req.params }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load transmog collection',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+/**
+ * @file Route handler for /api/vault endpoint - Great Vault and weekly activity
+ * @module routes/apiVault
+ */
+
+import express from 'express';
+import { logError } from '../database.js';
+import { VAULT_ROWS, buildVaultReport } from '../services/greatVault.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/vault - Every member's activity and estimated Great Vault this raid week.
+ * @route GET /api/vault
+ * @returns {Object} JSON response with the week's kills, runs and vault rows per member.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const report = await buildVaultReport();
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/vault',
+      error,
+      context: { method: 'GET' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build the weekly activity',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/vault/empty - Members with an empty Great Vault row before the next reset.
+ * @route GET /api/vault/empty
+ * @query {string} row - Only members with this row empty (raid, dungeons, world)
+ * @returns {Object} JSON response with the members, their empty rows and the time left until reset.
+ */
+router.get('/empty', async (req, res) => {
+  try {
+    const { row } = req.query;
+    if (row && !VAULT_ROWS.includes(row)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: `row must be one of: ${VAULT_ROWS.join(', ')}`
+      });
+    }
+
+    const now = new Date();
+    const report = await buildVaultReport({ now });
+    const members = report.members
+      .filter(member => (row ? member.emptyRows.includes(row) : member.emptyRows.length > 0))
+      .map(member => ({
+        name: member.name,
+        server: member.server,
+        class: member.class,
+        spec: member.spec,
+        emptyRows: member.emptyRows,
+        unlocked: Object.fromEntries(VAULT_ROWS.map(vaultRow => [vaultRow, member[vaultRow].unlocked]))
+      }));
+
+    res.json({
+      success: true,
+      weekStart: report.weekStart,
+      nextReset: report.nextReset,
+      hoursUntilReset: Math.round((new Date(report.nextReset) - now) / 360000) / 10,
+      members,
+      count: members.length
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/vault/empty',
+      error,
+      context: { method: 'GET', query: req.query }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list empty vault rows',
+      message: error.message
+    });
+  }
+});
+
+export default router;
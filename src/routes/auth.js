@@ -0,0 +1,152 @@
+/**
+ * @file Route handler for /api/auth endpoint - Battle.net OAuth login for guild members
+ * @module routes/auth
+ */
+
+import express from 'express';
+import passport from 'passport';
+import { logError } from '../database.js';
+import {
+  ensureBnetStrategy,
+  startUserSession,
+  endUserSession,
+  getSessionUser
+} from '../services/bnetAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('auth');
+
+const router = express.Router();
+
+const successRedirect = () => process.env.BNET_OAUTH_SUCCESS_REDIRECT || '/';
+const failureRedirect = () => process.env.BNET_OAUTH_FAILURE_REDIRECT || '/?login=failed';
+
+/**
+ * Middleware that makes sure the Battle.net strategy is registered.
+ */
+async function requireOAuthConfigured(req, res, next) {
+  try {
+    const configured = await ensureBnetStrategy();
+    if (!configured) {
+      return res.status(503).json({
+        success: false,
+        error: 'Battle.net login not configured',
+        message: 'Set BNET_OAUTH_CALLBACK_URL and the Battle.net client credentials to enable login'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/auth/bnet - Redirect to the Battle.net authorization page.
+ * @route GET /api/auth/bnet
+ */
+router.get('/bnet', requireOAuthConfigured, passport.authenticate('bnet', { session: false }));
+
+/**
+ * GET /api/auth/bnet/callback - OAuth callback; starts a session and redirects to the frontend.
+ * @route GET /api/auth/bnet/callback
+ */
+router.get('/bnet/callback', requireOAuthConfigured, (req, res, next) => {
+  passport.authenticate('bnet', { session: false }, async (error, user, info) => {
+    try {
+      if (error || !user) {
+        if (error) {
+          await logError({
+            type: 'security',
+            endpoint: '/api/auth/bnet/callback',
+            error,
+            context: { ip: req.ip }
+          });
+        }
+        await recordAuditEvent({
+          action: 'member.login',
+          outcome: 'failure',
+          req,
+          details: { reason: error?.message || info?.message || 'Battle.net login was not completed' }
+        });
+        return res.redirect(failureRedirect());
+      }
+
+      await startUserSession(res, user);
+      await recordAuditEvent({
+        action: 'member.login',
+        actor: user.battletag,
+        req,
+        details: { bnetId: user.bnetId, guildCharacters: user.characters.length }
+      });
+      log.info(`🔐 Battle.net login: ${user.battletag} (${user.characters.length} guild characters)`);
+      res.redirect(successRedirect());
+    } catch (sessionError) {
+      next(sessionError);
+    }
+  })(req, res, next);
+});
+
+/**
+ * GET /api/auth/me - The logged-in user and the guild characters on their account.
+ * @route GET /api/auth/me
+ * @returns {Object} JSON response with the user, or authenticated: false.
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const user = await getSessionUser(req);
+    if (!user) {
+      return res.json({ success: true, authenticated: false });
+    }
+
+    res.json({
+      success: true,
+      authenticated: true,
+      user: {
+        bnetId: user.bnetId,
+        battletag: user.battletag,
+        characters: user.characters,
+        lastLogin: user.lastLogin
+      }
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/auth/me',
+      error,
+      context: { method: 'GET' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout - End the current session.
+ * @route POST /api/auth/logout
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await endUserSession(req, res);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/auth/logout',
+      error,
+      context: { method: 'POST' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
+});
+
+export default router;
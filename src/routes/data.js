@@ -6,6 +6,7 @@
 import express from 'express';
 import { getAllMembers } from '../database.js';
 import { transformCharacterData, applyFilters } from '../utils.js';
+import { getLinkedMainMap } from '../services/players.js';
 
 /**
  * GET /data/filtered - Returns filtered and paginated guild data.
@@ -20,7 +21,12 @@ router.get('/', async (req, res) => {
     if (!members.length) {
       return res.status(404).json({ success: false, error: 'No guild data available' });
     }
-    const transformedData = await Promise.all(members.map(transformCharacterData));
+    const linkedMains = await getLinkedMainMap();
+    const transformedData = (await Promise.all(members.map(transformCharacterData)))
+      .map(character => {
+        const linkedMain = linkedMains.get(`${character.name}-${character.server}`);
+        return linkedMain === undefined ? character : { ...character, linkedMain };
+      });
     const {
       filter = 'all',
       page = 1,
@@ -13,6 +13,10 @@ import {
   deleteAllErrors,
   logError 
 } from '../database.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('errors');
 
 const router = express.Router();
 
@@ -263,6 +267,12 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    await recordAuditEvent({
+      action: 'errors.delete',
+      req,
+      target: id
+    });
+    
     res.json({
       success: true,
       message: 'Error deleted successfully',
@@ -303,7 +313,7 @@ router.delete('/', async (req, res) => {
   try {
     const { type, resolved, severity } = req.query;
     
-    console.log('Bulk delete request received:', { type, resolved, severity });
+    log.debug('Bulk delete request received', { type, resolved, severity });
     
     // Parse resolved parameter
     let resolvedFilter = null;
@@ -318,11 +328,15 @@ router.delete('/', async (req, res) => {
       severity: severity || null
     };
     
-    console.log('Delete options:', deleteOptions);
-    
     const result = await deleteAllErrors(deleteOptions);
     
-    console.log('Delete result:', result);
+    log.info('Bulk delete completed', { ...deleteOptions, deletedCount: result.deletedCount });
+    
+    await recordAuditEvent({
+      action: 'errors.delete-all',
+      req,
+      details: { ...deleteOptions, deletedCount: result.deletedCount }
+    });
     
     res.json({
       success: true,
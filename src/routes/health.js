@@ -1,42 +1,72 @@
 /**
- * @file Route handler for /health endpoint.
+ * @file Route handler for /health endpoint - Liveness and readiness probes.
  * @module routes/health
  */
 
 import express from 'express';
-// Import hasMembersData, getMembersDataStatus, getMemberCount, getDataStatus from database.js
+import { logError } from '../database.js';
+import { buildHealthReport } from '../services/systemHealth.js';
 
-/**
- * GET /health - Returns health and readiness status of the server and data.
- * @route GET /health
- * @returns {Object} JSON response with health status.
- */
 const router = express.Router();
 
-router.get('/', async (req, res) => {
+/**
+ * Send the readiness report: 200 when ready (or degraded), 503 when not ready.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function sendReadiness(req, res) {
   try {
-    // let hasData = false;
-    // let dataStatus = 'no_data';
-    // let memberCount = 0;
-    // ... logic from index.js ...
-    res.json({
-      success: true,
-      // status: hasData ? 'ready' : 'starting',
-      // timestamp: new Date().toISOString(),
-      // cronEnabled: true,
-      // nextScheduledUpdate: getNextScheduledUpdate(),
-      // dataStatus: dataStatus,
-      // hasGuildData: hasData,
-      // memberCount: memberCount
+    const report = await buildHealthReport();
+    res.status(report.ready ? 200 : 503).json({
+      success: report.ready,
+      ...report
     });
   } catch (error) {
-    res.status(500).json({
+    await logError({
+      type: 'api',
+      endpoint: req.originalUrl,
+      error: error,
+      context: { method: 'GET' }
+    });
+
+    res.status(503).json({
       success: false,
+      ready: false,
       status: 'error',
       error: 'Health check failed',
       message: error.message
     });
   }
+}
+
+/**
+ * GET /health - Readiness report: MongoDB, member data freshness, guild updates,
+ * the cron schedule and external API reachability (from the last background probe).
+ * @route GET /health
+ * @returns {Object} JSON health report; HTTP 503 when not ready.
+ */
+router.get('/', sendReadiness);
+
+/**
+ * GET /health/ready - Readiness probe (same report as GET /health).
+ * @route GET /health/ready
+ * @returns {Object} JSON health report; HTTP 503 when not ready.
+ */
+router.get('/ready', sendReadiness);
+
+/**
+ * GET /health/live - Liveness probe. Answers as long as the process serves requests,
+ * without touching any dependency, so a database outage does not get the container restarted.
+ * @route GET /health/live
+ * @returns {Object} JSON response with uptime.
+ */
+router.get('/live', (req, res) => {
+  res.json({
+    success: true,
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime())
+  });
 });
 
-export default router; 
\ No newline at end of file
+export default router;
@@ -0,0 +1,235 @@
+/**
+ * @file Router table - every API router with its mount path and access policy.
+ * Routers registered here are enforced by the access policy layer; a route
+ * without a declared policy fails the startup check and `npm run check:policies`.
+ * @module routes/index
+ */
+
+import dataFilteredRouter from './data.js';
+import statsMissingEnchantsRouter from './statsMissingEnchants.js';
+import statsTopPvpRouter from './statsTopPvp.js';
+import statsTopPveRouter from './statsTopPve.js';
+import statsRoleCountsRouter from './statsRoleCounts.js';
+import statsGearAuditRouter from './statsGearAudit.js';
+import updateRouter from './update.js';
+import statusRouter from './status.js';
+import healthRouter from './health.js';
+import apiSeasonsDataRouter from './apiSeasonsData.js';
+import apiSeasonsSignupRouter from './apiSeasonsSignup.js';
+import apiSeasonSignupsRouter from './apiSeasonSignups.js';
+import apiCharacterFetchRouter from './apiCharacterFetch.js';
+import apiSeasonalStatsRouter from './apiSeasonalStats.js';
+import errorsRouter from './errors.js';
+import installRouter from './install.js';
+import configRouter from './config.js';
+import resetRouter from './reset.js';
+import settingsRouter from './settings.js';
+import upgradeRouter from './upgrade.js';
+import jointextRouter from './jointext.js';
+import apiRosterRouter from './apiRoster.js';
+import apiRankingsRouter from './apiRankings.js';
+import apiHistoryRouter from './apiHistory.js';
+import apiReportsRouter from './apiReports.js';
+import apiChurnRouter from './apiChurn.js';
+import apiTransmogRouter from './apiTransmog.js';
+import apiTierRouter from './apiTier.js';
+import apiVaultRouter from './apiVault.js';
+import apiPlayersRouter from './apiPlayers.js';
+import authRouter from './auth.js';
+import apiMeRouter from './apiMe.js';
+import adminsRouter from './admins.js';
+import apiAuditRouter from './apiAudit.js';
+import metricsRouter from './metrics.js';
+import apiJobsRouter from './apiJobs.js';
+import apiCacheRouter from './apiCache.js';
+import {
+  PUBLIC,
+  MEMBER,
+  admin,
+  setup,
+  routes,
+  token,
+  mountWithPolicy
+} from '../services/accessPolicy.js';
+
+/**
+ * Mount path, router and access policy of every API router, in registration order.
+ */
+export const ROUTES = [
+  { path: '/api/data', router: dataFilteredRouter, policy: PUBLIC },
+  { path: '/api/data/filtered', router: dataFilteredRouter, policy: PUBLIC },
+  { path: '/api/stats/missing-enchants', router: statsMissingEnchantsRouter, policy: PUBLIC },
+  { path: '/api/stats/top-pvp', router: statsTopPvpRouter, policy: PUBLIC },
+  { path: '/api/stats/top-pve', router: statsTopPveRouter, policy: PUBLIC },
+  { path: '/api/stats/role-counts', router: statsRoleCountsRouter, policy: PUBLIC },
+  { path: '/api/stats/gear-audit', router: statsGearAuditRouter, policy: PUBLIC },
+  {
+    path: '/api/update',
+    router: updateRouter,
+    // The install wizard runs the first guild fetch before an admin exists
+    policy: routes({
+      'POST /': setup('guild:update'),
+      'POST /:realm/:character': setup('guild:update'),
+      'GET /status': PUBLIC
+    })
+  },
+  { path: '/api/status', router: statusRouter, policy: PUBLIC },
+  { path: '/api/health', router: healthRouter, policy: PUBLIC },
+  {
+    path: '/api/seasons/data',
+    router: apiSeasonsDataRouter,
+    policy: admin('signups:read')
+  },
+  { path: '/api/seasons/signup', router: apiSeasonsSignupRouter, policy: PUBLIC },
+  // Legacy routes for backward compatibility
+  {
+    path: '/api/season3/data',
+    router: apiSeasonsDataRouter,
+    policy: admin('signups:read')
+  },
+  { path: '/api/season3/signup', router: apiSeasonsSignupRouter, policy: PUBLIC },
+  {
+    path: '/api/season-signups',
+    router: apiSeasonSignupsRouter,
+    policy: routes({
+      'GET /': admin('signups:read'),
+      'DELETE /:id': admin('signups:delete')
+    })
+  },
+  { path: '/api/fetch', router: apiCharacterFetchRouter, policy: PUBLIC },
+  { path: '/api/seasonal-stats', router: apiSeasonalStatsRouter, policy: PUBLIC },
+  {
+    path: '/api/errors',
+    router: errorsRouter,
+    policy: routes({
+      'GET /': admin('errors:read'),
+      'GET /stats': admin('errors:read'),
+      'GET /:id': admin('errors:read'),
+      'PUT /:id/resolve': admin('errors:write'),
+      'DELETE /:id': admin('errors:write'),
+      'DELETE /': admin('errors:write')
+    })
+  },
+  {
+    path: '/api/install',
+    router: installRouter,
+    policy: routes({
+      'GET /': PUBLIC,
+      'POST /': setup('settings:write'),
+      'POST /login': PUBLIC,
+      'POST /logout': PUBLIC,
+      'POST /admin': PUBLIC
+    })
+  },
+  { path: '/api/config', router: configRouter, policy: PUBLIC },
+  { path: '/api/reset', router: resetRouter, policy: admin('database:reset') },
+  {
+    path: '/api/settings',
+    router: settingsRouter,
+    policy: routes({
+      'GET /': admin('settings:read'),
+      'PUT /': admin('settings:write')
+    })
+  },
+  {
+    path: '/api/upgrade',
+    router: upgradeRouter,
+    policy: routes({
+      'GET /status': admin('upgrade:read'),
+      'POST /run/:migrationId': admin('upgrade:run'),
+      'POST /run-all': admin('upgrade:run')
+    })
+  },
+  {
+    path: '/api/jointext',
+    router: jointextRouter,
+    policy: routes({
+      'GET /': PUBLIC,
+      'PUT /': admin('jointext:write'),
+      'POST /seed': admin('jointext:write')
+    })
+  },
+  {
+    path: '/api/roster',
+    router: apiRosterRouter,
+    policy: routes({
+      'GET /': PUBLIC,
+      'POST /': admin('roster:write'),
+      'DELETE /:characterId': admin('roster:write')
+    })
+  },
+  {
+    path: '/api/rankings',
+    router: apiRankingsRouter,
+    policy: routes({
+      'GET /all': PUBLIC,
+      'GET /member/:realm/:name': PUBLIC,
+      'POST /dry-run': admin('settings:read')
+    })
+  },
+  { path: '/api/history', router: apiHistoryRouter, policy: PUBLIC },
+  { path: '/api/reports', router: apiReportsRouter, policy: PUBLIC },
+  { path: '/api/churn', router: apiChurnRouter, policy: PUBLIC },
+  { path: '/api/transmog', router: apiTransmogRouter, policy: PUBLIC },
+  { path: '/api/tier', router: apiTierRouter, policy: PUBLIC },
+  { path: '/api/vault', router: apiVaultRouter, policy: PUBLIC },
+  {
+    path: '/api/players',
+    router: apiPlayersRouter,
+    policy: routes({
+      'GET /': PUBLIC,
+      'GET /suggestions': admin('players:read'),
+      'GET /by-character/:realm/:name': PUBLIC,
+      'GET /:id': PUBLIC,
+      'POST /': admin('players:write'),
+      'PUT /:id': admin('players:write'),
+      'POST /:id/characters': admin('players:write'),
+      'DELETE /:id/characters/:realm/:name': admin('players:write'),
+      'DELETE /:id': admin('players:write')
+    })
+  },
+  { path: '/api/auth', router: authRouter, policy: PUBLIC },
+  { path: '/api/me', router: apiMeRouter, policy: MEMBER },
+  {
+    path: '/api/admins',
+    router: adminsRouter,
+    policy: routes({
+      'GET /me': admin(),
+      'GET /': admin('admins:manage'),
+      'POST /': admin('admins:manage'),
+      'PUT /:username': admin('admins:manage'),
+      'DELETE /:username': admin('admins:manage')
+    })
+  },
+  { path: '/api/audit', router: apiAuditRouter, policy: admin('audit:read') },
+  {
+    path: '/api/jobs',
+    router: apiJobsRouter,
+    policy: routes({
+      'GET /': admin('jobs:read'),
+      'GET /:id': admin('jobs:read'),
+      'POST /:id/cancel': admin('guild:update'),
+      'POST /:id/retry': admin('guild:update')
+    })
+  },
+  {
+    path: '/api/cache',
+    router: apiCacheRouter,
+    policy: routes({
+      'GET /': admin('settings:read'),
+      'GET /:realm/:name': admin('settings:read'),
+      'DELETE /:realm/:name': admin('guild:update'),
+      'DELETE /': admin('guild:update')
+    })
+  },
+  // Scraped by Prometheus; protected by a bearer token when METRICS_TOKEN is set
+  { path: '/metrics', router: metricsRouter, policy: token('METRICS_TOKEN') }
+];
+
+/**
+ * Mount every router in ROUTES behind its access policy.
+ * @param {Object} app - Express app
+ */
+export function registerRoutes(app) {
+  ROUTES.forEach(({ path, router, policy }) => mountWithPolicy(app, path, router, policy));
+}
@@ -4,7 +4,6 @@
  */
 
 import express from 'express';
-import { BlizzAPI } from "blizzapi";
 import { 
   hasAppSettings, 
   getAppSettings, 
@@ -12,15 +11,28 @@ import {
   hasAdmin,
   createAdmin,
   hasGuildData,
-  getAdminByUsername,
+  updateAdmin,
   saveJoinText,
   hasJoinText
 } from '../database.js';
 import { logError } from '../database.js';
 import { clearConfigCache, getConfig } from '../config.js';
+import { createBattlenetClient } from '../services/battlenet.js';
 import bcrypt from 'bcrypt';
+import {
+  verifyAdminCredentials,
+  issueAdminToken,
+  setAdminSessionCookie,
+  clearAdminSessionCookie,
+  getAdminRole,
+  sendLoginLocked
+} from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
 import config from '../../app.config.js';
 import { getDefaultJoinText } from './jointext.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('install');
 
 const router = express.Router();
 
@@ -29,7 +41,7 @@ const router = express.Router();
  * @param {string} password - Password to validate
  * @returns {Object} Validation result with isValid and errors array
  */
-function validatePassword(password) {
+export function validatePassword(password) {
   const errors = [];
   
   if (password.length < 12) {
@@ -70,12 +82,12 @@ function validatePassword(password) {
  */
 async function validateBattleNetCredentials(clientId, clientSecret, region, guildRealm, guildName, apiParams) {
   try {
-    const BnetApi = new BlizzAPI({ region, clientId, clientSecret });
+    // Standalone client, so credentials that fail validation never replace the shared one
+    const BnetApi = createBattlenetClient({ region, clientId, clientSecret });
     
     // First, test authentication
-    let token;
     try {
-      token = await BnetApi.getAccessToken();
+      await BnetApi.getAccessToken();
     } catch (authError) {
       return {
         isValid: false,
@@ -87,7 +99,7 @@ async function validateBattleNetCredentials(clientId, clientSecret, region, guil
     }
     
     // Test by fetching guild roster
-    const guildUrl = `/data/wow/guild/${guildRealm}/${guildName}/roster?${apiParams}&access_token=${token}`;
+    const guildUrl = `/data/wow/guild/${guildRealm}/${guildName}/roster?${apiParams}`;
     let guildResponse;
     try {
       guildResponse = await BnetApi.query(guildUrl);
@@ -232,10 +244,7 @@ router.post('/', async (req, res) => {
     const appSettingsExist = await hasAppSettings();
     const adminExists = await hasAdmin();
     
-    console.log('\n=== BACKEND /api/install POST ===');
-    console.log('appSettingsExist:', appSettingsExist);
-    console.log('adminExists:', adminExists);
-    console.log('overwrite flag:', overwrite);
+    log.debug('POST /api/install', { appSettingsExist, adminExists, overwrite });
     
     // CRITICAL: If admin doesn't exist, ALWAYS allow overwriting settings
     // This prevents users from getting stuck if something breaks during installation
@@ -246,11 +255,9 @@ router.post('/', async (req, res) => {
     // 2. Admin account exists (installation is complete)
     // 3. User hasn't explicitly requested overwrite
     const shouldBlock = appSettingsExist && adminExists && !overwrite;
-    console.log('Should block?', shouldBlock);
     
     if (shouldBlock) {
-      console.log('❌ BLOCKING - returning requiresOverwrite');
-      console.log('=================================\n');
+      log.info('❌ Install blocked, overwrite required');
       return res.status(403).json({
         success: false,
         error: 'Installation already completed',
@@ -261,13 +268,12 @@ router.post('/', async (req, res) => {
     
     // If we get here, we're allowing the operation
     if (appSettingsExist && !adminExists) {
-      console.log('✅ ALLOWING - Installation incomplete (no admin)');
+      log.info('✅ Install allowed: installation incomplete (no admin)');
     } else if (appSettingsExist && overwrite) {
-      console.log('✅ ALLOWING - Overwrite flag is true');
+      log.info('✅ Install allowed: overwrite flag is true');
     } else {
-      console.log('✅ ALLOWING - Fresh installation');
+      log.info('✅ Install allowed: fresh installation');
     }
-    console.log('=================================\n');
     
     const {
       API_BATTLENET_KEY,
@@ -330,16 +336,23 @@ router.post('/', async (req, res) => {
     // Save to database
     await saveAppSettings(settings);
     
+    await recordAuditEvent({
+      action: 'install.settings',
+      req,
+      target: 'AppSettings',
+      details: { overwrite: appSettingsExist, guild: `${GUILD_NAME}-${GUILD_REALM}`, region: REGION }
+    });
+    
     // Seed join text if it doesn't exist
     const joinTextExists = await hasJoinText();
-    console.log('📋 Join text exists:', joinTextExists);
+    log.debug('📋 Join text exists', { joinTextExists });
     if (!joinTextExists) {
       const defaultJoinText = getDefaultJoinText();
-      console.log('🌱 Seeding join text with', defaultJoinText.sections?.length || 0, 'sections');
+      log.info('🌱 Seeding join text', { sections: defaultJoinText.sections?.length || 0 });
       await saveJoinText(defaultJoinText);
-      console.log('✅ Seeded default join text');
+      log.info('✅ Seeded default join text');
     } else {
-      console.log('ℹ️  Join text already exists, skipping seed');
+      log.info('ℹ️  Join text already exists, skipping seed');
     }
     
     // Clear config cache so new settings are loaded
@@ -394,16 +407,8 @@ router.post('/login', async (req, res) => {
       });
     }
     
-    // Get admin user
-    const admin = await getAdminByUsername(username);
+    const admin = await verifyAdminCredentials(username, password, req);
     if (!admin) {
-      await logError({
-        type: 'security',
-        endpoint: '/api/install/login',
-        error: new Error('Invalid admin username'),
-        context: { username, ip: req.ip }
-      });
-      
       return res.status(401).json({
         success: false,
         error: 'Authentication failed',
@@ -411,32 +416,34 @@ router.post('/login', async (req, res) => {
       });
     }
     
-    // Verify password
-    const passwordMatch = await bcrypt.compare(password, admin.password);
-    if (!passwordMatch) {
-      await logError({
-        type: 'security',
-        endpoint: '/api/install/login',
-        error: new Error('Invalid admin password'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
+    await updateAdmin(admin.username, { lastLogin: new Date() });
+    await recordAuditEvent({
+      action: 'login.success',
+      actor: admin.username,
+      req,
+      details: { role: getAdminRole(admin) }
+    });
+    
+    // Issue a signed token: sent back for Bearer use and set as an httpOnly cookie for the browser
+    const { token, expiresAt } = issueAdminToken(admin);
+    setAdminSessionCookie(res, token, expiresAt);
     
-    // Return success
-    // Note: In a production environment, you might want to use JWT tokens or proper session management
-    // For now, we'll rely on client-side session storage
     res.json({
       success: true,
       message: 'Login successful',
-      authenticated: true
+      authenticated: true,
+      token,
+      expiresAt: expiresAt.toISOString(),
+      admin: {
+        username: admin.username,
+        role: getAdminRole(admin)
+      }
     });
   } catch (error) {
+    if (error.status === 429) {
+      return sendLoginLocked(res, error);
+    }
+
     await logError({
       type: 'api',
       endpoint: '/api/install/login',
@@ -453,7 +460,18 @@ router.post('/login', async (req, res) => {
 });
 
 /**
- * POST /api/install/admin - Create admin user
+ * POST /api/install/logout - Clear the admin session cookie
+ */
+router.post('/logout', (req, res) => {
+  clearAdminSessionCookie(res);
+  res.json({
+    success: true,
+    message: 'Logged out'
+  });
+});
+
+/**
+ * POST /api/install/admin - Create the first admin user (the owner)
  */
 router.post('/admin', async (req, res) => {
   try {
@@ -502,8 +520,15 @@ router.post('/admin', async (req, res) => {
     const saltRounds = 10;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
     
-    // Create admin user
-    await createAdmin(username, hashedPassword);
+    // Create admin user; the installing admin owns the guild site
+    await createAdmin(username, hashedPassword, 'owner');
+    await recordAuditEvent({
+      action: 'admin.create',
+      actor: username,
+      req,
+      target: username,
+      details: { role: 'owner', install: true }
+    });
     
     res.json({
       success: true,
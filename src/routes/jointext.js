@@ -4,94 +4,19 @@
  */
 
 import express from 'express';
-import bcrypt from 'bcrypt';
 import { 
   getJoinText,
-  saveJoinText,
-  getAdminByUsername
+  saveJoinText
 } from '../database.js';
 import { logError } from '../database.js';
+import { requirePermission } from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { createLogger } from '../services/logger.js';
 
-const router = express.Router();
-
-/**
- * Middleware to verify admin authentication
- */
-async function verifyAdmin(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        message: 'Please provide admin credentials'
-      });
-    }
-
-    // Decode Basic Auth
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-    const [username, password] = credentials.split(':');
-
-    if (!username || !password) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials',
-        message: 'Username and password are required'
-      });
-    }
+const log = createLogger('jointext');
 
-    // Verify admin credentials
-    const admin = await getAdminByUsername(username);
-    if (!admin) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin username'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
-
-    const passwordMatch = await bcrypt.compare(password, admin.password);
-    if (!passwordMatch) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin password'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
+const router = express.Router();
 
-    // Attach admin info to request
-    req.admin = { username };
-    next();
-  } catch (error) {
-    await logError({
-      type: 'api',
-      endpoint: req.path,
-      error: error,
-      context: { method: req.method }
-    });
-    
-    res.status(500).json({
-      success: false,
-      error: 'Authentication error',
-      message: error.message
-    });
-  }
-}
 
 /**
  * GET /api/jointext - Get join text content (public)
@@ -100,12 +25,12 @@ router.get('/', async (req, res) => {
   try {
     const joinText = await getJoinText();
     
-    console.log('🔍 GET /api/jointext - Retrieved from DB:', joinText ? 'Found' : 'Not found');
+    log.debug('🔍 GET /api/jointext', { found: Boolean(joinText) });
     
     if (!joinText) {
       // Return default content if not found
       const defaultText = getDefaultJoinText();
-      console.log('📦 Returning default join text with', defaultText.sections?.length || 0, 'sections');
+      log.debug('📦 Returning default join text', { sections: defaultText.sections?.length || 0 });
       return res.json({
         success: true,
         joinText: defaultText
@@ -113,14 +38,14 @@ router.get('/', async (req, res) => {
     }
 
     const { _id, ...joinTextWithoutId } = joinText;
-    console.log('📤 Returning join text from DB with', joinTextWithoutId.sections?.length || 0, 'sections');
+    log.debug('📤 Returning join text from DB', { sections: joinTextWithoutId.sections?.length || 0 });
     
     res.json({
       success: true,
       joinText: joinTextWithoutId
     });
   } catch (error) {
-    console.error('❌ Error in GET /api/jointext:', error);
+    log.error('❌ Error in GET /api/jointext:', error);
     await logError({
       type: 'api',
       endpoint: '/api/jointext',
@@ -139,7 +64,7 @@ router.get('/', async (req, res) => {
 /**
  * PUT /api/jointext - Update join text content (admin only)
  */
-router.put('/', verifyAdmin, async (req, res) => {
+router.put('/', requirePermission('jointext:write'), async (req, res) => {
   try {
     const joinText = req.body;
     
@@ -243,15 +168,10 @@ router.put('/', verifyAdmin, async (req, res) => {
     await saveJoinText(joinText);
     
     // Log the update
-    await logError({
-      type: 'admin-action',
-      endpoint: '/api/jointext',
-      error: new Error('Join text updated'),
-      context: { 
-        username: req.admin.username,
-        ip: req.ip,
-        sectionCount: joinText.sections.length
-      }
+    await recordAuditEvent({
+      action: 'jointext.update',
+      req,
+      details: { sectionCount: joinText.sections.length }
     });
 
     res.json({
@@ -278,25 +198,20 @@ router.put('/', verifyAdmin, async (req, res) => {
 /**
  * POST /api/jointext/seed - Seed database with default join text (admin only)
  */
-router.post('/seed', verifyAdmin, async (req, res) => {
+router.post('/seed', requirePermission('jointext:write'), async (req, res) => {
   try {
     const defaultJoinText = getDefaultJoinText();
-    console.log('🌱 Seeding join text with', defaultJoinText.sections?.length || 0, 'sections');
+    log.info('🌱 Seeding join text', { sections: defaultJoinText.sections?.length || 0 });
     
     // Save default join text to database
     await saveJoinText(defaultJoinText);
-    console.log('✅ Join text seeded successfully');
+    log.info('✅ Join text seeded successfully');
     
     // Log the seed action
-    await logError({
-      type: 'admin-action',
-      endpoint: '/api/jointext/seed',
-      error: new Error('Join text seeded'),
-      context: { 
-        username: req.admin.username,
-        ip: req.ip,
-        sectionCount: defaultJoinText.sections?.length || 0
-      }
+    await recordAuditEvent({
+      action: 'jointext.seed',
+      req,
+      details: { sectionCount: defaultJoinText.sections?.length || 0 }
     });
 
     res.json({
@@ -305,7 +220,7 @@ router.post('/seed', verifyAdmin, async (req, res) => {
       joinText: defaultJoinText
     });
   } catch (error) {
-    console.error('❌ Error seeding join text:', error);
+    log.error('❌ Error seeding join text:', error);
     await logError({
       type: 'api',
       endpoint: '/api/jointext/seed',
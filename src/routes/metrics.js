@@ -0,0 +1,35 @@
+/**
+ * @file Route handler for /metrics endpoint - Prometheus scrape target.
+ * @module routes/metrics
+ */
+
+import express from 'express';
+import { logError } from '../database.js';
+import { renderMetrics, METRICS_CONTENT_TYPE } from '../services/metrics.js';
+
+const router = express.Router();
+
+/**
+ * GET /metrics - Application metrics in the Prometheus text format
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(renderMetrics());
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/metrics',
+      error: error,
+      context: { method: 'GET' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render metrics',
+      message: error.message
+    });
+  }
+});
+
+export default router;
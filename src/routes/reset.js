@@ -4,68 +4,30 @@
  */
 
 import express from 'express';
-import bcrypt from 'bcrypt';
 import { 
-  getAdminByUsername,
-  connectToDatabase
+  connectToDatabase,
+  markIndexesMissing,
+  RESET_PRESERVED_COLLECTIONS
 } from '../database.js';
 import { logError } from '../database.js';
+import { requirePermission } from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('reset');
 
 const router = express.Router();
 
 /**
- * POST /api/reset - Reset database collections (requires admin authentication)
+ * POST /api/reset - Reset database collections (owner only)
  * This will wipe all data collections but preserve AppSettings and Admin
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('database:reset'), async (req, res) => {
   try {
-    const { username, password } = req.body;
-    
-    // Validate required fields
-    if (!username || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing credentials',
-        message: 'Username and password are required'
-      });
-    }
-    
-    // Authenticate admin user
-    const admin = await getAdminByUsername(username);
-    if (!admin) {
-      await logError({
-        type: 'security',
-        endpoint: '/api/reset',
-        error: new Error('Invalid admin username'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
-    
-    // Verify password
-    const passwordMatch = await bcrypt.compare(password, admin.password);
-    if (!passwordMatch) {
-      await logError({
-        type: 'security',
-        endpoint: '/api/reset',
-        error: new Error('Invalid admin password'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
+    const { username } = req.admin;
     
     // Admin authenticated successfully - proceed with database reset
-    console.log(`🔄 Database reset initiated by admin: ${username}`);
+    log.info(`🔄 Database reset initiated by admin: ${username}`);
     
     const { db } = await connectToDatabase();
     
@@ -73,16 +35,15 @@ router.post('/', async (req, res) => {
     const collections = await db.listCollections().toArray();
     const collectionNames = collections.map(c => c.name);
     
-    // Collections to preserve (only AppSettings - critical for app function)
-    const preserveCollections = ['AppSettings'];
+    // Collections to preserve (AppSettings - critical for app function, and the audit log)
+    const preserveCollections = RESET_PRESERVED_COLLECTIONS;
     
     // Collections to drop (including Admin so user can recreate admin account)
     const collectionsToReset = collectionNames.filter(
       name => !preserveCollections.includes(name)
     );
     
-    console.log('📋 Collections to reset:', collectionsToReset);
-    console.log('🔒 Collections to preserve:', preserveCollections);
+    log.info('📋 Collections to reset', { reset: collectionsToReset, preserve: preserveCollections });
     
     const results = {
       dropped: [],
@@ -95,36 +56,37 @@ router.post('/', async (req, res) => {
       try {
         await db.collection(collectionName).drop();
         results.dropped.push(collectionName);
-        console.log(`✅ Dropped collection: ${collectionName}`);
+        log.info(`✅ Dropped collection: ${collectionName}`);
       } catch (error) {
         // Collection might not exist or already dropped
         if (error.codeName === 'NamespaceNotFound') {
-          console.log(`⚠️  Collection ${collectionName} does not exist`);
+          log.info(`⚠️  Collection ${collectionName} does not exist`);
         } else {
           results.failed.push({ collection: collectionName, error: error.message });
-          console.error(`❌ Failed to drop collection ${collectionName}:`, error);
+          log.error(`❌ Failed to drop collection ${collectionName}:`, error);
         }
       }
     }
+
+    // Dropped collections lost their indexes (unique keys, TTLs), recreate them on next use
+    markIndexesMissing();
     
     // Log the reset action
-    await logError({
-      type: 'admin-action',
-      endpoint: '/api/reset',
-      error: new Error('Database reset performed'),
-      context: { 
-        username,
-        ip: req.ip,
+    await recordAuditEvent({
+      action: 'database.reset',
+      req,
+      details: { 
         droppedCollections: results.dropped,
         preservedCollections: results.preserved,
         failedCollections: results.failed
       }
     });
     
-    console.log(`✅ Database reset completed by ${username}`);
-    console.log(`   - Dropped: ${results.dropped.length} collections`);
-    console.log(`   - Preserved: ${results.preserved.length} collections`);
-    console.log(`   - Failed: ${results.failed.length} collections`);
+    log.info(`✅ Database reset completed by ${username}`, {
+      dropped: results.dropped.length,
+      preserved: results.preserved.length,
+      failed: results.failed.length
+    });
     
     res.json({
       success: true,
@@ -145,10 +107,10 @@ router.post('/', async (req, res) => {
       type: 'api',
       endpoint: '/api/reset',
       error: error,
-      context: { method: 'POST', body: { username: req.body?.username } }
+      context: { method: 'POST', username: req.admin?.username }
     });
     
-    console.error('❌ Database reset failed:', error);
+    log.error('❌ Database reset failed:', error);
     
     res.status(500).json({
       success: false,
@@ -159,9 +121,9 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * GET /api/reset/info - Get information about what will be reset (requires admin auth)
+ * GET /api/reset/info - Get information about what will be reset (owner only)
  */
-router.get('/info', async (req, res) => {
+router.get('/info', requirePermission('database:reset'), async (req, res) => {
   try {
     const { db } = await connectToDatabase();
     
@@ -169,8 +131,8 @@ router.get('/info', async (req, res) => {
     const collections = await db.listCollections().toArray();
     const collectionNames = collections.map(c => c.name);
     
-    // Collections to preserve (only AppSettings)
-    const preserveCollections = ['AppSettings'];
+    // Collections to preserve (AppSettings and the audit log)
+    const preserveCollections = RESET_PRESERVED_COLLECTIONS;
     
     // Collections to drop (including Admin so user can recreate admin account)
     const collectionsToReset = collectionNames.filter(
@@ -195,7 +157,7 @@ router.get('/info', async (req, res) => {
         collectionsToPreserve: preserveCollections,
         counts: collectionInfo,
         totalCollections: collectionsToReset.length,
-        warning: 'This action will permanently delete all data in the listed collections including the Admin account. Only AppSettings will be preserved. You will need to recreate your admin account after reset.'
+        warning: 'This action will permanently delete all data in the listed collections including the Admin account. Only AppSettings and the audit log will be preserved. You will need to recreate your admin account after reset.'
       }
     });
   } catch (error) {
@@ -4,100 +4,30 @@
  */
 
 import express from 'express';
-import bcrypt from 'bcrypt';
 import { 
   getAppSettings,
-  saveAppSettings,
-  getAdminByUsername
+  saveAppSettings
 } from '../database.js';
 import { logError } from '../database.js';
-import { clearConfigCache } from '../config.js';
+import { requirePermission } from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { clearConfigCache, getConfig } from '../config.js';
+import { validateBattlenetRateLimit } from '../../tools/guildFetcher/rateLimiter.mjs';
+import { validateFetchConcurrency } from '../../tools/guildFetcher/workerPool.mjs';
+import { validateSchedules } from '../cron.js';
+import { validateGearAuditRules } from '../services/gearAudit.js';
+import { validateTierCatalog } from '../services/tierCatalog.js';
+import { validateWeeklyReset } from '../services/weeklyReset.js';
+import { validateScoringProfiles } from '../services/scoringProfiles.js';
+import { validateApiCacheTtls } from '../services/apiCache.js';
 
 const router = express.Router();
 
-/**
- * Middleware to verify admin authentication
- */
-async function verifyAdmin(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        message: 'Please provide admin credentials'
-      });
-    }
-
-    // Decode Basic Auth
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-    const [username, password] = credentials.split(':');
-
-    if (!username || !password) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials',
-        message: 'Username and password are required'
-      });
-    }
-
-    // Verify admin credentials
-    const admin = await getAdminByUsername(username);
-    if (!admin) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin username'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
-
-    const passwordMatch = await bcrypt.compare(password, admin.password);
-    if (!passwordMatch) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin password'),
-        context: { username, ip: req.ip }
-      });
-      
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password'
-      });
-    }
-
-    // Attach admin info to request
-    req.admin = { username };
-    next();
-  } catch (error) {
-    await logError({
-      type: 'api',
-      endpoint: req.path,
-      error: error,
-      context: { method: req.method }
-    });
-    
-    res.status(500).json({
-      success: false,
-      error: 'Authentication error',
-      message: error.message
-    });
-  }
-}
 
 /**
  * GET /api/settings - Get app settings (admin only, includes sensitive data)
  */
-router.get('/', verifyAdmin, async (req, res) => {
+router.get('/', requirePermission('settings:read'), async (req, res) => {
   try {
     const settings = await getAppSettings();
     
@@ -134,9 +64,16 @@ router.get('/', verifyAdmin, async (req, res) => {
 
 /**
  * PUT /api/settings - Update app settings (admin only)
+ * BATTLENET_RATE_LIMIT and GUILD_FETCH_CONCURRENCY are validated and apply from the next Battle.net call
+ * and guild update.
+ * SCHEDULES is validated and the scheduler reloads it straight away; GEAR_AUDIT_RULES and
+ * TIER_CATALOG are validated and apply from the next guild update. WEEKLY_RESET is validated;
+ * stored raid lockouts follow it from the next guild update. SCORING_PROFILES and
+ * SCORING_PROFILE are validated; rankings use them straight away. API_CACHE_TTLS is validated
+ * and applies to responses cached from then on.
  * Protected fields: GUILD_NAME, GUILD_REALM, API_BATTLENET_KEY, API_BATTLENET_SECRET
  */
-router.put('/', verifyAdmin, async (req, res) => {
+router.put('/', requirePermission('settings:write'), async (req, res) => {
   try {
     const currentSettings = await getAppSettings();
     
@@ -160,6 +97,106 @@ router.put('/', verifyAdmin, async (req, res) => {
       }
     });
 
+    if (filteredUpdates.BATTLENET_RATE_LIMIT !== undefined) {
+      const rateLimitValidation = validateBattlenetRateLimit(filteredUpdates.BATTLENET_RATE_LIMIT);
+      if (!rateLimitValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid rate limit',
+          message: 'Battle.net rate limit validation failed',
+          errors: rateLimitValidation.errors
+        });
+      }
+    }
+
+    if (filteredUpdates.GUILD_FETCH_CONCURRENCY !== undefined) {
+      const concurrencyValidation = validateFetchConcurrency(filteredUpdates.GUILD_FETCH_CONCURRENCY);
+      if (!concurrencyValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid fetch concurrency',
+          message: 'Guild fetch concurrency validation failed',
+          errors: concurrencyValidation.errors
+        });
+      }
+    }
+
+    if (filteredUpdates.SCHEDULES !== undefined) {
+      const scheduleValidation = validateSchedules(filteredUpdates.SCHEDULES);
+      if (!scheduleValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid schedules',
+          message: 'Schedule validation failed',
+          errors: scheduleValidation.errors
+        });
+      }
+    }
+
+    if (filteredUpdates.GEAR_AUDIT_RULES !== undefined) {
+      const rulesValidation = validateGearAuditRules(filteredUpdates.GEAR_AUDIT_RULES);
+      if (!rulesValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid gear audit rules',
+          message: 'Gear audit rule validation failed',
+          errors: rulesValidation.errors
+        });
+      }
+    }
+
+    if (filteredUpdates.TIER_CATALOG !== undefined) {
+      const catalogValidation = validateTierCatalog(filteredUpdates.TIER_CATALOG);
+      if (!catalogValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid tier catalog',
+          message: 'Tier catalog validation failed',
+          errors: catalogValidation.errors
+        });
+      }
+    }
+
+    if (filteredUpdates.WEEKLY_RESET !== undefined) {
+      const resetValidation = validateWeeklyReset(filteredUpdates.WEEKLY_RESET);
+      if (!resetValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid weekly reset',
+          message: 'Weekly reset validation failed',
+          errors: resetValidation.errors
+        });
+      }
+    }
+
+    if (filteredUpdates.SCORING_PROFILES !== undefined || filteredUpdates.SCORING_PROFILE !== undefined) {
+      // The active profile must exist among the profiles kept after the update
+      const profilesValidation = validateScoringProfiles(
+        filteredUpdates.SCORING_PROFILES !== undefined ? filteredUpdates.SCORING_PROFILES : currentSettings.SCORING_PROFILES,
+        filteredUpdates.SCORING_PROFILE !== undefined ? filteredUpdates.SCORING_PROFILE : currentSettings.SCORING_PROFILE
+      );
+      if (!profilesValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid scoring profiles',
+          message: 'Scoring profile validation failed',
+          errors: profilesValidation.errors
+        });
+      }
+    }
+
+    if (filteredUpdates.API_CACHE_TTLS !== undefined) {
+      const ttlValidation = validateApiCacheTtls(filteredUpdates.API_CACHE_TTLS);
+      if (!ttlValidation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cache TTLs',
+          message: 'API cache TTL validation failed',
+          errors: ttlValidation.errors
+        });
+      }
+    }
+
     // Merge with existing settings, preserving protected fields
     const updatedSettings = {
       ...currentSettings,
@@ -178,19 +215,16 @@ router.put('/', verifyAdmin, async (req, res) => {
     // Save updated settings
     await saveAppSettings(updatedSettings);
     
-    // Clear config cache
+    // Clear config cache and reload it, so settings such as LOGGING and SCHEDULES apply straight away
     clearConfigCache();
+    await getConfig();
 
     // Log the update
-    await logError({
-      type: 'admin-action',
-      endpoint: '/api/settings',
-      error: new Error('Settings updated'),
-      context: { 
-        username: req.admin.username,
-        ip: req.ip,
-        updatedFields: Object.keys(filteredUpdates)
-      }
+    await recordAuditEvent({
+      action: 'settings.update',
+      req,
+      target: 'AppSettings',
+      details: { updatedFields: Object.keys(filteredUpdates) }
     });
 
     res.json({
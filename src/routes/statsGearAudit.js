@@ -0,0 +1,75 @@
+/**
+ * @file Route handler for /stats/gear-audit endpoint.
+ * @module routes/statsGearAudit
+ */
+
+import express from 'express';
+import { getAllMembers } from '../database.js';
+import { GEAR_ISSUE_TYPES } from '../services/gearAudit.js';
+
+/**
+ * GET /stats/gear-audit - Returns the gear audit of every member and guild-wide totals.
+ * @route GET /stats/gear-audit
+ * @query {string} issue - Only members with this issue type (missingEnchant, lowEnchantRank, emptySocket, missingEmbellishment)
+ * @returns {Object} JSON response with issue totals per type and slot, and one report per member.
+ */
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const { issue } = req.query;
+    if (issue && !GEAR_ISSUE_TYPES.includes(issue)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid issue type',
+        message: `issue must be one of: ${GEAR_ISSUE_TYPES.join(', ')}`
+      });
+    }
+
+    const members = await getAllMembers();
+    if (!members.length) {
+      return res.status(404).json({ success: false, error: 'No guild data available' });
+    }
+
+    // Members stored before the gear audit existed have no report until the next update
+    const reports = members
+      .filter(member => member.gearAudit)
+      .map(member => ({
+        name: member.name,
+        server: member.server,
+        class: member.metaData?.class,
+        spec: member.metaData?.spec,
+        ready: member.gearAudit.ready,
+        summary: member.gearAudit.summary,
+        issues: member.gearAudit.issues,
+        items: member.gearAudit.items
+      }))
+      .filter(report => !issue || report.summary[issue] > 0);
+
+    const summary = Object.fromEntries(GEAR_ISSUE_TYPES.map(type => [
+      type,
+      reports.filter(report => report.summary[type] > 0).length
+    ]));
+    const bySlot = {};
+    reports.forEach(report => report.issues.forEach(({ slot, type }) => {
+      bySlot[slot] = bySlot[slot] || {};
+      bySlot[slot][type] = (bySlot[slot][type] || 0) + 1;
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        members: reports.length,
+        ready: reports.filter(report => report.ready).length,
+        summary,
+        bySlot,
+        reports
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to read gear audit statistics', message: error.message });
+  }
+});
+
+export default router;
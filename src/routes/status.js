@@ -4,24 +4,39 @@
  */
 
 import express from 'express';
-// Import activeProcesses and getNextScheduledUpdate from the appropriate modules
+import { logError } from '../database.js';
+import { getUpdateStatus } from '../services/systemHealth.js';
+
+const router = express.Router();
 
 /**
- * GET /status - Returns status of active processes.
+ * GET /status - Returns status of active processes, the cron schedule and the last guild updates.
  * @route GET /status
  * @returns {Object} JSON response with process status.
  */
-const router = express.Router();
+router.get('/', async (req, res) => {
+  try {
+    const status = await getUpdateStatus();
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      ...status,
+      nextScheduledUpdate: status.cron.nextRun
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/api/status',
+      error: error,
+      context: { method: 'GET' }
+    });
 
-router.get('/', (req, res) => {
-  // const activeProcesses = ...
-  // const getNextScheduledUpdate = ...
-  res.json({
-    success: true,
-    // activeProcesses: activeProcesses.size,
-    // processes: Array.from(activeProcesses.keys()),
-    // nextScheduledUpdate: getNextScheduledUpdate()
-  });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get status',
+      message: error.message
+    });
+  }
 });
 
-export default router; 
\ No newline at end of file
+export default router;
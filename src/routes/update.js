@@ -4,80 +4,50 @@
  */
 
 import express from 'express';
-import { startGuildUpdate } from '../../tools/guildFetcher/fetchGuild.mjs';
-import { findMemberByName, updateMember, addMember, logError } from '../database.js';
+import { findMemberByName, findActiveJob, logError } from '../database.js';
+import { enqueueJob, waitForJob, serialiseJob } from '../services/jobQueue.js';
 
 const router = express.Router();
 
-// Track running processes to prevent concurrent updates
-let isGuildUpdateRunning = false;
-let currentProcessId = null;
+// How long POST /update/:realm/:character waits for its job before answering 202
+const CHARACTER_UPDATE_WAIT_MS = (Number(process.env.CHARACTER_UPDATE_WAIT_SECONDS) || 30) * 1000;
 
 /**
- * POST /update - Starts a guild data update process.
+ * POST /update - Queues a guild data update job.
+ * Only what changed on Battle.net since the last run is refetched unless `force` is true.
  * @route POST /update
- * @returns {Object} JSON response with update status.
+ * @returns {Object} JSON response with the job ID (also returned as processId).
  */
 router.post('/', async (req, res) => {
   try {
-    // Check if guild update is already running
-    if (isGuildUpdateRunning) {
+    const { dataTypes = ['raid', 'mplus', 'pvp'], force = false } = req.body;
+
+    // Only one guild update can be queued or running (including scheduled runs started by the cron)
+    const { job, activeJob } = await enqueueJob('guild-update', { dataTypes, force: force === true }, {
+      requestedBy: req.admin?.username || 'install'
+    });
+
+    if (!job) {
+      const processId = activeJob._id.toString();
       return res.status(409).json({ 
         success: false, 
         error: 'Guild update already in progress',
-        processId: currentProcessId,
+        processId,
+        jobId: processId,
         message: 'Another guild update is currently running. Please wait for it to complete.'
       });
     }
 
-    const { dataTypes = ['raid', 'mplus', 'pvp'] } = req.body;
-    const processId = `guild-update-${Date.now()}`;
-    
-    // Set running state
-    isGuildUpdateRunning = true;
-    currentProcessId = processId;
-
-    // Start the guild update process (don't await to avoid blocking the response)
-    startGuildUpdate(dataTypes, processId, req.app.get('io'))
-      .then(() => {
-        // Reset running state when complete
-        isGuildUpdateRunning = false;
-        currentProcessId = null;
-        console.log(`Guild update process ${processId} completed successfully`);
-      })
-      .catch(async (error) => {
-        // Reset running state on error
-        isGuildUpdateRunning = false;
-        currentProcessId = null;
-        
-        await logError({
-          type: 'api',
-          endpoint: '/update',
-          error: error,
-          context: {
-            method: req.method,
-            url: req.url,
-            body: req.body,
-            processId,
-            userAgent: req.get('User-Agent'),
-            ip: req.ip
-          }
-        });
-        
-        console.error(`Guild update process ${processId} failed:`, error.message);
-      });
-
+    const jobId = job._id.toString();
     res.json({ 
       success: true, 
       message: 'Guild update started successfully',
-      processId,
-      dataTypes
+      processId: jobId,
+      jobId,
+      dataTypes,
+      force: force === true
     });
   } catch (error) {
-    // Reset running state on error
-    isGuildUpdateRunning = false;
-    currentProcessId = null;
-    
     await logError({
       type: 'api',
       endpoint: '/update',
@@ -100,16 +70,19 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * POST /update/:realm/:character - Updates a single character.
+ * POST /update/:realm/:character - Updates a single character through a character-update job.
+ * Answers with the saved character when the job finishes within CHARACTER_UPDATE_WAIT_SECONDS,
+ * otherwise with 202 and the job ID to follow on /api/jobs/:id.
  * @route POST /update/:realm/:character
  * @param {string} realm - The realm name
  * @param {string} character - The character name
  * @returns {Object} JSON response with update status.
  */
 router.post('/:realm/:character', async (req, res) => {
+  const { realm, character } = req.params;
+
   try {
-    const { realm, character } = req.params;
-    const { dataTypes = ['raid', 'mplus', 'pvp'] } = req.body;
+    const { dataTypes = ['raid', 'mplus', 'pvp'], force = false } = req.body;
     
     // Validate parameters
     if (!realm || !character) {
@@ -123,67 +96,49 @@ router.post('/:realm/:character', async (req, res) => {
     const characterName = character.toLowerCase();
     const server = realm.toLowerCase();
 
-    // Use the existing character fetch endpoint to get fresh data
-    const host = process.env.HOST || 'localhost';
-    const port = process.env.PORT || 8000;
-    const fetchUrl = `http://${host}:${port}/api/fetch/${server}/${characterName}?dataTypes=${dataTypes.join(',')}`;
-    
-    const response = await fetch(fetchUrl);
-    const result = await response.json();
-    
-    if (!result.success || !result.character) {
-      return res.status(404).json({
-        success: false,
-        error: 'Character not found',
-        message: `Character ${characterName}-${server} not found or failed to fetch`
+    const { job } = await enqueueJob('character-update', {
+      realm: server,
+      character: characterName,
+      dataTypes,
+      force: force === true
+    }, { requestedBy: req.admin?.username || 'install' });
+    const jobId = job._id.toString();
+
+    const finished = await waitForJob(jobId, CHARACTER_UPDATE_WAIT_MS);
+    if (!finished) {
+      return res.status(202).json({
+        success: true,
+        message: `Character ${characterName}-${server} update queued`,
+        jobId
       });
     }
 
-    const characterData = result.character;
-    
-    // Check if member exists in database
-    try {
-      const existingMember = await findMemberByName(characterName, server);
-      
-      if (existingMember) {
-        // Update existing member
-        await updateMember(characterName, server, characterData);
-        console.log(`✅ Updated existing member: ${characterName}-${server}`);
-      } else {
-        // Add new member
-        await addMember(characterData);
-        console.log(`✅ Added new member: ${characterName}-${server}`);
+    const result = finished.results?.[0];
+    if (finished.status !== 'succeeded') {
+      if (result?.outcome === 'skipped') {
+        return res.status(404).json({
+          success: false,
+          error: 'Character not found',
+          message: `Character ${characterName}-${server} not found or failed to fetch`,
+          jobId
+        });
       }
-      
-      res.json({
-        success: true,
-        message: `Character ${characterName}-${server} updated successfully`,
-        character: characterData,
-        action: existingMember ? 'updated' : 'added'
-      });
-    } catch (dbError) {
-      await logError({
-        type: 'api',
-        endpoint: `/update/${realm}/${character}`,
-        error: dbError,
-        context: {
-          method: req.method,
-          url: req.url,
-          params: req.params,
-          body: req.body,
-          character: `${characterName}-${server}`,
-          userAgent: req.get('User-Agent'),
-          ip: req.ip
-        }
-      });
-      
-      console.error(`❌ Database error for ${characterName}-${server}:`, dbError.message);
-      res.status(500).json({
+
+      return res.status(500).json({
         success: false,
-        error: 'Database error',
-        message: `Failed to save character data: ${dbError.message}`
+        error: result?.outcome === 'db_error' ? 'Database error' : 'Failed to update character',
+        message: finished.error,
+        jobId
       });
     }
+
+    res.json({
+      success: true,
+      message: `Character ${characterName}-${server} updated successfully`,
+      character: await findMemberByName(characterName, server),
+      action: result.outcome,
+      jobId
+    });
   } catch (error) {
     await logError({
       type: 'api',
@@ -210,17 +165,36 @@ router.post('/:realm/:character', async (req, res) => {
 /**
  * GET /update/status - Get the current status of guild updates.
  * @route GET /update/status
- * @returns {Object} JSON response with current update status.
+ * @returns {Object} JSON response with the queued or running guild update job, if any.
  */
-router.get('/status', (req, res) => {
-  res.json({
-    success: true,
-    isRunning: isGuildUpdateRunning,
-    processId: currentProcessId,
-    message: isGuildUpdateRunning 
-      ? `Guild update is currently running (Process ID: ${currentProcessId})`
-      : 'No guild update is currently running'
-  });
+router.get('/status', async (req, res) => {
+  try {
+    const activeJob = await findActiveJob('guild-update');
+    const processId = activeJob ? activeJob._id.toString() : null;
+
+    res.json({
+      success: true,
+      isRunning: Boolean(activeJob),
+      processId,
+      job: activeJob ? serialiseJob(activeJob) : null,
+      message: activeJob 
+        ? `Guild update is currently ${activeJob.status} (Process ID: ${processId})`
+        : 'No guild update is currently running'
+    });
+  } catch (error) {
+    await logError({
+      type: 'api',
+      endpoint: '/update/status',
+      error: error,
+      context: { method: 'GET' }
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get update status',
+      message: error.message
+    });
+  }
 });
 
-export default router; 
\ No newline at end of file
+export default router;
@@ -7,93 +7,37 @@
  */
 
 import express from 'express';
-import bcrypt from 'bcrypt';
 import {
-  getAdminByUsername,
   getAppSettings,
   connectToDatabase,
   logError,
 } from '../database.js';
 import { clearConfigCache } from '../config.js';
+import { enqueueGuildUpdate } from '../services/jobQueue.js';
+import { requirePermission } from '../services/adminAuth.js';
+import { recordAuditEvent } from '../services/auditLog.js';
+import { getTierSetIds } from '../services/tierCatalog.js';
 import dotenv from 'dotenv';
+import { createLogger } from '../services/logger.js';
 dotenv.config();
 
-const router = express.Router();
-
-/* ─── Auth middleware (same pattern as settings.js) ──────────── */
-async function verifyAdmin(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Basic ')) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        message: 'Please provide admin credentials',
-      });
-    }
-
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-    const [username, password] = credentials.split(':');
-
-    if (!username || !password) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid credentials',
-        message: 'Username and password are required',
-      });
-    }
-
-    const admin = await getAdminByUsername(username);
-    if (!admin) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin username'),
-        context: { username, ip: req.ip },
-      });
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password',
-      });
-    }
+const log = createLogger('upgrade');
 
-    const passwordMatch = await bcrypt.compare(password, admin.password);
-    if (!passwordMatch) {
-      await logError({
-        type: 'security',
-        endpoint: req.path,
-        error: new Error('Invalid admin password'),
-        context: { username, ip: req.ip },
-      });
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication failed',
-        message: 'Invalid username or password',
-      });
-    }
+const router = express.Router();
 
-    req.admin = { username };
-    next();
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Authentication error',
-      message: error.message,
-    });
-  }
-}
 
 /* ─── Migration definitions ──────────────────────────────────── */
 
+/** True when enqueueGuildUpdate declined because another run is queued or in flight */
+const isAlreadyRunning = (result) => result.error === 'Guild update process already running';
+
 /**
  * Each migration has:
  *   id        - unique key
  *   name      - display name
  *   description - what it does
  *   check()   - async: returns { needed: bool, reason: string }
- *   run()     - async: performs the migration, returns { success, message, ...extra }
+ *   run(io)   - async: performs the migration, returns { success, message, ...extra }
  */
 const MIGRATIONS = [
   {
@@ -191,32 +135,23 @@ const MIGRATIONS = [
       };
     },
     run: async () => {
-      const host = process.env.HOST || 'localhost';
-      const port = process.env.PORT || 8000;
-
-      const response = await fetch(`http://${host}:${port}/api/update`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ dataTypes: ['raid'] }),
-      });
+      // Forced: stored raid data may belong to the previous CURRENT_EXPANSION
+      const result = await enqueueGuildUpdate(['raid'], 'upgrade', { force: true });
 
-      const data = await response.json();
-
-      // 409 = update already in progress, treat as success
-      if (!response.ok && response.status !== 409) {
+      // An update already in progress will include raid data, treat as success
+      if (!result.success && !isAlreadyRunning(result)) {
         return {
           success: false,
-          message: data.message || 'Failed to start raid resync',
+          message: result.message || result.error || 'Failed to start raid resync',
         };
       }
 
       return {
         success: true,
-        message:
-          response.status === 409
-            ? 'A guild update is already in progress — it will include raid data.'
-            : 'Raid data resync started in the background. Monitor progress on the install page.',
-        processId: data.processId,
+        message: isAlreadyRunning(result)
+          ? 'A guild update is already in progress — it will include raid data.'
+          : 'Raid data resync started in the background. Monitor progress on the install page.',
+        processId: result.processId,
         background: true,
       };
     },
@@ -227,8 +162,8 @@ const MIGRATIONS = [
     name: 'Re-sync Tier Set Data',
     description:
       'Re-fetches equipment data for all guild members to update tier set detection ' +
-      'against the current CURRENT_SEASON_TIER_SETS configuration. Run this after ' +
-      'updating the tier set list in settings.',
+      'against the current TIER_CATALOG (or CURRENT_SEASON_TIER_SETS) configuration. ' +
+      'Run this after updating the tier sets in settings.',
     check: async () => {
       const { db } = await connectToDatabase();
       const col = db.collection(process.env.MEMBERS_COLLECTION_NAME);
@@ -239,12 +174,13 @@ const MIGRATIONS = [
       }
 
       const settings = await getAppSettings();
-      const tierSets = settings?.CURRENT_SEASON_TIER_SETS || [];
+      const catalogSets = getTierSetIds(settings);
+      const tierSets = catalogSets.size ? [...catalogSets] : settings?.CURRENT_SEASON_TIER_SETS || [];
 
       if (tierSets.length === 0) {
         return {
           needed: false,
-          reason: 'No tier sets configured in CURRENT_SEASON_TIER_SETS — update settings first',
+          reason: 'No tier sets configured in TIER_CATALOG or CURRENT_SEASON_TIER_SETS — update settings first',
         };
       }
 
@@ -254,32 +190,22 @@ const MIGRATIONS = [
       };
     },
     run: async () => {
-      const host = process.env.HOST || 'localhost';
-      const port = process.env.PORT || 8000;
-
       // Equipment is included in the default guild update - we don't need a separate dataType
-      const response = await fetch(`http://${host}:${port}/api/update`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ dataTypes: ['raid', 'mplus', 'pvp'] }),
-      });
-
-      const data = await response.json();
+      const result = await enqueueGuildUpdate(['raid', 'mplus', 'pvp'], 'upgrade', { force: true });
 
-      if (!response.ok && response.status !== 409) {
+      if (!result.success && !isAlreadyRunning(result)) {
         return {
           success: false,
-          message: data.message || 'Failed to start guild resync',
+          message: result.message || result.error || 'Failed to start guild resync',
         };
       }
 
       return {
         success: true,
-        message:
-          response.status === 409
-            ? 'A guild update is already in progress.'
-            : 'Full guild resync started (includes equipment/tier data). Monitor on the install page.',
-        processId: data.processId,
+        message: isAlreadyRunning(result)
+          ? 'A guild update is already in progress.'
+          : 'Full guild resync started (includes equipment/tier data). Monitor on the install page.',
+        processId: result.processId,
         background: true,
       };
     },
@@ -287,7 +213,7 @@ const MIGRATIONS = [
 ];
 
 /* ─── GET /api/upgrade/status ────────────────────────────────── */
-router.get('/status', verifyAdmin, async (req, res) => {
+router.get('/status', requirePermission('upgrade:read'), async (req, res) => {
   try {
     const migrationStatus = await Promise.all(
       MIGRATIONS.map(async (migration) => {
@@ -331,7 +257,7 @@ router.get('/status', verifyAdmin, async (req, res) => {
 });
 
 /* ─── POST /api/upgrade/run/:migrationId ─────────────────────── */
-router.post('/run/:migrationId', verifyAdmin, async (req, res) => {
+router.post('/run/:migrationId', requirePermission('upgrade:run'), async (req, res) => {
   const { migrationId } = req.params;
   const migration = MIGRATIONS.find((m) => m.id === migrationId);
 
@@ -343,14 +269,14 @@ router.post('/run/:migrationId', verifyAdmin, async (req, res) => {
   }
 
   try {
-    console.log(`🔧 Running migration "${migrationId}" by admin: ${req.admin.username}`);
+    log.info(`🔧 Running migration "${migrationId}" by admin: ${req.admin.username}`);
     const result = await migration.run(req.app.get('io'));
 
-    await logError({
-      type: 'admin-action',
-      endpoint: `/api/upgrade/run/${migrationId}`,
-      error: new Error(`Migration run: ${migrationId}`),
-      context: { username: req.admin.username, ip: req.ip, result },
+    await recordAuditEvent({
+      action: 'upgrade.run',
+      req,
+      target: migrationId,
+      details: { result },
     });
 
     res.json({ success: true, migration: migrationId, ...result });
@@ -366,9 +292,9 @@ router.post('/run/:migrationId', verifyAdmin, async (req, res) => {
 });
 
 /* ─── POST /api/upgrade/run-all ──────────────────────────────── */
-router.post('/run-all', verifyAdmin, async (req, res) => {
+router.post('/run-all', requirePermission('upgrade:run'), async (req, res) => {
   try {
-    console.log(`🔧 Running all pending migrations by admin: ${req.admin.username}`);
+    log.info(`🔧 Running all pending migrations by admin: ${req.admin.username}`);
     const results = [];
 
     for (const migration of MIGRATIONS) {
@@ -408,11 +334,10 @@ router.post('/run-all', verifyAdmin, async (req, res) => {
       }
     }
 
-    await logError({
-      type: 'admin-action',
-      endpoint: '/api/upgrade/run-all',
-      error: new Error('Run-all migrations executed'),
-      context: { username: req.admin.username, ip: req.ip, results },
+    await recordAuditEvent({
+      action: 'upgrade.run-all',
+      req,
+      details: { results },
     });
 
     res.json({ success: true, results });
@@ -0,0 +1,230 @@
+/**
+ * @file Access policy layer — every router is mounted with a declared policy
+ * (public, member, admin or scrape token), enforced before the router runs, and
+ * assertAccessPolicies() fails when a registered route has none.
+ * @module services/accessPolicy
+ */
+
+import crypto from 'crypto';
+import { hasAdmin } from '../database.js';
+import { requireAdmin, requirePermission } from './adminAuth.js';
+import { requireMemberSession } from './bnetAuth.js';
+
+export const PUBLIC = Object.freeze({ level: 'public' });
+export const MEMBER = Object.freeze({ level: 'member' });
+
+/**
+ * Admin policy, optionally limited to roles holding a permission.
+ * @param {string|null} permission - Permission key from adminAuth PERMISSIONS
+ * @returns {Object} Policy
+ */
+export const admin = (permission = null) => Object.freeze({ level: 'admin', permission });
+
+/**
+ * Policy for the installation wizard: public until the first admin account exists,
+ * then restricted to admins holding the permission.
+ * @param {string} permission - Permission key from adminAuth PERMISSIONS
+ * @returns {Object} Policy
+ */
+export const setup = (permission) => Object.freeze({ level: 'setup', permission });
+
+/**
+ * Policy for machine clients such as a Prometheus scraper: when the environment
+ * variable is set, requests must send it as `Authorization: Bearer <token>`;
+ * when it is unset the route is public.
+ * @param {string} envVar - Environment variable holding the token
+ * @returns {Object} Policy
+ */
+export const token = (envVar) => Object.freeze({ level: 'token', envVar });
+
+/**
+ * Per-route policies for routers that mix public and protected routes.
+ * Keys are "METHOD /path" exactly as declared in the router (e.g. "DELETE /:id").
+ * @param {Object} map - { "GET /": PUBLIC, "POST /": admin('roster:write') }
+ * @returns {Object} Policy
+ */
+export const routes = (map) => Object.freeze({ level: 'routes', map });
+
+// Routers mounted through mountWithPolicy, checked by assertAccessPolicies
+const mountedRouters = new Map();
+
+/**
+ * Turn an Express route path into a matcher for the request path relative to the mount.
+ * Supports the plain segments and :params used by the routers; like Express, matching
+ * is case-insensitive and ignores a trailing slash.
+ * @param {string} path - Route path, e.g. "/:realm/:character"
+ * @returns {RegExp} Matcher
+ */
+function compileRoutePath(path) {
+  const pattern = path
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${pattern === '/' ? '' : pattern}/?$`, 'i');
+}
+
+/**
+ * Compare a bearer token with the expected value in constant time.
+ * @param {string} authHeader - Authorization header
+ * @param {string} expected - Expected token
+ * @returns {boolean} True when they match
+ */
+function bearerMatches(authHeader, expected) {
+  const received = Buffer.from(authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '');
+  const wanted = Buffer.from(expected);
+  return received.length === wanted.length && crypto.timingSafeEqual(received, wanted);
+}
+
+/**
+ * Build the middleware enforcing one (non-route-map) policy.
+ * @param {Object} policy - PUBLIC, MEMBER, admin(...), setup(...) or token(...)
+ * @returns {Function} Express middleware
+ */
+function enforcePolicy(policy) {
+  switch (policy.level) {
+    case 'public':
+      return (req, res, next) => next();
+    case 'member':
+      return requireMemberSession;
+    case 'admin':
+      return policy.permission ? requirePermission(policy.permission) : requireAdmin;
+    case 'setup': {
+      const requireSetupPermission = requirePermission(policy.permission);
+      return async (req, res, next) => {
+        try {
+          if (!(await hasAdmin())) {
+            return next();
+          }
+        } catch (error) {
+          return next(error);
+        }
+        requireSetupPermission(req, res, next);
+      };
+    }
+    case 'token':
+      return (req, res, next) => {
+        const expected = process.env[policy.envVar];
+        if (!expected || bearerMatches(req.headers.authorization || '', expected)) {
+          return next();
+        }
+        res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          message: `Send the ${policy.envVar} value as a bearer token`
+        });
+      };
+    default:
+      throw new Error(`Unknown access policy level: ${policy.level}`);
+  }
+}
+
+/**
+ * Build the middleware for a policy, resolving per-route maps at request time.
+ * Requests matching no declared route are answered with 404 before reaching the router (fail closed).
+ * @param {Object} policy - Policy
+ * @returns {Function} Express middleware
+ */
+function buildPolicyMiddleware(policy) {
+  if (policy.level !== 'routes') {
+    return enforcePolicy(policy);
+  }
+
+  // Static paths win over :params (e.g. GET /stats before GET /:id), as declared in the routers
+  const rules = Object.entries(policy.map)
+    .map(([key, rulePolicy]) => {
+      const [method, path] = key.split(' ');
+      return {
+        method: method.toUpperCase(),
+        params: (path.match(/:/g) || []).length,
+        matcher: compileRoutePath(path),
+        enforce: enforcePolicy(rulePolicy)
+      };
+    })
+    .sort((a, b) => a.params - b.params);
+
+  return (req, res, next) => {
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+    const rule = rules.find(candidate => candidate.method === method && candidate.matcher.test(req.path));
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Endpoint not found'
+      });
+    }
+    rule.enforce(req, res, next);
+  };
+}
+
+/**
+ * Mount a router behind its access policy.
+ * @param {Object} app - Express app
+ * @param {string} mountPath - Mount path, e.g. "/api/errors"
+ * @param {Object} router - Express router
+ * @param {Object} policy - PUBLIC, MEMBER, admin(...), setup(...), token(...) or routes({...})
+ */
+export function mountWithPolicy(app, mountPath, router, policy) {
+  if (!policy || !policy.level) {
+    throw new Error(`No access policy declared for ${mountPath}`);
+  }
+
+  app.use(mountPath, buildPolicyMiddleware(policy), router);
+  mountedRouters.set(mountPath, { router, policy });
+}
+
+/**
+ * List the routes declared on a router.
+ * @param {Object} router - Express router
+ * @returns {Object[]} Array of { method, path }
+ */
+function listRouterRoutes(router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .filter(method => method !== '_all')
+      .map(method => ({ method: method.toUpperCase(), path: layer.route.path })));
+}
+
+/**
+ * Find routes without a declared access policy: routers mounted without
+ * mountWithPolicy, and routes missing from a per-route policy map.
+ * @param {Object} app - Express app
+ * @returns {string[]} Descriptions of the unprotected routes
+ */
+export function findRoutesWithoutPolicy(app) {
+  const problems = [];
+  const protectedRouters = new Set([...mountedRouters.values()].map(entry => entry.router));
+
+  (app._router?.stack || []).forEach(layer => {
+    if (layer.name === 'router' && !protectedRouters.has(layer.handle)) {
+      problems.push(`Router mounted at ${layer.regexp} has no access policy (use mountWithPolicy)`);
+    }
+    if (layer.route) {
+      problems.push(`Route ${Object.keys(layer.route.methods).join(',').toUpperCase()} ${layer.route.path} is registered on the app without an access policy`);
+    }
+  });
+
+  mountedRouters.forEach(({ router, policy }, mountPath) => {
+    if (policy.level !== 'routes') return;
+
+    listRouterRoutes(router).forEach(({ method, path }) => {
+      if (!policy.map[`${method} ${path}`]) {
+        problems.push(`${method} ${mountPath}${path === '/' ? '' : path} has no entry in the route policy map`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Throw when any registered route has no declared access policy.
+ * Called at startup and by `npm run check:policies`.
+ * @param {Object} app - Express app
+ */
+export function assertAccessPolicies(app) {
+  const problems = findRoutesWithoutPolicy(app);
+  if (problems.length) {
+    throw new Error(`Access policy check failed:\n  - ${problems.join('\n  - ')}`);
+  }
+}
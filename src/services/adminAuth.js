@@ -0,0 +1,344 @@
+/**
+ * @file Admin authentication — signed bearer/session tokens issued by
+ * /api/install/login, admin roles and per-route permission checks.
+ * @module services/adminAuth
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { getAdminByUsername, logError } from '../database.js';
+import { recordAuditEvent } from './auditLog.js';
+import { checkLoginLockout, recordFailedLogin, clearFailedLogins } from './loginThrottle.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('adminAuth');
+
+export const ADMIN_SESSION_COOKIE = 'admin_session';
+
+export const ROLES = ['owner', 'officer', 'raid-leader', 'viewer'];
+
+// Admins created before roles existed are the install owner
+export const DEFAULT_ROLE = 'owner';
+
+/**
+ * Roles allowed for each permission. Routes check permissions, never role names,
+ * so what a role may do is decided here in one place.
+ */
+export const PERMISSIONS = {
+  'guild:update': ['owner', 'officer', 'raid-leader'],
+  'jobs:read': ['owner', 'officer', 'raid-leader', 'viewer'],
+  'roster:write': ['owner', 'officer', 'raid-leader'],
+  'players:read': ['owner', 'officer', 'raid-leader', 'viewer'],
+  'players:write': ['owner', 'officer', 'raid-leader'],
+  'signups:read': ['owner', 'officer', 'raid-leader', 'viewer'],
+  'signups:delete': ['owner', 'officer'],
+  'jointext:write': ['owner', 'officer'],
+  'errors:read': ['owner', 'officer'],
+  'errors:write': ['owner', 'officer'],
+  'audit:read': ['owner', 'officer'],
+  'settings:read': ['owner', 'officer'],
+  'settings:write': ['owner'],
+  'upgrade:read': ['owner', 'officer'],
+  'upgrade:run': ['owner'],
+  'database:reset': ['owner'],
+  'admins:manage': ['owner']
+};
+
+const DEFAULT_TOKEN_TTL_HOURS = 12;
+
+let tokenSecret = process.env.ADMIN_TOKEN_SECRET || null;
+if (!tokenSecret) {
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+  log.warn('⚠️  ADMIN_TOKEN_SECRET is not set, admin tokens will be invalidated when the server restarts');
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const sign = (payload) => crypto.createHmac('sha256', tokenSecret).update(payload).digest('base64url');
+
+/**
+ * Role of an admin document.
+ * @param {Object} admin - Admin document
+ * @returns {string} Role name
+ */
+export const getAdminRole = (admin) => (ROLES.includes(admin?.role) ? admin.role : DEFAULT_ROLE);
+
+/**
+ * Check whether a role grants a permission.
+ * @param {string} role - Role name
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Issue a signed admin token.
+ * The token carries the admin's tokenVersion, so changing the password or role
+ * (which bumps the version) revokes every token issued before.
+ * @param {Object} admin - Admin document
+ * @returns {{ token: string, expiresAt: Date }} Token and expiry
+ */
+export function issueAdminToken(admin) {
+  const ttlHours = Number(process.env.ADMIN_TOKEN_TTL_HOURS) || DEFAULT_TOKEN_TTL_HOURS;
+  const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  const payload = base64url(JSON.stringify({
+    sub: admin.username,
+    role: getAdminRole(admin),
+    ver: admin.tokenVersion || 0,
+    exp: expiresAt.getTime()
+  }));
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verify a token's signature and expiry.
+ * @param {string} token - Token from issueAdminToken
+ * @returns {Object|null} Decoded claims, or null when invalid or expired
+ */
+function decodeAdminToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a username/password pair, enforcing the per-username and per-IP lockouts.
+ * Failed and locked-out attempts are written to the audit log.
+ * @param {string} username - Admin username
+ * @param {string} password - Plain text password
+ * @param {Object} req - Express request (for the client IP and auditing)
+ * @returns {Promise<Object|null>} The admin document, or null when the credentials are invalid
+ * @throws {Error} With status 429 and retryAfterSeconds while the username or IP is locked out
+ */
+export async function verifyAdminCredentials(username, password, req) {
+  const lockout = await checkLoginLockout(username, req.ip);
+  if (lockout.locked) {
+    await recordAuditEvent({
+      action: 'login.locked',
+      outcome: 'denied',
+      actor: username,
+      req,
+      details: { scope: lockout.scope, retryAfterSeconds: lockout.retryAfterSeconds }
+    });
+
+    const lockedError = new Error(`Too many failed login attempts, try again in ${lockout.retryAfterSeconds} seconds`);
+    lockedError.status = 429;
+    lockedError.retryAfterSeconds = lockout.retryAfterSeconds;
+    throw lockedError;
+  }
+
+  const admin = await getAdminByUsername(username);
+  const passwordMatch = admin ? await bcrypt.compare(password, admin.password) : false;
+
+  if (!passwordMatch) {
+    const { failures, lockedForSeconds } = await recordFailedLogin(username, req.ip);
+    await recordAuditEvent({
+      action: 'login.failure',
+      outcome: 'failure',
+      actor: username,
+      req,
+      details: {
+        reason: admin ? 'Invalid password' : 'Unknown username',
+        failures,
+        lockedForSeconds
+      }
+    });
+    return null;
+  }
+
+  await clearFailedLogins(username);
+  return admin;
+}
+
+/**
+ * Send the 429 response for a locked-out login.
+ * @param {Object} res - Express response
+ * @param {Error} error - Lockout error from verifyAdminCredentials
+ */
+export function sendLoginLocked(res, error) {
+  res.set('Retry-After', String(error.retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    error: 'Too many login attempts',
+    message: error.message,
+    retryAfterSeconds: error.retryAfterSeconds
+  });
+}
+
+/**
+ * Set the admin session cookie for browser clients.
+ * @param {Object} res - Express response
+ * @param {string} token - Admin token
+ * @param {Date} expiresAt - Token expiry
+ */
+export function setAdminSessionCookie(res, token, expiresAt) {
+  res.cookie(ADMIN_SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    expires: expiresAt,
+    path: '/api'
+  });
+}
+
+/**
+ * Clear the admin session cookie.
+ * @param {Object} res - Express response
+ */
+export function clearAdminSessionCookie(res) {
+  res.clearCookie(ADMIN_SESSION_COOKIE, { path: '/api' });
+}
+
+/**
+ * Read the admin token from the Authorization header or the session cookie.
+ * @param {Object} req - Express request
+ * @returns {string|null} Token
+ */
+function readAdminToken(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+
+  const entry = (req.headers.cookie || '').split(';').map(part => part.trim())
+    .find(part => part.startsWith(`${ADMIN_SESSION_COOKIE}=`));
+  return entry ? decodeURIComponent(entry.slice(ADMIN_SESSION_COOKIE.length + 1)) : null;
+}
+
+/**
+ * Resolve the admin making a request.
+ * Bearer and cookie tokens only cost a database lookup (to honour revocation and
+ * role changes); legacy Basic Auth still works but runs bcrypt on every request.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} The admin document, or null when not authenticated
+ */
+export async function resolveAdmin(req) {
+  const authHeader = req.headers.authorization || '';
+
+  if (authHeader.startsWith('Basic ')) {
+    const credentials = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    const username = credentials.slice(0, separator);
+    const password = credentials.slice(separator + 1);
+    return separator > 0 && password ? verifyAdminCredentials(username, password, req) : null;
+  }
+
+  const token = readAdminToken(req);
+  const claims = token ? decodeAdminToken(token) : null;
+  if (!claims) {
+    return null;
+  }
+
+  const admin = await getAdminByUsername(claims.sub);
+  if (!admin || (admin.tokenVersion || 0) !== claims.ver) {
+    return null;
+  }
+  return admin;
+}
+
+/**
+ * Check whether a request comes from an admin whose role grants a permission,
+ * for public routes that show more to admins. Never fails the request.
+ * @param {Object} req - Express request
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {Promise<boolean>} True if an authenticated admin holds the permission
+ */
+export async function requestHasPermission(req, permission) {
+  try {
+    const admin = req.admin || await resolveAdmin(req);
+    return Boolean(admin) && hasPermission(getAdminRole(admin), permission);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build the authentication middleware, optionally checking a permission.
+ * Attaches req.admin ({ username, role }); when the access policy layer has already
+ * authenticated the request, only the permission is checked.
+ * @param {string|null} permission - Permission key from PERMISSIONS, or null for any admin
+ * @returns {Function} Express middleware
+ */
+function authenticateAdmin(permission) {
+  return async (req, res, next) => {
+    try {
+      const admin = req.admin || await resolveAdmin(req);
+      if (!admin) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          message: 'Please log in with an admin account'
+        });
+      }
+
+      const role = getAdminRole(admin);
+      if (permission && !hasPermission(role, permission)) {
+        await recordAuditEvent({
+          action: 'access.denied',
+          outcome: 'denied',
+          actor: admin.username,
+          req,
+          details: { role, permission }
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: 'Permission denied',
+          message: `The ${role} role cannot perform this action`
+        });
+      }
+
+      req.admin = { username: admin.username, role };
+      next();
+    } catch (error) {
+      if (error.status === 429) {
+        return sendLoginLocked(res, error);
+      }
+
+      await logError({
+        type: 'security',
+        endpoint: req.originalUrl,
+        error: error,
+        context: { ip: req.ip }
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Authentication error',
+        message: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Middleware factory requiring an authenticated admin whose role grants a permission.
+ * @param {string} permission - Permission key from PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return authenticateAdmin(permission);
+}
+
+/**
+ * Middleware requiring any authenticated admin, whatever the role.
+ */
+export const requireAdmin = authenticateAdmin(null);
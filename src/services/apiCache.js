@@ -0,0 +1,189 @@
+/**
+ * @file API response cache — keeps Warcraft Logs and Raider.io responses with a TTL per
+ * query type, so a restart does not refetch the whole guild. Entries live in MongoDB,
+ * or in process memory with API_CACHE_STORE=memory; another store can be plugged in
+ * with setApiCacheStore. A failing store never fails the request: the response is
+ * fetched and returned uncached.
+ * @module services/apiCache
+ */
+
+import { createHash } from 'node:crypto';
+import {
+  getApiCacheEntry,
+  saveApiCacheEntry,
+  getApiCacheEntries,
+  deleteApiCacheEntries
+} from '../database.js';
+import { getConfig } from '../config.js';
+import { cacheLookups } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('apiCache');
+
+// Default TTL of each query type, overridden per type by API_CACHE_TTLS (0 disables it)
+export const API_CACHE_TYPES = {
+  wcl_member: { source: 'warcraftlogs', ttlMinutes: 240, description: 'Warcraft Logs zone rankings' },
+  wcl_kill_ts: { source: 'warcraftlogs', ttlMinutes: 1440, description: 'Warcraft Logs first kill timestamps' },
+  wcl_damage_taken: { source: 'warcraftlogs', ttlMinutes: 1440, description: 'Warcraft Logs damage taken rankings' },
+  rio_profile: { source: 'raiderio', ttlMinutes: 30, description: 'Raider.io character profiles' }
+};
+
+export const API_CACHE_SOURCES = ['warcraftlogs', 'raiderio'];
+
+/**
+ * Create a store keeping entries in process memory (lost on restart).
+ * @returns {Object} Store with get, set, list and delete, like the MongoDB store
+ */
+export function createMemoryStore() {
+  const entries = new Map();
+  const matches = (entry, { source = null, type = null, realm = null, name = null }) =>
+    (!source || entry.source === source) && (!type || entry.type === type)
+    && (!realm || entry.realm === realm) && (!name || entry.name === name);
+  const live = () => [...entries.values()].filter(entry => entry.expiresAt > new Date());
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      return entry && entry.expiresAt > new Date() ? entry : null;
+    },
+    async set(entry) {
+      entries.set(entry.key, entry);
+    },
+    async list({ withData = false, limit = 100, skip = 0, ...filters } = {}) {
+      const matching = live()
+        .filter(entry => matches(entry, filters))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map(({ data, ...entry }) => (withData ? { ...entry, data } : entry));
+      return { entries: limit ? matching.slice(skip, skip + limit) : matching.slice(skip), total: matching.length };
+    },
+    async delete(filters = {}) {
+      const keys = [...entries.values()].filter(entry => matches(entry, filters)).map(entry => entry.key);
+      keys.forEach(key => entries.delete(key));
+      return keys.length;
+    }
+  };
+}
+
+export const mongoStore = {
+  get: getApiCacheEntry,
+  set: saveApiCacheEntry,
+  list: getApiCacheEntries,
+  delete: deleteApiCacheEntries
+};
+
+let store = process.env.API_CACHE_STORE === 'memory' ? createMemoryStore() : mongoStore;
+
+/**
+ * Replace the cache store.
+ * @param {Object} nextStore - Store with get(key), set(entry), list(options) and delete(filters)
+ */
+export function setApiCacheStore(nextStore) {
+  store = nextStore;
+}
+
+/**
+ * TTL of a query type, with the API_CACHE_TTLS override.
+ * @param {Object} config - App config
+ * @param {string} type - Query type (see API_CACHE_TYPES)
+ * @returns {number} TTL in minutes, 0 when the type is not cached
+ */
+export function getApiCacheTtlMinutes(config, type) {
+  if (!Object.hasOwn(API_CACHE_TYPES, type)) return 0;
+  return config?.API_CACHE_TTLS?.[type] ?? API_CACHE_TYPES[type].ttlMinutes;
+}
+
+/**
+ * Cache key of a request: the query type and a hash of the request, which never
+ * contains credentials.
+ * @param {string} type - Query type
+ * @param {any} request - GraphQL query or { path, params }
+ * @returns {string} Cache key
+ */
+function cacheKey(type, request) {
+  const hash = createHash('sha256').update(JSON.stringify(request)).digest('hex');
+  return `${type}:${hash}`;
+}
+
+/**
+ * Answer a request from the cache, or fetch it and cache the response.
+ * @param {Object} options - Options
+ * @param {string} options.type - Query type (see API_CACHE_TYPES)
+ * @param {string} [options.realm] - Realm slug of the character, to inspect and invalidate its entries
+ * @param {string} [options.name] - Character name
+ * @param {any} options.request - What identifies the response (GraphQL query, path and parameters)
+ * @param {Function} fetchResponse - Fetches the response on a miss
+ * @returns {Promise<any>} The cached or fetched response
+ */
+export async function withApiCache({ type, realm = null, name = null, request }, fetchResponse) {
+  const ttlMinutes = getApiCacheTtlMinutes(await getConfig(), type);
+  if (!ttlMinutes) return fetchResponse();
+
+  const key = cacheKey(type, request);
+  let entry = null;
+  try {
+    entry = await store.get(key);
+  } catch (error) {
+    log.warn(`Cache read failed for ${type}:`, { error: error.message });
+  }
+  cacheLookups.inc({ cache: type, result: entry ? 'hit' : 'miss' });
+  if (entry) return entry.data;
+
+  const data = await fetchResponse();
+  const createdAt = new Date();
+  try {
+    await store.set({
+      key,
+      source: API_CACHE_TYPES[type].source,
+      type,
+      realm: realm?.toLowerCase() ?? null,
+      name: name?.toLowerCase() ?? null,
+      data,
+      createdAt,
+      expiresAt: new Date(createdAt.getTime() + ttlMinutes * 60 * 1000)
+    });
+  } catch (error) {
+    log.warn(`Cache write failed for ${type}:`, { error: error.message });
+  }
+  return data;
+}
+
+/**
+ * List unexpired cache entries, newest first.
+ * @param {Object} [options] - { source, type, realm, name, withData, limit, skip }
+ * @returns {Promise<{ entries: Object[], total: number }>} Matching entries and the total count
+ */
+export async function listApiCacheEntries(options = {}) {
+  return store.list(options);
+}
+
+/**
+ * Invalidate cache entries, so the next request refetches them.
+ * @param {Object} [filters] - { source, type, realm, name }, omitted fields match any entry
+ * @returns {Promise<number>} Number of entries removed
+ */
+export async function invalidateApiCache(filters = {}) {
+  return store.delete(filters);
+}
+
+/**
+ * Validate the API_CACHE_TTLS setting.
+ * @param {Object|null} ttls - TTL in minutes per query type
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export function validateApiCacheTtls(ttls) {
+  if (ttls === null || ttls === undefined) return { isValid: true, errors: [] };
+  if (typeof ttls !== 'object' || Array.isArray(ttls)) {
+    return { isValid: false, errors: ['API_CACHE_TTLS must be an object of minutes per query type'] };
+  }
+
+  const errors = [];
+  Object.entries(ttls).forEach(([type, minutes]) => {
+    if (!Object.hasOwn(API_CACHE_TYPES, type)) {
+      errors.push(`API_CACHE_TTLS.${type} is not a query type, use: ${Object.keys(API_CACHE_TYPES).join(', ')}`);
+    } else if (!Number.isFinite(minutes) || minutes < 0) {
+      errors.push(`API_CACHE_TTLS.${type} must be a number of minutes of at least 0`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
@@ -0,0 +1,61 @@
+/**
+ * @file Security audit log — logins, lockouts, denied access and admin actions,
+ * kept in their own collection instead of the error log.
+ * @module services/auditLog
+ */
+
+import { saveAuditEvent } from '../database.js';
+import { csvCell } from '../utils.js';
+
+export const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+
+export const AUDIT_EXPORT_FORMATS = ['json', 'csv'];
+
+/**
+ * Record an audit event. Never throws, so auditing cannot break the audited action.
+ * @param {Object} event - Event data
+ * @param {string} event.action - Dotted action name, e.g. 'login.failure' or 'roster.save'
+ * @param {string} event.outcome - One of AUDIT_OUTCOMES
+ * @param {string|null} event.actor - Admin username (or the attempted login name)
+ * @param {Object|null} event.req - Express request, for the client IP and user agent
+ * @param {string|null} event.target - What the action applied to (ID, username, collection...)
+ * @param {Object} event.details - Action-specific details
+ * @returns {Promise<void>}
+ */
+export async function recordAuditEvent({ action, outcome = 'success', actor = null, req = null, target = null, details = {} }) {
+  await saveAuditEvent({
+    timestamp: new Date(),
+    action,
+    outcome,
+    actor: actor ?? req?.admin?.username ?? null,
+    ip: req?.ip || null,
+    userAgent: req?.get?.('User-Agent') || null,
+    endpoint: req ? `${req.method} ${req.originalUrl}` : null,
+    target,
+    details
+  });
+}
+
+/**
+ * Escape a cell for CSV, neutralising spreadsheet formulas: login names in the
+ * audit log are attacker-controlled.
+ * @param {any} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const auditCsvCell = (value) => csvCell(typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : value);
+
+/**
+ * Render audit events as CSV (one row per event, details as JSON).
+ * @param {Object[]} events - Audit events
+ * @returns {string} CSV document
+ */
+export function auditEventsToCsv(events) {
+  const header = ['timestamp', 'action', 'outcome', 'actor', 'ip', 'endpoint', 'target', 'details'];
+  const rows = events.map(event => [
+    event.timestamp instanceof Date ? event.timestamp.toISOString() : event.timestamp,
+    event.action, event.outcome, event.actor, event.ip, event.endpoint, event.target,
+    Object.keys(event.details || {}).length ? JSON.stringify(event.details) : ''
+  ]);
+
+  return `${[header, ...rows].map(cells => cells.map(auditCsvCell).join(',')).join('\n')}\n`;
+}
@@ -0,0 +1,283 @@
+/**
+ * @file Battle.net API client — one client per set of credentials, shared by the
+ * character fetch, the guild update and the install checks. Caches the
+ * client-credentials token until it expires, sends every call through the shared
+ * rate limiter, times requests out and retries 429/5xx answers with backoff.
+ * @module services/battlenet
+ */
+
+import { getBattlenetLimiter } from '../../tools/guildFetcher/rateLimiter.mjs';
+import { outboundRequests, outboundRateLimited } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('battlenet');
+
+const DEFAULTS = {
+  BATTLENET_TIMEOUT_MS: 15000,
+  BATTLENET_MAX_RETRIES: 3,
+  BATTLENET_RETRY_BASE_MS: 500
+};
+
+// Longest wait honoured from a Retry-After header
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Tokens are renewed this long before Battle.net expires them
+const TOKEN_EXPIRY_MARGIN_MS = 60000;
+
+/**
+ * Read a numeric client setting from the environment.
+ * @param {string} name - Setting name from DEFAULTS
+ * @returns {number} Setting value
+ */
+const setting = (name) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && process.env[name] !== '' ? value : DEFAULTS[name];
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Clients from getBattlenetClient() with the secret and limiter they were built with, keyed by region and client ID
+const clients = new Map();
+
+/**
+ * Resolve the OAuth and API hosts. Both can be pointed at a local mock
+ * provider (see tools/mockOAuth) with BNET_OAUTH_HOST and BNET_API_HOST.
+ * @param {string} region - Battle.net region (eu, us, kr, tw)
+ * @returns {{ oauthHost: string, apiHost: string }} Base URLs without trailing slash
+ */
+export function getBnetHosts(region) {
+  return {
+    oauthHost: (process.env.BNET_OAUTH_HOST || `https://${region}.battle.net`).replace(/\/$/, ''),
+    apiHost: (process.env.BNET_API_HOST || `https://${region}.api.blizzard.com`).replace(/\/$/, '')
+  };
+}
+
+/**
+ * Build the error thrown for a non-2xx answer. `status` and `response.status` are
+ * both set so callers can test either.
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @param {any} data - Response body, if any
+ * @returns {Error} Error
+ */
+function httpError(message, status, data = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.response = { status, data };
+  return error;
+}
+
+/**
+ * Whether a failed attempt is worth retrying: rate limits, server errors,
+ * timeouts and connection failures.
+ * @param {Error} error - Error from an attempt
+ * @returns {boolean} True when the request can be retried
+ */
+const isRetryable = (error) => (error.status
+  ? error.status === 429 || error.status >= 500
+  : error.name === 'TimeoutError' || Boolean(error.cause?.code));
+
+/**
+ * Delay before the next attempt: Retry-After when Battle.net sent one,
+ * otherwise exponential backoff with jitter.
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Attempt number, starting at 0
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(error, attempt) {
+  const retryAfter = Number(error.retryAfter);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const base = setting('BATTLENET_RETRY_BASE_MS') * Math.pow(2, attempt);
+  return Math.round(base / 2 + Math.random() * base / 2);
+}
+
+/**
+ * Read a JSON body, tolerating empty or non-JSON answers.
+ * @param {Response} response - Fetch response
+ * @returns {Promise<any>} Parsed body, or null
+ */
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Create a Battle.net client. Prefer getBattlenetClient(), which reuses the client
+ * (and its token) across calls; a standalone client suits one-off checks such as
+ * validating credentials before they are saved.
+ * @param {Object} options - Client options
+ * @param {string} options.region - Battle.net region
+ * @param {string} options.clientId - API client ID
+ * @param {string} options.clientSecret - API client secret
+ * @param {Object} [options.limiter] - Rate limiter (defaults to the shared Battle.net limiter)
+ * @param {string} [options.apiHost] - API base URL (defaults to getBnetHosts())
+ * @param {string} [options.oauthHost] - OAuth base URL (defaults to getBnetHosts())
+ * @returns {{ getAccessToken: Function, query: Function }} Client
+ */
+export function createBattlenetClient({ region, clientId, clientSecret, limiter, apiHost, oauthHost }) {
+  const hosts = getBnetHosts(region);
+  const baseUrl = (apiHost || hosts.apiHost).replace(/\/$/, '');
+  const tokenUrl = `${(oauthHost || hosts.oauthHost).replace(/\/$/, '')}/oauth/token`;
+  const rateLimiter = limiter || getBattlenetLimiter();
+
+  let token = null;
+  let pendingToken = null;
+
+  /**
+   * Make one request through the limiter, recording the outbound metrics.
+   * @param {string} url - Absolute URL
+   * @param {Object} init - Fetch options
+   * @returns {Promise<Response>} Response
+   */
+  const send = (url, init) => rateLimiter.schedule(async () => {
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(setting('BATTLENET_TIMEOUT_MS')) });
+    } catch (error) {
+      outboundRequests.inc({ service: 'battlenet', status: 'error' });
+      throw error;
+    }
+    outboundRequests.inc({ service: 'battlenet', status: response.status });
+    if (response.status === 429) outboundRateLimited.inc({ service: 'battlenet' });
+    return response;
+  });
+
+  /**
+   * Run a request, retrying retryable failures up to BATTLENET_MAX_RETRIES times.
+   * @param {Function} attempt - Async function performing one attempt
+   * @param {string} label - What is requested, for the logs
+   * @returns {Promise<any>} Result of the first successful attempt
+   */
+  const withRetries = async (attempt, label) => {
+    const maxRetries = setting('BATTLENET_MAX_RETRIES');
+    for (let retry = 0; ; retry++) {
+      try {
+        return await attempt();
+      } catch (error) {
+        if (retry >= maxRetries || !isRetryable(error)) throw error;
+        const delay = retryDelay(error, retry);
+        log.warn(`⏳ Battle.net request failed, retrying in ${delay}ms:`, {
+          request: label,
+          status: error.status || error.name,
+          attempt: retry + 1
+        });
+        await sleep(delay);
+      }
+    }
+  };
+
+  /**
+   * Request a client-credentials token.
+   * @returns {Promise<{ accessToken: string, expiresAt: number }>} Token
+   */
+  const requestToken = () => withRetries(async () => {
+    const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+    const response = await send(tokenUrl, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+    const data = await readBody(response);
+    if (!response.ok) {
+      const error = httpError(`Battle.net token error: ${response.status} ${data?.error_description || data?.error || ''}`.trim(),
+        response.status, data);
+      error.retryAfter = response.headers.get('retry-after');
+      throw error;
+    }
+    return {
+      accessToken: data.access_token,
+      expiresAt: Date.now() + (Number(data.expires_in) || 0) * 1000
+    };
+  }, 'oauth/token');
+
+  /**
+   * Get an access token, reusing the cached one until shortly before it expires.
+   * Concurrent callers share one token request.
+   * @returns {Promise<string>} Access token
+   */
+  const getAccessToken = async () => {
+    if (token && Date.now() < token.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+      return token.accessToken;
+    }
+    if (!pendingToken) {
+      pendingToken = requestToken()
+        .then((fresh) => {
+          token = fresh;
+          return fresh.accessToken;
+        })
+        .finally(() => {
+          pendingToken = null;
+        });
+    }
+    return pendingToken;
+  };
+
+  /**
+   * GET an API resource. A 401 drops the cached token and retries once with a new one.
+   * @param {string} path - Path and query (e.g. /data/wow/guild/...?namespace=profile-eu) or absolute URL
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.headers] - Extra headers, e.g. If-Modified-Since
+   * @returns {Promise<Object>} Parsed body plus `lastModified` (the Last-Modified header, or null)
+   * @throws {Error} With `status` and `response.status` for non-2xx answers (including 304)
+   */
+  const query = (path, { headers = {} } = {}) => {
+    const url = /^https?:\/\//.test(path) ? path : `${baseUrl}${path.startsWith('/') ? '' : '/'}${path}`;
+    let renewedToken = false;
+
+    const request = async () => send(url, {
+      headers: { Accept: 'application/json', ...headers, Authorization: `Bearer ${await getAccessToken()}` }
+    });
+
+    return withRetries(async () => {
+      let response = await request();
+      if (response.status === 401 && !renewedToken) {
+        renewedToken = true;
+        token = null;
+        response = await request();
+      }
+      if (response.status === 304) {
+        throw httpError(`Battle.net 304: ${path}`, 304);
+      }
+
+      const data = await readBody(response);
+      if (!response.ok) {
+        const error = httpError(`Battle.net ${response.status}: ${path}`, response.status, data);
+        error.retryAfter = response.headers.get('retry-after');
+        throw error;
+      }
+      return { ...data, lastModified: response.headers.get('last-modified') };
+    }, path.split('?')[0]);
+  };
+
+  return { getAccessToken, query };
+}
+
+/**
+ * Get the shared client for the configured credentials. The client, and so its
+ * token, is reused until the region or credentials change.
+ * @param {Object} config - App config (REGION, API_BATTLENET_KEY, API_BATTLENET_SECRET, BATTLENET_RATE_LIMIT)
+ * @returns {{ getAccessToken: Function, query: Function }} Client
+ */
+export function getBattlenetClient(config) {
+  const { REGION: region = 'eu', API_BATTLENET_KEY: clientId, API_BATTLENET_SECRET: clientSecret } = config || {};
+  const key = `${region}:${clientId}`;
+  const limiter = getBattlenetLimiter(config || {});
+
+  let entry = clients.get(key);
+  // A changed secret or a rebuilt limiter (new quotas) needs a new client
+  if (!entry || entry.clientSecret !== clientSecret || entry.limiter !== limiter) {
+    entry = { client: createBattlenetClient({ region, clientId, clientSecret, limiter }), clientSecret, limiter };
+    clients.set(key, entry);
+  }
+  return entry.client;
+}
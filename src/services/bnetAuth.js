@@ -0,0 +1,245 @@
+/**
+ * @file Battle.net OAuth login for guild members — passport-bnet strategy,
+ * account character lookup and cookie-based sessions stored in MongoDB.
+ * @module services/bnetAuth
+ */
+
+import crypto from 'crypto';
+import passport from 'passport';
+import BnetStrategy from 'passport-bnet';
+import {
+  upsertBnetUser,
+  getUserByBnetId,
+  createSession,
+  getSessionByTokenHash,
+  deleteSession,
+  getMembersByKeys
+} from '../database.js';
+import { getConfig } from '../config.js';
+import { getBnetHosts } from './battlenet.js';
+
+export const SESSION_COOKIE = 'guild_session';
+
+const DEFAULT_SESSION_TTL_HOURS = 168;
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// OAuth state values issued by /api/auth/bnet, checked on the callback (CSRF protection)
+const pendingStates = new Map();
+
+// Client ID the strategy was registered with, so a credentials change in AppSettings re-registers it
+let registeredClientId = null;
+
+/**
+ * In-memory OAuth state store for passport-oauth2.
+ * States are single use and expire after ten minutes.
+ */
+const stateStore = {
+  store(req, meta, callback) {
+    const now = Date.now();
+    pendingStates.forEach((expiresAt, state) => {
+      if (expiresAt < now) pendingStates.delete(state);
+    });
+
+    const state = crypto.randomBytes(24).toString('hex');
+    pendingStates.set(state, now + STATE_TTL_MS);
+    callback(null, state);
+  },
+  verify(req, state, meta, callback) {
+    const expiresAt = pendingStates.get(state);
+    pendingStates.delete(state);
+
+    if (!expiresAt || expiresAt < Date.now()) {
+      return callback(null, false, { message: 'Invalid or expired OAuth state' });
+    }
+    callback(null, true);
+  }
+};
+
+/**
+ * Fetch every WoW character on the logged-in Battle.net account.
+ * Requires the wow.profile scope.
+ * @param {string} accessToken - User access token
+ * @param {string} region - Battle.net region
+ * @returns {Promise<Object[]>} Array of { name, server, level, class }
+ */
+export async function fetchAccountCharacters(accessToken, region) {
+  const { apiHost } = getBnetHosts(region);
+  const response = await fetch(`${apiHost}/profile/user/wow?namespace=profile-${region}&locale=en_US`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Battle.net account profile request failed with status ${response.status}`);
+  }
+
+  const profile = await response.json();
+  return (profile.wow_accounts || []).flatMap(account =>
+    (account.characters || []).map(character => ({
+      name: character.name.toLowerCase(),
+      server: character.realm.slug.toLowerCase(),
+      level: character.level ?? null,
+      class: character.playable_class?.name ?? null
+    }))
+  );
+}
+
+/**
+ * Keep only the account characters that are members of the guild.
+ * @param {Object[]} accountCharacters - Characters from fetchAccountCharacters
+ * @returns {Promise<Object[]>} Array of { name, server, class, spec, guildRank }
+ */
+async function resolveGuildCharacters(accountCharacters) {
+  const members = await getMembersByKeys(accountCharacters);
+  return members.map(member => ({
+    name: member.name,
+    server: member.server,
+    class: member.metaData?.class ?? null,
+    spec: member.metaData?.spec ?? null,
+    guildRank: member.guildData?.rank ?? null
+  }));
+}
+
+/**
+ * Register the passport-bnet strategy with the current AppSettings credentials.
+ * OAuth login uses API_BATTLENET_KEY/SECRET unless BNET_OAUTH_CLIENT_ID/SECRET are set.
+ * @returns {Promise<boolean>} False when OAuth login is not configured
+ */
+export async function ensureBnetStrategy() {
+  const config = await getConfig();
+  const clientID = process.env.BNET_OAUTH_CLIENT_ID || config.API_BATTLENET_KEY;
+  const clientSecret = process.env.BNET_OAUTH_CLIENT_SECRET || config.API_BATTLENET_SECRET;
+  const callbackURL = process.env.BNET_OAUTH_CALLBACK_URL;
+
+  if (!clientID || !clientSecret || !callbackURL) {
+    return false;
+  }
+  if (registeredClientId === clientID) {
+    return true;
+  }
+
+  const region = config.REGION || 'eu';
+  const { oauthHost } = getBnetHosts(region);
+
+  passport.use(new BnetStrategy({
+    clientID,
+    clientSecret,
+    callbackURL,
+    region,
+    scope: 'openid wow.profile',
+    authorizationURL: `${oauthHost}/oauth/authorize`,
+    tokenURL: `${oauthHost}/oauth/token`,
+    userURL: `${oauthHost}/oauth/userinfo`,
+    store: stateStore
+  }, async (accessToken, refreshToken, profile, done) => {
+    try {
+      const accountCharacters = await fetchAccountCharacters(accessToken, region);
+      const characters = await resolveGuildCharacters(accountCharacters);
+
+      const user = await upsertBnetUser({
+        bnetId: profile.id,
+        battletag: profile.battletag,
+        characters
+      });
+      done(null, user);
+    } catch (error) {
+      done(error);
+    }
+  }));
+
+  registeredClientId = clientID;
+  return true;
+}
+
+/**
+ * Hash a session token for storage; the raw token only lives in the cookie.
+ * @param {string} token - Session token
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Start a session for a logged-in user and set the session cookie.
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} Session expiry
+ */
+export async function startUserSession(res, user) {
+  const ttlHours = Number(process.env.SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS;
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+  await createSession({ tokenHash: hashToken(token), bnetId: user.bnetId, expiresAt });
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    expires: expiresAt,
+    path: '/'
+  });
+  return expiresAt;
+}
+
+/**
+ * Read the session token from the request cookies.
+ * @param {Object} req - Express request
+ * @returns {string|null} Session token
+ */
+function readSessionToken(req) {
+  const header = req.headers.cookie || '';
+  const entry = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${SESSION_COOKIE}=`));
+  return entry ? decodeURIComponent(entry.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+/**
+ * End the current session and clear the cookie.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} True if a session was ended
+ */
+export async function endUserSession(req, res) {
+  const token = readSessionToken(req);
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  return token ? deleteSession(hashToken(token)) : false;
+}
+
+/**
+ * Resolve the user for the current session cookie.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} User document or null when not logged in
+ */
+export async function getSessionUser(req) {
+  const token = readSessionToken(req);
+  if (!token) {
+    return null;
+  }
+
+  const session = await getSessionByTokenHash(hashToken(token));
+  return session ? getUserByBnetId(session.bnetId) : null;
+}
+
+/**
+ * Middleware that requires a logged-in guild member and attaches req.user
+ * (reused when the access policy layer already resolved it).
+ */
+export async function requireMemberSession(req, res, next) {
+  try {
+    const user = req.user || await getSessionUser(req);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login required',
+        message: 'Please log in with Battle.net'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Session error',
+      message: error.message
+    });
+  }
+}
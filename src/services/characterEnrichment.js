@@ -7,22 +7,22 @@ import { getCachedMemberData } from './warcraftlogs.js';
 import { mergeRaiderLogs, normalizeRaiderScores } from './mergeRaiderLogs.js';
 import { fetchMplusEnrichment, normalizeMplusMember } from './mplusEnrichment.js';
 import { CLASS_NAME_TO_ID } from './warcraftlogs.js';
+import { DEFAULT_SCORING_PROFILE, getScoringProfile } from './scoringProfiles.js';
+import { getConfig } from '../config.js';
+import { createLogger } from './logger.js';
 
-const RAID_MAX = 200;
-const MPLUS_MAX = 200;
+const log = createLogger('characterEnrichment');
 
-export function combinedRankScore(raidScore, mplusScore) {
-  const r = Math.min(1, (raidScore ?? 0) / RAID_MAX) * 50;
-  const m = Math.min(1, (mplusScore ?? 0) / MPLUS_MAX) * 50;
+export function combinedRankScore(raidScore, mplusScore, profile = DEFAULT_SCORING_PROFILE) {
+  const { raidWeight, mplusWeight, raidMax, mplusMax } = profile.combined;
+  const r = Math.min(1, (raidScore ?? 0) / raidMax) * raidWeight;
+  const m = Math.min(1, (mplusScore ?? 0) / mplusMax) * mplusWeight;
   return r + m;
 }
 
-export function tierForCombinedRank(rank) {
-  if (rank === 1) return 'mythic';
-  if (rank <= 3) return 'legendary';
-  if (rank <= 7) return 'epic';
-  if (rank <= 12) return 'rare';
-  return 'uncommon';
+export function tierForCombinedRank(rank, profile = DEFAULT_SCORING_PROFILE) {
+  const { tiers } = profile;
+  return (tiers.find((entry) => entry.maxRank == null || rank <= entry.maxRank) ?? tiers[tiers.length - 1]).tier;
 }
 
 /**
@@ -35,6 +35,7 @@ export async function enrichCharacter(characterData, existingEnrichment = null)
     return existingEnrichment ?? null;
   }
 
+  const profile = getScoringProfile(await getConfig());
   const member = {
     name: characterData.name.toLowerCase(),
     realm: characterData.server.toLowerCase(),
@@ -49,9 +50,9 @@ export async function enrichCharacter(characterData, existingEnrichment = null)
   try {
     const dpsRaider = await getCachedMemberData(member, 'dps');
     const hpsRaider = await getCachedMemberData(member, 'hps');
-    raider = normalizeRaiderScores(mergeRaiderLogs(member.name, dpsRaider, hpsRaider));
+    raider = normalizeRaiderScores(mergeRaiderLogs(member.name, dpsRaider, hpsRaider, profile), profile);
   } catch (err) {
-    console.warn(`[enrichment] WCL failed for ${member.name}:`, err.message);
+    log.warn(`WCL failed for ${member.name}:`, { error: err.message });
     errors.push({ source: 'wcl', message: err.message });
     raider = existingEnrichment?.raider ?? null;
   }
@@ -59,9 +60,10 @@ export async function enrichCharacter(characterData, existingEnrichment = null)
   try {
     mplus = normalizeMplusMember(
       await fetchMplusEnrichment(characterData, existingEnrichment?.mplus),
+      profile,
     );
   } catch (err) {
-    console.warn(`[enrichment] Raider.io failed for ${member.name}:`, err.message);
+    log.warn(`Raider.io failed for ${member.name}:`, { error: err.message });
     errors.push({ source: 'raiderio', message: err.message });
     mplus = existingEnrichment?.mplus ?? null;
   }
@@ -78,7 +80,7 @@ export async function enrichCharacter(characterData, existingEnrichment = null)
     mplus,
     raidScore,
     mplusScore,
-    combinedScore: combinedRankScore(raidScore, mplusScore),
+    combinedScore: combinedRankScore(raidScore, mplusScore, profile),
     rioRating: mplus?.score ?? 0,
     fetchedAt: new Date().toISOString(),
     errors: errors.length > 0 ? errors : undefined,
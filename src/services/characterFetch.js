@@ -0,0 +1,611 @@
+/**
+ * @file Character fetch service — pulls a single character from the Battle.net API
+ * and builds the member document stored in the members collection.
+ * @module services/characterFetch
+ */
+
+import { 
+  getCharacterInformation,
+  hasEnchant,
+  isTierItem
+} from '../../tools/guildFetcher/utils.mjs';
+import { resolveMplusSeasonId } from '../../tools/guildFetcher/mplusSeasonUtils.mjs';
+import { processCharacterSeasonalStats } from '../../tools/guildFetcher/seasonalStats.mjs';
+import { getConfig } from '../config.js';
+import { enrichCharacter } from './characterEnrichment.js';
+import { getGearAuditRules, getSlotRule, auditEquipment } from './gearAudit.js';
+import { getTierSetIds, buildTierStatus } from './tierCatalog.js';
+import { getResetSchedule, getLastReset } from './weeklyReset.js';
+import { getBattlenetClient } from './battlenet.js';
+import { findMemberByName } from '../database.js';
+import { battlenetNotModified } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('characterFetch');
+
+/**
+ * Checks if a character has been active since Season 2 started
+ * @param {Object} character Character data object
+ * @param {string} seasonStartDate Season start date from config
+ * @returns {boolean} True if character is active in Season 2
+ */
+function isActiveInSeason2(character, seasonStartDate) {
+  const season2Start = new Date(seasonStartDate).getTime();
+  const lastModified = new Date(character.metaData.lastUpdated).getTime();
+  return lastModified >= season2Start;
+}
+
+/**
+ * Checks raid lockout status for a character across all instances in the current expansion.
+ * Determines lockouts based on kills since the last weekly reset.
+ * @param {Object} raidData Character's raid expansion data (Midnight expansion object)
+ * @param {Date} lastReset Start of the current raid week
+ * @returns {Object} Lockout status per instance and aggregated per difficulty
+ */
+function checkRaidLockouts(raidData, lastReset) {
+  const lockouts = {
+    isLocked: false,
+    // Per-difficulty aggregate (for backward compat filtering: Normal/Heroic/Mythic tabs)
+    lockedTo: {},
+    // Per-instance breakdown: { 'The Voidspire': { id, difficulties: { Normal: {...}, Heroic: {...} } } }
+    raids: {}
+  };
+
+  if (!raidData?.instances) {
+    return lockouts;
+  }
+
+  raidData.instances.forEach(instanceData => {
+    const instanceName = instanceData.instance?.name;
+    if (!instanceName || !instanceData.modes) return;
+
+    const instanceResult = { id: instanceData.instance?.id, difficulties: {} };
+
+    instanceData.modes.forEach(mode => {
+      const difficulty = mode.difficulty.name;
+      const progress = mode.progress;
+
+      if (!progress?.encounters) return;
+
+      // Only count kills that occurred after the last weekly reset
+      const recentKills = progress.encounters.filter(encounter =>
+        encounter.last_kill_timestamp >= lastReset.getTime()
+      );
+
+      if (recentKills.length === 0) return;
+
+      lockouts.isLocked = true;
+
+      const difficultyEntry = {
+        completed: progress.completed_count,
+        total: progress.total_count,
+        lastKill: Math.max(...recentKills.map(e => e.last_kill_timestamp)),
+        encounters: recentKills.map(e => e.encounter.name)
+      };
+
+      instanceResult.difficulties[difficulty] = difficultyEntry;
+
+      // Aggregate into lockedTo for backward-compatible difficulty filtering
+      if (!lockouts.lockedTo[difficulty]) {
+        lockouts.lockedTo[difficulty] = {
+          completed: 0,
+          total: 0,
+          lastKill: 0,
+          encounters: []
+        };
+      }
+      lockouts.lockedTo[difficulty].completed += difficultyEntry.completed;
+      lockouts.lockedTo[difficulty].total += difficultyEntry.total;
+      lockouts.lockedTo[difficulty].lastKill = Math.max(
+        lockouts.lockedTo[difficulty].lastKill,
+        difficultyEntry.lastKill
+      );
+      lockouts.lockedTo[difficulty].encounters.push(...difficultyEntry.encounters);
+    });
+
+    if (Object.keys(instanceResult.difficulties).length > 0) {
+      lockouts.raids[instanceName] = instanceResult;
+    }
+  });
+
+  return lockouts;
+}
+
+/**
+ * Check whether an error from the Battle.net client means the character does not exist.
+ * @param {Error} error - Error thrown by the Battle.net client
+ * @returns {boolean} True for a 404 response
+ */
+export function isNotFoundError(error) {
+  return error?.response?.status === 404 || error?.status === 404 || Boolean(error?.message?.includes('404'));
+}
+
+/**
+ * Build a stored equipment entry from a Battle.net equipped item.
+ * @param {Object} item - Equipped item from the equipment endpoint
+ * @param {Object} gearRules - Gear audit rules (see services/gearAudit)
+ * @param {Set<number>} tierSetIds - Item set IDs of the tier catalog (see services/tierCatalog)
+ * @returns {Object} Equipment entry
+ */
+function buildArmoryItem(item, gearRules, tierSetIds) {
+  const slotRule = getSlotRule(gearRules, item.slot.type);
+  return {
+    type: item.slot.type,
+    name: item.name,
+    needsEnchant: Boolean(slotRule.enchant || slotRule.minEnchantRank),
+    hasEnchant: hasEnchant(item),
+    isTierItem: isTierItem(item, tierSetIds),
+    level: item.level.value,
+    _raw: item
+  };
+}
+
+/**
+ * Derive the member document from the fetched (or stored) Battle.net data: season activity,
+ * gear status, raid lockouts and the processed stats used for rankings.
+ * @param {Object} dataToAppend - Character data from Battle.net (not modified)
+ * @param {Object} options - { config, requestedDataTypes, enrichment }
+ * @returns {Object} New member document
+ */
+function deriveCharacterData(dataToAppend, { config, requestedDataTypes, enrichment }) {
+  const { TANKS = [], HEALERS = [], SEASON_START_DATE } = config || {};
+
+  // Check Season 2 activity
+  const isActive = isActiveInSeason2(dataToAppend, SEASON_START_DATE);
+  
+  // Reset inactive character stats, on a copy: the fetched or stored data is left as is
+  const character = isActive ? dataToAppend : {
+    ...dataToAppend,
+    ...(dataToAppend.mplus && { mplus: { ...dataToAppend.mplus, current_mythic_rating: { rating: 0 } } }),
+    ...(dataToAppend.currentSeason && {
+      currentSeason: { ...dataToAppend.currentSeason, current_mythic_rating: { rating: 0 } }
+    }),
+    ...(dataToAppend.pvp && { pvp: { ...dataToAppend.pvp, rating: 0, summary: { honor_level: 0 } } })
+  };
+
+  // Audit the gear against the configured enchant, gem and embellishment rules
+  const gearAudit = auditEquipment(
+    (character.equipement || []).map(item => item._raw),
+    getGearAuditRules(config)
+  );
+  // With a tier catalog the set counts once its 4pc bonus is active
+  const tier = buildTierStatus(
+    (character.equipement || []).map(item => item._raw),
+    character.metaData?.class,
+    config
+  );
+  const hasTierSet = tier
+    ? tier.bonuses.fourPiece
+    : Boolean(character.equipement?.some(item => item.isTierItem));
+
+  // Check raid lockouts across all Midnight instances
+  const lockStatus = requestedDataTypes.includes('raid') ? 
+    checkRaidLockouts(character.raidHistory, getLastReset(getResetSchedule(config))) : 
+    null;
+
+  const rioRating = enrichment?.rioRating ?? 0;
+  const bnetMplusScore = character.currentSeason?.current_mythic_rating?.rating
+    || character.mplus?.current_mythic_rating?.rating || 0;
+
+  return { 
+    ...character, 
+    ready: gearAudit.ready, 
+    missingEnchants: gearAudit.summary.missingEnchant,
+    gearAudit,
+    hasTierSet,
+    tier,
+    lockStatus,
+    isActiveInSeason2: isActive,
+    enrichment,
+    seasonalStats: processCharacterSeasonalStats(character),
+    processedStats: {
+      mythicPlusScore: rioRating > 0 ? rioRating : bnetMplusScore,
+      raidScore: enrichment?.raidScore ?? 0,
+      combinedRankScore: enrichment?.combinedScore ?? 0,
+      pvpRating: character.pvp?.rating || 0,
+      itemLevel: character.itemlevel.equiped,
+      role: TANKS.includes(character.metaData.spec) ? 'TANK' : 
+            HEALERS.includes(character.metaData.spec) ? 'HEALER' : 'DPS',
+      spec: character.metaData.spec,
+      class: character.metaData.class
+    }
+  };
+}
+
+/**
+ * Rebuild the member document of a character whose profile has not changed since the
+ * last fetch. No further Battle.net, Raider.io or Warcraft Logs calls are made; the derived
+ * fields are recomputed so weekly lockouts and settings changes still apply.
+ * @param {Object} storedMember - Stored member document
+ * @param {Object} options - { config, requestedDataTypes }
+ * @returns {Object} Result in the fetchCharacterData shape, with `unchanged: true`
+ */
+function buildUnchangedCharacter(storedMember, { config, requestedDataTypes }) {
+  const { ITEM_LEVEL_REQUIREMENT } = config || {};
+  const gearRules = getGearAuditRules(config);
+  const tierSetIds = getTierSetIds(config);
+
+  if (storedMember.itemlevel?.equiped < ITEM_LEVEL_REQUIREMENT) {
+    return {
+      success: false,
+      error: 'Character item level too low',
+      message: `Character must have at least ${ITEM_LEVEL_REQUIREMENT} item level`
+    };
+  }
+
+  const dataToAppend = {
+    name: storedMember.name,
+    server: storedMember.server,
+    itemlevel: storedMember.itemlevel,
+    metaData: storedMember.metaData,
+    guildData: storedMember.guildData,
+    equipement: (storedMember.equipement || []).map(item => buildArmoryItem(item._raw, gearRules, tierSetIds))
+  };
+  ['raidHistory', 'mplus', 'mplusSeasonId', 'currentSeason', 'statistics', 'pvp', 'media'].forEach(field => {
+    if (storedMember[field] !== undefined) {
+      dataToAppend[field] = storedMember[field];
+    }
+  });
+
+  log.debug(`♻️ ${storedMember.name}-${storedMember.server} unchanged since ${storedMember.metaData.lastUpdated}`);
+  return {
+    success: true,
+    character: deriveCharacterData(dataToAppend, { config, requestedDataTypes, enrichment: storedMember.enrichment || null }),
+    timestamp: new Date().toISOString(),
+    dataTypes: requestedDataTypes,
+    unchanged: true,
+    notModified: ['profile']
+  };
+}
+
+/**
+ * Check whether an error from the Battle.net client is a 304 answer to a conditional request.
+ * @param {Error} error - Error thrown by the Battle.net client, which throws for a 304 like any
+ * other non-2xx answer, with the code in `status`
+ * @returns {boolean} True for a 304 response
+ */
+const isNotModified = (error) => error?.status === 304;
+
+/**
+ * Fetch fresh data for a single character and build its member document.
+ * Unless `force` is set, the stored member is used for conditional requests: when the
+ * profile has not changed since its `last_modified` (stored as metaData.lastUpdated) none
+ * of the sub-resources are requested, and sub-resources answering 304 keep their stored data.
+ * Characters that are missing or below the configured requirements resolve with
+ * `success: false`; any other failure is thrown for the caller to log.
+ * @param {string} realm - Realm slug
+ * @param {string} character - Character name
+ * @param {string[]|string} [dataTypes] - Data types to fetch ('raid', 'mplus', 'pvp', 'stats')
+ * @param {Object} [options] - Fetch options
+ * @param {boolean} [options.force] - Ignore the stored member and fetch everything
+ * @returns {Promise<Object>} `{ success, character, timestamp, dataTypes, unchanged, notModified }`
+ * or `{ success: false, error, message }`
+ */
+export async function fetchCharacterData(realm, character, dataTypes = ['raid', 'mplus', 'pvp'], { force = false } = {}) {
+  try {
+    // Load config from database
+    const config = await getConfig();
+    const {
+      LEVEL_REQUIREMENT,
+      ITEM_LEVEL_REQUIREMENT,
+      CURRENT_EXPANSION = 'Midnight',
+      CURRENT_MPLUS_SEASON
+    } = config || {};
+    const gearRules = getGearAuditRules(config);
+    const tierSetIds = getTierSetIds(config);
+
+    // Accept either an array or the comma-separated form used in query strings
+    const requestedDataTypes = (Array.isArray(dataTypes) ? dataTypes : String(dataTypes).split(','))
+      .map(type => type.trim())
+      .filter(Boolean);
+    
+    log.debug(`🔍 Fetching ${force ? 'fresh' : 'changed'} data for ${character}-${realm}`);
+    
+    // Shared client: one cached token and the shared rate limiter for every character
+    const bnet = getBattlenetClient(config);
+    const bnetQuery = (url) => bnet.query(url);
+    
+    // Create a mock member object for the utils function
+    const mockMember = {
+      name: character.toLowerCase(),
+      character: {
+        name: character.toLowerCase(),
+        realm: {
+          slug: realm.toLowerCase()
+        }
+      }
+    };
+    
+    const {
+      characterName,
+      server,
+      profileUrl,
+      equipmentUrl,
+      raidProgressUrl,
+      mythicProgressUrl,
+      mythicSeasonUrl,
+      statisticsUrl,
+      pvpProgressUrl,
+      bracketProgressUrl,
+      mediaUrl
+    } = getCharacterInformation(mockMember);
+
+    // Stored member: source of the If-Modified-Since dates and of the data kept on 304
+    const storedMember = force ? null : await findMemberByName(characterName, server);
+    const storedModified = storedMember?.metaData?.resourceLastModified || {};
+    // Resources not requested this time keep their stored data, and so their dates
+    const resourceLastModified = { ...storedModified };
+    const notModified = [];
+
+    /**
+     * Query a sub-resource conditionally. Resolves with null when Battle.net answers
+     * 304, meaning the stored data for the resource is still current.
+     * @param {string} resource - Resource key in metaData.resourceLastModified
+     * @param {string} url - Battle.net URL
+     * @param {string|null} since - Last-Modified value of the stored data
+     * @returns {Promise<Object|null>} Response, or null when not modified
+     */
+    const conditionalQuery = async (resource, url, since) => {
+      try {
+        const response = await bnet.query(url, since ? { headers: { 'If-Modified-Since': since } } : undefined);
+        resourceLastModified[resource] = response?.lastModified || null;
+        return response;
+      } catch (error) {
+        if (since && isNotModified(error)) {
+          resourceLastModified[resource] = since;
+          notModified.push(resource);
+          battlenetNotModified.inc({ resource });
+          return null;
+        }
+        throw error;
+      }
+    };
+
+    // An unchanged profile skips every other call, so it is only asked conditionally when each
+    // requested data type was stored under the current profile version (metaData.syncedDataTypes)
+    const syncedDataTypes = storedMember?.metaData?.syncedDataTypes || [];
+    const canSkipUnchanged = Boolean(storedMember?.metaData?.lastUpdated)
+      && requestedDataTypes.every(type => syncedDataTypes.includes(type));
+
+    // Fetch character profile
+    const memberResponse = await conditionalQuery('profile', profileUrl,
+      canSkipUnchanged ? storedMember.metaData.lastUpdated : null);
+
+    if (!memberResponse) {
+      if (notModified.includes('profile')) {
+        return buildUnchangedCharacter(storedMember, { config, requestedDataTypes });
+      }
+
+      return {
+        success: false,
+        error: 'Character not found',
+        message: `Character ${character}-${realm} not found`
+      };
+    }
+
+    if (memberResponse.level < LEVEL_REQUIREMENT) {
+      return {
+        success: false,
+        error: 'Character level too low',
+        message: `Character must be at least level ${LEVEL_REQUIREMENT}`
+      };
+    }
+
+    if (memberResponse.equipped_item_level < ITEM_LEVEL_REQUIREMENT) {
+      return {
+        success: false,
+        error: 'Character item level too low',
+        message: `Character must have at least ${ITEM_LEVEL_REQUIREMENT} item level`
+      };
+    }
+
+    // Data types stored under this profile version: added to when the profile is unchanged
+    const sameProfile = Boolean(memberResponse.lastModified)
+      && memberResponse.lastModified === storedMember?.metaData?.lastUpdated;
+    const syncedTypes = sameProfile
+      ? [...new Set([...syncedDataTypes, ...requestedDataTypes])]
+      : requestedDataTypes;
+
+    // Build base character data
+    const dataToAppend = {
+      name: characterName,
+      server: server,
+      itemlevel: {
+        equiped: memberResponse.equipped_item_level,
+        average: memberResponse.average_item_level
+      },
+      metaData: {
+        class: memberResponse?.character_class?.name,
+        spec: memberResponse?.active_spec?.name,
+        lastUpdated: memberResponse?.lastModified,
+        resourceLastModified,
+        syncedDataTypes: syncedTypes
+      },
+      guildData: {
+        rank: 0 // Default rank for non-guild characters
+      }
+    };
+
+    // Ratings of inactive characters are stored zeroed, so their M+ and PvP data is never reused
+    const storedActive = storedMember?.isActiveInSeason2 !== false;
+
+    // Fetch equipment data
+    const equipResponse = await conditionalQuery('equipment', equipmentUrl,
+      storedMember?.equipement ? storedModified.equipment : null);
+    dataToAppend.equipement = equipResponse
+      ? equipResponse.equipped_items.map(item => buildArmoryItem(item, gearRules, tierSetIds))
+      : storedMember.equipement.map(item => buildArmoryItem(item._raw, gearRules, tierSetIds));
+
+    // Fetch raid data if requested
+    if (requestedDataTypes.includes('raid')) {
+      try {
+        const raidResponse = await conditionalQuery('raid', raidProgressUrl,
+          storedMember?.raidHistory ? storedModified.raid : null);
+        dataToAppend.raidHistory = raidResponse
+          ? raidResponse?.expansions?.find(item => item.expansion.name === CURRENT_EXPANSION) || {}
+          : storedMember.raidHistory;
+      } catch (error) {
+        log.error('Error fetching raid data:', { error: error.message });
+        dataToAppend.raidHistory = {};
+      }
+    }
+
+    // Fetch mythic+ data if requested
+    if (requestedDataTypes.includes('mplus')) {
+      try {
+        const mplusResponse = await conditionalQuery('mplus', mythicProgressUrl,
+          storedActive && storedMember?.mplus ? storedModified.mplus : null);
+
+        if (!mplusResponse) {
+          dataToAppend.mplus = storedMember.mplus;
+          dataToAppend.mplusSeasonId = storedMember.mplusSeasonId;
+          dataToAppend.currentSeason = storedMember.currentSeason;
+        } else {
+          dataToAppend.mplus = mplusResponse;
+        
+          const seasonId = resolveMplusSeasonId(mplusResponse, CURRENT_MPLUS_SEASON);
+          dataToAppend.mplusSeasonId = seasonId;
+
+          if (seasonId && mplusResponse?.seasons?.length) {
+            try {
+              const currentSeasonData = await bnetQuery(mythicSeasonUrl(seasonId));
+              dataToAppend.currentSeason = {
+                ...currentSeasonData,
+                current_mythic_rating: currentSeasonData.current_mythic_rating
+                  || mplusResponse.current_mythic_rating
+                  || { rating: 0 },
+              };
+            } catch (error) {
+              if (error.response?.status === 404 || error.status === 404) {
+                log.debug(`Character ${characterName}-${server} has no completed runs for season ${seasonId}`);
+              } else {
+                log.error('Error fetching current season data:', { error: error.message });
+              }
+              dataToAppend.currentSeason = {
+                current_mythic_rating: mplusResponse.current_mythic_rating || { rating: 0 },
+                season: { id: seasonId },
+              };
+            }
+          } else {
+            log.debug(`Character ${characterName}-${server} has no seasons data`);
+            dataToAppend.currentSeason = {
+              current_mythic_rating: mplusResponse?.current_mythic_rating || { rating: 0 },
+            };
+          }
+        }
+      } catch (error) {
+        log.error('Error fetching mythic+ data:', { error: error.message });
+        dataToAppend.mplus = { current_mythic_rating: { rating: 0 } };
+        dataToAppend.currentSeason = { current_mythic_rating: { rating: 0 } };
+      }
+    }
+
+    // Fetch character statistics if requested
+    if (requestedDataTypes.includes('stats') || requestedDataTypes.includes('statistics')) {
+      try {
+        const statisticsResponse = await conditionalQuery('statistics', statisticsUrl,
+          storedMember?.statistics ? storedModified.statistics : null);
+        dataToAppend.statistics = statisticsResponse || storedMember.statistics;
+      } catch (error) {
+        log.error('Error fetching character statistics:', { error: error.message });
+        dataToAppend.statistics = null;
+      }
+    }
+
+    // Fetch PvP data if requested
+    if (requestedDataTypes.includes('pvp')) {
+      try {
+        const pvpSummaryResponse = await conditionalQuery('pvp', pvpProgressUrl,
+          storedActive && storedMember?.pvp?.summary ? storedModified.pvp : null);
+
+        if (!pvpSummaryResponse) {
+          // Bracket ratings only change when the summary does
+          dataToAppend.pvp = storedMember.pvp;
+        } else {
+          dataToAppend.pvp = {
+            summary: pvpSummaryResponse
+          };
+        
+          let highestRating = 0;
+        
+          // Get data for each PvP bracket
+          if (pvpSummaryResponse?.brackets?.length) {
+            for (const bracket of pvpSummaryResponse.brackets) {
+              if (bracket?.href) {
+                const bracketKey = bracket.href.split('pvp-bracket/')[1]?.split('?')[0];
+                if (bracketKey) {
+                  try {
+                    const bracketResponse = await bnetQuery(bracketProgressUrl(bracketKey));
+                    if (bracketResponse) {
+                      dataToAppend.pvp[bracketKey] = bracketResponse;
+                      // Track highest rating across all brackets
+                      if (bracketResponse.rating > highestRating) {
+                        highestRating = bracketResponse.rating;
+                      }
+                    }
+                  } catch (err) {
+                    log.error(`Error fetching PvP bracket data for ${bracketKey}: ${err.message}`);
+                  }
+                }
+              }
+            }
+          }
+        
+          // Add highest rating to pvp object
+          dataToAppend.pvp.rating = highestRating;
+        }
+        
+      } catch (error) {
+        log.error('Error fetching PvP data:', { error: error.message });
+        dataToAppend.pvp = { rating: 0 };
+      }
+    }
+
+    // Fetch character media
+    try {
+      const mediaResponse = await conditionalQuery('media', mediaUrl,
+        storedMember?.media ? storedModified.media : null);
+      dataToAppend.media = mediaResponse || storedMember.media;
+    } catch (error) {
+      log.error('Error fetching character media:', { error: error.message });
+      dataToAppend.media = false;
+    }
+
+    if (notModified.length) {
+      log.debug(`♻️ Kept stored data for ${characterName}-${server}`, { notModified });
+    }
+
+    let enrichment = null;
+    try {
+      const existingMember = storedMember || await findMemberByName(characterName, server);
+      enrichment = await enrichCharacter(
+        { ...dataToAppend, name: characterName, server },
+        existingMember?.enrichment,
+      );
+    } catch (enrichErr) {
+      log.warn(`Enrichment skipped for ${characterName}-${server}:`, { error: enrichErr.message });
+    }
+
+    return {
+      success: true,
+      character: deriveCharacterData(dataToAppend, { config, requestedDataTypes, enrichment }),
+      timestamp: new Date().toISOString(),
+      dataTypes: requestedDataTypes,
+      unchanged: false,
+      notModified
+    };
+  } catch (error) {
+    // Check if it's a 404 from Battle.net API (character not found)
+    if (isNotFoundError(error)) {
+      log.info(`⚠️ Character ${character}-${realm} not found on Battle.net`);
+      return {
+        success: false,
+        error: 'Character not found',
+        message: `Character ${character}-${realm} not found on Battle.net`
+      };
+    }
+    throw error;
+  }
+}
+
+export default fetchCharacterData;
@@ -0,0 +1,175 @@
+/**
+ * @file Gear audit — evaluates a member's equipment against the per-slot requirements
+ * configured in GEAR_AUDIT_RULES (permanent enchant, minimum enchant rank, filled
+ * sockets, specific embellishments) and builds the audit report stored on the member.
+ * @module services/gearAudit
+ */
+
+import { getPermanentEnchant, getSockets, getEmbellishment } from '../../tools/guildFetcher/utils.mjs';
+
+// Equipment slot types as reported by the Battle.net equipment endpoint
+export const EQUIPMENT_SLOTS = [
+  'HEAD', 'NECK', 'SHOULDER', 'BACK', 'CHEST', 'SHIRT', 'TABARD', 'WRIST', 'HANDS', 'WAIST',
+  'LEGS', 'FEET', 'FINGER_1', 'FINGER_2', 'TRINKET_1', 'TRINKET_2', 'MAIN_HAND', 'OFF_HAND'
+];
+
+// Rule key applied to every slot; a slot's own rule overrides its fields
+export const ALL_SLOTS = '*';
+
+// Audit issue types, also the keys of the report summary
+export const GEAR_ISSUE_TYPES = ['missingEnchant', 'lowEnchantRank', 'emptySocket', 'missingEmbellishment'];
+
+const RULE_FIELDS = ['enchant', 'minEnchantRank', 'socketsFilled', 'embellishments'];
+
+// Enchants come in three crafting quality ranks
+const MAX_ENCHANT_RANK = 3;
+
+/**
+ * Get the gear audit rules. Without GEAR_AUDIT_RULES the rules are built from
+ * ENCHANTABLE_PIECES (enchant required) and every socket must hold a gem.
+ * @param {Object} config - App config
+ * @returns {{ slots: Object }} Rules keyed by slot type (and '*')
+ */
+export function getGearAuditRules(config) {
+  if (config?.GEAR_AUDIT_RULES) {
+    return config.GEAR_AUDIT_RULES;
+  }
+
+  const { ENCHANTABLE_PIECES = [] } = config || {};
+  return {
+    slots: {
+      [ALL_SLOTS]: { socketsFilled: true },
+      ...Object.fromEntries(ENCHANTABLE_PIECES.map(slot => [slot, { enchant: true }]))
+    }
+  };
+}
+
+/**
+ * Resolve the requirements of one slot: the '*' rule overridden by the slot's own rule.
+ * @param {Object} rules - Rules from getGearAuditRules()
+ * @param {string} slot - Slot type
+ * @returns {Object} { enchant, minEnchantRank, socketsFilled, embellishments }
+ */
+export function getSlotRule(rules, slot) {
+  return { ...rules?.slots?.[ALL_SLOTS], ...rules?.slots?.[slot] };
+}
+
+/**
+ * Validate GEAR_AUDIT_RULES before it is saved.
+ * @param {any} rules - Rules to validate (null restores the ENCHANTABLE_PIECES defaults)
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export function validateGearAuditRules(rules) {
+  if (rules === null) {
+    return { isValid: true, errors: [] };
+  }
+  if (typeof rules !== 'object' || Array.isArray(rules)
+    || typeof rules.slots !== 'object' || rules.slots === null || Array.isArray(rules.slots)) {
+    return { isValid: false, errors: ['GEAR_AUDIT_RULES must be an object with a "slots" object'] };
+  }
+
+  const errors = [];
+  Object.entries(rules.slots).forEach(([slot, rule]) => {
+    const label = `GEAR_AUDIT_RULES.slots.${slot}`;
+
+    if (slot !== ALL_SLOTS && !EQUIPMENT_SLOTS.includes(slot)) {
+      errors.push(`${label}: unknown slot, use "${ALL_SLOTS}" or one of: ${EQUIPMENT_SLOTS.join(', ')}`);
+      return;
+    }
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    Object.keys(rule)
+      .filter(field => !RULE_FIELDS.includes(field))
+      .forEach(field => errors.push(`${label}.${field} is not a rule, use: ${RULE_FIELDS.join(', ')}`));
+
+    ['enchant', 'socketsFilled'].forEach(field => {
+      if (rule[field] !== undefined && typeof rule[field] !== 'boolean') {
+        errors.push(`${label}.${field} must be true or false`);
+      }
+    });
+
+    if (rule.minEnchantRank !== undefined
+      && (!Number.isInteger(rule.minEnchantRank) || rule.minEnchantRank < 1 || rule.minEnchantRank > MAX_ENCHANT_RANK)) {
+      errors.push(`${label}.minEnchantRank must be a whole number from 1 to ${MAX_ENCHANT_RANK}`);
+    }
+
+    if (rule.embellishments !== undefined && rule.embellishments !== true && rule.embellishments !== false
+      && (!Array.isArray(rule.embellishments) || !rule.embellishments.length
+        || rule.embellishments.some(name => typeof name !== 'string' || !name.trim()))) {
+      errors.push(`${label}.embellishments must be true (any embellishment) or a non-empty list of embellishment names`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Check one equipped item against its slot rule.
+ * @param {Object} item - Battle.net equipped item
+ * @param {Object} rule - Slot rule from getSlotRule()
+ * @returns {Object} { slot, name, enchant, sockets, embellishment, issues }
+ */
+export function auditItem(item, rule) {
+  const slot = item.slot.type;
+  const enchant = getPermanentEnchant(item);
+  const sockets = getSockets(item);
+  const embellishment = getEmbellishment(item);
+  const issues = [];
+
+  // A minimum rank implies the enchant itself is required
+  if ((rule.enchant || rule.minEnchantRank) && !enchant) {
+    issues.push({ type: 'missingEnchant', message: 'No permanent enchant' });
+  } else if (rule.minEnchantRank && enchant && enchant.rank !== null && enchant.rank < rule.minEnchantRank) {
+    issues.push({
+      type: 'lowEnchantRank',
+      message: `${enchant.name || 'Enchant'} is rank ${enchant.rank}, rank ${rule.minEnchantRank} required`
+    });
+  }
+
+  if (rule.socketsFilled && sockets.filled < sockets.total) {
+    issues.push({ type: 'emptySocket', message: `${sockets.total - sockets.filled} of ${sockets.total} sockets empty` });
+  }
+
+  if (rule.embellishments === true && !embellishment) {
+    issues.push({ type: 'missingEmbellishment', message: 'No embellishment' });
+  } else if (Array.isArray(rule.embellishments)) {
+    const accepted = rule.embellishments.map(name => name.toLowerCase());
+    if (!embellishment || !accepted.includes(embellishment.toLowerCase())) {
+      issues.push({
+        type: 'missingEmbellishment',
+        message: `${embellishment ? `${embellishment} is not` : 'Not'} one of: ${rule.embellishments.join(', ')}`
+      });
+    }
+  }
+
+  return { slot, name: item.name, enchant, sockets, embellishment, issues };
+}
+
+/**
+ * Audit a member's equipment. Slots with nothing equipped are not checked.
+ * @param {Object[]} items - Battle.net equipped items
+ * @param {Object} rules - Rules from getGearAuditRules()
+ * @returns {Object} { ready, summary, issues, items }; summary counts the issues per type,
+ * issues lists them with their slot
+ */
+export function auditEquipment(items, rules) {
+  const audited = (items || [])
+    .filter(item => item?.slot?.type)
+    .map(item => auditItem(item, getSlotRule(rules, item.slot.type)));
+
+  const issues = audited.flatMap(item => item.issues.map(issue => ({ slot: item.slot, ...issue })));
+  const summary = Object.fromEntries(GEAR_ISSUE_TYPES.map(type => [
+    type,
+    issues.filter(issue => issue.type === type).length
+  ]));
+
+  return {
+    ready: issues.length === 0,
+    summary,
+    issues,
+    items: audited.map(({ issues: itemIssues, ...item }) => item)
+  };
+}
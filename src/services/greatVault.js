@@ -0,0 +1,215 @@
+/**
+ * @file Great Vault tracker — builds each member's activity for the current raid week
+ * from raid encounter kill timestamps, M+ run timestamps (Battle.net season best runs
+ * and Raider.io runs) and delve statistics, and estimates the vault slots unlocked in
+ * the raid, dungeon and world (delve) rows.
+ * @module services/greatVault
+ */
+
+import { getAllMembers, getLatestMemberSnapshotsBefore } from '../database.js';
+import { getConfig } from '../config.js';
+import { getResetSchedule, getLastReset, getNextReset } from './weeklyReset.js';
+
+export const VAULT_ROWS = ['raid', 'dungeons', 'world'];
+
+// Activities needed for each slot of a row
+export const VAULT_THRESHOLDS = {
+  raid: [2, 4, 6],
+  dungeons: [1, 4, 8],
+  world: [2, 4, 8]
+};
+
+// Raid difficulties from lowest to highest, by Battle.net difficulty type
+const RAID_DIFFICULTIES = ['LFR', 'NORMAL', 'HEROIC', 'MYTHIC'];
+
+// Battle.net and Raider.io timestamps of the same run differ by a few seconds
+const SAME_RUN_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Unique bosses killed since a point in time. A boss killed on several difficulties
+ * counts once, at the highest one.
+ * @param {Object} raidHistory - Member raid history (current expansion)
+ * @param {number} since - Timestamp in milliseconds
+ * @returns {Object[]} Kills { instance, encounter, difficulty, killedAt }, highest difficulty first
+ */
+export function getWeeklyRaidKills(raidHistory, since) {
+  const kills = new Map();
+
+  (raidHistory?.instances || []).forEach(instanceData => {
+    (instanceData.modes || []).forEach(mode => {
+      const rank = RAID_DIFFICULTIES.indexOf(mode.difficulty?.type);
+
+      (mode.progress?.encounters || [])
+        .filter(encounter => encounter.last_kill_timestamp >= since)
+        .forEach(encounter => {
+          const key = `${instanceData.instance?.id}:${encounter.encounter?.id ?? encounter.encounter?.name}`;
+          if (kills.has(key) && kills.get(key).rank >= rank) return;
+          kills.set(key, {
+            rank,
+            instance: instanceData.instance?.name ?? null,
+            encounter: encounter.encounter?.name ?? null,
+            difficulty: mode.difficulty?.name ?? null,
+            killedAt: encounter.last_kill_timestamp
+          });
+        });
+    });
+  });
+
+  return [...kills.values()]
+    .sort((a, b) => b.rank - a.rank || a.killedAt - b.killedAt)
+    .map(({ rank, ...kill }) => kill);
+}
+
+/**
+ * Keystone runs completed since a point in time, from the Battle.net season best runs
+ * and the Raider.io runs kept in the M+ enrichment. A run reported by both counts once.
+ * Neither source lists every run, so the count is a lower bound.
+ * @param {Object} member - Member document
+ * @param {number} since - Timestamp in milliseconds
+ * @returns {Object[]} Runs { dungeon, level, completedAt, source }, highest key first
+ */
+export function getWeeklyDungeonRuns(member, since) {
+  const battlenetRuns = (member.currentSeason?.best_runs || []).map(run => ({
+    dungeon: run.dungeon?.name ?? null,
+    level: run.keystone_level,
+    completedAt: run.completed_timestamp,
+    source: 'battlenet'
+  }));
+  const raiderioRuns = [...(member.enrichment?.mplus?.recentRuns || []), ...(member.enrichment?.mplus?.allTrackedRuns || [])]
+    .map(run => ({
+      dungeon: run.dungeon ?? null,
+      level: run.mythicLevel,
+      completedAt: run.completedAt ? Date.parse(run.completedAt) : null,
+      source: 'raiderio'
+    }));
+
+  const runs = [];
+  [...battlenetRuns, ...raiderioRuns]
+    .filter(run => run.completedAt >= since && Number.isFinite(run.level))
+    .forEach(run => {
+      const duplicate = runs.some(seen => seen.level === run.level
+        && seen.dungeon?.toLowerCase() === run.dungeon?.toLowerCase()
+        && Math.abs(seen.completedAt - run.completedAt) <= SAME_RUN_WINDOW_MS);
+      if (!duplicate) runs.push(run);
+    });
+
+  return runs.sort((a, b) => b.level - a.level || a.completedAt - b.completedAt);
+}
+
+/**
+ * Total delves completed, from the Battle.net character statistics (stored when the
+ * `stats` data type is fetched).
+ * @param {Object} statistics - Battle.net statistics response
+ * @returns {number|null} Delves completed, or null when the statistics have none
+ */
+export function countDelves(statistics) {
+  const matches = (statistics?.categories || [])
+    .flatMap(category => [
+      ...(category.statistics || []),
+      ...(category.sub_categories || []).flatMap(subCategory => subCategory.statistics || [])
+    ])
+    .filter(statistic => /delves? completed/i.test(statistic?.name || '') && Number.isFinite(statistic.quantity));
+
+  return matches.length ? matches.reduce((total, statistic) => total + statistic.quantity, 0) : null;
+}
+
+/**
+ * Build a vault row from the week's activities.
+ * @param {string} row - Row name (see VAULT_ROWS)
+ * @param {number|null} activities - Activities this week, null when unknown
+ * @param {any[]} rewards - Reward of each activity, best first (difficulty, key level)
+ * @returns {Object} { tracked, activities, unlocked, slots: [{ threshold, unlocked, reward }] }
+ */
+function buildRow(row, activities, rewards = []) {
+  const tracked = activities !== null;
+  const slots = VAULT_THRESHOLDS[row].map(threshold => ({
+    threshold,
+    unlocked: tracked && activities >= threshold,
+    reward: tracked && activities >= threshold ? rewards[threshold - 1] ?? null : null
+  }));
+
+  return {
+    tracked,
+    activities,
+    unlocked: tracked ? slots.filter(slot => slot.unlocked).length : null,
+    slots
+  };
+}
+
+/**
+ * Estimate a member's Great Vault for the week starting at `since`. Delves are the
+ * difference between the current delve statistic and the member's last history
+ * snapshot before the reset, so the world row is untracked without both.
+ * @param {Object} member - Member document
+ * @param {Object} options - Options
+ * @param {Date} options.since - Start of the raid week
+ * @param {number|null} [options.delveBaseline] - Delves completed at the reset
+ * @returns {Object} { raid, dungeons, world, unlocked, emptyRows }
+ */
+export function buildWeeklyActivity(member, { since, delveBaseline = null }) {
+  const start = since.getTime();
+  const kills = getWeeklyRaidKills(member.raidHistory, start);
+  const runs = getWeeklyDungeonRuns(member, start);
+  const delves = countDelves(member.statistics);
+
+  const rows = {
+    raid: buildRow('raid', kills.length, kills.map(kill => kill.difficulty)),
+    dungeons: buildRow('dungeons', runs.length, runs.map(run => run.level)),
+    world: buildRow('world', delves !== null && delveBaseline !== null ? Math.max(0, delves - delveBaseline) : null)
+  };
+
+  return {
+    ...rows,
+    kills,
+    runs,
+    unlocked: VAULT_ROWS.reduce((total, row) => total + (rows[row].unlocked ?? 0), 0),
+    emptyRows: VAULT_ROWS.filter(row => rows[row].unlocked === 0)
+  };
+}
+
+/**
+ * Build every member's weekly activity for the raid week containing `now`.
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Point in time (default: now)
+ * @returns {Promise<Object>} { weekStart, nextReset, members, summary }
+ */
+export async function buildVaultReport({ now = new Date() } = {}) {
+  const schedule = getResetSchedule(await getConfig());
+  const weekStart = getLastReset(schedule, now);
+  const nextReset = getNextReset(schedule, now);
+
+  const [members, baselineSnapshots] = await Promise.all([
+    getAllMembers(),
+    getLatestMemberSnapshotsBefore(weekStart)
+  ]);
+  const delveBaselines = new Map(
+    baselineSnapshots.map(snapshot => [`${snapshot.name}-${snapshot.server}`, snapshot.metrics?.delvesCompleted ?? null])
+  );
+
+  const rows = members
+    .map(member => ({
+      name: member.name,
+      server: member.server,
+      class: member.metaData?.class,
+      spec: member.metaData?.spec,
+      ...buildWeeklyActivity(member, {
+        since: weekStart,
+        delveBaseline: delveBaselines.get(`${member.name}-${member.server}`) ?? null
+      })
+    }))
+    .sort((a, b) => a.unlocked - b.unlocked || a.name.localeCompare(b.name));
+
+  return {
+    weekStart: weekStart.toISOString(),
+    nextReset: nextReset.toISOString(),
+    members: rows,
+    summary: {
+      members: rows.length,
+      emptyRows: Object.fromEntries(VAULT_ROWS.map(row => [
+        row,
+        rows.filter(member => member.emptyRows.includes(row)).length
+      ])),
+      untrackedWorld: rows.filter(member => !member.world.tracked).length
+    }
+  };
+}
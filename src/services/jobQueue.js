@@ -0,0 +1,558 @@
+/**
+ * @file Job queue — guild and character updates are stored as jobs in MongoDB,
+ * run by an in-process worker (one job per type at a time), report per-member
+ * results and progress, and can be cancelled or retried. A worker holds a lease on
+ * the jobs it runs and renews it while they run, so another process only fails
+ * jobs whose worker has stopped.
+ * @module services/jobQueue
+ */
+
+import { hostname } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import {
+  createJob,
+  getJobById,
+  findActiveJob,
+  claimNextJob,
+  updateJob,
+  finishJob,
+  renewJobLeases,
+  recordJobResult,
+  cancelQueuedJob,
+  failInterruptedJobs,
+  saveJobWorkerHeartbeat,
+  countLiveJobWorkers,
+  findMemberByName,
+  updateMember,
+  addMember,
+  logError
+} from '../database.js';
+import { fetchCharacterData } from './characterFetch.js';
+import { createLogger, getCorrelationId, withCorrelationId } from './logger.js';
+import { startGuildUpdate } from '../../tools/guildFetcher/fetchGuild.mjs';
+
+const log = createLogger('jobQueue');
+
+export const JOB_TYPES = ['guild-update', 'character-update'];
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+export const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Per-member outcomes that a retry fetches again ('skipped' means the character no longer exists)
+export const FAILED_OUTCOMES = ['db_error', 'fetch_error'];
+
+const DEFAULT_DATA_TYPES = ['raid', 'mplus', 'pvp'];
+
+// Job types of which only one can be queued or running at a time
+const EXCLUSIVE_TYPES = ['guild-update'];
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const DEFAULTS = {
+  // Finished jobs are deleted by a TTL index after this many days
+  JOB_RETENTION_DAYS: 30,
+  // A running job whose lease is not renewed for this long counts as interrupted
+  JOB_LEASE_SECONDS: 120,
+  // How often a worker renews its leases, fails interrupted jobs and picks up jobs queued by other processes
+  JOB_HEARTBEAT_SECONDS: 30
+};
+
+/**
+ * Read a numeric job setting from the environment.
+ * @param {string} name - Setting name from DEFAULTS
+ * @returns {number} Setting value
+ */
+const setting = (name) => Number(process.env[name]) || DEFAULTS[name];
+
+// Identifies this process on the jobs it runs
+export const WORKER_ID = `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+// Socket.IO server for progress events, set by startJobWorker
+let io = null;
+let workerStarted = false;
+let heartbeatTimer = null;
+
+// Jobs running in this process by type: { jobId, controller }; jobId is null while a job is being claimed
+const running = new Map();
+
+// Callbacks waiting for a job to finish, by job ID
+const finishWaiters = new Map();
+
+/**
+ * Public view of a job.
+ * @param {Object} job - Job document
+ * @returns {Object} Job with `id` instead of `_id`
+ */
+export const serialiseJob = ({ _id, ...job }) => ({ id: _id.toString(), ...job });
+
+/**
+ * Emit a job status change over Socket.IO.
+ * @param {Object} job - Job document
+ * @param {string} status - New status
+ * @param {Object} extra - Extra payload fields
+ */
+function emitJobStatus(job, status, extra = {}) {
+  if (io) {
+    io.emit('job-status', {
+      jobId: job._id.toString(),
+      type: job.type,
+      status,
+      timestamp: new Date().toISOString(),
+      ...extra
+    });
+  }
+}
+
+/**
+ * Fields stored when a job finishes.
+ * @param {string} status - Final status
+ * @param {string|null} error - Error message
+ * @returns {Object} Fields to set
+ */
+function finishedFields(status, error = null) {
+  const finishedAt = new Date();
+  return {
+    status,
+    error,
+    finishedAt,
+    expiresAt: new Date(finishedAt.getTime() + setting('JOB_RETENTION_DAYS') * 24 * 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Lease expiry for a job claimed or renewed now.
+ * @returns {Date} Lease expiry
+ */
+const nextLeaseExpiry = () => new Date(Date.now() + setting('JOB_LEASE_SECONDS') * 1000);
+
+/**
+ * Record a per-member result. Best-effort: losing one result must not fail the update.
+ * @param {ObjectId} jobId - Job ID
+ * @param {Object} result - Member result
+ */
+async function saveMemberResult(jobId, result) {
+  try {
+    await recordJobResult(jobId, result, FAILED_OUTCOMES.includes(result.outcome));
+  } catch (error) {
+    log.warn(`Could not record the result for ${result.character}`, { jobId: jobId.toString(), error: error.message });
+  }
+}
+
+/**
+ * Run a guild-update job through the guild fetcher.
+ * @param {Object} job - Job document
+ * @param {AbortSignal} signal - Cancellation signal
+ */
+async function runGuildUpdateJob(job, signal) {
+  await startGuildUpdate(job.params.dataTypes, job._id.toString(), io, {
+    signal,
+    members: job.params.members || null,
+    force: Boolean(job.params.force),
+    onRosterLoaded: (total) => updateJob(job._id, { 'progress.total': total })
+      .catch(error => log.warn('Could not record the roster size', { error: error.message })),
+    onMemberResult: (result) => saveMemberResult(job._id, result)
+  });
+}
+
+/**
+ * Run a character-update job: fetch one character and save it.
+ * @param {Object} job - Job document
+ * @throws {Error} When the character was not found or could not be fetched or saved
+ */
+async function runCharacterUpdateJob(job) {
+  const { realm, character, dataTypes, force = false } = job.params;
+  const result = { character: `${character}-${realm}`, name: character, server: realm };
+  await updateJob(job._id, { 'progress.total': 1 });
+
+  try {
+    const fetched = await fetchCharacterData(realm, character, dataTypes, { force });
+
+    if (!fetched.success || !fetched.character) {
+      result.outcome = 'skipped';
+      result.error = fetched.message || `Character ${character}-${realm} not found`;
+    } else {
+      try {
+        const existingMember = await findMemberByName(character, realm);
+        if (existingMember) {
+          await updateMember(character, realm, fetched.character);
+          result.outcome = fetched.unchanged ? 'unchanged' : 'updated';
+        } else {
+          await addMember(fetched.character);
+          result.outcome = 'added';
+        }
+        log.info(`✅ ${result.outcome === 'added' ? 'Added new' : 'Updated existing'} member: ${character}-${realm}`, { outcome: result.outcome });
+      } catch (dbError) {
+        result.outcome = 'db_error';
+        result.error = `Failed to save character data: ${dbError.message}`;
+        await logError({
+          type: 'job',
+          endpoint: 'character-update',
+          error: dbError,
+          context: { jobId: job._id.toString(), params: job.params },
+          character: result.character
+        });
+      }
+    }
+  } catch (fetchError) {
+    result.outcome = 'fetch_error';
+    result.error = fetchError.message;
+    await logError({
+      type: 'job',
+      endpoint: 'character-update',
+      error: fetchError,
+      context: { jobId: job._id.toString(), params: job.params },
+      character: result.character
+    });
+  }
+
+  await saveMemberResult(job._id, result);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+}
+
+const RUNNERS = {
+  'guild-update': runGuildUpdateJob,
+  'character-update': runCharacterUpdateJob
+};
+
+/**
+ * Run one claimed job and store its final status.
+ * @param {Object} job - Claimed job document
+ * @param {AbortController} controller - Cancels the job
+ */
+async function runJob(job, controller) {
+  const jobId = job._id.toString();
+  log.info(`▶️  Job ${jobId} (${job.type}) started`, { params: job.params });
+  emitJobStatus(job, 'running');
+
+  let status = 'succeeded';
+  let error = null;
+  try {
+    await RUNNERS[job.type](job, controller.signal);
+  } catch (runError) {
+    if (controller.signal.aborted) {
+      status = 'cancelled';
+    } else {
+      status = 'failed';
+      error = runError.message;
+    }
+  }
+
+  try {
+    await finishJob(job._id, finishedFields(status, error));
+  } catch (updateError) {
+    log.error(`❌ Could not store the final status of job ${jobId}:`, updateError);
+  }
+
+  log.info(`⏹️  Job ${jobId} (${job.type}) ${status}`, error ? { error } : {});
+  emitJobStatus(job, status, error ? { error } : {});
+  (finishWaiters.get(jobId) || []).forEach(resolve => resolve());
+  finishWaiters.delete(jobId);
+}
+
+/**
+ * Run queued jobs of a type one after the other until the queue is empty.
+ * @param {string} type - Job type
+ */
+async function drainQueue(type) {
+  if (!workerStarted || running.has(type)) {
+    return;
+  }
+  running.set(type, { jobId: null, controller: null });
+
+  try {
+    let job;
+    while ((job = await claimNextJob(type, { workerId: WORKER_ID, leaseExpiresAt: nextLeaseExpiry() }))) {
+      const controller = new AbortController();
+      running.set(type, { jobId: job._id.toString(), controller });
+      await withCorrelationId(job.correlationId || `job-${job._id}`, () => runJob(job, controller));
+    }
+  } catch (error) {
+    log.error(`❌ Job worker for ${type} stopped:`, error);
+  } finally {
+    running.delete(type);
+  }
+}
+
+/**
+ * Mark running jobs whose lease has expired as failed (they can be retried).
+ */
+async function failExpiredJobs() {
+  try {
+    const interrupted = await failInterruptedJobs(finishedFields('failed', 'Interrupted: its worker stopped'));
+    if (interrupted) {
+      log.warn(`⚠️  Marked ${interrupted} interrupted job(s) as failed`);
+    }
+  } catch (error) {
+    log.error('❌ Could not check for interrupted jobs:', error);
+  }
+}
+
+/**
+ * Announce this worker; it counts as stopped once it misses two heartbeats.
+ */
+async function announceWorker() {
+  try {
+    await saveJobWorkerHeartbeat(WORKER_ID, new Date(Date.now() + 2 * setting('JOB_HEARTBEAT_SECONDS') * 1000));
+  } catch (error) {
+    log.warn('Could not record the job worker heartbeat', { error: error.message });
+  }
+}
+
+/**
+ * Renew the leases of the jobs running here, fail jobs whose worker stopped and
+ * pick up jobs queued by other processes.
+ */
+async function heartbeat() {
+  await announceWorker();
+  const jobIds = getRunningJobs().map(({ jobId }) => jobId);
+  if (jobIds.length) {
+    try {
+      await renewJobLeases(jobIds, WORKER_ID, nextLeaseExpiry());
+    } catch (error) {
+      log.warn('Could not renew job leases', { error: error.message });
+    }
+  }
+
+  await failExpiredJobs();
+  JOB_TYPES.forEach(type => drainQueue(type));
+}
+
+/**
+ * Start the worker: running jobs whose worker stopped are marked failed, then queued
+ * jobs are processed. Leases are renewed, and jobs queued by other processes (e.g.
+ * `npm run cron`) picked up, every JOB_HEARTBEAT_SECONDS.
+ * @param {Object} socketIo - Socket.IO server for progress events
+ */
+export async function startJobWorker(socketIo) {
+  io = socketIo;
+  workerStarted = true;
+
+  await announceWorker();
+  await failExpiredJobs();
+  JOB_TYPES.forEach(type => drainQueue(type));
+
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(heartbeat, setting('JOB_HEARTBEAT_SECONDS') * 1000);
+    heartbeatTimer.unref();
+  }
+}
+
+/**
+ * Whether another process (e.g. the API server) runs a job worker that will pick up queued jobs.
+ * @returns {Promise<boolean>} True when a worker other than this process beat recently
+ */
+export async function hasLiveJobWorker() {
+  return (await countLiveJobWorkers(WORKER_ID)) > 0;
+}
+
+/**
+ * Queue a job. Only one guild update can be queued or running at a time, enforced
+ * by the unique activeLock of the jobs collection.
+ * @param {string} type - Job type from JOB_TYPES
+ * @param {Object} params - Job parameters (dataTypes, and realm/character or members)
+ * @param {Object} options - Options
+ * @param {string} options.requestedBy - Who asked for the job (admin username, cron, install, ...)
+ * @param {string|null} options.retryOf - ID of the job being retried
+ * @returns {Promise<{ job: Object|null, activeJob: Object|null }>} The new job, or the active guild update blocking it
+ */
+export async function enqueueJob(type, params, { requestedBy = 'system', retryOf = null } = {}) {
+  if (!JOB_TYPES.includes(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const exclusive = EXCLUSIVE_TYPES.includes(type);
+  if (exclusive) {
+    const activeJob = await findActiveJob(type);
+    if (activeJob) {
+      return { job: null, activeJob };
+    }
+  }
+
+  const fields = {
+    type,
+    params: { dataTypes: DEFAULT_DATA_TYPES, ...params },
+    status: 'queued',
+    progress: { total: null, completed: 0, failed: 0 },
+    results: [],
+    requestedBy,
+    retryOf,
+    correlationId: type === 'guild-update' ? null : getCorrelationId(),
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    expiresAt: null,
+    ...(exclusive ? { activeLock: type } : {})
+  };
+
+  let job;
+  try {
+    job = await createJob(fields);
+  } catch (error) {
+    // Another request queued the same type between the check and the insert
+    if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+    const activeJob = await findActiveJob(type);
+    if (!activeJob) throw error;
+    return { job: null, activeJob };
+  }
+
+  log.info(`📥 Job ${job._id} (${type}) queued by ${requestedBy}`);
+  emitJobStatus(job, 'queued');
+  drainQueue(type);
+  return { job, activeJob: null };
+}
+
+/**
+ * Queue a guild update, in the result shape the cron and the upgrade migrations expect.
+ * @param {string[]} dataTypes - Data types to fetch
+ * @param {string} requestedBy - Who asked for the update
+ * @param {Object} [options] - { force: refetch every resource instead of only what changed }
+ * @returns {Promise<Object>} { success, processId, jobId, dataTypes } or { success: false, error }
+ */
+export async function enqueueGuildUpdate(dataTypes = DEFAULT_DATA_TYPES, requestedBy = 'system', { force = false } = {}) {
+  try {
+    const { job, activeJob } = await enqueueJob('guild-update', { dataTypes, force }, { requestedBy });
+    if (!job) {
+      const processId = activeJob._id.toString();
+      log.info('Guild update process already running, skipping...', { jobId: processId });
+      return {
+        success: false,
+        error: 'Guild update process already running',
+        processId,
+        jobId: processId
+      };
+    }
+
+    const jobId = job._id.toString();
+    return {
+      success: true,
+      message: 'Guild update process started',
+      processId: jobId,
+      jobId,
+      dataTypes
+    };
+  } catch (error) {
+    log.error('Error starting guild update:', error);
+    return {
+      success: false,
+      error: 'Failed to start guild update',
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Cancel a job. A queued job is cancelled at once; a running job stops after the
+ * members already in flight and is then marked cancelled.
+ * @param {string} jobId - Job ID
+ * @param {string} cancelledBy - Who cancelled it
+ * @returns {Promise<{ job: Object|null, outcome: 'cancelled'|'cancelling'|'not_found'|'not_active' }>} Result
+ */
+export async function cancelJob(jobId, cancelledBy) {
+  const job = await getJobById(jobId, { withResults: false });
+  if (!job) {
+    return { job: null, outcome: 'not_found' };
+  }
+
+  if (job.status === 'queued') {
+    const cancelled = await cancelQueuedJob(jobId, { ...finishedFields('cancelled'), cancelledBy });
+    if (cancelled) {
+      emitJobStatus(cancelled, 'cancelled');
+      return { job: cancelled, outcome: 'cancelled' };
+    }
+  }
+
+  const active = running.get(job.type);
+  if (active?.jobId === jobId && active.controller) {
+    await updateJob(job._id, { cancelRequested: true, cancelledBy });
+    active.controller.abort();
+    return { job: { ...job, cancelRequested: true, cancelledBy }, outcome: 'cancelling' };
+  }
+
+  return { job, outcome: 'not_active' };
+}
+
+/**
+ * Retry a finished job. A guild update that went through its whole roster only refetches
+ * the members that failed; anything else (a failed or cancelled run, a character update)
+ * runs again with the same parameters.
+ * @param {string} jobId - Job ID
+ * @param {string} requestedBy - Who asked for the retry
+ * @returns {Promise<Object>} { job, activeJob, outcome: 'queued'|'not_found'|'not_finished'|'nothing_to_retry' }
+ */
+export async function retryJob(jobId, requestedBy) {
+  const job = await getJobById(jobId);
+  if (!job) {
+    return { outcome: 'not_found' };
+  }
+  if (!FINISHED_STATUSES.includes(job.status)) {
+    return { job, outcome: 'not_finished' };
+  }
+
+  let params = job.params;
+  if (job.type === 'guild-update') {
+    const completedRoster = job.progress?.total !== null && job.progress?.completed >= job.progress?.total;
+    const failedMembers = (job.results || [])
+      .filter(result => FAILED_OUTCOMES.includes(result.outcome))
+      .map(({ name, server }) => ({ name, server }));
+
+    if (job.status === 'succeeded' && completedRoster) {
+      if (!failedMembers.length) {
+        return { job, outcome: 'nothing_to_retry' };
+      }
+      params = { ...job.params, members: failedMembers };
+    }
+  }
+
+  const { job: retry, activeJob } = await enqueueJob(job.type, params, { requestedBy, retryOf: job._id });
+  return { job: retry, activeJob, outcome: 'queued' };
+}
+
+/**
+ * Wait for a job to finish. A job run by another process is polled every JOB_HEARTBEAT_SECONDS.
+ * @param {string} jobId - Job ID
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<Object|null>} The finished job, or null when it is still queued or running
+ */
+export async function waitForJob(jobId, timeoutMs) {
+  let resolveWait;
+  const finished = new Promise(resolve => {
+    resolveWait = resolve;
+  });
+  finishWaiters.set(jobId, [...(finishWaiters.get(jobId) || []), resolveWait]);
+
+  const deadline = Date.now() + timeoutMs;
+  let timer;
+  let outcome = 'timeout';
+  while (outcome === 'timeout' && Date.now() < deadline) {
+    // The job may have finished before the waiter was registered, or in another process
+    const current = await getJobById(jobId, { withResults: false });
+    if (current && FINISHED_STATUSES.includes(current.status)) {
+      outcome = 'finished';
+      break;
+    }
+    const poll = new Promise(resolve => {
+      timer = setTimeout(() => resolve('timeout'), Math.min(setting('JOB_HEARTBEAT_SECONDS') * 1000, deadline - Date.now()));
+    });
+    outcome = await Promise.race([finished.then(() => 'finished'), poll]);
+    clearTimeout(timer);
+  }
+
+  finishWaiters.set(jobId, (finishWaiters.get(jobId) || []).filter(resolve => resolve !== resolveWait));
+  if (!finishWaiters.get(jobId).length) finishWaiters.delete(jobId);
+
+  return outcome === 'finished' ? getJobById(jobId) : null;
+}
+
+/**
+ * Jobs running in this process.
+ * @returns {Array<{ jobId: string, type: string }>} Running jobs
+ */
+export function getRunningJobs() {
+  return [...running.entries()]
+    .filter(([, entry]) => entry.jobId)
+    .map(([type, entry]) => ({ jobId: entry.jobId, type }));
+}
@@ -0,0 +1,196 @@
+/**
+ * @file Structured logger — leveled, per-module loggers with text or JSON output
+ * and correlation ids (one per HTTP request, one per guild update) carried
+ * through async calls with AsyncLocalStorage.
+ * @module services/logger
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+export const LOG_FORMATS = ['text', 'json'];
+
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming request ids are reused only when they look like an id, never arbitrary text
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Leading emoji and trailing colon of the console-style messages, dropped from JSON output
+const LEADING_EMOJI = /^[\p{Extended_Pictographic}\u{FE0F}\u{200D}\s]+/u;
+
+const correlationStore = new AsyncLocalStorage();
+
+// Levels from the LOGGING setting ({ level, modules }), applied by configureLogging()
+let settings = { level: null, modules: {} };
+
+/**
+ * Rank of a level name, or null when it is not a level.
+ * @param {string} level - Level name
+ * @returns {number|null} Index in LOG_LEVELS
+ */
+const levelRank = (level) => {
+  const rank = LOG_LEVELS.indexOf(String(level || '').toLowerCase());
+  return rank === -1 ? null : rank;
+};
+
+/**
+ * Apply the LOGGING setting. Called by getConfig() whenever settings are (re)loaded.
+ * @param {Object} logging - { level: 'info', modules: { warcraftlogs: 'debug', database: 'warn' } }
+ */
+export function configureLogging(logging = {}) {
+  const modules = Object.fromEntries(Object.entries(logging?.modules || {})
+    .filter(([, level]) => levelRank(level) !== null)
+    .map(([name, level]) => [name, level.toLowerCase()]));
+
+  settings = {
+    level: levelRank(logging?.level) !== null ? logging.level.toLowerCase() : null,
+    modules
+  };
+}
+
+/**
+ * Effective level of a module: its LOGGING.modules entry, else LOG_LEVEL from the
+ * environment, else LOGGING.level, else info.
+ * @param {string} module - Module name
+ * @returns {string} Level name
+ */
+export function getModuleLevel(module) {
+  return settings.modules[module]
+    || (levelRank(process.env.LOG_LEVEL) !== null ? process.env.LOG_LEVEL.toLowerCase() : null)
+    || settings.level
+    || 'info';
+}
+
+/**
+ * Output format from LOG_FORMAT (text by default).
+ * @returns {string} 'text' or 'json'
+ */
+export const getLogFormat = () => (process.env.LOG_FORMAT === 'json' ? 'json' : 'text');
+
+/**
+ * Correlation id of the current request or guild update, if any.
+ * @returns {string|null} Correlation id
+ */
+export function getCorrelationId() {
+  return correlationStore.getStore()?.correlationId || null;
+}
+
+/**
+ * Run a function with a correlation id. The id of the surrounding context (e.g. the
+ * request that started a guild update) is kept as parentId.
+ * @param {string} correlationId - Correlation id
+ * @param {Function} fn - Function to run
+ * @returns {any} The function result
+ */
+export function withCorrelationId(correlationId, fn) {
+  return correlationStore.run({ correlationId, parentId: getCorrelationId() }, fn);
+}
+
+/**
+ * Express middleware giving every request a correlation id: the incoming X-Request-Id
+ * when it is well formed, otherwise a new UUID. The id is echoed in the response
+ * header and available as req.correlationId.
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const correlationId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.correlationId = correlationId;
+  res.set(REQUEST_ID_HEADER, correlationId);
+  withCorrelationId(correlationId, next);
+}
+
+/**
+ * Turn the second logger argument into fields: an Error becomes { error }, objects are kept.
+ * @param {Object|Error|any} fields - Fields or error
+ * @returns {Object} Fields
+ */
+function normaliseFields(fields) {
+  if (fields instanceof Error) {
+    return { error: fields };
+  }
+  if (fields && typeof fields === 'object') {
+    return fields;
+  }
+  return fields === undefined ? {} : { detail: fields };
+}
+
+/**
+ * JSON-safe copy of the fields; errors keep their message, code and stack.
+ * @param {Object} fields - Fields
+ * @returns {Object} Serialisable fields
+ */
+function serialiseFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+    key,
+    value instanceof Error
+      ? { name: value.name, message: value.message, code: value.code, status: value.status, stack: value.stack }
+      : value
+  ]));
+}
+
+/**
+ * Format a log line.
+ * @param {Object} entry - { level, module, message, fields }
+ * @returns {string} Line without the trailing newline
+ */
+function formatEntry({ level, module, message, fields }) {
+  const context = correlationStore.getStore();
+  const timestamp = new Date().toISOString();
+
+  if (getLogFormat() === 'json') {
+    return JSON.stringify({
+      time: timestamp,
+      level,
+      module,
+      msg: String(message).replace(LEADING_EMOJI, '').replace(/:\s*$/, ''),
+      correlationId: context?.correlationId,
+      parentId: context?.parentId || undefined,
+      ...serialiseFields(fields)
+    });
+  }
+
+  const { error, ...rest } = fields;
+  const parts = [`${timestamp} ${level.toUpperCase().padEnd(5)} [${module}] ${message}`];
+  if (Object.keys(rest).length) {
+    parts.push(JSON.stringify(serialiseFields(rest)));
+  }
+  if (context?.correlationId) {
+    parts.push(`(${context.correlationId})`);
+  }
+  if (error instanceof Error) {
+    parts.push(`\n${error.stack || error.message}`);
+  } else if (error !== undefined) {
+    parts.push(String(error?.message || error));
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Create a logger for a module. Messages below the module's level are dropped;
+ * error and warn go to stderr, info and debug to stdout.
+ * @param {string} module - Module name, also the key in LOGGING.modules
+ * @returns {{ error: Function, warn: Function, info: Function, debug: Function, isLevelEnabled: Function }}
+ * Logger; every method takes (message, fieldsOrError)
+ */
+export function createLogger(module) {
+  const isLevelEnabled = (level) => levelRank(level) <= levelRank(getModuleLevel(module));
+
+  const write = (level) => (message, fields) => {
+    if (!isLevelEnabled(level)) {
+      return;
+    }
+    const line = formatEntry({ level, module, message, fields: normaliseFields(fields) });
+    (levelRank(level) <= levelRank('warn') ? process.stderr : process.stdout).write(`${line}\n`);
+  };
+
+  return {
+    error: write('error'),
+    warn: write('warn'),
+    info: write('info'),
+    debug: write('debug'),
+    isLevelEnabled
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * @file Admin login brute-force protection — per-username and per-IP failure
+ * counters with exponential lockouts, stored in MongoDB so they survive restarts.
+ * @module services/loginThrottle
+ */
+
+import {
+  getLoginAttempts,
+  incrementLoginFailures,
+  updateLoginAttempt,
+  clearLoginAttempts
+} from '../database.js';
+
+const DEFAULTS = {
+  // Failures allowed within the window before a lockout starts
+  LOGIN_MAX_FAILURES_PER_USER: 5,
+  LOGIN_MAX_FAILURES_PER_IP: 20,
+  LOGIN_FAILURE_WINDOW_MINUTES: 15,
+  // First lockout, doubled by every further failure up to the maximum
+  LOGIN_LOCKOUT_BASE_SECONDS: 30,
+  LOGIN_LOCKOUT_MAX_MINUTES: 60
+};
+
+/**
+ * Read a numeric throttle setting from the environment.
+ * @param {string} name - Setting name from DEFAULTS
+ * @returns {number} Setting value
+ */
+const setting = (name) => Number(process.env[name]) || DEFAULTS[name];
+
+/**
+ * Throttle keys for a login attempt.
+ * @param {string} username - Attempted username
+ * @param {string} ip - Client IP
+ * @returns {{ user: string, ip: string }} Keys
+ */
+const throttleKeys = (username, ip) => ({
+  user: `user:${String(username || '').toLowerCase()}`,
+  ip: `ip:${ip || 'unknown'}`
+});
+
+/**
+ * Lockout duration after a number of failures.
+ * @param {number} failures - Failures within the window
+ * @param {number} maxFailures - Failures allowed before locking
+ * @returns {number} Lockout in milliseconds (0 when not locked)
+ */
+function lockoutDuration(failures, maxFailures) {
+  if (failures < maxFailures) {
+    return 0;
+  }
+  const base = setting('LOGIN_LOCKOUT_BASE_SECONDS') * 1000;
+  const max = setting('LOGIN_LOCKOUT_MAX_MINUTES') * 60 * 1000;
+  return Math.min(base * 2 ** (failures - maxFailures), max);
+}
+
+/**
+ * Check whether the username or the client IP is locked out.
+ * @param {string} username - Attempted username
+ * @param {string} ip - Client IP
+ * @returns {Promise<{ locked: boolean, scope: string|null, retryAfterSeconds: number }>} Lockout status
+ */
+export async function checkLoginLockout(username, ip) {
+  const keys = throttleKeys(username, ip);
+  const attempts = await getLoginAttempts([keys.user, keys.ip]);
+  const now = Date.now();
+
+  const active = attempts
+    .filter(attempt => attempt.lockedUntil && attempt.lockedUntil.getTime() > now)
+    .sort((a, b) => b.lockedUntil - a.lockedUntil)[0];
+
+  if (!active) {
+    return { locked: false, scope: null, retryAfterSeconds: 0 };
+  }
+  return {
+    locked: true,
+    scope: active.key === keys.ip ? 'ip' : 'user',
+    retryAfterSeconds: Math.ceil((active.lockedUntil.getTime() - now) / 1000)
+  };
+}
+
+/**
+ * Count a failed login for the username and the IP, locking either out once it
+ * passes its threshold.
+ * @param {string} username - Attempted username
+ * @param {string} ip - Client IP
+ * @returns {Promise<{ failures: number, lockedForSeconds: number }>} Username failures and the resulting lockout
+ */
+export async function recordFailedLogin(username, ip) {
+  const keys = throttleKeys(username, ip);
+  const windowMs = setting('LOGIN_FAILURE_WINDOW_MINUTES') * 60 * 1000;
+  const windowStart = new Date(Date.now() - windowMs);
+
+  const results = await Promise.all([
+    { key: keys.user, maxFailures: setting('LOGIN_MAX_FAILURES_PER_USER') },
+    { key: keys.ip, maxFailures: setting('LOGIN_MAX_FAILURES_PER_IP') }
+  ].map(async ({ key, maxFailures }) => {
+    const attempt = await incrementLoginFailures(key, windowStart);
+    const lockMs = lockoutDuration(attempt.failures, maxFailures);
+    const now = Date.now();
+
+    await updateLoginAttempt(key, {
+      lockedUntil: lockMs ? new Date(now + lockMs) : null,
+      expiresAt: new Date(now + Math.max(windowMs, lockMs))
+    });
+    return { failures: attempt.failures, lockMs };
+  }));
+
+  return {
+    failures: results[0].failures,
+    lockedForSeconds: Math.ceil(Math.max(...results.map(result => result.lockMs)) / 1000)
+  };
+}
+
+/**
+ * Reset the username's failure counter after a successful login.
+ * The IP counter is left to expire, so one valid account cannot clear an attacker's IP.
+ * @param {string} username - Username that logged in
+ * @returns {Promise<void>}
+ */
+export async function clearFailedLogins(username) {
+  await clearLoginAttempts([throttleKeys(username).user]);
+}
@@ -0,0 +1,144 @@
+/**
+ * @file Member history — builds metric snapshots during guild updates and
+ * applies retention/downsampling to the snapshot collection.
+ * @module services/memberHistory
+ */
+
+import {
+  saveMemberSnapshots,
+  downsampleMemberSnapshots,
+  deleteMemberSnapshotsBefore
+} from '../database.js';
+import { countDelves } from './greatVault.js';
+import { getResetSchedule, getLastReset, getWeekBucketOptions } from './weeklyReset.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Metrics recorded on every snapshot and accepted by the history API
+export const HISTORY_METRICS = ['itemLevel', 'averageItemLevel', 'mplusRating', 'pvpRating', 'missingEnchants'];
+
+const DEFAULT_RETENTION = {
+  rawDays: 14,
+  dailyDays: 180,
+  weeklyDays: 730
+};
+
+/**
+ * Count Mythic boss kills per instance from a member's raidHistory.
+ * @param {Object} raidHistory - Expansion object from the raid encounters endpoint
+ * @returns {Object|null} { [instanceName]: killedBosses }, or null when raid data was not fetched
+ */
+export function countMythicKills(raidHistory) {
+  if (!raidHistory) {
+    return null;
+  }
+
+  const kills = {};
+  (raidHistory.instances || []).forEach(instanceData => {
+    const instanceName = instanceData.instance?.name;
+    if (!instanceName) return;
+
+    const mythic = instanceData.modes?.find(mode =>
+      mode.difficulty?.type === 'MYTHIC' || mode.difficulty?.name === 'Mythic'
+    );
+    kills[instanceName] = mythic?.progress?.completed_count ?? 0;
+  });
+  return kills;
+}
+
+/**
+ * Extract the tracked metrics from a member document.
+ * @param {Object} character - Member document as produced by the character fetch service
+ * @returns {Object} Snapshot metrics
+ */
+export function extractSnapshotMetrics(character) {
+  return {
+    itemLevel: character.itemlevel?.equiped ?? null,
+    averageItemLevel: character.itemlevel?.average ?? null,
+    mplusRating: character.processedStats?.mythicPlusScore
+      ?? character.currentSeason?.current_mythic_rating?.rating
+      ?? character.mplus?.current_mythic_rating?.rating
+      ?? 0,
+    pvpRating: character.pvp?.rating ?? 0,
+    missingEnchants: character.missingEnchants ?? 0,
+    missingEnchantSlots: (character.equipement || [])
+      .filter(item => item.needsEnchant && !item.hasEnchant)
+      .map(item => item.type),
+    ready: Boolean(character.ready),
+    mythicKills: countMythicKills(character.raidHistory),
+    delvesCompleted: countDelves(character.statistics)
+  };
+}
+
+/**
+ * Build a raw snapshot document for a member.
+ * @param {Object} character - Member document
+ * @param {string} processId - Guild update process that produced the data
+ * @param {Date} timestamp - Snapshot time (shared by every member in a run)
+ * @returns {Object} Snapshot document
+ */
+export function buildSnapshot(character, processId, timestamp = new Date()) {
+  return {
+    name: character.name,
+    server: character.server,
+    timestamp,
+    granularity: 'raw',
+    processId,
+    class: character.metaData?.class ?? null,
+    spec: character.metaData?.spec ?? null,
+    guildRank: character.guildData?.rank ?? null,
+    metrics: extractSnapshotMetrics(character)
+  };
+}
+
+/**
+ * Record snapshots for every member updated in a guild run.
+ * @param {Object[]} characters - Member documents
+ * @param {string} processId - Guild update process ID
+ * @returns {Promise<number>} Number of snapshots written
+ */
+export async function recordMemberSnapshots(characters, processId) {
+  const timestamp = new Date();
+  const snapshots = characters.map(character => buildSnapshot(character, processId, timestamp));
+  const result = await saveMemberSnapshots(snapshots);
+  return result.insertedCount ?? 0;
+}
+
+/**
+ * Midnight UTC of the day `days` days before now.
+ * @param {number} days - Number of days back
+ * @returns {Date} Cutoff date aligned to a day boundary
+ */
+function dayCutoff(days) {
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  cutoff.setUTCHours(0, 0, 0, 0);
+  return cutoff;
+}
+
+/**
+ * Apply the configured retention policy:
+ *   raw snapshots older than rawDays    → one daily snapshot per member
+ *   daily snapshots older than dailyDays → one weekly snapshot per member
+ *   weekly snapshots older than weeklyDays are deleted
+ * Weekly snapshots are bucketed by raid week.
+ * @param {Object} config - App config (reads HISTORY_RETENTION, REGION and WEEKLY_RESET)
+ * @returns {Promise<Object>} Per-stage compaction counts
+ */
+export async function compactMemberHistory(config = {}) {
+  const retention = { ...DEFAULT_RETENTION, ...(config.HISTORY_RETENTION || {}) };
+
+  const daily = await downsampleMemberSnapshots('raw', 'daily', dayCutoff(retention.rawDays));
+
+  // Align the weekly cutoff to a weekly reset so raid weeks are never split
+  const schedule = getResetSchedule(config);
+  const weeklyCutoff = getLastReset(schedule, dayCutoff(retention.dailyDays));
+  const weekly = await downsampleMemberSnapshots('daily', 'weekly', weeklyCutoff, getWeekBucketOptions(schedule));
+
+  const expired = await deleteMemberSnapshotsBefore('weekly', dayCutoff(retention.weeklyDays));
+
+  return {
+    daily,
+    weekly,
+    expired: expired.deletedCount ?? 0
+  };
+}
@@ -2,18 +2,7 @@
  * Merge DPS + HPS WCL snapshots into a single raider profile.
  */
 
-const BASE_MILESTONES = [
-  { bossCount: 2, expectedWeek: 2, maxPts: 12.5 },
-  { bossCount: 4, expectedWeek: 4, maxPts: 18.75 },
-  { bossCount: 7, expectedWeek: 6, maxPts: 25 },
-  { bossCount: 9, expectedWeek: 8, maxPts: 50 },
-];
-
-const BONUS_MILESTONES = [
-  { bossCount: 9, byWeek: 4, bonusPts: 50 },
-  { bossCount: 7, byWeek: 4, bonusPts: 25 },
-  { bossCount: 4, byWeek: 4, bonusPts: 12.5 },
-];
+import { DEFAULT_SCORING_PROFILE, calcSpeedScore } from './scoringProfiles.js';
 
 const PURE_DPS_CLASSES = new Set(['Hunter', 'Mage', 'Rogue', 'Warlock']);
 const HEALING_SPEC_MARKERS = ['holy', 'discipline', 'restoration', 'mistweaver', 'preservation'];
@@ -71,36 +60,7 @@ function chooseBestBossLog(className, dpsBoss, hpsBoss) {
   return hpsBoss.bestParse > dpsBoss.bestParse ? hpsBoss : dpsBoss;
 }
 
-export function calcSpeedScoreFromKillWeeks(killWeeks, totalBosses) {
-  if (killWeeks.length === 0) return 0;
-  const sorted = [...killWeeks].sort((a, b) => a - b);
-
-  let baseSpeed = 0;
-  for (let i = BASE_MILESTONES.length - 1; i >= 0; i--) {
-    const ms = BASE_MILESTONES[i];
-    if (ms.bossCount > totalBosses) continue;
-    if (sorted.length < ms.bossCount) continue;
-    const week = sorted[ms.bossCount - 1];
-    const weeksLate = Math.max(0, week - ms.expectedWeek);
-    baseSpeed = Math.max(0, ms.maxPts - 2.5 * weeksLate);
-    break;
-  }
-
-  let bonusSpeed = 0;
-  for (const ms of BONUS_MILESTONES) {
-    if (ms.bossCount > totalBosses) continue;
-    if (sorted.length < ms.bossCount) continue;
-    const week = sorted[ms.bossCount - 1];
-    if (week <= ms.byWeek) {
-      bonusSpeed = ms.bonusPts;
-      break;
-    }
-  }
-
-  return baseSpeed + bonusSpeed;
-}
-
-export function mergeRaiderLogs(name, dpsRaider, hpsRaider) {
+export function mergeRaiderLogs(name, dpsRaider, hpsRaider, profile = DEFAULT_SCORING_PROFILE) {
   const source = dpsRaider ?? hpsRaider;
   if (!source) return null;
 
@@ -153,9 +113,10 @@ export function mergeRaiderLogs(name, dpsRaider, hpsRaider) {
     const avgBestParse = chosenBosses.reduce((sum, boss) => sum + (boss.bestParse ?? 0), 0) / chosenBosses.length;
     const avgMedianParse = chosenBosses.reduce((sum, boss) => sum + (boss.medianParse ?? 0), 0) / chosenBosses.length;
     const parseScore = avgBestParse;
-    const speedScore = calcSpeedScoreFromKillWeeks(
+    const speedScore = calcSpeedScore(
       chosenBosses.map((boss) => boss.killWeek).filter((week) => week != null),
       totalBosses,
+      profile.raid,
     );
     const progressScore = parseScore + speedScore;
 
@@ -232,7 +193,7 @@ export function mergeRaiderLogs(name, dpsRaider, hpsRaider) {
   };
 }
 
-export function normalizeRaiderScores(raider) {
+export function normalizeRaiderScores(raider, profile = DEFAULT_SCORING_PROFILE) {
   if (!raider) return null;
   const rescaledZones = {};
   for (const [patch, zone] of Object.entries(raider.zones)) {
@@ -241,7 +202,7 @@ export function normalizeRaiderScores(raider) {
       ? killedBosses.reduce((sum, b) => sum + (b.bestParse ?? 0), 0) / killedBosses.length
       : 0;
     const killWeeks = killedBosses.map((b) => b.killWeek).filter((w) => w != null);
-    const speedScore = calcSpeedScoreFromKillWeeks(killWeeks, zone.totalBosses);
+    const speedScore = calcSpeedScore(killWeeks, zone.totalBosses, profile.raid);
     rescaledZones[patch] = {
       ...zone,
       parseScore,
@@ -0,0 +1,241 @@
+/**
+ * @file Prometheus metrics — a small in-process registry of counters, gauges and
+ * histograms rendered in the Prometheus text format by GET /metrics.
+ * The application metrics are defined at the bottom and imported where they are recorded.
+ * @module services/metrics
+ */
+
+const registry = new Map();
+
+/**
+ * Escape a label value for the text format.
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Render a label set, e.g. {router="/api/data",method="GET"}.
+ * @param {Object} labels - Label values
+ * @returns {string} Rendered labels (empty when there are none)
+ */
+function renderLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+}
+
+/**
+ * Build the series key and the label object for a metric observation.
+ * Labels missing from the call are recorded as empty strings.
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {{ key: string, values: Object }} Series key and labels
+ */
+function seriesFor(labelNames, labels = {}) {
+  const values = Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+  return { key: JSON.stringify(labelNames.map(name => values[name])), values };
+}
+
+/**
+ * Register a metric, refusing duplicate names.
+ * @param {Object} metric - Metric with name, help, type and render()
+ * @returns {Object} The metric
+ */
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Create a counter.
+ * @param {Object} options - { name, help, labelNames }
+ * @returns {{ inc: Function }} Counter; inc(labels, value = 1)
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      const { key, values } = seriesFor(labelNames, labels);
+      const entry = series.get(key) || { labels: values, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+    render() {
+      return [...series.values()].map(entry => `${name}${renderLabels(entry.labels)} ${entry.value}`);
+    }
+  });
+}
+
+/**
+ * Create a gauge. Values are either set directly or read by `collect` at scrape time.
+ * @param {Object} options - { name, help, labelNames, collect }
+ * @param {Function} options.collect - Optional () => Array<{ labels, value }> called on every scrape
+ * @returns {{ set: Function }} Gauge; set(labels, value)
+ */
+export function createGauge({ name, help, labelNames = [], collect = null }) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    set(labels = {}, value = 0) {
+      const { key, values } = seriesFor(labelNames, labels);
+      series.set(key, { labels: values, value });
+    },
+    render() {
+      if (collect) {
+        collect().forEach(({ labels, value }) => this.set(labels, value));
+      }
+      return [...series.values()].map(entry => `${name}${renderLabels(entry.labels)} ${entry.value}`);
+    }
+  });
+}
+
+/**
+ * Create a histogram with cumulative buckets.
+ * @param {Object} options - { name, help, labelNames, buckets }
+ * @returns {{ observe: Function, startTimer: Function }} Histogram; observe(labels, seconds),
+ * startTimer(labels) returning a function that records the elapsed seconds (extra labels can be passed to it)
+ */
+export function createHistogram({ name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10] }) {
+  const series = new Map();
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const { key, values } = seriesFor(labelNames, labels);
+      const entry = series.get(key) || { labels: values, counts: bounds.map(() => 0), sum: 0, count: 0 };
+      bounds.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        this.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    render() {
+      return [...series.values()].flatMap(entry => [
+        ...bounds.map((bound, index) => `${name}_bucket${renderLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`),
+        `${name}_bucket${renderLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+        `${name}_sum${renderLabels(entry.labels)} ${entry.sum}`,
+        `${name}_count${renderLabels(entry.labels)} ${entry.count}`
+      ]);
+    }
+  });
+}
+
+/**
+ * Render every registered metric in the Prometheus text exposition format.
+ * @returns {string} Metrics document
+ */
+export function renderMetrics() {
+  const blocks = [...registry.values()].map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.render()
+  ].join('\n'));
+  return `${blocks.join('\n')}\n`;
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Express middleware recording request latency per router. Mounted before the
+ * routers; the router label is the mount path (req.baseUrl) once the response is sent.
+ */
+export function requestMetrics(req, res, next) {
+  const stopTimer = httpRequestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    stopTimer({ router: req.baseUrl || 'unmatched', status_code: res.statusCode });
+  });
+  next();
+}
+
+// ===== APPLICATION METRICS =====
+
+export const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by router mount path, method and status code',
+  labelNames: ['router', 'method', 'status_code']
+});
+
+export const guildUpdateDuration = createHistogram({
+  name: 'guild_update_duration_seconds',
+  help: 'Duration of guild update runs',
+  labelNames: ['outcome'],
+  buckets: [30, 60, 120, 300, 600, 900, 1200, 1800, 3600]
+});
+
+export const guildMemberFetches = createCounter({
+  name: 'guild_update_member_fetches_total',
+  help: 'Per-member outcomes of guild update runs (updated, unchanged, added, skipped, db_error, fetch_error)',
+  labelNames: ['outcome']
+});
+
+export const outboundRequests = createCounter({
+  name: 'outbound_requests_total',
+  help: 'Outbound API calls by service and HTTP status (or "error" when no response was received)',
+  labelNames: ['service', 'status']
+});
+
+export const outboundRateLimited = createCounter({
+  name: 'outbound_rate_limited_total',
+  help: 'Outbound API calls answered with HTTP 429',
+  labelNames: ['service']
+});
+
+export const battlenetNotModified = createCounter({
+  name: 'battlenet_not_modified_total',
+  help: 'Conditional Battle.net requests answered with 304, by character resource (profile, equipment, raid, mplus, pvp, statistics, media, transmog)',
+  labelNames: ['resource']
+});
+
+export const cacheLookups = createCounter({
+  name: 'cache_lookups_total',
+  help: 'API cache lookups by query type and result (hit or miss)',
+  labelNames: ['cache', 'result']
+});
+
+export const errorsLogged = createCounter({
+  name: 'errors_logged_total',
+  help: 'Errors recorded through logError, by type',
+  labelNames: ['type']
+});
+
+createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: () => [{ labels: {}, value: process.memoryUsage().rss }]
+});
+
+createGauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap used in bytes',
+  collect: () => [{ labels: {}, value: process.memoryUsage().heapUsed }]
+});
+
+createGauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+  collect: () => [{ labels: {}, value: Math.round(process.uptime()) }]
+});
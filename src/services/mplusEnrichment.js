@@ -5,6 +5,7 @@
 import { rioGet } from './raiderio.js';
 import { getConfig } from '../config.js';
 import { WCL_CLASS_COLOURS, WCL_CLASS_NAMES, CLASS_NAME_TO_ID } from './warcraftlogs.js';
+import { getScoringProfile, resolveScoringProfile } from './scoringProfiles.js';
 
 function mapRun(r) {
   return {
@@ -17,6 +18,7 @@ function mapRun(r) {
     score: r.score,
     affixes: (r.affixes ?? []).map((a) => a.name),
     url: r.url ?? '',
+    completedAt: r.completed_at ?? null,
   };
 }
 
@@ -30,18 +32,31 @@ function mergeRuns(existing, incoming) {
   return merged.slice(0, 500);
 }
 
-function keyLevelBonusForRuns(bestRuns) {
+function keyLevelBonusForRuns(bestRuns, keyLevelBonuses) {
+  const bonuses = [...keyLevelBonuses].sort((a, b) => b.minLevel - a.minLevel);
   return bestRuns.reduce((sum, run) => {
-    if (run.mythicLevel >= 18) return sum + 8;
-    if (run.mythicLevel >= 16) return sum + 6;
-    if (run.mythicLevel >= 14) return sum + 4;
-    if (run.mythicLevel >= 12) return sum + 2;
-    if (run.mythicLevel >= 10) return sum + 1;
-    return sum;
+    const bonus = bonuses.find((b) => run.mythicLevel >= b.minLevel);
+    return sum + (bonus?.points ?? 0);
   }, 0);
 }
 
-function buildMember(name, classID, activeSpec, score, bestRuns, recentRuns, highestRuns, allTrackedRuns, maxRating) {
+/**
+ * Score a member's M+ data with the formula of a scoring profile.
+ * @param {{ score: number, successRate: number, totalTrackedRuns: number, bestRuns: object[] }} member
+ * @param {object} profile - Complete scoring profile
+ */
+export function scoreMplusMember({ score = 0, successRate = 0, totalTrackedRuns = 0, bestRuns = [] }, profile) {
+  const { mplus } = profile;
+  const ratingScore = Math.min(mplus.ratingPoints, (score / mplus.maxRating) * mplus.ratingPoints);
+  const successBasePts = (successRate / 100) * mplus.successPoints;
+  const volumeBonus = Math.floor(totalTrackedRuns / mplus.volumeRuns) * mplus.volumePoints;
+  const successScore = Math.min(mplus.successPoints, successBasePts + volumeBonus);
+  const keyLevelScore = keyLevelBonusForRuns(bestRuns, mplus.keyLevelBonuses);
+  const totalMplusScore = Math.min(mplus.maxScore, ratingScore + successScore + keyLevelScore);
+  return { ratingScore, successScore, keyLevelScore, totalMplusScore };
+}
+
+function buildMember(name, classID, activeSpec, score, bestRuns, recentRuns, highestRuns, allTrackedRuns, profile) {
   if (score === 0 && bestRuns.length === 0 && allTrackedRuns.length === 0) return null;
 
   const totalTrackedRuns = allTrackedRuns.length;
@@ -62,13 +77,6 @@ function buildMember(name, classID, activeSpec, score, bestRuns, recentRuns, hig
 
   const topRun = bestRuns.reduce((best, r) => (!best || r.score > best.score ? r : best), null);
 
-  const ratingScore = Math.min(60, (score / maxRating) * 60);
-  const successBasePts = (successRate / 100) * 40;
-  const volumeBonus = Math.floor(totalTrackedRuns / 20) * 2;
-  const successScore = Math.min(40, successBasePts + volumeBonus);
-  const keyLevelScore = keyLevelBonusForRuns(bestRuns);
-  const totalMplusScore = Math.min(200, ratingScore + successScore + keyLevelScore);
-
   return {
     name,
     className: WCL_CLASS_NAMES[classID] ?? 'Unknown',
@@ -87,10 +95,7 @@ function buildMember(name, classID, activeSpec, score, bestRuns, recentRuns, hig
     avgBestKeyLevel,
     topDungeon: topRun?.dungeon ?? null,
     topDungeonLevel: topRun?.mythicLevel ?? 0,
-    ratingScore,
-    successScore,
-    keyLevelScore,
-    totalMplusScore,
+    ...scoreMplusMember({ score, successRate, totalTrackedRuns, bestRuns }, profile),
     allTrackedRuns,
   };
 }
@@ -106,7 +111,7 @@ export async function fetchMplusEnrichment(characterData, existingEnrichment = n
   const realm = characterData.server.toLowerCase();
   const name = characterData.name.toLowerCase();
   const classID = CLASS_NAME_TO_ID[characterData.metaData?.class] ?? 0;
-  const maxRating = config.mplus?.maxRatingForScore ?? 3700;
+  const scoringProfile = getScoringProfile(config);
 
   const profile = await rioGet('/characters/profile', {
     region,
@@ -118,7 +123,7 @@ export async function fetchMplusEnrichment(characterData, existingEnrichment = n
       'mythic_plus_recent_runs',
       'mythic_plus_highest_level_runs',
     ].join(','),
-  });
+  }, { type: 'rio_profile', realm, name });
 
   const score = profile.mythic_plus_scores_by_season?.[0]?.scores?.all ?? 0;
   const activeSpec = profile.active_spec_name ?? characterData.metaData?.spec ?? 'Unknown';
@@ -130,13 +135,10 @@ export async function fetchMplusEnrichment(characterData, existingEnrichment = n
   const incomingRuns = [...recentRuns, ...bestRuns, ...highestRuns];
   const allTrackedRuns = mergeRuns(previousRuns, incomingRuns);
 
-  return buildMember(name, classID, activeSpec, score, bestRuns, recentRuns, highestRuns, allTrackedRuns, maxRating);
+  return buildMember(name, classID, activeSpec, score, bestRuns, recentRuns, highestRuns, allTrackedRuns, scoringProfile);
 }
 
-export function normalizeMplusMember(member) {
+export function normalizeMplusMember(member, profile = resolveScoringProfile(null)) {
   if (!member) return null;
-  const keyLevelScore = member.keyLevelScore ?? keyLevelBonusForRuns(member.bestRuns ?? []);
-  const baseScore = Math.min(100, (member.ratingScore ?? 0) + (member.successScore ?? 0));
-  const totalMplusScore = Math.min(200, baseScore + keyLevelScore);
-  return { ...member, keyLevelScore, totalMplusScore };
+  return { ...member, ...scoreMplusMember(member, profile) };
 }
@@ -0,0 +1,162 @@
+/**
+ * @file Players — groups a person's characters (main and alts) and
+ * aggregates their readiness, plus link suggestions from signup data.
+ * @module services/players
+ */
+
+import {
+  getAllPlayers,
+  getMembersByKeys,
+  getAllMembers,
+  getSeasonsSignups
+} from '../database.js';
+import { transformCharacterData } from '../utils.js';
+import { getConfig } from '../config.js';
+
+/**
+ * Normalize a character reference for storage and lookups.
+ * @param {Object} character - { name, server, main }
+ * @returns {{ name: string, server: string, main: boolean }} Normalized reference
+ */
+export function normalizeCharacterRef(character) {
+  return {
+    name: String(character.name || '').trim().toLowerCase(),
+    server: String(character.server || '').trim().toLowerCase(),
+    main: Boolean(character.main)
+  };
+}
+
+/**
+ * Ensure at most one character is flagged as main; the first flagged one wins.
+ * @param {Object[]} characters - Normalized character references
+ * @returns {Object[]} Character references with a single main
+ */
+export function withSingleMain(characters) {
+  const mainIndex = characters.findIndex(character => character.main);
+  return characters.map((character, index) => ({ ...character, main: index === mainIndex }));
+}
+
+/**
+ * Attach member data and aggregate readiness for a player.
+ * @param {Object} player - Player document
+ * @param {Object} config - App config (optional, loaded when omitted)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeNotes] - Include the officers' notes (admins with players:read only)
+ * @returns {Promise<Object>} Player with characters[] and a readiness summary
+ */
+export async function buildPlayerSummary(player, config = null, { includeNotes = false } = {}) {
+  const cfg = config || await getConfig();
+  const members = await getMembersByKeys(player.characters || []);
+  const membersByKey = new Map(members.map(member => [`${member.name}-${member.server}`, member]));
+
+  const characters = await Promise.all((player.characters || []).map(async (ref) => {
+    const member = membersByKey.get(`${ref.name}-${ref.server}`);
+    if (!member) {
+      // Linked character that is not (or no longer) in the guild
+      return { name: ref.name, server: ref.server, main: ref.main, inGuild: false };
+    }
+    const data = await transformCharacterData(member, cfg);
+    return { ...data, main: ref.main, inGuild: true };
+  }));
+
+  const inGuild = characters.filter(character => character.inGuild);
+  const ready = inGuild.filter(character => character.ready);
+  const itemLevels = inGuild.map(character => character.itemLevel).filter(level => typeof level === 'number');
+
+  return {
+    _id: player._id,
+    name: player.name,
+    ...(includeNotes ? { notes: player.notes || '' } : {}),
+    main: characters.find(character => character.main) || null,
+    characters,
+    readiness: {
+      characters: characters.length,
+      inGuild: inGuild.length,
+      ready: ready.length,
+      readyCharacters: ready.map(character => `${character.name}-${character.server}`),
+      highestItemLevel: itemLevels.length ? Math.max(...itemLevels) : null,
+      averageItemLevel: itemLevels.length
+        ? Math.round((itemLevels.reduce((sum, level) => sum + level, 0) / itemLevels.length) * 100) / 100
+        : null,
+      summary: `${player.name} has ${ready.length} character${ready.length === 1 ? '' : 's'} ready for mythic`
+    },
+    createdAt: player.createdAt,
+    updatedAt: player.updatedAt
+  };
+}
+
+/**
+ * Suggest player groupings from season signups: every signup names the
+ * character the person plays now and the one they plan to play, and signups
+ * sharing a Discord name belong to the same person. Signups only carry
+ * character names, so a name is only used when it matches exactly one member.
+ * (The Battle.net roster API does not expose guild or officer notes.)
+ * @returns {Promise<Object[]>} Array of { player, characters, source, linkedTo }
+ */
+export async function suggestPlayerLinks() {
+  const [signups, members, players] = await Promise.all([
+    getSeasonsSignups(),
+    getAllMembers(),
+    getAllPlayers()
+  ]);
+
+  const membersByName = new Map();
+  members.forEach(member => {
+    const matches = membersByName.get(member.name) || [];
+    matches.push(member);
+    membersByName.set(member.name, matches);
+  });
+
+  const linkedTo = new Map();
+  players.forEach(player => {
+    (player.characters || []).forEach(ref => {
+      linkedTo.set(`${ref.name}-${ref.server}`, { _id: player._id, name: player.name });
+    });
+  });
+
+  const groups = new Map();
+  signups.forEach(signup => {
+    const playerName = String(signup.discordName || '').trim();
+    if (!playerName) return;
+
+    const names = [
+      signup.currentCharacterName,
+      signup.seasonCharacterName || signup.season3CharacterName
+    ].filter(Boolean).map(name => name.trim().toLowerCase());
+
+    const group = groups.get(playerName.toLowerCase()) || { player: playerName, characters: new Map() };
+    names.forEach(name => {
+      const matches = membersByName.get(name) || [];
+      if (matches.length !== 1) return;
+      const [member] = matches;
+      group.characters.set(`${member.name}-${member.server}`, {
+        name: member.name,
+        server: member.server,
+        guildRank: member.guildData?.rank ?? null,
+        linkedTo: linkedTo.get(`${member.name}-${member.server}`) || null
+      });
+    });
+    groups.set(playerName.toLowerCase(), group);
+  });
+
+  return [...groups.values()]
+    .map(group => ({ player: group.player, characters: [...group.characters.values()], source: 'signup' }))
+    // Only worth suggesting when there is more than one character and at least one is unlinked
+    .filter(suggestion => suggestion.characters.length > 1
+      && suggestion.characters.some(character => !character.linkedTo));
+}
+
+/**
+ * Build a lookup of linked characters for the main/alt filter.
+ * @returns {Promise<Map<string, boolean>>} "name-server" → true when the character is the player's main
+ */
+export async function getLinkedMainMap() {
+  const players = await getAllPlayers();
+  const map = new Map();
+  players.forEach(player => {
+    (player.characters || []).forEach(ref => {
+      map.set(`${ref.name}-${ref.server}`, Boolean(ref.main));
+    });
+  });
+  return map;
+}
@@ -4,10 +4,24 @@
 
 import { getRaiderioApiKey } from './secrets.js';
 import { getConfig } from '../config.js';
+import { outboundRequests, outboundRateLimited } from './metrics.js';
+import { withApiCache } from './apiCache.js';
 
-const DEFAULT_RIO_BASE = 'https://raider.io/api/v1';
+export const DEFAULT_RIO_BASE = 'https://raider.io/api/v1';
 
-export async function rioGet(path, params = {}) {
+/**
+ * GET a Raider.io endpoint, through the API cache when a cache type is given.
+ * @param {string} path - API path, e.g. '/characters/profile'
+ * @param {Object} [params] - Query parameters; `skipKey` leaves out the API key
+ * @param {Object} [cache] - { type, realm, name } (see services/apiCache)
+ * @returns {Promise<Object>} Response body
+ */
+export async function rioGet(path, params = {}, cache = null) {
+  if (!cache) return rioRequest(path, params);
+  return withApiCache({ ...cache, request: { path, params } }, () => rioRequest(path, params));
+}
+
+async function rioRequest(path, params) {
   const config = await getConfig();
   const base = config.rioBase || DEFAULT_RIO_BASE;
   const { skipKey, ...rest } = params;
@@ -17,10 +31,18 @@ export async function rioGet(path, params = {}) {
     if (v != null) search.set(k, String(v));
   }
   const url = `${base}${path}?${search.toString()}`;
-  const res = await fetch(url, {
-    headers: { Accept: 'application/json', 'User-Agent': 'WoWAuditTool/2.0' },
-    signal: AbortSignal.timeout(25000),
-  });
+  let res;
+  try {
+    res = await fetch(url, {
+      headers: { Accept: 'application/json', 'User-Agent': 'WoWAuditTool/2.0' },
+      signal: AbortSignal.timeout(25000),
+    });
+  } catch (error) {
+    outboundRequests.inc({ service: 'raiderio', status: 'error' });
+    throw error;
+  }
+  outboundRequests.inc({ service: 'raiderio', status: res.status });
+  if (res.status === 429) outboundRateLimited.inc({ service: 'raiderio' });
   if (!res.ok) {
     const body = await res.text().catch(() => '');
     throw new Error(`Raider.io ${res.status}: ${body || res.statusText}`);
@@ -0,0 +1,100 @@
+/**
+ * @file Rankings — scores the stored Raider.io and Warcraft Logs enrichment of every
+ * member with a scoring profile, and compares the rankings of two profiles.
+ * @module services/rankings
+ */
+
+import { combinedRankScore, tierForCombinedRank } from './characterEnrichment.js';
+import { normalizeRaiderScores } from './mergeRaiderLogs.js';
+import { normalizeMplusMember } from './mplusEnrichment.js';
+
+/**
+ * Rank the members with enrichment data.
+ * @param {Object[]} members - Member documents
+ * @param {Object} profile - Complete scoring profile (see services/scoringProfiles)
+ * @returns {{ raiders: Object[], mplus: Object[], combined: Object[] }} Raid and M+ profiles, best first,
+ * and the combined ranking with `rank` and `tier`
+ */
+export function buildRankings(members, profile) {
+  const raiders = [];
+  const mplusMembers = [];
+  const combined = [];
+
+  members.forEach(member => {
+    const enrichment = member.enrichment;
+    if (!enrichment || (!enrichment.raider && !enrichment.mplus)) return;
+
+    const raider = enrichment.raider ? normalizeRaiderScores(enrichment.raider, profile) : null;
+    const mplus = enrichment.mplus ? normalizeMplusMember(enrichment.mplus, profile) : null;
+    if (raider) raiders.push(raider);
+    if (mplus) mplusMembers.push(mplus);
+
+    const raidScore = raider?.overallProgressScore ?? 0;
+    const mplusScore = mplus?.totalMplusScore ?? 0;
+    combined.push({
+      name: member.name,
+      server: member.server,
+      className: member.metaData?.class,
+      spec: member.metaData?.spec,
+      classColour: enrichment.raider?.classColour ?? enrichment.mplus?.classColour ?? '#aaa',
+      raidScore,
+      mplusScore,
+      mplusRating: enrichment.rioRating ?? enrichment.mplus?.score ?? 0,
+      combinedScore: combinedRankScore(raidScore, mplusScore, profile),
+      role: enrichment.raider?.role ?? member.processedStats?.role ?? 'DPS'
+    });
+  });
+
+  raiders.sort((a, b) => b.overallProgressScore - a.overallProgressScore);
+  mplusMembers.sort((a, b) => b.totalMplusScore - a.totalMplusScore);
+  combined.sort((a, b) => b.combinedScore - a.combinedScore);
+
+  return {
+    raiders,
+    mplus: mplusMembers,
+    combined: combined.map((entry, index) => ({
+      ...entry,
+      rank: index + 1,
+      tier: tierForCombinedRank(index + 1, profile)
+    }))
+  };
+}
+
+/**
+ * Compare the combined rankings of two profiles.
+ * @param {Object[]} members - Member documents
+ * @param {Object} baseline - Profile the rankings are currently built with
+ * @param {Object} proposed - Profile to try
+ * @returns {{ members: Object[], summary: Object }} Per member the rank, tier and scores under both
+ * profiles and `rankChange` (positive when the member moves up), in proposed rank order
+ */
+export function compareRankings(members, baseline, proposed) {
+  const before = new Map(
+    buildRankings(members, baseline).combined.map(entry => [`${entry.name}-${entry.server}`, entry])
+  );
+  const pick = ({ rank, tier, combinedScore, raidScore, mplusScore }) => ({ rank, tier, combinedScore, raidScore, mplusScore });
+
+  const compared = buildRankings(members, proposed).combined.map(entry => {
+    const previous = before.get(`${entry.name}-${entry.server}`);
+    return {
+      name: entry.name,
+      server: entry.server,
+      className: entry.className,
+      baseline: pick(previous),
+      proposed: pick(entry),
+      rankChange: previous.rank - entry.rank,
+      tierChanged: previous.tier !== entry.tier
+    };
+  });
+
+  return {
+    members: compared,
+    summary: {
+      members: compared.length,
+      moved: compared.filter(entry => entry.rankChange !== 0).length,
+      tierChanges: compared.filter(entry => entry.tierChanged).length,
+      biggestRise: compared.reduce((best, entry) => (entry.rankChange > (best?.rankChange ?? 0) ? entry : best), null)?.name ?? null,
+      biggestDrop: compared.reduce((worst, entry) => (entry.rankChange < (worst?.rankChange ?? 0) ? entry : worst), null)?.name ?? null
+    }
+  };
+}
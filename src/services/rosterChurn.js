@@ -0,0 +1,98 @@
+/**
+ * @file Roster churn — diffs the Battle.net guild roster against the members
+ * collection, archives departed members and records join/leave events.
+ * @module services/rosterChurn
+ */
+
+import {
+  archiveMembers,
+  removeAlumnus,
+  saveRosterEvents
+} from '../database.js';
+
+/**
+ * Build the name-server key used to compare roster entries and member documents.
+ * @param {string} name - Character name
+ * @param {string} server - Realm slug
+ * @returns {string} Lowercase key
+ */
+export const memberKey = (name, server) => `${name}-${server}`.toLowerCase();
+
+/**
+ * Find stored members that are no longer on the guild roster.
+ * @param {Object[]} members - Stored members ({ name, server })
+ * @param {Object[]} roster - Battle.net roster entries ({ character: { name, realm: { slug } } })
+ * @returns {Object[]} Members missing from the roster
+ */
+export function findDepartedMembers(members, roster) {
+  const rosterKeys = new Set(
+    roster.map(entry => memberKey(entry.character.name, entry.character.realm.slug))
+  );
+  return members.filter(member => !rosterKeys.has(memberKey(member.name, member.server)));
+}
+
+/**
+ * Build a roster event document.
+ * @param {'member-joined'|'member-left'} type - Event type
+ * @param {Object} member - Member document
+ * @param {string} processId - Guild update process ID
+ * @param {Date} timestamp - Event time
+ * @returns {Object} Event document
+ */
+function buildRosterEvent(type, member, processId, timestamp) {
+  return {
+    type,
+    name: member.name,
+    server: member.server,
+    class: member.metaData?.class ?? null,
+    guildRank: member.guildData?.rank ?? null,
+    timestamp,
+    processId
+  };
+}
+
+/**
+ * Archive members who left the guild and record a member-left event for each.
+ * @param {Object[]} departed - Members missing from the roster
+ * @param {string} processId - Guild update process ID
+ * @returns {Promise<Object[]>} The recorded member-left events
+ */
+export async function archiveDepartedMembers(departed, processId) {
+  if (!departed.length) {
+    return [];
+  }
+
+  const departedAt = new Date();
+  await archiveMembers(departed, departedAt, processId);
+
+  const events = departed.map(member => buildRosterEvent('member-left', member, processId, departedAt));
+  await saveRosterEvents(events);
+  return events;
+}
+
+/**
+ * Record a member-joined event for each newly added member. Characters
+ * returning to the guild are taken out of the alumni archive.
+ * @param {Object[]} characters - Member documents added this run
+ * @param {string} processId - Guild update process ID
+ * @returns {Promise<Object[]>} The recorded member-joined events
+ */
+export async function recordJoinedMembers(characters, processId) {
+  if (!characters.length) {
+    return [];
+  }
+
+  const joinedAt = new Date();
+  const events = [];
+  for (const character of characters) {
+    const alumnus = await removeAlumnus(character.name, character.server);
+    events.push({
+      ...buildRosterEvent('member-joined', character, processId, joinedAt),
+      returning: Boolean(alumnus),
+      previouslyDepartedAt: alumnus?.departedAt ?? null
+    });
+  }
+
+  await saveRosterEvents(events);
+  return events;
+}
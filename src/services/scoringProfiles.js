@@ -0,0 +1,301 @@
+/**
+ * @file Scoring profiles — the raid speed milestones, M+ formula, combined weights and
+ * rank tiers behind the rankings. The built-in `default` profile can be complemented by
+ * named profiles in SCORING_PROFILES; SCORING_PROFILE selects the one used for stored
+ * scores and for rankings requested without a profile.
+ * @module services/scoringProfiles
+ */
+
+export const DEFAULT_PROFILE_NAME = 'default';
+
+export const DEFAULT_SCORING_PROFILE = {
+  raid: {
+    // Milestones use bossShare (share of the raid's bosses) or bossCount (absolute)
+    baseMilestones: [
+      { bossShare: 0.22, expectedWeek: 2, maxPts: 12.5 },
+      { bossShare: 0.44, expectedWeek: 4, maxPts: 18.75 },
+      { bossShare: 0.78, expectedWeek: 6, maxPts: 25 },
+      { bossShare: 1, expectedWeek: 8, maxPts: 50 }
+    ],
+    bonusMilestones: [
+      { bossShare: 1, byWeek: 4, bonusPts: 50 },
+      { bossShare: 0.78, byWeek: 4, bonusPts: 25 },
+      { bossShare: 0.44, byWeek: 4, bonusPts: 12.5 }
+    ],
+    pointsPerWeekLate: 2.5
+  },
+  mplus: {
+    // null uses mplus.maxRatingForScore from the config
+    maxRating: null,
+    ratingPoints: 60,
+    successPoints: 40,
+    volumeRuns: 20,
+    volumePoints: 2,
+    keyLevelBonuses: [
+      { minLevel: 18, points: 8 },
+      { minLevel: 16, points: 6 },
+      { minLevel: 14, points: 4 },
+      { minLevel: 12, points: 2 },
+      { minLevel: 10, points: 1 }
+    ],
+    maxScore: 200
+  },
+  combined: {
+    raidWeight: 50,
+    mplusWeight: 50,
+    raidMax: 200,
+    mplusMax: 200
+  },
+  // Highest rank of each tier, best tier first; the last tier has no limit
+  tiers: [
+    { tier: 'mythic', maxRank: 1 },
+    { tier: 'legendary', maxRank: 3 },
+    { tier: 'epic', maxRank: 7 },
+    { tier: 'rare', maxRank: 12 },
+    { tier: 'uncommon', maxRank: null }
+  ]
+};
+
+const PROFILE_SECTIONS = ['raid', 'mplus', 'combined', 'tiers'];
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const DEFAULT_MAX_RATING = 3700;
+
+/**
+ * Names of the profiles that can be selected.
+ * @param {Object} config - App config (SCORING_PROFILES)
+ * @returns {string[]} Profile names, `default` first
+ */
+export function getScoringProfileNames(config) {
+  return [DEFAULT_PROFILE_NAME, ...Object.keys(config?.SCORING_PROFILES || {})];
+}
+
+/**
+ * Resolve a profile: its sections are merged over the default profile's, so a profile
+ * only lists what it changes (tiers are replaced as a whole).
+ * @param {Object} profile - Profile as stored in SCORING_PROFILES
+ * @param {Object} config - App config (mplus.maxRatingForScore)
+ * @returns {Object} Complete profile
+ */
+export function resolveScoringProfile(profile, config) {
+  const resolved = {
+    raid: { ...DEFAULT_SCORING_PROFILE.raid, ...profile?.raid },
+    mplus: { ...DEFAULT_SCORING_PROFILE.mplus, ...profile?.mplus },
+    combined: { ...DEFAULT_SCORING_PROFILE.combined, ...profile?.combined },
+    tiers: profile?.tiers || DEFAULT_SCORING_PROFILE.tiers
+  };
+  resolved.mplus.maxRating ??= config?.mplus?.maxRatingForScore ?? DEFAULT_MAX_RATING;
+  return resolved;
+}
+
+/**
+ * Get a scoring profile by name.
+ * @param {Object} config - App config (SCORING_PROFILES, SCORING_PROFILE)
+ * @param {string} [name] - Profile name (default: SCORING_PROFILE, then `default`)
+ * @returns {Object|null} Complete profile with its `name`, or null when no profile has that name
+ */
+export function getScoringProfile(config, name = null) {
+  const profileName = name || config?.SCORING_PROFILE || DEFAULT_PROFILE_NAME;
+  if (profileName === DEFAULT_PROFILE_NAME) {
+    return { name: profileName, ...resolveScoringProfile(null, config) };
+  }
+
+  // Own keys only: `toString` or `__proto__` are not profiles
+  const profiles = config?.SCORING_PROFILES || {};
+  const profile = Object.hasOwn(profiles, profileName) ? profiles[profileName] : null;
+  if (!profile) {
+    // An active profile that was removed falls back to the default
+    return name ? null : { name: DEFAULT_PROFILE_NAME, ...resolveScoringProfile(null, config) };
+  }
+  return { name: profileName, ...resolveScoringProfile(profile, config) };
+}
+
+/**
+ * Number of bosses a milestone needs in a raid.
+ * @param {Object} milestone - Milestone with bossCount or bossShare
+ * @param {number} totalBosses - Bosses in the raid
+ * @returns {number} Boss count
+ */
+const milestoneBosses = (milestone, totalBosses) => (milestone.bossCount
+  ?? Math.max(1, Math.round(milestone.bossShare * totalBosses)));
+
+/**
+ * Raid speed score from the week each boss was first killed: points for the furthest
+ * base milestone reached (less pointsPerWeekLate per week after its expected week),
+ * plus the first bonus milestone reached in time.
+ * @param {number[]} killWeeks - Week of the tier each boss was first killed in
+ * @param {number} totalBosses - Bosses in the raid
+ * @param {Object} [raid] - Raid section of a profile
+ * @returns {number} Speed score
+ */
+export function calcSpeedScore(killWeeks, totalBosses, raid = DEFAULT_SCORING_PROFILE.raid) {
+  if (killWeeks.length === 0) return 0;
+  const sorted = [...killWeeks].sort((a, b) => a - b);
+
+  let baseSpeed = 0;
+  for (let i = raid.baseMilestones.length - 1; i >= 0; i--) {
+    const ms = raid.baseMilestones[i];
+    const bossCount = milestoneBosses(ms, totalBosses);
+    if (bossCount > totalBosses) continue;
+    if (sorted.length < bossCount) continue;
+    const weeksLate = Math.max(0, sorted[bossCount - 1] - ms.expectedWeek);
+    baseSpeed = Math.max(0, ms.maxPts - raid.pointsPerWeekLate * weeksLate);
+    break;
+  }
+
+  let bonusSpeed = 0;
+  for (const ms of raid.bonusMilestones) {
+    const bossCount = milestoneBosses(ms, totalBosses);
+    if (bossCount > totalBosses) continue;
+    if (sorted.length < bossCount) continue;
+    if (sorted[bossCount - 1] <= ms.byWeek) {
+      bonusSpeed = ms.bonusPts;
+      break;
+    }
+  }
+
+  return baseSpeed + bonusSpeed;
+}
+
+/**
+ * Whether a value is a finite number of at least 0.
+ * @param {any} value - Value
+ * @returns {boolean} True when valid
+ */
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate the milestones of a raid section.
+ * @param {any} milestones - Milestone list
+ * @param {string} label - Setting path for the messages
+ * @param {string[]} fields - Numeric fields each milestone needs besides its boss count
+ * @param {string[]} errors - Collected errors
+ */
+function validateMilestones(milestones, label, fields, errors) {
+  if (!Array.isArray(milestones) || !milestones.length) {
+    errors.push(`${label} must be a non-empty list`);
+    return;
+  }
+  milestones.forEach((milestone, index) => {
+    const itemLabel = `${label}[${index}]`;
+    const hasCount = Number.isInteger(milestone?.bossCount) && milestone.bossCount > 0;
+    const hasShare = isNumber(milestone?.bossShare) && milestone.bossShare > 0 && milestone.bossShare <= 1;
+    if (hasCount === hasShare) {
+      errors.push(`${itemLabel} needs either bossCount (whole number) or bossShare (0 to 1)`);
+    }
+    fields
+      .filter(field => !isNumber(milestone?.[field]))
+      .forEach(field => errors.push(`${itemLabel}.${field} must be a number of at least 0`));
+  });
+}
+
+/**
+ * Validate one profile.
+ * @param {any} profile - Profile
+ * @param {string} label - Setting path for the messages
+ * @param {string[]} errors - Collected errors
+ */
+function validateProfile(profile, label, errors) {
+  if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  Object.keys(profile)
+    .filter(section => !PROFILE_SECTIONS.includes(section))
+    .forEach(section => errors.push(`${label}.${section} is not a section, use: ${PROFILE_SECTIONS.join(', ')}`));
+
+  ['raid', 'mplus', 'combined'].forEach(section => {
+    const value = profile[section];
+    if (value === undefined) return;
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      errors.push(`${label}.${section} must be an object`);
+      return;
+    }
+    Object.keys(value)
+      .filter(field => !(field in DEFAULT_SCORING_PROFILE[section]))
+      .forEach(field => errors.push(`${label}.${section}.${field} is not a setting, use: ${Object.keys(DEFAULT_SCORING_PROFILE[section]).join(', ')}`));
+  });
+
+  const { raid = {}, mplus = {}, combined = {}, tiers } = profile;
+  if (raid.baseMilestones !== undefined) {
+    validateMilestones(raid.baseMilestones, `${label}.raid.baseMilestones`, ['expectedWeek', 'maxPts'], errors);
+  }
+  if (raid.bonusMilestones !== undefined) {
+    validateMilestones(raid.bonusMilestones, `${label}.raid.bonusMilestones`, ['byWeek', 'bonusPts'], errors);
+  }
+  if (raid.pointsPerWeekLate !== undefined && !isNumber(raid.pointsPerWeekLate)) {
+    errors.push(`${label}.raid.pointsPerWeekLate must be a number of at least 0`);
+  }
+
+  ['ratingPoints', 'successPoints', 'volumePoints', 'maxScore']
+    .filter(field => mplus[field] !== undefined && !isNumber(mplus[field]))
+    .forEach(field => errors.push(`${label}.mplus.${field} must be a number of at least 0`));
+  ['maxRating', 'volumeRuns']
+    .filter(field => mplus[field] !== undefined && !(isNumber(mplus[field]) && mplus[field] > 0))
+    .forEach(field => errors.push(`${label}.mplus.${field} must be a number above 0`));
+  if (mplus.keyLevelBonuses !== undefined && (!Array.isArray(mplus.keyLevelBonuses)
+    || mplus.keyLevelBonuses.some(bonus => !Number.isInteger(bonus?.minLevel) || !isNumber(bonus?.points)))) {
+    errors.push(`${label}.mplus.keyLevelBonuses must be a list of { minLevel, points }`);
+  }
+
+  ['raidWeight', 'mplusWeight']
+    .filter(field => combined[field] !== undefined && !isNumber(combined[field]))
+    .forEach(field => errors.push(`${label}.combined.${field} must be a number of at least 0`));
+  ['raidMax', 'mplusMax']
+    .filter(field => combined[field] !== undefined && !(isNumber(combined[field]) && combined[field] > 0))
+    .forEach(field => errors.push(`${label}.combined.${field} must be a number above 0`));
+
+  if (tiers !== undefined) {
+    const valid = Array.isArray(tiers) && tiers.length > 0
+      && tiers.every((entry, index) => typeof entry?.tier === 'string' && entry.tier.trim()
+        && (index === tiers.length - 1
+          ? entry.maxRank === null || entry.maxRank === undefined
+          : Number.isInteger(entry.maxRank) && entry.maxRank > (tiers[index - 1]?.maxRank ?? 0)));
+    if (!valid) {
+      errors.push(`${label}.tiers must list { tier, maxRank } with increasing ranks, the last one without maxRank`);
+    }
+  }
+}
+
+/**
+ * Validate a single profile, e.g. one submitted for a dry run.
+ * @param {any} profile - Profile
+ * @param {string} [label] - Name used in the messages
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export function validateScoringProfile(profile, label = 'profile') {
+  const errors = [];
+  validateProfile(profile, label, errors);
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validate SCORING_PROFILES and SCORING_PROFILE before they are saved.
+ * @param {any} profiles - Named profiles (null removes them)
+ * @param {any} activeProfile - Name of the active profile (null uses `default`)
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export function validateScoringProfiles(profiles, activeProfile = null) {
+  const errors = [];
+
+  if (profiles !== null && profiles !== undefined) {
+    if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+      return { isValid: false, errors: ['SCORING_PROFILES must be an object keyed by profile name'] };
+    }
+    Object.entries(profiles).forEach(([name, profile]) => {
+      if (name === DEFAULT_PROFILE_NAME || !PROFILE_NAME_PATTERN.test(name)) {
+        errors.push(`SCORING_PROFILES.${name}: profile names use lowercase letters, digits and dashes, and "${DEFAULT_PROFILE_NAME}" is built in`);
+        return;
+      }
+      validateProfile(profile, `SCORING_PROFILES.${name}`, errors);
+    });
+  }
+
+  if (activeProfile !== null && activeProfile !== undefined
+    && !getScoringProfileNames({ SCORING_PROFILES: profiles }).includes(activeProfile)) {
+    errors.push(`SCORING_PROFILE must be one of: ${getScoringProfileNames({ SCORING_PROFILES: profiles }).join(', ')}`);
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
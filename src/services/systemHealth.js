@@ -0,0 +1,269 @@
+/**
+ * @file System health — MongoDB, guild data freshness, guild update runs, the
+ * cron schedule and reachability of Battle.net, Raider.io and Warcraft Logs.
+ * Used by /api/health (liveness/readiness) and /api/status.
+ * @module services/systemHealth
+ */
+
+import {
+  pingDatabase,
+  hasAppSettings,
+  getMembersDataFreshness,
+  getLatestGuildUpdateRun
+} from '../database.js';
+import { getConfig } from '../config.js';
+import { getCronStatus } from '../cron.js';
+import { getRunningJobs } from './jobQueue.js';
+import { getBnetHosts } from './battlenet.js';
+import { DEFAULT_RIO_BASE } from './raiderio.js';
+import { WCL_API_URL } from './warcraftlogs.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('systemHealth');
+
+const DEFAULTS = {
+  HEALTH_CHECK_TIMEOUT_MS: 5000,
+  // External services are probed at most once per interval, whatever the polling rate
+  HEALTH_EXTERNAL_CACHE_SECONDS: 60,
+  // Member data older than this marks the service degraded
+  HEALTH_MAX_DATA_AGE_MINUTES: 180
+};
+
+/**
+ * Read a numeric health setting from the environment.
+ * @param {string} name - Setting name from DEFAULTS
+ * @returns {number} Setting value
+ */
+const setting = (name) => Number(process.env[name]) || DEFAULTS[name];
+
+// Last external probe results, shared by every caller until they expire
+let externalCache = { checkedAt: 0, services: null, pending: null, error: null };
+
+/**
+ * Reject when a promise does not settle in time.
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise} The promise result
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Ping MongoDB.
+ * @returns {Promise<{ status: 'up'|'down', latencyMs?: number, error?: string }>} Database check
+ */
+export async function checkDatabase() {
+  try {
+    const { latencyMs } = await withTimeout(pingDatabase(), setting('HEALTH_CHECK_TIMEOUT_MS'));
+    return { status: 'up', latencyMs };
+  } catch (error) {
+    log.error('❌ Health check: MongoDB ping failed:', { error: error.message });
+    return { status: 'down', error: 'Database ping failed' };
+  }
+}
+
+/**
+ * Probe an external API. Any HTTP answer below 500 counts as reachable: the probes
+ * are unauthenticated, so 401/404 still prove the service is up.
+ * @param {string} url - URL to request
+ * @returns {Promise<Object>} { status, httpStatus, latencyMs } or { status, error }
+ */
+async function probe(url) {
+  const startedAt = Date.now();
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json', 'User-Agent': 'WoWAuditTool/2.0' },
+      signal: AbortSignal.timeout(setting('HEALTH_CHECK_TIMEOUT_MS'))
+    });
+    return {
+      status: response.status < 500 ? 'up' : 'down',
+      httpStatus: response.status,
+      latencyMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    return {
+      status: 'down',
+      error: error.name === 'TimeoutError' ? 'Timed out' : (error.cause?.code || error.message)
+    };
+  }
+}
+
+/**
+ * Probe Battle.net, Raider.io and Warcraft Logs in parallel.
+ * @returns {Promise<Object>} Results keyed by service
+ */
+async function probeExternalServices() {
+  const config = await getConfig();
+  const region = config.REGION || 'eu';
+  const rioBase = config.rioBase || DEFAULT_RIO_BASE;
+
+  const [battlenet, raiderio, warcraftlogs] = await Promise.all([
+    probe(`${getBnetHosts(region).apiHost}/data/wow/token/index?namespace=dynamic-${region}`),
+    probe(`${rioBase}/mythic-plus/affixes?region=${region}&locale=en`),
+    probe(WCL_API_URL)
+  ]);
+  return { battlenet, raiderio, warcraftlogs };
+}
+
+/**
+ * Probe the external APIs in the background, one probe at a time. A failed probe
+ * keeps the previous results.
+ * @returns {Promise<void>} Settles when the probe is done
+ */
+function refreshExternalServices() {
+  if (!externalCache.pending) {
+    externalCache.pending = probeExternalServices()
+      .then(services => {
+        externalCache = { checkedAt: Date.now(), services, pending: null, error: null };
+      })
+      .catch(error => {
+        log.warn('⚠️ Health check: external service probe failed:', { error: error.message });
+        externalCache = { ...externalCache, pending: null, error: error.message };
+      });
+  }
+  return externalCache.pending;
+}
+
+/**
+ * Last known reachability of the external APIs. Never waits for a probe: results older
+ * than HEALTH_EXTERNAL_CACHE_SECONDS are refreshed in the background, so a slow API
+ * cannot hold up the readiness probe. Until the first probe finishes, services is empty.
+ * @returns {{ services: Object, checkedAt: string|null, refreshing: boolean, error?: string }} External checks
+ */
+export function getExternalServicesStatus() {
+  const maxAgeMs = setting('HEALTH_EXTERNAL_CACHE_SECONDS') * 1000;
+  if (!externalCache.services || Date.now() - externalCache.checkedAt >= maxAgeMs) {
+    refreshExternalServices();
+  }
+
+  return {
+    services: externalCache.services || {},
+    checkedAt: externalCache.checkedAt ? new Date(externalCache.checkedAt).toISOString() : null,
+    refreshing: Boolean(externalCache.pending),
+    ...(externalCache.error ? { error: externalCache.error } : {})
+  };
+}
+
+/**
+ * Jobs currently running (guild and character updates).
+ * @returns {string[]} Job IDs
+ */
+export function getActiveProcesses() {
+  return getRunningJobs().map(job => job.jobId);
+}
+
+/**
+ * Summarise a guild update run for the API.
+ * @param {Object|null} run - Run document
+ * @returns {Object|null} Run summary
+ */
+const summariseRun = (run) => (run ? {
+  processId: run.processId,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  success: run.success,
+  memberCount: run.memberCount,
+  error: run.error
+} : null);
+
+/**
+ * Guild update state: running processes, the cron schedule and the last runs.
+ * @param {boolean} databaseUp - Whether MongoDB answered (the run history is skipped when not)
+ * @returns {Promise<Object>} Update status
+ */
+export async function getUpdateStatus(databaseUp = true) {
+  const [lastSuccess, lastRun] = databaseUp
+    ? await withTimeout(Promise.all([
+      getLatestGuildUpdateRun({ success: true }),
+      getLatestGuildUpdateRun()
+    ]), setting('HEALTH_CHECK_TIMEOUT_MS')).catch(() => [null, null])
+    : [null, null];
+
+  const processes = getActiveProcesses();
+  return {
+    activeProcesses: processes.length,
+    processes,
+    cron: getCronStatus(),
+    lastSuccessfulUpdate: lastSuccess?.finishedAt || null,
+    lastRun: summariseRun(lastRun)
+  };
+}
+
+/**
+ * Build the readiness report.
+ * Not ready (503) when MongoDB is down, or when the app is installed but has no member data yet.
+ * Degraded (still 200) when member data is stale, the last update failed or an external API is unreachable,
+ * so an orchestrator does not restart the app for problems a restart cannot fix. External APIs are
+ * reported from the last background probe and never delay the report.
+ * @returns {Promise<Object>} Health report with `ready` and `status`
+ */
+export async function buildHealthReport() {
+  const external = getExternalServicesStatus();
+  const database = await checkDatabase();
+  const databaseUp = database.status === 'up';
+
+  let installed = false;
+  let freshness = { count: 0, newestUpdate: null, oldestUpdate: null };
+  if (databaseUp) {
+    [installed, freshness] = await Promise.all([
+      hasAppSettings(),
+      getMembersDataFreshness().catch(() => freshness)
+    ]);
+  }
+
+  const updates = await getUpdateStatus(databaseUp);
+
+  const maxAgeMs = setting('HEALTH_MAX_DATA_AGE_MINUTES') * 60 * 1000;
+  const dataAgeMinutes = freshness.newestUpdate
+    ? Math.round((Date.now() - new Date(freshness.newestUpdate).getTime()) / 60000)
+    : null;
+  let dataStatus = freshness.count > 0 ? 'ready' : 'no_data';
+  if (dataStatus === 'ready' && dataAgeMinutes !== null && dataAgeMinutes * 60000 > maxAgeMs) {
+    dataStatus = 'stale';
+  }
+
+  const problems = [];
+  if (!databaseUp) problems.push('MongoDB is unreachable');
+  if (databaseUp && installed && dataStatus === 'no_data') problems.push('No guild member data yet');
+  const ready = problems.length === 0;
+
+  const warnings = [];
+  if (dataStatus === 'stale') warnings.push(`Member data is ${dataAgeMinutes} minutes old`);
+  if (updates.lastRun && !updates.lastRun.success) warnings.push('The last guild update failed');
+  Object.entries(external.services || {})
+    .filter(([, check]) => check.status !== 'up')
+    .forEach(([name]) => warnings.push(`${name} is unreachable`));
+
+  let status = 'ready';
+  if (!ready) status = databaseUp ? 'starting' : 'unavailable';
+  else if (!installed) status = 'installing';
+  else if (warnings.length) status = 'degraded';
+
+  return {
+    ready,
+    status,
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    problems,
+    warnings,
+    checks: {
+      database,
+      data: {
+        installed,
+        dataStatus,
+        memberCount: freshness.count,
+        newestUpdate: freshness.newestUpdate,
+        oldestUpdate: freshness.oldestUpdate,
+        ageMinutes: dataAgeMinutes,
+        maxAgeMinutes: setting('HEALTH_MAX_DATA_AGE_MINUTES')
+      },
+      updates,
+      external
+    }
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * @file Tier catalog — recognises tier pieces by item set ID using the TIER_CATALOG
+ * setting (season → class → item set ID → slots), builds each member's tier status
+ * (slots owned and missing, 2pc/4pc bonuses, tier item levels) and the guild-wide
+ * tier token demand per armor type.
+ * @module services/tierCatalog
+ */
+
+import { EQUIPMENT_SLOTS } from './gearAudit.js';
+
+// Armor type of every class; tier tokens are summarised per armor type
+export const CLASS_ARMOR_TYPES = {
+  Mage: 'Cloth',
+  Priest: 'Cloth',
+  Warlock: 'Cloth',
+  'Demon Hunter': 'Leather',
+  Druid: 'Leather',
+  Monk: 'Leather',
+  Rogue: 'Leather',
+  Evoker: 'Mail',
+  Hunter: 'Mail',
+  Shaman: 'Mail',
+  'Death Knight': 'Plate',
+  Paladin: 'Plate',
+  Warrior: 'Plate'
+};
+
+export const ARMOR_TYPES = ['Cloth', 'Leather', 'Mail', 'Plate'];
+
+// Pieces needed for the set bonuses
+const TWO_PIECE = 2;
+const FOUR_PIECE = 4;
+
+/**
+ * Get the current season of the tier catalog.
+ * @param {Object} config - App config
+ * @returns {Object|null} { id, name, classes }, or null when no catalog or current season is configured
+ */
+export function getCurrentTierSeason(config) {
+  const catalog = config?.TIER_CATALOG;
+  const season = catalog?.seasons?.[catalog.currentSeason];
+  return season ? { id: catalog.currentSeason, name: season.name || catalog.currentSeason, classes: season.classes || {} } : null;
+}
+
+/**
+ * Every item set ID in the catalog, across seasons, so pieces from earlier tiers are
+ * still recognised as tier.
+ * @param {Object} config - App config
+ * @returns {Set<number>} Item set IDs (empty without a catalog)
+ */
+export function getTierSetIds(config) {
+  const ids = new Set();
+  Object.values(config?.TIER_CATALOG?.seasons || {}).forEach(season => {
+    Object.values(season?.classes || {}).forEach(sets => {
+      Object.keys(sets || {}).forEach(setId => ids.add(Number(setId)));
+    });
+  });
+  return ids;
+}
+
+/**
+ * Validate TIER_CATALOG before it is saved.
+ * @param {any} catalog - Catalog to validate (null removes it)
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export function validateTierCatalog(catalog) {
+  if (catalog === null) {
+    return { isValid: true, errors: [] };
+  }
+  if (typeof catalog !== 'object' || Array.isArray(catalog)
+    || typeof catalog.seasons !== 'object' || catalog.seasons === null || Array.isArray(catalog.seasons)) {
+    return { isValid: false, errors: ['TIER_CATALOG must be an object with a "seasons" object'] };
+  }
+
+  const errors = [];
+  if (typeof catalog.currentSeason !== 'string' || !catalog.seasons[catalog.currentSeason]) {
+    errors.push('TIER_CATALOG.currentSeason must be the key of one of the seasons');
+  }
+
+  Object.entries(catalog.seasons).forEach(([seasonId, season]) => {
+    const label = `TIER_CATALOG.seasons.${seasonId}`;
+    if (typeof season !== 'object' || season === null || Array.isArray(season)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (season.name !== undefined && typeof season.name !== 'string') {
+      errors.push(`${label}.name must be a string`);
+    }
+    if (typeof season.classes !== 'object' || season.classes === null || Array.isArray(season.classes)) {
+      errors.push(`${label}.classes must be an object keyed by class name`);
+      return;
+    }
+
+    Object.entries(season.classes).forEach(([className, sets]) => {
+      const classLabel = `${label}.classes.${className}`;
+      if (!CLASS_ARMOR_TYPES[className]) {
+        errors.push(`${classLabel}: unknown class, use one of: ${Object.keys(CLASS_ARMOR_TYPES).join(', ')}`);
+        return;
+      }
+      if (typeof sets !== 'object' || sets === null || Array.isArray(sets) || !Object.keys(sets).length) {
+        errors.push(`${classLabel} must map item set IDs to slot lists`);
+        return;
+      }
+
+      Object.entries(sets).forEach(([setId, slots]) => {
+        if (!/^[1-9]\d*$/.test(setId)) {
+          errors.push(`${classLabel}.${setId}: item set IDs must be positive integers`);
+        }
+        if (!Array.isArray(slots) || !slots.length || slots.some(slot => !EQUIPMENT_SLOTS.includes(slot))) {
+          errors.push(`${classLabel}.${setId} must be a non-empty list of slots (${EQUIPMENT_SLOTS.join(', ')})`);
+        }
+      });
+    });
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Build a member's tier status for the current season.
+ * @param {Object[]} items - Battle.net equipped items
+ * @param {string} className - Character class name (metaData.class)
+ * @param {Object} config - App config
+ * @returns {Object|null} { season, setIds, slots, owned, missing, pieces, bonuses, itemLevels },
+ * or null when the catalog has no set for the class this season
+ */
+export function buildTierStatus(items, className, config) {
+  const season = getCurrentTierSeason(config);
+  const sets = season?.classes?.[className];
+  if (!sets) {
+    return null;
+  }
+
+  const slotsBySet = new Map(Object.entries(sets).map(([setId, slots]) => [Number(setId), slots]));
+  const tierSlots = [...new Set([...slotsBySet.values()].flat())];
+
+  const owned = (items || [])
+    .filter(item => slotsBySet.get(item?.set?.item_set?.id)?.includes(item.slot?.type))
+    .map(item => ({
+      slot: item.slot.type,
+      setId: item.set.item_set.id,
+      name: item.name,
+      itemLevel: item.level?.value ?? null
+    }));
+  const ownedSlots = owned.map(piece => piece.slot);
+  const itemLevels = owned.map(piece => piece.itemLevel).filter(level => level !== null);
+
+  return {
+    season: season.id,
+    setIds: [...slotsBySet.keys()],
+    slots: tierSlots,
+    owned,
+    missing: tierSlots.filter(slot => !ownedSlots.includes(slot)),
+    pieces: owned.length,
+    bonuses: {
+      twoPiece: owned.length >= TWO_PIECE,
+      fourPiece: owned.length >= FOUR_PIECE
+    },
+    itemLevels: {
+      min: itemLevels.length ? Math.min(...itemLevels) : null,
+      average: itemLevels.length
+        ? Math.round((itemLevels.reduce((total, level) => total + level, 0) / itemLevels.length) * 10) / 10
+        : null
+    }
+  };
+}
+
+/**
+ * Guild-wide tier token demand: per armor type, how many members still need a token
+ * for each tier slot, and how many have their 2pc and 4pc bonuses.
+ * @param {Object[]} members - Member documents (with `tier` and metaData.class)
+ * @returns {Object} { [armorType]: { classes, members, twoPiece, fourPiece, demand: { [slot]: count }, totalDemand } }
+ */
+export function summariseTierDemand(members) {
+  const summary = Object.fromEntries(ARMOR_TYPES.map(armorType => [armorType, {
+    classes: Object.keys(CLASS_ARMOR_TYPES).filter(className => CLASS_ARMOR_TYPES[className] === armorType),
+    members: 0,
+    twoPiece: 0,
+    fourPiece: 0,
+    demand: {},
+    totalDemand: 0
+  }]));
+
+  members.forEach(member => {
+    const armorType = CLASS_ARMOR_TYPES[member.metaData?.class];
+    if (!armorType || !member.tier) return;
+
+    const entry = summary[armorType];
+    entry.members++;
+    if (member.tier.bonuses.twoPiece) entry.twoPiece++;
+    if (member.tier.bonuses.fourPiece) entry.fourPiece++;
+    member.tier.missing.forEach(slot => {
+      entry.demand[slot] = (entry.demand[slot] || 0) + 1;
+      entry.totalDemand++;
+    });
+  });
+
+  return summary;
+}
@@ -0,0 +1,206 @@
+/**
+ * @file Transmog collections — caches each member's Battle.net appearance collection
+ * and answers guild-wide questions about it: how complete the guild is per appearance
+ * set and per slot, and who has (or lacks) a given set or appearance.
+ * @module services/transmogCollection
+ */
+
+import {
+  getMemberKeys,
+  saveMemberTransmogCollection,
+  getMemberTransmogCollection,
+  getTransmogCollectionKeys,
+  findTransmogSetCollectors,
+  findTransmogAppearanceCollectors,
+  getTransmogSetCounts,
+  getTransmogSlotStats
+} from '../database.js';
+import { getConfig } from '../config.js';
+import { getBattlenetClient } from './battlenet.js';
+import { battlenetNotModified } from './metrics.js';
+import { getCharacterInformation } from '../../tools/guildFetcher/utils.mjs';
+
+/**
+ * Key a cached collection is stored under.
+ * @param {string} name - Character name
+ * @param {string} server - Realm slug
+ * @returns {string} Member key (name-server)
+ */
+export const transmogMemberKey = (name, server) => `${name.toLowerCase()}-${server.toLowerCase()}`;
+
+/**
+ * Reduce a Battle.net /collections/transmogs response to what is cached: the
+ * collected appearance sets and the appearance IDs collected per slot.
+ * @param {Object} response - Battle.net response
+ * @returns {{ appearanceSets: Object[], slots: Object[], appearanceCount: number }} Collection data
+ */
+export function parseTransmogCollection(response) {
+  const appearanceSets = (response?.appearance_sets || [])
+    .filter(set => set?.id)
+    .map(set => ({ id: set.id, name: set.name || null }));
+
+  const slots = (response?.slots || [])
+    .filter(slot => slot?.slot?.type)
+    .map(slot => ({
+      type: slot.slot.type,
+      name: slot.slot.name || slot.slot.type,
+      appearanceIds: [...new Set((slot.appearances || []).map(appearance => appearance.id).filter(Boolean))]
+    }));
+
+  return {
+    appearanceSets,
+    slots,
+    appearanceCount: slots.reduce((total, slot) => total + slot.appearanceIds.length, 0)
+  };
+}
+
+/**
+ * Fetch a member's transmog collection from Battle.net and cache it. Unless forced,
+ * the request is conditional on the cached copy, which is kept when Battle.net
+ * answers 304.
+ * @param {string} realm - Realm slug
+ * @param {string} character - Character name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Refetch even when the cached copy is current
+ * @returns {Promise<{ collection: Object, response: Object|null, notModified: boolean }>}
+ * The cached collection and the raw Battle.net response (null when not modified)
+ */
+export async function refreshTransmogCollection(realm, character, { force = false } = {}) {
+  const name = character.toLowerCase();
+  const server = realm.toLowerCase();
+  const memberKey = transmogMemberKey(name, server);
+
+  const bnet = getBattlenetClient(await getConfig());
+  const { transmogsUrl } = getCharacterInformation({ name, character: { name, realm: { slug: server } } });
+
+  const cached = force ? null : await getMemberTransmogCollection(memberKey);
+  const since = cached?.lastModified;
+
+  let response;
+  try {
+    response = await bnet.query(transmogsUrl, since ? { headers: { 'If-Modified-Since': since } } : undefined);
+  } catch (error) {
+    if (since && error?.response?.status === 304) {
+      battlenetNotModified.inc({ resource: 'transmog' });
+      return { collection: cached, response: null, notModified: true };
+    }
+    throw error;
+  }
+
+  const collection = {
+    name,
+    server,
+    memberKey,
+    ...parseTransmogCollection(response),
+    lastModified: response.lastModified || null,
+    fetchedAt: new Date()
+  };
+  await saveMemberTransmogCollection(collection);
+
+  return { collection, response, notModified: false };
+}
+
+/**
+ * Keys of the current guild members, so departed members' cached collections are ignored.
+ * @returns {Promise<Object[]>} Array of { memberKey, name, server }
+ */
+async function getCurrentMembers() {
+  const members = await getMemberKeys();
+  return members.map(({ name, server }) => ({ memberKey: transmogMemberKey(name, server), name, server }));
+}
+
+/**
+ * Split the current members into collectors, members lacking the item and members
+ * whose collection has not been cached yet.
+ * @param {Object[]} members - Current members from getCurrentMembers()
+ * @param {Set<string>} trackedKeys - Members with a cached collection
+ * @param {Object[]} collectors - Cached documents of the members that have the item
+ * @returns {{ collectedBy: Object[], missing: Object[], untracked: Object[] }} Member lists
+ */
+function splitMembers(members, trackedKeys, collectors) {
+  const collectorKeys = new Set(collectors.map(collector => collector.memberKey));
+  const toMember = ({ name, server }) => ({ name, server });
+
+  return {
+    collectedBy: members.filter(member => collectorKeys.has(member.memberKey)).map(toMember),
+    missing: members
+      .filter(member => trackedKeys.has(member.memberKey) && !collectorKeys.has(member.memberKey))
+      .map(toMember),
+    untracked: members.filter(member => !trackedKeys.has(member.memberKey)).map(toMember)
+  };
+}
+
+/**
+ * Percentage of a part in a total, with one decimal.
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number} Percentage (0 when the total is 0)
+ */
+const percent = (part, total) => (total ? Math.round((part / total) * 1000) / 10 : 0);
+
+/**
+ * Guild-wide collection completeness. Sets are those collected by at least one
+ * member (Battle.net only lists collected sets); a slot's completeness is the average
+ * share of the guild's distinct appearances for that slot a member has collected.
+ * @returns {Promise<Object>} { trackedMembers, totalMembers, sets, slots }
+ */
+export async function getCollectionCompleteness() {
+  const members = await getCurrentMembers();
+  const memberKeys = members.map(member => member.memberKey);
+  const tracked = await getTransmogCollectionKeys(memberKeys);
+  const trackedKeys = tracked.map(entry => entry.memberKey);
+
+  const [setCounts, slotStats] = await Promise.all([
+    getTransmogSetCounts(trackedKeys),
+    getTransmogSlotStats(trackedKeys)
+  ]);
+
+  return {
+    trackedMembers: trackedKeys.length,
+    totalMembers: members.length,
+    sets: setCounts.map(set => ({ ...set, completeness: percent(set.collectedBy, trackedKeys.length) })),
+    slots: slotStats.map(slot => ({
+      ...slot,
+      completeness: percent(slot.averageAppearances, slot.distinctAppearances)
+    }))
+  };
+}
+
+/**
+ * Who among the current members has collected an appearance set.
+ * @param {number} setId - Appearance set ID
+ * @returns {Promise<Object>} { set, collectedBy, missing, untracked }
+ */
+export async function getSetCollectors(setId) {
+  const members = await getCurrentMembers();
+  const memberKeys = members.map(member => member.memberKey);
+  const [tracked, collectors] = await Promise.all([
+    getTransmogCollectionKeys(memberKeys),
+    findTransmogSetCollectors(setId, memberKeys)
+  ]);
+
+  return {
+    set: { id: setId, name: collectors[0]?.appearanceSets?.[0]?.name || null },
+    ...splitMembers(members, new Set(tracked.map(entry => entry.memberKey)), collectors)
+  };
+}
+
+/**
+ * Who among the current members has collected an item appearance.
+ * @param {number} appearanceId - Item appearance ID
+ * @returns {Promise<Object>} { appearance, collectedBy, missing, untracked }
+ */
+export async function getAppearanceCollectors(appearanceId) {
+  const members = await getCurrentMembers();
+  const memberKeys = members.map(member => member.memberKey);
+  const [tracked, collectors] = await Promise.all([
+    getTransmogCollectionKeys(memberKeys),
+    findTransmogAppearanceCollectors(appearanceId, memberKeys)
+  ]);
+  const slot = collectors[0]?.slots?.[0];
+
+  return {
+    appearance: { id: appearanceId, slot: slot ? { type: slot.type, name: slot.name } : null },
+    ...splitMembers(members, new Set(tracked.map(entry => entry.memberKey)), collectors)
+  };
+}
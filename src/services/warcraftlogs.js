@@ -4,11 +4,17 @@
 
 import { getWclClientId, getWclClientSecret } from './secrets.js';
 import { getConfig } from '../config.js';
+import { outboundRequests, outboundRateLimited } from './metrics.js';
+import { withApiCache } from './apiCache.js';
+import { getScoringProfile, calcSpeedScore } from './scoringProfiles.js';
+import { createLogger } from './logger.js';
 
-const WCL_TOKEN_URL = 'https://www.warcraftlogs.com/oauth/token';
-const WCL_API_URL = 'https://www.warcraftlogs.com/api/v2/client';
-const CACHE_TTL_MS = 4 * 60 * 60 * 1000;
-const KILL_TS_TTL = 24 * 60 * 60 * 1000;
+const log = createLogger('warcraftlogs');
+
+// WCL_HOST points the client at another server, e.g. the fake one used by the integration tests
+const WCL_HOST = (process.env.WCL_HOST || 'https://www.warcraftlogs.com').replace(/\/$/, '');
+const WCL_TOKEN_URL = `${WCL_HOST}/oauth/token`;
+export const WCL_API_URL = `${WCL_HOST}/api/v2/client`;
 
 let _token = null;
 
@@ -30,16 +36,25 @@ export const CLASS_NAME_TO_ID = {
   'Warrior': 11, 'Demon Hunter': 12, 'Evoker': 13,
 };
 
-const memberCache = new Map();
-const killTsCache = new Map();
-const damageTakenCache = new Map();
+async function trackedFetch(url, options) {
+  let res;
+  try {
+    res = await fetch(url, options);
+  } catch (error) {
+    outboundRequests.inc({ service: 'warcraftlogs', status: 'error' });
+    throw error;
+  }
+  outboundRequests.inc({ service: 'warcraftlogs', status: res.status });
+  if (res.status === 429) outboundRateLimited.inc({ service: 'warcraftlogs' });
+  return res;
+}
 
 async function getToken() {
   if (_token && Date.now() < _token.expires_at - 60000) return _token.access_token;
   const clientId = await getWclClientId();
   const clientSecret = await getWclClientSecret();
   const creds = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-  const res = await fetch(WCL_TOKEN_URL, {
+  const res = await trackedFetch(WCL_TOKEN_URL, {
     method: 'POST',
     headers: {
       Authorization: `Basic ${creds}`,
@@ -54,9 +69,9 @@ async function getToken() {
   return _token.access_token;
 }
 
-async function gql(query, attempt = 0) {
+async function gqlRequest(query, attempt = 0) {
   const token = await getToken();
-  const res = await fetch(WCL_API_URL, {
+  const res = await trackedFetch(WCL_API_URL, {
     method: 'POST',
     headers: {
       Authorization: `Bearer ${token}`,
@@ -70,7 +85,7 @@ async function gql(query, attempt = 0) {
     const retryAfter = res.headers.get('retry-after');
     const wait = retryAfter ? parseInt(retryAfter, 10) * 1000 : 3000 * Math.pow(2, attempt);
     await new Promise((r) => setTimeout(r, wait));
-    return gql(query, attempt + 1);
+    return gqlRequest(query, attempt + 1);
   }
 
   if (!res.ok) throw new Error(`WCL GraphQL HTTP ${res.status}`);
@@ -81,45 +96,18 @@ async function gql(query, attempt = 0) {
   return json.data;
 }
 
-function memberKey(name, zoneId, partition, metric) {
-  return `${name}:${zoneId}:${partition ?? 'x'}:${metric}`;
-}
-
-function getMemberCache(name, zoneId, partition, metric) {
-  const e = memberCache.get(memberKey(name, zoneId, partition, metric));
-  return e && Date.now() - e.ts < CACHE_TTL_MS ? e.data : null;
-}
-
-function setMemberCache(name, zoneId, partition, metric, data) {
-  memberCache.set(memberKey(name, zoneId, partition, metric), { data, ts: Date.now() });
-}
-
-function killTsKey(name, metric) { return `${name}:${metric}`; }
-
-function getKillTsCache(name, metric) {
-  const e = killTsCache.get(killTsKey(name, metric));
-  return e && Date.now() - e.ts < KILL_TS_TTL ? e.data : null;
-}
-
-function setKillTsCache(name, metric, data) {
-  killTsCache.set(killTsKey(name, metric), { data, ts: Date.now() });
-}
-
-function damageTakenKey(name) { return `${name}:dtps`; }
-
-function getDamageTakenCache(name) {
-  const e = damageTakenCache.get(damageTakenKey(name));
-  return e && Date.now() - e.ts < KILL_TS_TTL ? e.data : null;
-}
-
-function setDamageTakenCache(name, data) {
-  damageTakenCache.set(damageTakenKey(name), { data, ts: Date.now() });
+/**
+ * Run a GraphQL query, through the API cache when a cache type is given.
+ * @param {string} query - GraphQL query
+ * @param {Object} [cache] - { type, realm, name } (see services/apiCache)
+ * @returns {Promise<Object>} Response data
+ */
+async function gql(query, cache = null) {
+  if (!cache) return gqlRequest(query);
+  return withApiCache({ ...cache, request: query }, () => gqlRequest(query));
 }
 
 async function fetchOneRanking(name, realm, region, zoneId, difficulty, partition, metric) {
-  const cached = getMemberCache(name, zoneId, partition, metric);
-  if (cached) return cached;
-
   const partArg = partition != null ? `, partition: ${partition}` : '';
   const zoneArgs = `zoneID: ${zoneId}, difficulty: ${difficulty}, metric: ${metric}${partArg}`;
 
@@ -129,18 +117,14 @@ async function fetchOneRanking(name, realm, region, zoneId, difficulty, partitio
         zoneRankings(${zoneArgs})
       }
     }
-  }`);
+  }`, { type: 'wcl_member', realm, name });
 
   const zr = data.characterData?.character?.zoneRankings;
   if (!zr || typeof zr !== 'object') return null;
-
-  setMemberCache(name, zoneId, partition, metric, zr);
   return zr;
 }
 
 async function fetchFirstKillTimestamps(name, realm, region, encounters, metric) {
-  const cached = getKillTsCache(name, metric);
-  if (cached) return cached;
   if (encounters.length === 0) return {};
 
   const unique = [...new Map(encounters.map((e) => [e.id, e])).values()];
@@ -156,7 +140,7 @@ async function fetchFirstKillTimestamps(name, realm, region, encounters, metric)
           ${aliases}
         }
       }
-    }`);
+    }`, { type: 'wcl_kill_ts', realm, name });
 
     const char = data.characterData?.character;
     const result = {};
@@ -171,17 +155,14 @@ async function fetchFirstKillTimestamps(name, realm, region, encounters, metric)
       }
     }
 
-    setKillTsCache(name, metric, result);
     return result;
   } catch (err) {
-    console.warn(`[wcl] fetchFirstKillTimestamps failed for ${name}:`, err.message);
+    log.warn(`fetchFirstKillTimestamps failed for ${name}:`, { error: err.message });
     return {};
   }
 }
 
 async function fetchDamageTakenByEncounter(name, realm, region, encounters) {
-  const cached = getDamageTakenCache(name);
-  if (cached) return cached;
   if (encounters.length === 0) return {};
 
   const unique = [...new Map(encounters.map((e) => [e.id, e])).values()];
@@ -197,7 +178,7 @@ async function fetchDamageTakenByEncounter(name, realm, region, encounters) {
           ${aliases}
         }
       }
-    }`);
+    }`, { type: 'wcl_damage_taken', realm, name });
 
     const char = data.characterData?.character;
     const result = {};
@@ -221,10 +202,9 @@ async function fetchDamageTakenByEncounter(name, realm, region, encounters) {
       }
     }
 
-    setDamageTakenCache(name, result);
     return result;
   } catch (err) {
-    console.warn(`[wcl] fetchDamageTakenByEncounter failed for ${name}:`, err.message);
+    log.warn(`fetchDamageTakenByEncounter failed for ${name}:`, { error: err.message });
     return {};
   }
 }
@@ -239,54 +219,19 @@ function killWeek(startMs, tierOpenMs) {
   return Math.max(1, Math.floor((startMs - tierOpenMs) / MS_PER_WEEK) + 1);
 }
 
-const BASE_MILESTONES = [
-  { bossCount: 2, expectedWeek: 2, maxPts: 12.5 },
-  { bossCount: 4, expectedWeek: 4, maxPts: 18.75 },
-  { bossCount: 7, expectedWeek: 6, maxPts: 25 },
-  { bossCount: 9, expectedWeek: 8, maxPts: 50 },
-];
-
-const BONUS_MILESTONES = [
-  { bossCount: 9, byWeek: 4, bonusPts: 50 },
-  { bossCount: 7, byWeek: 4, bonusPts: 25 },
-  { bossCount: 4, byWeek: 4, bonusPts: 12.5 },
-];
-
-function calcScore(zoneData, totalBosses, firstKillMs, tierOpenMs) {
+function calcScore(zoneData, totalBosses, firstKillMs, tierOpenMs, raidProfile) {
   const killed = (zoneData.rankings ?? []).filter((r) => r.totalKills > 0);
   if (killed.length === 0) return { parseScore: 0, speedScore: 0 };
 
   const avgParse = killed.reduce((s, r) => s + (r.rankPercent ?? 0), 0) / killed.length;
   const parseScore = avgParse;
 
-  const killedWithTime = killed
-    .map((r) => ({ id: r.encounter.id, ts: firstKillMs[r.encounter.id] ?? null }))
-    .filter((r) => r.ts !== null)
-    .sort((a, b) => a.ts - b.ts);
-
-  let baseSpeed = 0;
-  for (let i = BASE_MILESTONES.length - 1; i >= 0; i--) {
-    const ms = BASE_MILESTONES[i];
-    if (ms.bossCount > totalBosses) continue;
-    if (killedWithTime.length < ms.bossCount) continue;
-    const week = killWeek(killedWithTime[ms.bossCount - 1].ts, tierOpenMs);
-    const weeksLate = Math.max(0, week - ms.expectedWeek);
-    baseSpeed = Math.max(0, ms.maxPts - 2.5 * weeksLate);
-    break;
-  }
-
-  let bonusSpeed = 0;
-  for (const ms of BONUS_MILESTONES) {
-    if (ms.bossCount > totalBosses) continue;
-    if (killedWithTime.length < ms.bossCount) continue;
-    const week = killWeek(killedWithTime[ms.bossCount - 1].ts, tierOpenMs);
-    if (week <= ms.byWeek) {
-      bonusSpeed = ms.bonusPts;
-      break;
-    }
-  }
+  const killWeeks = killed
+    .map((r) => firstKillMs[r.encounter.id] ?? null)
+    .filter((ts) => ts !== null)
+    .map((ts) => killWeek(ts, tierOpenMs));
 
-  return { parseScore, speedScore: baseSpeed + bonusSpeed };
+  return { parseScore, speedScore: calcSpeedScore(killWeeks, totalBosses, raidProfile) };
 }
 
 const HEALER_SPECS = new Set(['Holy', 'Discipline', 'Restoration', 'Mistweaver', 'Preservation']);
@@ -326,6 +271,7 @@ export async function getCachedMemberData(member, metric) {
   const realm = (member.realm || config.GUILD_REALM).toLowerCase();
   const region = config.REGION || 'eu';
   const tierOpenMs = getTierOpenMs(config);
+  const scoringProfile = getScoringProfile(config);
   const classID = member.classID ?? CLASS_NAME_TO_ID[member.className] ?? 0;
 
   const zoneDataMap = {};
@@ -357,7 +303,7 @@ export async function getCachedMemberData(member, metric) {
     if (!zoneData) continue;
 
     const killed = zoneData.rankings.filter((r) => r.totalKills > 0);
-    const { parseScore, speedScore } = calcScore(zoneData, zone.bossCount, firstKillMsMap, tierOpenMs);
+    const { parseScore, speedScore } = calcScore(zoneData, zone.bossCount, firstKillMsMap, tierOpenMs, scoringProfile.raid);
     const dtVals = killed
       .map((r) => damageTakenByEncounter[r.encounter.id]?.rankPercent)
       .filter((v) => typeof v === 'number');
@@ -0,0 +1,232 @@
+/**
+ * @file Weekly progression report — week-over-week deltas for every member,
+ * computed from the members collection against last week's history snapshots.
+ * @module services/weeklyReport
+ */
+
+import { getAllMembers, getLatestMemberSnapshotsBefore } from '../database.js';
+import { getConfig } from '../config.js';
+import { csvCell } from '../utils.js';
+import { extractSnapshotMetrics } from './memberHistory.js';
+import { getResetSchedule, getLastReset } from './weeklyReset.js';
+
+export const REPORT_FORMATS = ['json', 'markdown', 'csv'];
+
+/**
+ * Build a { previous, current, delta } triple, leaving delta null when either side is unknown.
+ * @param {number|null} previous - Baseline value
+ * @param {number|null} current - Current value
+ * @returns {{ previous: number|null, current: number|null, delta: number|null }} Change entry
+ */
+function change(previous, current) {
+  const hasBoth = typeof previous === 'number' && typeof current === 'number';
+  return {
+    previous: previous ?? null,
+    current: current ?? null,
+    delta: hasBoth ? Math.round((current - previous) * 100) / 100 : null
+  };
+}
+
+/**
+ * Compare Mythic kill counts per instance.
+ * @param {Object|null} previous - Baseline { [instance]: kills }
+ * @param {Object|null} current - Current { [instance]: kills }
+ * @returns {Object} { [instance]: { previous, current, newKills } }
+ */
+function compareMythicKills(previous, current) {
+  if (!current) {
+    return {};
+  }
+
+  const result = {};
+  Object.entries(current).forEach(([instance, kills]) => {
+    const before = previous ? previous[instance] ?? 0 : null;
+    result[instance] = {
+      previous: before,
+      current: kills,
+      newKills: before === null ? null : Math.max(0, kills - before)
+    };
+  });
+  return result;
+}
+
+/**
+ * Build the weekly progression report.
+ * @param {Object} options
+ * @param {Date} options.since - Baseline point in time (default: the start of the previous raid week)
+ * @returns {Promise<Object>} Report with per-member rows and a guild summary
+ */
+export async function buildWeeklyReport({ since = null } = {}) {
+  const config = await getConfig();
+  const generatedAt = new Date();
+  const schedule = getResetSchedule(config);
+  // The reset before the one that started the current raid week
+  const baselineDate = since || getLastReset(schedule, new Date(getLastReset(schedule, generatedAt).getTime() - 1));
+
+  const [members, baselineSnapshots] = await Promise.all([
+    getAllMembers(),
+    getLatestMemberSnapshotsBefore(baselineDate)
+  ]);
+
+  const baselineByMember = new Map(
+    baselineSnapshots.map(snapshot => [`${snapshot.name}-${snapshot.server}`, snapshot])
+  );
+
+  const rows = members.map(member => {
+    const current = extractSnapshotMetrics(member);
+    const baseline = baselineByMember.get(`${member.name}-${member.server}`);
+    const previous = baseline?.metrics || null;
+
+    const previousMissing = previous?.missingEnchantSlots || [];
+    const currentMissing = current.missingEnchantSlots;
+
+    return {
+      name: member.name,
+      server: member.server,
+      class: member.metaData?.class ?? null,
+      spec: member.metaData?.spec ?? null,
+      hasBaseline: Boolean(previous),
+      baselineAt: baseline?.timestamp ?? null,
+      itemLevel: change(previous?.itemLevel, current.itemLevel),
+      mplusRating: change(previous?.mplusRating, current.mplusRating),
+      mythicKills: compareMythicKills(previous?.mythicKills, current.mythicKills),
+      fixedEnchants: previous ? previousMissing.filter(slot => !currentMissing.includes(slot)) : [],
+      newMissingEnchants: previous ? currentMissing.filter(slot => !previousMissing.includes(slot)) : [],
+      missingEnchants: currentMissing
+    };
+  });
+
+  const compared = rows.filter(row => row.hasBaseline);
+  const newMythicKills = {};
+  compared.forEach(row => {
+    Object.entries(row.mythicKills).forEach(([instance, kills]) => {
+      newMythicKills[instance] = (newMythicKills[instance] || 0) + (kills.newKills || 0);
+    });
+  });
+
+  const sumDelta = (key) => compared.reduce((sum, row) => sum + (row[key].delta || 0), 0);
+  const topBy = (key) => [...compared]
+    .filter(row => row[key].delta > 0)
+    .sort((a, b) => b[key].delta - a[key].delta)
+    .slice(0, 5)
+    .map(row => ({ name: row.name, server: row.server, delta: row[key].delta }));
+
+  return {
+    generatedAt: generatedAt.toISOString(),
+    since: baselineDate.toISOString(),
+    expansion: config.CURRENT_EXPANSION || null,
+    summary: {
+      members: rows.length,
+      membersWithBaseline: compared.length,
+      itemLevelGained: Math.round(sumDelta('itemLevel') * 100) / 100,
+      mplusRatingGained: Math.round(sumDelta('mplusRating') * 100) / 100,
+      newMythicKills,
+      enchantsFixed: compared.reduce((sum, row) => sum + row.fixedEnchants.length, 0),
+      topItemLevelGains: topBy('itemLevel'),
+      topMplusGains: topBy('mplusRating')
+    },
+    members: rows
+  };
+}
+
+/**
+ * Format a signed delta for text output.
+ * @param {number|null} delta - Delta value
+ * @returns {string} e.g. "+3", "-1.5" or "n/a"
+ */
+function formatDelta(delta) {
+  if (delta === null || delta === undefined) return 'n/a';
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Sum the new Mythic kills of a report row across instances.
+ * @param {Object} row - Report member row
+ * @returns {number|null} Total new kills, or null without a baseline
+ */
+function totalNewKills(row) {
+  const values = Object.values(row.mythicKills).map(kills => kills.newKills).filter(v => v !== null);
+  return values.length ? values.reduce((sum, v) => sum + v, 0) : null;
+}
+
+/**
+ * Render the report as Markdown.
+ * @param {Object} report - Report from buildWeeklyReport
+ * @returns {string} Markdown document
+ */
+export function reportToMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    `# Weekly Progression Report`,
+    '',
+    `Generated ${report.generatedAt} — compared against ${report.since}${report.expansion ? ` (${report.expansion})` : ''}`,
+    '',
+    '## Summary',
+    '',
+    `- Members compared: ${summary.membersWithBaseline}/${summary.members}`,
+    `- Item level gained: ${formatDelta(summary.itemLevelGained)}`,
+    `- M+ rating gained: ${formatDelta(summary.mplusRatingGained)}`,
+    `- Enchants fixed: ${summary.enchantsFixed}`
+  ];
+
+  Object.entries(summary.newMythicKills).forEach(([instance, kills]) => {
+    lines.push(`- New Mythic kills in ${instance}: ${kills}`);
+  });
+
+  lines.push('', '## Members', '', '| Name | Realm | Item Level | M+ Rating | New Mythic Kills | Fixed Enchants |', '|---|---|---|---|---|---|');
+  report.members.forEach(row => {
+    lines.push([
+      '',
+      row.name,
+      row.server,
+      `${row.itemLevel.current ?? '-'} (${formatDelta(row.itemLevel.delta)})`,
+      `${row.mplusRating.current ?? '-'} (${formatDelta(row.mplusRating.delta)})`,
+      totalNewKills(row) ?? 'n/a',
+      row.fixedEnchants.join(', ') || '-',
+      ''
+    ].join(' | ').trim());
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render the report as CSV (one row per member).
+ * @param {Object} report - Report from buildWeeklyReport
+ * @returns {string} CSV document
+ */
+export function reportToCsv(report) {
+  const instances = Object.keys(report.summary.newMythicKills);
+  const header = [
+    'name', 'server', 'class', 'spec',
+    'itemLevel', 'itemLevelDelta', 'mplusRating', 'mplusRatingDelta',
+    ...instances.map(instance => `newMythicKills:${instance}`),
+    'fixedEnchants', 'missingEnchants'
+  ];
+
+  const rows = report.members.map(row => [
+    row.name, row.server, row.class, row.spec,
+    row.itemLevel.current, row.itemLevel.delta, row.mplusRating.current, row.mplusRating.delta,
+    ...instances.map(instance => row.mythicKills[instance]?.newKills ?? ''),
+    row.fixedEnchants.join(';'), row.missingEnchants.join(';')
+  ]);
+
+  return `${[header, ...rows].map(cells => cells.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Render a report in the requested format.
+ * @param {Object} report - Report from buildWeeklyReport
+ * @param {'json'|'markdown'|'csv'} format - Output format
+ * @returns {{ body: string, contentType: string }} Rendered output
+ */
+export function renderWeeklyReport(report, format = 'json') {
+  switch (format) {
+    case 'markdown':
+      return { body: reportToMarkdown(report), contentType: 'text/markdown; charset=utf-8' };
+    case 'csv':
+      return { body: reportToCsv(report), contentType: 'text/csv; charset=utf-8' };
+    default:
+      return { body: JSON.stringify(report, null, 2), contentType: 'application/json; charset=utf-8' };
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * @file Weekly reset — when the raid week starts for the configured REGION, or for the
+ * WEEKLY_RESET override. Raid lockouts, the Great Vault, the weekly report and the
+ * weekly history buckets all use these boundaries.
+ * @module services/weeklyReset
+ */
+
+import { CronTime } from 'cron';
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Battle.net weekly reset per region
+export const REGION_RESETS = {
+  us: { day: 'Tuesday', time: '15:00', timezone: 'UTC' },
+  eu: { day: 'Wednesday', time: '04:00', timezone: 'UTC' },
+  kr: { day: 'Wednesday', time: '23:00', timezone: 'UTC' },
+  tw: { day: 'Wednesday', time: '23:00', timezone: 'UTC' }
+};
+
+const RESET_FIELDS = ['day', 'time', 'timezone'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the weekly reset schedule: the REGION's reset, with the fields of WEEKLY_RESET
+ * taking precedence.
+ * @param {Object} config - App config (REGION, WEEKLY_RESET)
+ * @returns {{ day: string, time: string, timezone: string }} Reset schedule
+ */
+export function getResetSchedule(config) {
+  const region = (config?.REGION || 'eu').toLowerCase();
+  return { ...(REGION_RESETS[region] || REGION_RESETS.eu), ...config?.WEEKLY_RESET };
+}
+
+/**
+ * Check that a string is a time zone the runtime knows.
+ * @param {string} timezone - IANA time zone
+ * @returns {boolean} True when valid
+ */
+function isTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate WEEKLY_RESET before it is saved.
+ * @param {any} reset - Override to validate (null restores the REGION's reset)
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export function validateWeeklyReset(reset) {
+  if (reset === null) {
+    return { isValid: true, errors: [] };
+  }
+  if (typeof reset !== 'object' || Array.isArray(reset)) {
+    return { isValid: false, errors: ['WEEKLY_RESET must be an object with day, time and/or timezone'] };
+  }
+
+  const errors = [];
+  Object.keys(reset)
+    .filter(field => !RESET_FIELDS.includes(field))
+    .forEach(field => errors.push(`WEEKLY_RESET.${field} is not a setting, use: ${RESET_FIELDS.join(', ')}`));
+
+  if (reset.day !== undefined && !WEEKDAYS.includes(reset.day)) {
+    errors.push(`WEEKLY_RESET.day must be one of: ${WEEKDAYS.join(', ')}`);
+  }
+  if (reset.time !== undefined && (typeof reset.time !== 'string' || !TIME_PATTERN.test(reset.time))) {
+    errors.push('WEEKLY_RESET.time must be a 24-hour time (HH:mm)');
+  }
+  if (reset.timezone !== undefined && (typeof reset.timezone !== 'string' || !isTimeZone(reset.timezone))) {
+    errors.push('WEEKLY_RESET.timezone must be an IANA time zone (e.g. UTC, Europe/Paris)');
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Cron expression of a reset schedule, read in the schedule's time zone so resets
+ * defined in local time follow daylight saving time.
+ * @param {Object} schedule - Schedule from getResetSchedule()
+ * @returns {CronTime} Cron time
+ */
+function resetCronTime(schedule) {
+  const [hours, minutes] = schedule.time.split(':').map(Number);
+  return new CronTime(`${minutes} ${hours} * * ${WEEKDAYS.indexOf(schedule.day)}`, schedule.timezone);
+}
+
+/**
+ * The most recent reset at or before a point in time: the start of its raid week.
+ * @param {Object} schedule - Schedule from getResetSchedule()
+ * @param {Date} [now] - Point in time (default: now)
+ * @returns {Date} Start of the raid week containing `now`
+ */
+export function getLastReset(schedule, now = new Date()) {
+  const cronTime = resetCronTime(schedule);
+  const next = (from) => cronTime.getNextDateFrom(from, schedule.timezone);
+
+  // Eight days back is always before the reset we are looking for
+  let reset = next(new Date(now.getTime() - 8 * DAY_MS));
+  for (let candidate = next(reset); candidate.toMillis() <= now.getTime(); candidate = next(candidate)) {
+    reset = candidate;
+  }
+  return reset.toJSDate();
+}
+
+/**
+ * The first reset after a point in time: the end of its raid week.
+ * @param {Object} schedule - Schedule from getResetSchedule()
+ * @param {Date} [now] - Point in time (default: now)
+ * @returns {Date} Next reset
+ */
+export function getNextReset(schedule, now = new Date()) {
+  return resetCronTime(schedule).getNextDateFrom(now, schedule.timezone).toJSDate();
+}
+
+/**
+ * Options for bucketing timestamps by raid week in MongoDB ($dateTrunc on the reset day
+ * in the reset time zone, shifted by the reset time).
+ * @param {Object} schedule - Schedule from getResetSchedule()
+ * @returns {{ startOfWeek: string, timezone: string, offsetMinutes: number }} Week bucket options
+ */
+export function getWeekBucketOptions(schedule) {
+  const [hours, minutes] = schedule.time.split(':').map(Number);
+  return {
+    startOfWeek: schedule.day.toLowerCase(),
+    timezone: schedule.timezone,
+    offsetMinutes: hours * 60 + minutes
+  };
+}
@@ -1,3 +1,4 @@
+import { CronTime } from 'cron';
 import { getConfig } from './config.js';
 
 // Cache config at module level
@@ -32,21 +33,32 @@ async function transformCharacterData(character, config = null) {
     ?.filter(item => item.needsEnchant && !item.hasEnchant)
     ?.map(item => item.type) || [];
 
+  // Slots failing each gear audit rule (members stored before the audit existed have none)
+  const gearIssues = character.gearAudit?.issues || [];
+  const slotsWithIssue = (type) => gearIssues.filter(issue => issue.type === type).map(issue => issue.slot);
+
   let previousSet = 0;
   let currentSet = 0;
-  character.equipement?.forEach((item) => {
-    if (item.isTierItem) {
-      const setName = item._raw?.set?.item_set?.name || "";
-      const isCurrentSeason = CURRENT_SEASON_TIER_SETS.length > 0
-        ? CURRENT_SEASON_TIER_SETS.some(tierSetName => setName.includes(tierSetName))
-        : true;
-      if (isCurrentSeason) {
-        currentSet = currentSet + 1;
-      } else {
-        previousSet = previousSet + 1;
+  if (character.tier) {
+    // Tier catalog: current-season pieces come from the member's tier status, and
+    // other catalog pieces (isTierItem) are from earlier seasons
+    currentSet = character.tier.pieces;
+    previousSet = (character.equipement?.filter(item => item.isTierItem).length || 0) - currentSet;
+  } else {
+    character.equipement?.forEach((item) => {
+      if (item.isTierItem) {
+        const setName = item._raw?.set?.item_set?.name || "";
+        const isCurrentSeason = CURRENT_SEASON_TIER_SETS.length > 0
+          ? CURRENT_SEASON_TIER_SETS.some(tierSetName => setName.includes(tierSetName))
+          : true;
+        if (isCurrentSeason) {
+          currentSet = currentSet + 1;
+        } else {
+          previousSet = previousSet + 1;
+        }
       }
-    }
-  });
+    });
+  }
 
   const hasQualifyingWaist = character.equipement?.some(
     (item) =>
@@ -84,6 +96,10 @@ async function transformCharacterData(character, config = null) {
     guildRankLabel,
     ready: character.ready,
     missingEnchants,
+    lowEnchants: slotsWithIssue('lowEnchantRank'),
+    emptySockets: slotsWithIssue('emptySocket'),
+    missingEmbellishments: slotsWithIssue('missingEmbellishment'),
+    gearIssues,
     missingWaist: !hasQualifyingWaist,
     missingCloak: !hasQualifyingCloak,
     tierSets: {
@@ -95,7 +111,8 @@ async function transformCharacterData(character, config = null) {
     raw_mplus: character.mplus,
     pvp: character.pvp?.rating || 0,
     raw_pvp: character.pvp,
-    hasTierSet: (previousSet + currentSet) >= 4,
+    hasTierSet: character.tier ? character.tier.bonuses.fourPiece : (previousSet + currentSet) >= 4,
+    tier: character.tier || null,
     isActiveInSeason2: character.isActiveInSeason2,
     lockStatus: character.lockStatus,
     media: character.media,
@@ -141,14 +158,18 @@ async function applyFilters(data, filters, config = null) {
   }
 
   if (rankFilter !== 'all') {
+    // Characters linked to a player use the explicit main flag; the rank lists are the fallback
+    const isMain = (character) => typeof character.linkedMain === 'boolean'
+      ? character.linkedMain
+      : MAIN_RANKS.includes(character.guildRank);
+    const isAlt = (character) => typeof character.linkedMain === 'boolean'
+      ? !character.linkedMain
+      : ALT_RANKS.includes(character.guildRank);
+
     if (rankFilter === 'mains') {
-      filteredData = filteredData.filter(character => 
-        MAIN_RANKS.includes(character.guildRank)
-      );
+      filteredData = filteredData.filter(isMain);
     } else if (rankFilter === 'alts') {
-      filteredData = filteredData.filter(character => 
-        ALT_RANKS.includes(character.guildRank)
-      );
+      filteredData = filteredData.filter(isAlt);
     }
   }
 
@@ -202,6 +223,26 @@ async function applyFilters(data, filters, config = null) {
         character.lockStatus?.lockedTo?.Mythic
       );
       break;
+    case 'low-enchants':
+      filteredData = filteredData.filter(character => 
+        character.lowEnchants?.length > 0
+      );
+      break;
+    case 'empty-sockets':
+      filteredData = filteredData.filter(character => 
+        character.emptySockets?.length > 0
+      );
+      break;
+    case 'missing-embellishments':
+      filteredData = filteredData.filter(character => 
+        character.missingEmbellishments?.length > 0
+      );
+      break;
+    case 'gear-issues':
+      filteredData = filteredData.filter(character => 
+        character.gearIssues?.length > 0
+      );
+      break;
     case 'missing-tier':
       filteredData = filteredData.filter(character => 
         !character.hasTierSet
@@ -274,13 +315,23 @@ async function calculateStatistics(data, config = null) {
 }
 
 /**
- * Gets the next scheduled update time as an ISO string.
+ * Gets the next fire time of a cron schedule as an ISO string.
+ * @param {string} schedule - Cron expression (default: every 30 minutes, the default guild update schedule)
+ * @param {string|null} timezone - IANA time zone the expression is read in (default: the server's)
  * @returns {string} The ISO string of the next scheduled update.
  */
-function getNextScheduledUpdate() {
-  const now = new Date();
-  const nextUpdate = new Date(now.getTime() + (30 * 60 * 1000)); // 30 minutes from now
-  return nextUpdate.toISOString();
+function getNextScheduledUpdate(schedule = '*/30 * * * *', timezone = null) {
+  return new CronTime(schedule, timezone || undefined).sendAt().toJSDate().toISOString();
+}
+
+/**
+ * Escape a value for CSV output.
+ * @param {any} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
-export { transformCharacterData, applyFilters, calculateStatistics, getNextScheduledUpdate }; 
\ No newline at end of file
+export { transformCharacterData, applyFilters, calculateStatistics, getNextScheduledUpdate, csvCell }; 
\ No newline at end of file
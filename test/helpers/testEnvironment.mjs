@@ -0,0 +1,79 @@
+/**
+ * @file Integration test environment: the fake external APIs, a MongoDB (in memory
+ * unless TEST_MONGODB points at a running server) and AppSettings pointing the app at
+ * both. Set up before importing any app module, since database.js and warcraftlogs.js
+ * read their environment variables at import time.
+ * @module test/helpers/testEnvironment
+ */
+
+import { startFakeApis } from '../../tools/fakeApis/index.mjs';
+
+// Guild and credentials matching tools/fakeApis/fixtures; the fakes accept any credentials
+export const TEST_SETTINGS = {
+  GUILD_NAME: 'fixture-guild',
+  GUILD_REALM: 'sylvanas',
+  REGION: 'eu',
+  API_PARAM_REQUIREMENTGS: 'namespace=profile-eu&locale=en_US',
+  API_BATTLENET_KEY: 'test-client-id',
+  API_BATTLENET_SECRET: 'test-client-secret',
+  RAIDERIO_API_KEY: 'test-raiderio-key',
+  WCL_CLIENT_ID: 'test-wcl-client-id',
+  WCL_CLIENT_SECRET: 'test-wcl-client-secret',
+  GUILD_FETCH_CONCURRENCY: 2,
+  TIER_CATALOG: {
+    currentSeason: 'fixture-season',
+    seasons: {
+      'fixture-season': {
+        name: 'Fixture Season',
+        classes: {
+          Paladin: { 1950: ['HEAD', 'SHOULDER', 'CHEST', 'HANDS', 'LEGS'] },
+          Warrior: { 1951: ['HEAD', 'SHOULDER', 'CHEST', 'HANDS', 'LEGS'] }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Start the fakes and MongoDB, set the environment and store AppSettings.
+ * @returns {Promise<Object>} { fakes, database, teardown }; database is the src/database.js module
+ */
+export async function setupTestEnvironment() {
+  const fakes = await startFakeApis();
+
+  let mongoServer = null;
+  let mongoUri = process.env.TEST_MONGODB;
+  if (!mongoUri) {
+    // Downloads a mongod binary on first use (cached in ~/.cache/mongodb-binaries)
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    mongoServer = await MongoMemoryServer.create();
+    mongoUri = mongoServer.getUri();
+  }
+
+  Object.assign(process.env, {
+    MONGODB: mongoUri,
+    DATABASE_NAME: `guild-audit-test-${process.pid}`,
+    SIGNUP_COLLECTION: 'signups',
+    MEMBERS_COLLECTION_NAME: 'members',
+    ERRORS_COLLECTION_NAME: 'errors',
+    ...fakes.env,
+    BATTLENET_RETRY_BASE_MS: '10',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'warn'
+  });
+
+  const database = await import('../../src/database.js');
+  const { default: appConfig } = await import('../../app.config.js');
+  await database.saveAppSettings({ ...appConfig, ...TEST_SETTINGS, rioBase: fakes.rioBase });
+
+  return {
+    fakes,
+    database,
+    async teardown() {
+      const { db } = await database.connectToDatabase();
+      await db.dropDatabase();
+      await database.closeDatabase();
+      await fakes.close();
+      if (mongoServer) await mongoServer.stop();
+    }
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * @file Battle.net login against the mock OAuth provider: the callback starts a
+ * session, /api/me only accepts characters on the logged-in account that no other
+ * player holds, and logout ends the session.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import passport from 'passport';
+import { setupTestEnvironment } from '../helpers/testEnvironment.mjs';
+import { listen } from '../../tools/fakeApis/fakeServer.mjs';
+import { startMockBnetOAuth } from '../../tools/mockOAuth/mockBnetOAuth.mjs';
+
+let environment;
+let mockOAuth;
+let api;
+
+before(async () => {
+  environment = await setupTestEnvironment();
+  mockOAuth = await startMockBnetOAuth();
+
+  const app = express();
+  app.use(express.json());
+  app.use(passport.initialize());
+  api = await listen(app);
+
+  Object.assign(process.env, {
+    BNET_OAUTH_HOST: mockOAuth.url,
+    BNET_API_HOST: mockOAuth.url,
+    BNET_OAUTH_CALLBACK_URL: `${api.url}/api/auth/bnet/callback`,
+    BNET_OAUTH_CLIENT_ID: 'test-oauth-client',
+    BNET_OAUTH_CLIENT_SECRET: 'test-oauth-secret',
+    BNET_OAUTH_SUCCESS_REDIRECT: '/logged-in'
+  });
+
+  const { registerRoutes } = await import('../../src/routes/index.js');
+  registerRoutes(app);
+
+  // Guild members on the mock accounts: Holybarry#1234 has two, Raider#5678 one
+  const { database } = environment;
+  await database.addMember({ name: 'holybarry', server: 'sylvanas', metaData: { class: 'Paladin', spec: 'Holy' }, guildData: { rank: 3 } });
+  await database.addMember({ name: 'barrytank', server: 'sylvanas', metaData: { class: 'Warrior', spec: 'Protection' }, guildData: { rank: 3 } });
+  await database.addMember({ name: 'raiderone', server: 'sylvanas', metaData: { class: 'Mage', spec: 'Frost' }, guildData: { rank: 4 } });
+});
+
+after(async () => {
+  await api?.close();
+  await mockOAuth?.close();
+  await environment?.teardown();
+});
+
+/**
+ * Go through the login redirects: the API, the mock authorize page, the callback.
+ * @param {number} accountId - Mock account to approve
+ * @returns {Promise<{ location: string, cookie: string|null }>} Final redirect and session cookie
+ */
+async function login(accountId) {
+  const start = await fetch(`${api.url}/api/auth/bnet`, { redirect: 'manual' });
+  assert.equal(start.status, 302);
+  const authorizeUrl = new URL(start.headers.get('location'));
+  assert.equal(authorizeUrl.origin, mockOAuth.url);
+  authorizeUrl.searchParams.set('account', String(accountId));
+
+  const authorize = await fetch(authorizeUrl, { redirect: 'manual' });
+  const callback = await fetch(authorize.headers.get('location'), { redirect: 'manual' });
+  const cookie = callback.headers.getSetCookie()
+    .map(header => header.split(';')[0])
+    .find(pair => pair.startsWith('guild_session='));
+
+  return { location: callback.headers.get('location'), cookie: cookie || null };
+}
+
+/**
+ * Call the API with a session cookie.
+ * @param {string} cookie - Session cookie pair
+ * @param {string} path - Request path
+ * @param {Object} [options] - { method, body }
+ * @returns {Promise<{ status: number, body: Object }>} Status and JSON body
+ */
+async function request(cookie, path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${api.url}${path}`, {
+    method,
+    headers: { ...(cookie ? { Cookie: cookie } : {}), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('the OAuth callback starts a session with the guild characters on the account', async () => {
+  const { location, cookie } = await login(100001);
+  assert.equal(location, '/logged-in');
+  assert.ok(cookie);
+
+  const { body } = await request(cookie, '/api/auth/me');
+  assert.equal(body.authenticated, true);
+  assert.equal(body.user.battletag, 'Holybarry#1234');
+  assert.deepEqual(body.user.characters.map(character => character.name).sort(), ['barrytank', 'holybarry']);
+
+  assert.equal((await request(null, '/api/auth/me')).body.authenticated, false);
+  assert.equal((await request(null, '/api/me/dashboard')).status, 401);
+});
+
+test('a callback with an unknown state does not start a session', async () => {
+  const callback = await fetch(`${api.url}/api/auth/bnet/callback?code=made-up&state=made-up`, { redirect: 'manual' });
+  assert.equal(callback.status, 302);
+  assert.equal(callback.headers.get('location'), '/?login=failed');
+  assert.equal(callback.headers.getSetCookie().length, 0);
+});
+
+test('members can only claim their own characters that no other player holds', async () => {
+  const { cookie } = await login(100001);
+
+  const notOwned = await request(cookie, '/api/me/claim', {
+    method: 'POST',
+    body: { characters: [{ name: 'raiderone', server: 'sylvanas' }] }
+  });
+  assert.equal(notOwned.status, 403);
+
+  const invalid = await request(cookie, '/api/me/claim', {
+    method: 'POST',
+    body: { characters: [{ name: 'holybarry', server: 'sylvanas' }, null] }
+  });
+  assert.equal(invalid.status, 400);
+
+  // An officer linked Barrytank to another player
+  await environment.database.createPlayer({
+    name: 'Officer pick',
+    notes: '',
+    characters: [{ name: 'barrytank', server: 'sylvanas', main: true }]
+  });
+  const conflict = await request(cookie, '/api/me/claim', {
+    method: 'POST',
+    body: { characters: [{ name: 'barrytank', server: 'sylvanas' }] }
+  });
+  assert.equal(conflict.status, 409);
+
+  const claimed = await request(cookie, '/api/me/claim', {
+    method: 'POST',
+    body: { characters: [{ name: 'Holybarry', server: 'Sylvanas', main: true }, { name: 'holybarry', server: 'sylvanas' }] }
+  });
+  assert.equal(claimed.status, 200);
+  const player = await environment.database.findPlayerByBnetId(100001);
+  assert.deepEqual(player.characters.map(({ name, server, main }) => ({ name, server, main })), [
+    { name: 'holybarry', server: 'sylvanas', main: true }
+  ]);
+});
+
+test('signups through /api/me are tied to a character on the account', async () => {
+  const { cookie } = await login(100002);
+
+  const notOwned = await request(cookie, '/api/me/signup', {
+    method: 'POST',
+    body: { character: { name: 'holybarry', server: 'sylvanas' } }
+  });
+  assert.equal(notOwned.status, 403);
+
+  const signup = await request(cookie, '/api/me/signup', {
+    method: 'POST',
+    body: {
+      character: { name: 'Raiderone', server: 'sylvanas' },
+      seasonCharacter: { name: 'Newalt', server: 'sylvanas' },
+      _id: 'chosen-by-client',
+      type: 'not-a-signup'
+    }
+  });
+  assert.equal(signup.status, 200);
+
+  const [saved] = await environment.database.getSignupsByBnetId(100002);
+  assert.equal(saved.verified, true);
+  assert.deepEqual(saved.verifiedCharacter, { name: 'raiderone', server: 'sylvanas' });
+  assert.equal(saved.seasonCharacterName, 'Newalt');
+  assert.equal(saved.seasonCharacterVerified, false);
+  assert.equal(saved.battletag, 'Raider#5678');
+  assert.equal(saved.type, 'signup');
+  assert.notEqual(String(saved._id), 'chosen-by-client');
+});
+
+test('logout ends the session', async () => {
+  const { cookie } = await login(100002);
+  assert.equal((await request(cookie, '/api/auth/me')).body.authenticated, true);
+
+  const logout = await request(cookie, '/api/auth/logout', { method: 'POST' });
+  assert.equal(logout.status, 200);
+  assert.equal((await request(cookie, '/api/auth/me')).body.authenticated, false);
+  assert.equal((await request(cookie, '/api/me/dashboard')).status, 401);
+});
@@ -0,0 +1,244 @@
+/**
+ * @file End-to-end guild update against the fake Battle.net, Raider.io and Warcraft
+ * Logs servers and a throwaway MongoDB: roster filtering, member documents,
+ * enrichment, gear audit, tier status, weekly vault activity, incremental runs,
+ * retried Battle.net failures, transmog collections and the API response cache.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnvironment } from '../helpers/testEnvironment.mjs';
+import { summariseTierDemand } from '../../src/services/tierCatalog.js';
+import { getResetSchedule, getLastReset } from '../../src/services/weeklyReset.js';
+
+let environment;
+let startGuildUpdate;
+let buildWeeklyActivity;
+let apiCache;
+let runCount = 0;
+
+/**
+ * Run a guild update and collect the per-member outcomes.
+ * @param {Object} [options] - startGuildUpdate options
+ * @param {string[]} [dataTypes] - Data types to fetch
+ * @returns {Promise<Object>} { [character]: outcome }
+ */
+async function runUpdate(options = {}, dataTypes = ['raid', 'mplus', 'pvp']) {
+  const outcomes = {};
+  runCount++;
+  await startGuildUpdate(dataTypes, `test-run-${runCount}`, null, {
+    ...options,
+    onMemberResult: async ({ character, outcome }) => {
+      outcomes[character] = outcome;
+    }
+  });
+  return outcomes;
+}
+
+/**
+ * Battle.net requests received since a position in the request log.
+ * @param {number} from - Index in the request log
+ * @returns {Object[]} Requests
+ */
+const battlenetRequestsSince = (from) => environment.fakes.battlenet.requests.slice(from);
+
+before(async () => {
+  environment = await setupTestEnvironment();
+  ({ startGuildUpdate } = await import('../../tools/guildFetcher/fetchGuild.mjs'));
+  ({ buildWeeklyActivity } = await import('../../src/services/greatVault.js'));
+  apiCache = await import('../../src/services/apiCache.js');
+});
+
+after(async () => {
+  await environment?.teardown();
+});
+
+test('a first run stores every eligible roster member', async () => {
+  const outcomes = await runUpdate();
+
+  assert.deepEqual(outcomes, {
+    'holybarry-sylvanas': 'added',
+    'barrytank-sylvanas': 'added',
+    'gonechar-sylvanas': 'skipped'
+  });
+
+  const members = await environment.database.getAllMembers();
+  assert.deepEqual(members.map(member => member.name).sort(), ['barrytank', 'holybarry']);
+});
+
+test('member documents combine Battle.net, Raider.io and Warcraft Logs data', async () => {
+  const holybarry = await environment.database.findMemberByName('holybarry', 'sylvanas');
+
+  assert.equal(holybarry.guildData.rank, 0);
+  assert.equal(holybarry.itemlevel.equiped, 252);
+  assert.equal(holybarry.missingEnchants, 1);
+  assert.equal(holybarry.ready, false);
+  assert.equal(holybarry.hasTierSet, false);
+  assert.equal(holybarry.currentSeason.season.id, 17);
+  assert.equal(holybarry.pvp.rating, 1850);
+  assert.equal(holybarry.processedStats.role, 'HEALER');
+  assert.equal(holybarry.processedStats.mythicPlusScore, 2461.3);
+  assert.equal(holybarry.enrichment.raider.role, 'Healer');
+  assert.equal(holybarry.enrichment.raider.zones['12.0.0'].kills, 2);
+  assert.equal(holybarry.metaData.lastUpdated, 'Tue, 10 Mar 2026 21:14:03 GMT');
+
+  const barrytank = await environment.database.findMemberByName('barrytank', 'sylvanas');
+  assert.equal(barrytank.processedStats.role, 'TANK');
+  assert.equal(barrytank.ready, true);
+  assert.equal(barrytank.enrichment, null);
+});
+
+test('gear is audited against the enchant, socket and embellishment rules', async () => {
+  const { gearAudit } = await environment.database.findMemberByName('holybarry', 'sylvanas');
+
+  // Crafted bonus stats on the wrist are not an enchant; the neck has one of two sockets filled
+  assert.deepEqual(gearAudit.issues.map(({ slot, type }) => ({ slot, type })), [
+    { slot: 'WRIST', type: 'missingEnchant' },
+    { slot: 'NECK', type: 'emptySocket' }
+  ]);
+  assert.equal(gearAudit.summary.emptySocket, 1);
+
+  const chest = gearAudit.items.find(item => item.slot === 'CHEST');
+  assert.deepEqual(chest.enchant, { id: 7364, name: 'Crystalline Radiance', rank: 2 });
+  const neck = gearAudit.items.find(item => item.slot === 'NECK');
+  assert.equal(neck.embellishment, 'Darkmoon Sigil: Ascension');
+  assert.deepEqual(neck.sockets, { total: 2, filled: 1, gems: ['Culminating Blasphemite'] });
+});
+
+test('tier pieces are matched by item set ID against the tier catalog', async () => {
+  const holybarry = await environment.database.findMemberByName('holybarry', 'sylvanas');
+
+  assert.deepEqual(holybarry.tier.owned.map(piece => piece.slot), ['HEAD', 'CHEST']);
+  assert.deepEqual(holybarry.tier.missing, ['SHOULDER', 'HANDS', 'LEGS']);
+  assert.deepEqual(holybarry.tier.bonuses, { twoPiece: true, fourPiece: false });
+  assert.deepEqual(holybarry.tier.itemLevels, { min: 256, average: 256 });
+
+  const { Plate, Cloth } = summariseTierDemand(await environment.database.getAllMembers());
+  assert.equal(Plate.members, 2);
+  assert.equal(Plate.twoPiece, 1);
+  assert.deepEqual(Plate.demand, { HEAD: 1, SHOULDER: 2, CHEST: 1, HANDS: 2, LEGS: 2 });
+  assert.equal(Cloth.totalDemand, 0);
+});
+
+test('the weekly activity estimates the Great Vault rows', async () => {
+  const holybarry = await environment.database.findMemberByName('holybarry', 'sylvanas');
+  const schedule = getResetSchedule({ REGION: 'eu' });
+  const since = getLastReset(schedule, new Date('2026-03-10T12:00:00Z'));
+
+  const activity = buildWeeklyActivity(holybarry, { since });
+  assert.deepEqual(activity.kills.map(kill => kill.encounter), ['Imperator Averzian', 'Vorasius']);
+  assert.equal(activity.raid.unlocked, 1);
+  assert.equal(activity.raid.slots[0].reward, 'Heroic');
+
+  // The season best runs are also Raider.io runs and only count once
+  assert.deepEqual(activity.runs.map(run => run.level), [12, 11]);
+  assert.equal(activity.dungeons.unlocked, 1);
+  assert.equal(activity.dungeons.slots[0].reward, 12);
+
+  assert.equal(activity.world.tracked, false);
+  assert.deepEqual(activity.emptyRows, []);
+
+  const statistics = { categories: [{ name: 'Delves', statistics: [{ name: 'Delves completed', quantity: 14 }] }] };
+  const withDelves = buildWeeklyActivity({ ...holybarry, statistics }, { since, delveBaseline: 11 });
+  assert.equal(withDelves.world.activities, 3);
+  assert.equal(withDelves.world.unlocked, 1);
+
+  const nextWeek = buildWeeklyActivity(holybarry, { since: getLastReset(schedule, new Date('2026-03-20T12:00:00Z')) });
+  assert.deepEqual(nextWeek.emptyRows, ['raid', 'dungeons']);
+});
+
+test('a second run skips characters whose profile has not changed', async () => {
+  const from = environment.fakes.battlenet.requests.length;
+  const outcomes = await runUpdate();
+
+  assert.equal(outcomes['holybarry-sylvanas'], 'unchanged');
+  assert.equal(outcomes['barrytank-sylvanas'], 'unchanged');
+
+  const characterRequests = battlenetRequestsSince(from)
+    .filter(request => request.path.startsWith('/profile/wow/character/sylvanas/holybarry'));
+  assert.deepEqual(characterRequests.map(request => request.path), ['/profile/wow/character/sylvanas/holybarry']);
+  assert.equal(characterRequests[0].ifModifiedSince, 'Tue, 10 Mar 2026 21:14:03 GMT');
+});
+
+test('a changed profile is refetched while unchanged sub-resources keep their data', async () => {
+  const { fixtures } = environment.fakes.battlenet;
+  fixtures['/profile/wow/character/sylvanas/holybarry'].lastModified = 'Wed, 11 Mar 2026 20:00:00 GMT';
+  fixtures['/profile/wow/character/sylvanas/holybarry'].body.equipped_item_level = 253;
+
+  const from = environment.fakes.battlenet.requests.length;
+  const outcomes = await runUpdate();
+
+  assert.equal(outcomes['holybarry-sylvanas'], 'updated');
+  assert.equal(outcomes['barrytank-sylvanas'], 'unchanged');
+
+  const holybarry = await environment.database.findMemberByName('holybarry', 'sylvanas');
+  assert.equal(holybarry.itemlevel.equiped, 253);
+  assert.equal(holybarry.equipement.length, 5);
+
+  const equipmentRequest = battlenetRequestsSince(from)
+    .find(request => request.path === '/profile/wow/character/sylvanas/holybarry/equipment');
+  assert.equal(equipmentRequest.ifModifiedSince, 'Tue, 10 Mar 2026 21:14:03 GMT');
+});
+
+test('transient Battle.net failures are retried', async () => {
+  environment.fakes.battlenet.failNext('/data/wow/guild/', 503, 2);
+
+  const outcomes = await runUpdate({ force: true });
+
+  assert.equal(outcomes['holybarry-sylvanas'], 'updated');
+  const rosterRequests = environment.fakes.battlenet.requests
+    .filter(request => request.path.startsWith('/data/wow/guild/'));
+  assert.ok(rosterRequests.length >= 3);
+});
+
+test('the transmog data type caches each member\'s collection', async () => {
+  await runUpdate({}, ['transmog']);
+
+  const holybarry = await environment.database.getMemberTransmogCollection('holybarry-sylvanas');
+  assert.deepEqual(holybarry.appearanceSets.map(set => set.id), [4501, 4502]);
+  assert.deepEqual(holybarry.slots.map(slot => slot.type), ['HEAD', 'SHOULDER', 'WEAPON']);
+  assert.equal(holybarry.appearanceCount, 6);
+  assert.equal(holybarry.lastModified, 'Tue, 10 Mar 2026 21:14:03 GMT');
+
+  const barrytank = await environment.database.getMemberTransmogCollection('barrytank-sylvanas');
+  assert.equal(barrytank.appearanceCount, 1);
+
+  const from = environment.fakes.battlenet.requests.length;
+  await runUpdate({}, ['transmog']);
+
+  const transmogRequest = battlenetRequestsSince(from)
+    .find(request => request.path === '/profile/wow/character/sylvanas/holybarry/collections/transmogs');
+  assert.equal(transmogRequest.ifModifiedSince, 'Tue, 10 Mar 2026 21:14:03 GMT');
+});
+
+test('Warcraft Logs and Raider.io responses are kept in the API cache', async () => {
+  const { entries } = await apiCache.listApiCacheEntries({ realm: 'sylvanas', name: 'holybarry', limit: 0 });
+  assert.deepEqual([...new Set(entries.map(entry => entry.type))].sort(), ['rio_profile', 'wcl_damage_taken', 'wcl_kill_ts', 'wcl_member']);
+  assert.ok(entries.every(entry => entry.expiresAt > entry.createdAt));
+
+  const { warcraftlogs, raiderio } = environment.fakes;
+  const queriesSince = (from) => warcraftlogs.requests.slice(from).filter(request => request.path === '/api/v2/client');
+  const profilesSince = (from) => raiderio.requests.slice(from).filter(request => request.path.endsWith('/characters/profile'));
+
+  let wclFrom = warcraftlogs.requests.length;
+  let rioFrom = raiderio.requests.length;
+  await runUpdate({ force: true });
+  assert.equal(queriesSince(wclFrom).length, 0);
+  assert.equal(profilesSince(rioFrom).length, 0);
+
+  assert.equal(await apiCache.invalidateApiCache({ realm: 'sylvanas', name: 'holybarry', type: 'rio_profile' }), 1);
+  wclFrom = warcraftlogs.requests.length;
+  rioFrom = raiderio.requests.length;
+  await runUpdate({ force: true });
+  assert.equal(queriesSince(wclFrom).length, 0);
+  assert.deepEqual(profilesSince(rioFrom).map(request => request.query.name), ['holybarry']);
+});
+
+test('API cache TTLs are only accepted for query types', () => {
+  assert.equal(apiCache.validateApiCacheTtls({ rio_profile: 10, wcl_member: 0 }).isValid, true);
+  ['toString', 'constructor', 'hasOwnProperty'].forEach(type => {
+    assert.equal(apiCache.validateApiCacheTtls({ [type]: 10 }).isValid, false);
+    assert.equal(apiCache.getApiCacheTtlMinutes({}, type), 0);
+  });
+  assert.equal(apiCache.validateApiCacheTtls(JSON.parse('{ "__proto__": 10 }')).isValid, false);
+});
@@ -0,0 +1,100 @@
+/**
+ * @file Job queue against a throwaway MongoDB: one active guild update at a time,
+ * also for requests arriving together or after a database reset, and leases that keep
+ * the jobs of a live worker from being failed by another process.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestEnvironment } from '../helpers/testEnvironment.mjs';
+
+let environment;
+let jobQueue;
+
+before(async () => {
+  environment = await setupTestEnvironment();
+  jobQueue = await import('../../src/services/jobQueue.js');
+});
+
+after(async () => {
+  await environment?.teardown();
+});
+
+test('guild updates queued at the same moment create a single job', async () => {
+  const results = await Promise.all([
+    jobQueue.enqueueJob('guild-update', {}, { requestedBy: 'admin' }),
+    jobQueue.enqueueJob('guild-update', {}, { requestedBy: 'cron:guild-refresh' })
+  ]);
+
+  const queued = results.filter(result => result.job);
+  const blocked = results.filter(result => !result.job);
+  assert.equal(queued.length, 1);
+  assert.equal(blocked.length, 1);
+  assert.equal(blocked[0].activeJob.requestedBy, queued[0].job.requestedBy);
+
+  const { jobs } = await environment.database.getJobs({ type: 'guild-update' });
+  assert.equal(jobs.length, 1);
+
+  // Once finished, the lock is released for the next guild update
+  const { job: cancelled } = await jobQueue.cancelJob(queued[0].job._id.toString(), 'admin');
+  assert.equal(cancelled.status, 'cancelled');
+  const { job: next } = await jobQueue.enqueueJob('guild-update', {}, { requestedBy: 'admin' });
+  assert.ok(next);
+  await jobQueue.cancelJob(next._id.toString(), 'admin');
+});
+
+test('only running jobs whose lease has expired are failed', async () => {
+  const { database } = environment;
+  const runningJob = (workerId, leaseExpiresAt) => database.createJob({
+    type: 'character-update',
+    params: { realm: 'sylvanas', character: 'holybarry' },
+    status: 'running',
+    workerId,
+    leaseExpiresAt,
+    createdAt: new Date()
+  });
+
+  const live = await runningJob('other-server', new Date(Date.now() + 60 * 1000));
+  const stopped = await runningJob('crashed-server', new Date(Date.now() - 1000));
+  const legacy = await runningJob(undefined, undefined);
+
+  assert.equal(await database.failInterruptedJobs({ error: 'Interrupted' }), 2);
+  assert.equal((await database.getJobById(live._id.toString())).status, 'running');
+  assert.equal((await database.getJobById(stopped._id.toString())).status, 'failed');
+  assert.equal((await database.getJobById(legacy._id.toString())).status, 'failed');
+
+  // Only the worker holding a lease can renew it
+  const later = new Date(Date.now() + 10 * 60 * 1000);
+  assert.equal(await database.renewJobLeases([live._id.toString()], 'another-worker', later), 0);
+  assert.equal(await database.renewJobLeases([live._id.toString()], 'other-server', later), 1);
+});
+
+test('the single guild update lock is restored after a database reset', async () => {
+  const { database } = environment;
+  const { db } = await database.connectToDatabase();
+  await db.collection('jobs').drop();
+  database.markIndexesMissing();
+
+  const results = await Promise.all([
+    jobQueue.enqueueJob('guild-update', {}, { requestedBy: 'admin' }),
+    jobQueue.enqueueJob('guild-update', {}, { requestedBy: 'cron:guild-refresh' })
+  ]);
+  assert.equal(results.filter(result => result.job).length, 1);
+
+  const queued = results.find(result => result.job).job;
+  await jobQueue.cancelJob(queued._id.toString(), 'admin');
+});
+
+test('only a worker that beat recently in another process counts as live', async () => {
+  const { database } = environment;
+  assert.equal(await jobQueue.hasLiveJobWorker(), false);
+
+  await database.saveJobWorkerHeartbeat(jobQueue.WORKER_ID, new Date(Date.now() + 60 * 1000));
+  assert.equal(await jobQueue.hasLiveJobWorker(), false);
+
+  await database.saveJobWorkerHeartbeat('stopped-server', new Date(Date.now() - 1000));
+  assert.equal(await jobQueue.hasLiveJobWorker(), false);
+
+  await database.saveJobWorkerHeartbeat('api-server', new Date(Date.now() + 60 * 1000));
+  assert.equal(await jobQueue.hasLiveJobWorker(), true);
+});
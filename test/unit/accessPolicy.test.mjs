@@ -0,0 +1,67 @@
+/**
+ * @file Access policies: every route registered by src/routes/index.js has a declared
+ * policy, and routes missing from a per-route policy map are reported.
+ */
+
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// database.js refuses to load without these; no test here connects, so placeholders will do
+const PLACEHOLDER_ENV = {
+  MONGODB: 'mongodb://127.0.0.1:1',
+  DATABASE_NAME: 'policy-check',
+  SIGNUP_COLLECTION: 'signups',
+  MEMBERS_COLLECTION_NAME: 'members',
+  ERRORS_COLLECTION_NAME: 'errors'
+};
+
+let ROUTES;
+let registerRoutes;
+let accessPolicy;
+
+before(async () => {
+  Object.entries(PLACEHOLDER_ENV).forEach(([key, value]) => {
+    process.env[key] = process.env[key] || value;
+  });
+  ({ ROUTES, registerRoutes } = await import('../../src/routes/index.js'));
+  accessPolicy = await import('../../src/services/accessPolicy.js');
+});
+
+test('every registered route has an access policy', () => {
+  const app = express();
+  registerRoutes(app);
+
+  assert.deepEqual(accessPolicy.findRoutesWithoutPolicy(app), []);
+
+  // Per-route maps list every method and path of their router
+  ROUTES.filter(({ policy }) => policy.level === 'routes').forEach(({ path, router, policy }) => {
+    router.stack.filter(layer => layer.route).forEach(layer => {
+      Object.keys(layer.route.methods).forEach(method => {
+        const key = `${method.toUpperCase()} ${layer.route.path}`;
+        assert.ok(policy.map[key]?.level, `${path}: no policy for ${key}`);
+      });
+    });
+  });
+});
+
+test('routes without a policy are reported', () => {
+  const { PUBLIC, routes, mountWithPolicy, findRoutesWithoutPolicy } = accessPolicy;
+  const app = express();
+
+  const mapped = express.Router();
+  mapped.get('/', (req, res) => res.end());
+  mapped.delete('/:id', (req, res) => res.end());
+  mountWithPolicy(app, '/api/policy-test', mapped, routes({ 'GET /': PUBLIC }));
+
+  const unmounted = express.Router();
+  unmounted.get('/', (req, res) => res.end());
+  app.use('/api/unprotected', unmounted);
+
+  assert.throws(() => mountWithPolicy(app, '/api/no-policy', express.Router(), null), /No access policy declared/);
+
+  const problems = findRoutesWithoutPolicy(app);
+  assert.ok(problems.includes('DELETE /api/policy-test/:id has no entry in the route policy map'));
+  assert.ok(problems.some(problem => problem.startsWith('Router mounted at') && problem.endsWith('has no access policy (use mountWithPolicy)')));
+  assert.ok(!problems.some(problem => problem.startsWith('GET /api/policy-test')));
+});
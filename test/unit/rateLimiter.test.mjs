@@ -0,0 +1,41 @@
+/**
+ * @file Battle.net rate limiting: quotas that could never grant a token are refused,
+ * by the limiter and by the settings validators.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRateLimiter,
+  validateBattlenetRateLimit
+} from '../../tools/guildFetcher/rateLimiter.mjs';
+import { validateFetchConcurrency } from '../../tools/guildFetcher/workerPool.mjs';
+
+test('the limiter refuses quotas that would never grant a token', () => {
+  [0, -5, 0.5, NaN, Infinity, '100'].forEach(perSecond => {
+    assert.throws(() => createRateLimiter({ perSecond }), RangeError);
+  });
+  assert.throws(() => createRateLimiter({ perHour: 0 }), /perHour must be a number of at least 1/);
+});
+
+test('the limiter grants tokens up to its quota', async () => {
+  const limiter = createRateLimiter({ perSecond: 2, perHour: 100 });
+  assert.equal(await limiter.schedule(async () => 'first'), 'first');
+  await limiter.acquire();
+});
+
+test('rate limit and concurrency settings are validated', () => {
+  assert.equal(validateBattlenetRateLimit({ perSecond: 50, perHour: 20000 }).isValid, true);
+  assert.equal(validateBattlenetRateLimit(null).isValid, true);
+  assert.deepEqual(validateBattlenetRateLimit({ perSecond: 0, perMinute: 10, perHour: 'lots' }).errors, [
+    'BATTLENET_RATE_LIMIT.perSecond must be a number of at least 1',
+    'BATTLENET_RATE_LIMIT.perMinute is not a setting, use: perSecond, perHour',
+    'BATTLENET_RATE_LIMIT.perHour must be a number of at least 1'
+  ]);
+  assert.equal(validateBattlenetRateLimit(100).isValid, false);
+
+  assert.equal(validateFetchConcurrency(4).isValid, true);
+  [0, -1, 2.5, '4', null].forEach(concurrency => {
+    assert.equal(validateFetchConcurrency(concurrency).isValid, false);
+  });
+});
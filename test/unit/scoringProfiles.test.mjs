@@ -0,0 +1,84 @@
+/**
+ * @file Scoring profiles: resolution of named profiles over the default, raid speed
+ * milestones for raids of any size, and validation of SCORING_PROFILES.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calcSpeedScore,
+  getScoringProfile,
+  validateScoringProfiles,
+  validateScoringProfile
+} from '../../src/services/scoringProfiles.js';
+
+const config = {
+  mplus: { maxRatingForScore: 3500 },
+  SCORING_PROFILE: 'mplus-heavy',
+  SCORING_PROFILES: {
+    'mplus-heavy': { combined: { raidWeight: 25, mplusWeight: 75 } },
+    'strict-speed': {
+      raid: {
+        baseMilestones: [{ bossCount: 8, expectedWeek: 4, maxPts: 50 }],
+        bonusMilestones: [{ bossCount: 8, byWeek: 2, bonusPts: 50 }],
+        pointsPerWeekLate: 10
+      }
+    }
+  }
+};
+
+test('profiles are merged over the default profile', () => {
+  const active = getScoringProfile(config);
+  assert.equal(active.name, 'mplus-heavy');
+  assert.deepEqual(active.combined, { raidWeight: 25, mplusWeight: 75, raidMax: 200, mplusMax: 200 });
+  assert.equal(active.mplus.maxRating, 3500);
+  assert.equal(active.tiers[0].tier, 'mythic');
+
+  assert.equal(getScoringProfile(config, 'default').combined.raidWeight, 50);
+  assert.equal(getScoringProfile(config, 'missing'), null);
+  assert.equal(getScoringProfile(config, 'toString'), null);
+  assert.equal(getScoringProfile(config, '__proto__'), null);
+  assert.equal(getScoringProfile({}, 'constructor'), null);
+  // A removed active profile falls back to the default
+  assert.equal(getScoringProfile({ SCORING_PROFILE: 'gone' }).name, 'default');
+});
+
+test('the default milestones scale with the number of bosses', () => {
+  // Full clear in week 3: the last base milestone and the full-clear bonus
+  assert.equal(calcSpeedScore(Array(9).fill(3), 9), 100);
+  assert.equal(calcSpeedScore(Array(8).fill(3), 8), 100);
+  // Four of nine bosses by week 4, three weeks late on the fourth milestone's week
+  assert.equal(calcSpeedScore([1, 2, 3, 4], 9), 18.75 + 12.5);
+  assert.equal(calcSpeedScore([], 9), 0);
+});
+
+test('a profile can use absolute boss counts and its own lateness penalty', () => {
+  const { raid } = getScoringProfile(config, 'strict-speed');
+  assert.equal(calcSpeedScore(Array(8).fill(2), 8, raid), 100);
+  assert.equal(calcSpeedScore(Array(8).fill(6), 8, raid), 30);
+  assert.equal(calcSpeedScore(Array(7).fill(1), 8, raid), 0);
+});
+
+test('scoring profiles are validated', () => {
+  assert.equal(validateScoringProfiles(config.SCORING_PROFILES, 'strict-speed').isValid, true);
+  assert.equal(validateScoringProfiles(null, 'default').isValid, true);
+
+  assert.deepEqual(validateScoringProfiles({ default: {} }, 'default').errors, [
+    'SCORING_PROFILES.default: profile names use lowercase letters, digits and dashes, and "default" is built in'
+  ]);
+  assert.deepEqual(validateScoringProfiles(config.SCORING_PROFILES, 'gone').errors, [
+    'SCORING_PROFILE must be one of: default, mplus-heavy, strict-speed'
+  ]);
+
+  assert.deepEqual(validateScoringProfile({
+    raid: { baseMilestones: [{ bossCount: 2, bossShare: 0.5, expectedWeek: 1 }] },
+    combined: { raidWeight: -1, bonus: 5 },
+    tiers: [{ tier: 'mythic', maxRank: 3 }, { tier: 'epic', maxRank: 2 }, { tier: 'rare' }]
+  }).errors, [
+    'profile.combined.bonus is not a setting, use: raidWeight, mplusWeight, raidMax, mplusMax',
+    'profile.raid.baseMilestones[0] needs either bossCount (whole number) or bossShare (0 to 1)',
+    'profile.raid.baseMilestones[0].maxPts must be a number of at least 0',
+    'profile.combined.raidWeight must be a number of at least 0',
+    'profile.tiers must list { tier, maxRank } with increasing ranks, the last one without maxRank'
+  ]);
+});
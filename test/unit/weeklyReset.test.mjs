@@ -0,0 +1,95 @@
+/**
+ * @file Weekly reset boundaries per region, with WEEKLY_RESET overrides in local time
+ * zones across daylight saving time transitions.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getResetSchedule,
+  getLastReset,
+  getNextReset,
+  getWeekBucketOptions,
+  validateWeeklyReset
+} from '../../src/services/weeklyReset.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Last and next reset around a point in time, as ISO strings.
+ * @param {Object} schedule - Reset schedule
+ * @param {string} now - ISO timestamp
+ * @returns {string[]} [last reset, next reset]
+ */
+const resetsAround = (schedule, now) => [
+  getLastReset(schedule, new Date(now)).toISOString(),
+  getNextReset(schedule, new Date(now)).toISOString()
+];
+
+test('EU weeks start on Wednesday at 04:00 UTC', () => {
+  const eu = getResetSchedule({ REGION: 'eu' });
+
+  assert.deepEqual(resetsAround(eu, '2026-03-11T03:59:59Z'), ['2026-03-04T04:00:00.000Z', '2026-03-11T04:00:00.000Z']);
+  assert.deepEqual(resetsAround(eu, '2026-03-11T04:00:00Z'), ['2026-03-11T04:00:00.000Z', '2026-03-18T04:00:00.000Z']);
+  // The Europe/Paris clock change on 29 March does not move a UTC reset
+  assert.deepEqual(resetsAround(eu, '2026-03-31T12:00:00Z'), ['2026-03-25T04:00:00.000Z', '2026-04-01T04:00:00.000Z']);
+});
+
+test('US weeks start on Tuesday at 15:00 UTC', () => {
+  const us = getResetSchedule({ REGION: 'US' });
+
+  assert.deepEqual(resetsAround(us, '2026-03-10T14:59:59Z'), ['2026-03-03T15:00:00.000Z', '2026-03-10T15:00:00.000Z']);
+  // A US evening is already the next UTC day, but still the same raid week
+  assert.deepEqual(resetsAround(us, '2026-03-11T02:00:00Z'), ['2026-03-10T15:00:00.000Z', '2026-03-17T15:00:00.000Z']);
+  // The 1 November clock change does not move a UTC reset
+  assert.deepEqual(resetsAround(us, '2026-11-03T14:00:00Z'), ['2026-10-27T15:00:00.000Z', '2026-11-03T15:00:00.000Z']);
+});
+
+test('an unknown region falls back to the EU reset', () => {
+  assert.deepEqual(getResetSchedule({ REGION: 'cn' }), { day: 'Wednesday', time: '04:00', timezone: 'UTC' });
+  assert.deepEqual(getResetSchedule({}), { day: 'Wednesday', time: '04:00', timezone: 'UTC' });
+});
+
+test('a reset in a local time zone follows the spring DST transition', () => {
+  const paris = getResetSchedule({ REGION: 'eu', WEEKLY_RESET: { time: '05:00', timezone: 'Europe/Paris' } });
+
+  // 05:00 CET before 29 March, 05:00 CEST after
+  assert.deepEqual(resetsAround(paris, '2026-03-28T12:00:00Z'), ['2026-03-25T04:00:00.000Z', '2026-04-01T03:00:00.000Z']);
+  assert.equal(getLastReset(paris, new Date('2026-04-01T03:00:00Z')).toISOString(), '2026-04-01T03:00:00.000Z');
+  assert.equal(getLastReset(paris, new Date('2026-04-01T02:59:59Z')).toISOString(), '2026-03-25T04:00:00.000Z');
+
+  const losAngeles = getResetSchedule({ REGION: 'us', WEEKLY_RESET: { time: '08:00', timezone: 'America/Los_Angeles' } });
+  // The 8 March clock change makes the week one hour shorter
+  const [last, next] = resetsAround(losAngeles, '2026-03-07T12:00:00Z');
+  assert.deepEqual([last, next], ['2026-03-03T16:00:00.000Z', '2026-03-10T15:00:00.000Z']);
+  assert.equal((Date.parse(next) - Date.parse(last)) / HOUR_MS, 167);
+});
+
+test('a reset in a local time zone follows the autumn DST transition', () => {
+  const paris = getResetSchedule({ REGION: 'eu', WEEKLY_RESET: { time: '05:00', timezone: 'Europe/Paris' } });
+
+  const [last, next] = resetsAround(paris, '2026-10-25T12:00:00Z');
+  assert.deepEqual([last, next], ['2026-10-21T03:00:00.000Z', '2026-10-28T04:00:00.000Z']);
+  assert.equal((Date.parse(next) - Date.parse(last)) / HOUR_MS, 169);
+});
+
+test('raid week buckets start on the reset day, shifted by the reset time', () => {
+  assert.deepEqual(getWeekBucketOptions(getResetSchedule({ REGION: 'us' })), {
+    startOfWeek: 'tuesday',
+    timezone: 'UTC',
+    offsetMinutes: 900
+  });
+});
+
+test('WEEKLY_RESET overrides are validated', () => {
+  assert.equal(validateWeeklyReset(null).isValid, true);
+  assert.equal(validateWeeklyReset({ day: 'Thursday', time: '07:30', timezone: 'Asia/Seoul' }).isValid, true);
+
+  assert.deepEqual(validateWeeklyReset({ day: 'wed', time: '4:00', timezone: 'Mars/Olympus', hour: 4 }).errors, [
+    'WEEKLY_RESET.hour is not a setting, use: day, time, timezone',
+    'WEEKLY_RESET.day must be one of: Sunday, Monday, Tuesday, Wednesday, Thursday, Friday, Saturday',
+    'WEEKLY_RESET.time must be a 24-hour time (HH:mm)',
+    'WEEKLY_RESET.timezone must be an IANA time zone (e.g. UTC, Europe/Paris)'
+  ]);
+  assert.equal(validateWeeklyReset('Wednesday').isValid, false);
+});
@@ -0,0 +1,57 @@
+/**
+ * @file Fake Battle.net: the client-credentials token endpoint and the guild roster
+ * and character profile endpoints built by getCharacterInformation, answered from
+ * fixtures/battlenet.json. Fixtures are keyed by lowercase path (the query string is
+ * ignored) and carry the Last-Modified date used for conditional requests.
+ * @module tools/fakeApis/battlenet
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { basicCredentials, bearerToken, createFakeApp, listen, loadFixture } from './fakeServer.mjs';
+
+/**
+ * Start the fake Battle.net.
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port, 0 for any free port
+ * @param {Object} [options.fixtures] - { [path]: { lastModified, body } }, defaults to the recorded fixtures
+ * @returns {Promise<Object>} { url, close, requests, failNext, fixtures }; fixtures can be
+ * edited between runs (e.g. a newer lastModified marks a character as changed)
+ */
+export async function startFakeBattlenet({ port = 0, fixtures = loadFixture('battlenet') } = {}) {
+  const { app, requests, failNext } = createFakeApp();
+  const tokens = new Set();
+
+  app.post('/oauth/token', express.urlencoded({ extended: false }), (req, res) => {
+    const { clientId, clientSecret } = basicCredentials(req);
+    if (!clientId || !clientSecret || req.body?.grant_type !== 'client_credentials') {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Invalid client or Invalid client credentials' });
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.add(token);
+    res.json({ access_token: token, token_type: 'bearer', expires_in: 86399, sub: clientId });
+  });
+
+  app.get('*', (req, res) => {
+    if (!tokens.has(bearerToken(req) || req.query.access_token)) {
+      return res.status(401).json({ code: 401, type: 'BLZWEBAPI00000401', detail: 'Unauthorized' });
+    }
+
+    const fixture = fixtures[req.path.toLowerCase()];
+    if (!fixture) {
+      return res.status(404).json({ code: 404, type: 'BLZWEBAPI00000404', detail: 'Not Found' });
+    }
+
+    const since = Date.parse(req.get('if-modified-since'));
+    if (fixture.lastModified && since >= Date.parse(fixture.lastModified)) {
+      return res.status(304).end();
+    }
+    if (fixture.lastModified) {
+      res.set('Last-Modified', fixture.lastModified);
+    }
+    res.json(fixture.body);
+  });
+
+  return { ...(await listen(app, port)), requests, failNext, fixtures };
+}
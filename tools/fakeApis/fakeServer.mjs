@@ -0,0 +1,99 @@
+/**
+ * @file Building blocks shared by the fake Battle.net, Raider.io and Warcraft Logs
+ * servers: fixture loading, a request log, injected failures and listening on a
+ * free local port.
+ * @module tools/fakeApis/fakeServer
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+/**
+ * Load a recorded fixture file from the fixtures directory.
+ * @param {string} name - File name without .json
+ * @returns {Object} Parsed fixtures
+ */
+export function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Read the credentials of a Basic Authorization header.
+ * @param {Object} req - Express request
+ * @returns {{ clientId: string, clientSecret: string }} Credentials (empty strings when missing)
+ */
+export function basicCredentials(req) {
+  const encoded = (req.get('authorization') || '').replace(/^Basic\s+/i, '');
+  const [clientId = '', clientSecret = ''] = Buffer.from(encoded, 'base64').toString('utf8').split(':');
+  return { clientId, clientSecret };
+}
+
+/**
+ * Read the token of a Bearer Authorization header.
+ * @param {Object} req - Express request
+ * @returns {string} Token (empty when missing)
+ */
+export const bearerToken = (req) => (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+
+/**
+ * Create the Express app of a fake server. Every request is logged, and requests
+ * matching an injected failure are answered with its status before reaching the routes.
+ * @returns {{ app: Object, requests: Object[], failNext: Function }} App, request log
+ * and failNext(pathPrefix, status, times = 1)
+ */
+export function createFakeApp() {
+  const app = express();
+  const requests = [];
+  const failures = [];
+
+  app.use((req, res, next) => {
+    requests.push({
+      method: req.method,
+      path: req.path,
+      query: req.query,
+      ifModifiedSince: req.get('if-modified-since') || null
+    });
+
+    const failure = failures.find(entry => entry.times > 0 && req.path.startsWith(entry.pathPrefix));
+    if (failure) {
+      failure.times--;
+      return res.status(failure.status).json({ code: failure.status, detail: 'Injected failure' });
+    }
+    next();
+  });
+
+  return {
+    app,
+    requests,
+    failNext(pathPrefix, status, times = 1) {
+      failures.push({ pathPrefix, status, times });
+    }
+  };
+}
+
+/**
+ * Listen on 127.0.0.1.
+ * @param {Object} app - Express app
+ * @param {number} [port] - Port, 0 for any free port
+ * @returns {Promise<{ url: string, close: Function }>} Base URL and close()
+ */
+export async function listen(app, port = 0) {
+  const server = http.createServer(app);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
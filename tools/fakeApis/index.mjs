@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * @file Start the fake Battle.net, Raider.io and Warcraft Logs servers together.
+ * Imported by the integration tests; run directly (npm run fakeApis) to point a local
+ * API at them:
+ *   BNET_API_HOST / BNET_OAUTH_HOST=<battlenet url>
+ *   WCL_HOST=<warcraftlogs url>
+ *   rioBase setting=<raiderio url>/api/v1
+ * @module tools/fakeApis
+ */
+
+import { fileURLToPath } from 'url';
+import { startFakeBattlenet } from './battlenet.mjs';
+import { startFakeRaiderio } from './raiderio.mjs';
+import { startFakeWarcraftlogs } from './warcraftlogs.mjs';
+
+/**
+ * Start the three fake servers.
+ * @param {Object} [ports] - { battlenet, raiderio, warcraftlogs }, any free port when omitted
+ * @returns {Promise<Object>} { battlenet, raiderio, warcraftlogs, env, rioBase, close }; env holds the
+ * environment variables that point the app at the fakes
+ */
+export async function startFakeApis(ports = {}) {
+  const [battlenet, raiderio, warcraftlogs] = await Promise.all([
+    startFakeBattlenet({ port: ports.battlenet }),
+    startFakeRaiderio({ port: ports.raiderio }),
+    startFakeWarcraftlogs({ port: ports.warcraftlogs })
+  ]);
+
+  return {
+    battlenet,
+    raiderio,
+    warcraftlogs,
+    env: {
+      BNET_API_HOST: battlenet.url,
+      BNET_OAUTH_HOST: battlenet.url,
+      WCL_HOST: warcraftlogs.url
+    },
+    rioBase: raiderio.rioBase,
+    close: () => Promise.all([battlenet.close(), raiderio.close(), warcraftlogs.close()])
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const fakes = await startFakeApis({
+    battlenet: Number(process.env.FAKE_BATTLENET_PORT) || 3201,
+    raiderio: Number(process.env.FAKE_RAIDERIO_PORT) || 3202,
+    warcraftlogs: Number(process.env.FAKE_WCL_PORT) || 3203
+  });
+
+  console.log('🧪 Fake APIs listening. Run the API with:');
+  Object.entries(fakes.env).forEach(([name, value]) => console.log(`   ${name}=${value}`));
+  console.log(`   and the rioBase setting set to ${fakes.rioBase}`);
+
+  const shutdown = () => fakes.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
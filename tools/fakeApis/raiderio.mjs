@@ -0,0 +1,35 @@
+/**
+ * @file Fake Raider.io: the /characters/profile call made by mplusEnrichment.js,
+ * answered from fixtures/raiderio.json (keyed by region/realm/name).
+ * Point the app at it with the rioBase setting (`${url}/api/v1`).
+ * @module tools/fakeApis/raiderio
+ */
+
+import { createFakeApp, listen, loadFixture } from './fakeServer.mjs';
+
+/**
+ * Start the fake Raider.io.
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port, 0 for any free port
+ * @param {Object} [options.fixtures] - { 'region/realm/name': profile }, defaults to the recorded fixtures
+ * @returns {Promise<Object>} { url, rioBase, close, requests, failNext, fixtures }
+ */
+export async function startFakeRaiderio({ port = 0, fixtures = loadFixture('raiderio') } = {}) {
+  const { app, requests, failNext } = createFakeApp();
+
+  app.get('/api/v1/characters/profile', (req, res) => {
+    if (!req.query.access_key) {
+      return res.status(401).json({ statusCode: 401, error: 'Unauthorized', message: 'An API key is required' });
+    }
+
+    const { region = '', realm = '', name = '' } = req.query;
+    const profile = fixtures[`${region}/${realm}/${name}`.toLowerCase()];
+    if (!profile) {
+      return res.status(400).json({ statusCode: 400, error: 'Bad Request', message: 'Could not find requested character' });
+    }
+    res.json(profile);
+  });
+
+  const server = await listen(app, port);
+  return { ...server, rioBase: `${server.url}/api/v1`, requests, failNext, fixtures };
+}
@@ -0,0 +1,77 @@
+/**
+ * @file Fake Warcraft Logs: the OAuth token endpoint and the GraphQL endpoint, for
+ * the zoneRankings and aliased encounterRankings queries sent by warcraftlogs.js.
+ * Answers come from fixtures/warcraftlogs.json (keyed by region/realm/name),
+ * picked by the metric and encounterID arguments of each field.
+ * Point the app at it with WCL_HOST.
+ * @module tools/fakeApis/warcraftlogs
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { basicCredentials, bearerToken, createFakeApp, listen, loadFixture } from './fakeServer.mjs';
+
+const CHARACTER_PATTERN = /character\(name: "([^"]+)", serverSlug: "([^"]+)", serverRegion: "([^"]+)"\)/;
+
+/**
+ * Read an argument from a GraphQL argument list, e.g. metric from "zoneID: 46, metric: hps".
+ * @param {string} args - Argument list
+ * @param {string} name - Argument name
+ * @returns {string|undefined} Value
+ */
+const argument = (args, name) => args.match(new RegExp(`${name}:\\s*"?([\\w.-]+)"?`))?.[1];
+
+/**
+ * Start the fake Warcraft Logs.
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port, 0 for any free port
+ * @param {Object} [options.fixtures] - { 'region/realm/name': { zoneRankings, encounterRankings } },
+ * defaults to the recorded fixtures
+ * @returns {Promise<Object>} { url, close, requests, failNext, fixtures }
+ */
+export async function startFakeWarcraftlogs({ port = 0, fixtures = loadFixture('warcraftlogs') } = {}) {
+  const { app, requests, failNext } = createFakeApp();
+  const tokens = new Set();
+
+  app.post('/oauth/token', express.urlencoded({ extended: false }), (req, res) => {
+    const { clientId, clientSecret } = basicCredentials(req);
+    if (!clientId || !clientSecret) {
+      return res.status(401).json({ error: 'invalid_client', message: 'Client authentication failed' });
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.add(token);
+    res.json({ token_type: 'Bearer', expires_in: 31536000, access_token: token });
+  });
+
+  app.post('/api/v2/client', express.json(), (req, res) => {
+    if (!tokens.has(bearerToken(req))) {
+      return res.status(401).json({ error: 'Unauthenticated.' });
+    }
+
+    const query = req.body?.query || '';
+    const match = query.match(CHARACTER_PATTERN);
+    if (!match) {
+      return res.json({ errors: [{ message: 'The fake Warcraft Logs server only answers characterData queries' }] });
+    }
+
+    const [, name, realm, region] = match;
+    const fixture = fixtures[`${region}/${realm}/${name}`.toLowerCase()];
+    if (!fixture) {
+      return res.json({ data: { characterData: { character: null } } });
+    }
+
+    const character = {};
+    const zone = query.match(/zoneRankings\(([^)]*)\)/);
+    if (zone) {
+      character.zoneRankings = fixture.zoneRankings?.[argument(zone[1], 'metric')] ?? null;
+    }
+    for (const [, alias, args] of query.matchAll(/(\w+): encounterRankings\(([^)]*)\)/g)) {
+      character[alias] = fixture.encounterRankings?.[argument(args, 'encounterID')]?.[argument(args, 'metric')]
+        ?? { ranks: [] };
+    }
+    res.json({ data: { characterData: { character } } });
+  });
+
+  return { ...(await listen(app, port)), requests, failNext, fixtures };
+}
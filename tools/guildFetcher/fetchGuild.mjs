@@ -1,8 +1,6 @@
 // Suppress ExperimentalWarning
 process.removeAllListeners('warning');
 
-import { BlizzAPI } from "blizzapi";
-
 import figlet from 'figlet';
 import gradient from 'gradient-string';
 
@@ -12,7 +10,9 @@ import {
   addMember,
   logError,
   getAllMembers,
-  saveTopSeasonalStats
+  getMemberKeys,
+  saveTopSeasonalStats,
+  saveGuildUpdateRun
 } from '../../src/database.js';
 
 import { 
@@ -20,18 +20,35 @@ import {
   getTopSeasonalAchievements
 } from './seasonalStats.mjs';
 
+import { getBattlenetClient } from '../../src/services/battlenet.js';
+import { guildUpdateDuration, guildMemberFetches } from '../../src/services/metrics.js';
+import { runWorkerPool } from './workerPool.mjs';
+
 // Import config utility to get settings from database
 import { getConfig } from '../../src/config.js';
+import { fetchCharacterData } from '../../src/services/characterFetch.js';
+import { recordMemberSnapshots, compactMemberHistory } from '../../src/services/memberHistory.js';
+import { refreshTransmogCollection } from '../../src/services/transmogCollection.js';
+import {
+  findDepartedMembers,
+  archiveDepartedMembers,
+  recordJoinedMembers
+} from '../../src/services/rosterChurn.js';
+import { createLogger, getLogFormat, getCorrelationId, withCorrelationId } from '../../src/services/logger.js';
 
-// Display disclaimer
-console.log(gradient.pastel.multiline(figlet.textSync('Audit Tool', {
-    horizontalLayout: 'full'
-})));
-console.log(gradient.cristal.multiline('Built by Scott Jones | Holybarryz'));
-console.log(gradient.morning('Copyright 2024 all rights reserved\n'));
+const log = createLogger('guildFetcher');
+
+// Display disclaimer (not in JSON mode, where every stdout line must be a log entry)
+if (getLogFormat() === 'text') {
+    console.log(gradient.pastel.multiline(figlet.textSync('Audit Tool', {
+        horizontalLayout: 'full'
+    })));
+    console.log(gradient.cristal.multiline('Built by Scott Jones | Holybarryz'));
+    console.log(gradient.morning('Copyright 2024 all rights reserved\n'));
+}
 
 /**
- * Emits progress updates via WebSocket
+ * Emits progress updates via WebSocket, tagged with the run's correlation id
  * @param {Object} io - Socket.io instance
  * @param {string} processId - Process identifier
  * @param {string} type - Update type
@@ -40,33 +57,61 @@ console.log(gradient.morning('Copyright 2024 all rights reserved\n'));
 function emitProgress(io, processId, type, data) {
   // Add CLI logging first
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] [${type.toUpperCase()}] ${data.message || JSON.stringify(data)}`);
+  const { message, ...details } = data;
+  log.info(`[${type.toUpperCase()}] ${message || type}`, details);
   
   // Only emit WebSocket events if io is provided
   if (io) {
     const payload = {
       processId,
+      correlationId: getCorrelationId(),
       type,
       data,
       timestamp
     };
-    console.log('📡 Emitting Socket.IO event:', type, 'to', io.engine.clientsCount, 'clients');
+    log.debug(`📡 Emitting Socket.IO event ${type}`, { clients: io.engine?.clientsCount });
     io.emit('guild-update-progress', payload);
   } else {
-    console.warn('⚠️  Socket.IO instance not available, skipping event emission');
+    log.debug('⚠️  Socket.IO instance not available, skipping event emission');
   }
 }
 
 
+// Default number of members fetched in parallel
+const DEFAULT_CONCURRENCY = 4;
+
+// Process ID of the run currently in flight, so scheduled and manual runs never overlap
+let runningProcessId = null;
+
+/**
+ * Get the process ID of the guild update currently running, if any.
+ * @returns {string|null} Running process ID or null
+ */
+export const getRunningGuildUpdate = () => runningProcessId;
+
 /**
  * Main function to fetch and process guild data from Battle.net API
- * @param {Array} dataTypes - Array of data types to fetch ['raid', 'mplus', 'pvp']
+ * @param {Array} dataTypes - Array of data types to fetch ['raid', 'mplus', 'pvp', 'transmog']
  * @param {string} processId - Unique process identifier
  * @param {Object} io - Socket.io instance for real-time updates
+ * @param {Object} options - Job hooks, see startGuildUpdate
  * @returns {Promise} Promise that resolves when the process completes
  */
-export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], processId, io) => {
+const runGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], processId, io, options = {}) => {
+    const { signal = null, members = null, force = false, onRosterLoaded = null, onMemberResult = null } = options;
+    if (runningProcessId) {
+        const busyError = new Error(`Guild update ${runningProcessId} is already in progress`);
+        busyError.status = 409;
+        throw busyError;
+    }
+    runningProcessId = processId;
+    const startedAt = new Date();
+    const stopTimer = guildUpdateDuration.startTimer();
+
     const updatedMemberNames = []; // Track which members were updated
+    let unchangedCount = 0; // Members whose Battle.net profile had not changed since the last run
+    const updatedCharacters = []; // Member documents saved this run, used for history snapshots
+    const joinedCharacters = []; // Members added this run, used for member-joined events
     
     try {
         // Load config from database (or fallback to app.config.js)
@@ -76,18 +121,21 @@ export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], pro
             GUILD_NAME,
             GUILD_REALM,
             LEVEL_REQUIREMENT,
-            API_BATTLENET_KEY,
-            API_BATTLENET_SECRET,
             REGION,
-            CURRENT_MPLUS_SEASON
+            CURRENT_MPLUS_SEASON,
+            GUILD_FETCH_CONCURRENCY = DEFAULT_CONCURRENCY
         } = config;
 
+        // Shared with the character fetch route: one token, and every call counts against the same quota
+        const bnet = getBattlenetClient(config);
+
         // Business logic specific variables
         const GUILD_URL = `/data/wow/guild/${GUILD_REALM}/${GUILD_NAME}/roster?${API_PARAM_REQUIREMENTGS}`;
 
         // Emit start event
         emitProgress(io, processId, 'start', {
-            message: 'Starting guild data update',
+            message: force ? 'Starting full guild data refresh' : 'Starting guild data update',
+            force,
             dataTypes
         });
 
@@ -96,12 +144,9 @@ export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], pro
             message: 'Authenticating with Battle.net API...'
         });
         
-        let BnetApi, token;
         try {
-            const clientId = API_BATTLENET_KEY;
-            const clientSecret = API_BATTLENET_SECRET;
-            BnetApi = new BlizzAPI({ region: REGION, clientId, clientSecret });
-            token = await BnetApi.getAccessToken();
+            // Reuses the cached token when it is still valid
+            await bnet.getAccessToken();
             
             emitProgress(io, processId, 'auth', {
                 message: 'Authentication successful!',
@@ -125,14 +170,21 @@ export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], pro
         
         let guild, trimmedList;
         try {
-            guild = await BnetApi.query(`${GUILD_URL}&access_token=${token}`);
+            guild = await bnet.query(GUILD_URL);
             trimmedList = guild.members.filter(member => member.character.level >= LEVEL_REQUIREMENT);
+            // A retry only refetches the members that failed last time
+            if (members) {
+                const wanted = new Set(members.map(({ name, server }) => `${name}-${server}`.toLowerCase()));
+                trimmedList = trimmedList.filter(member =>
+                    wanted.has(`${member.character.name}-${member.character.realm.slug}`.toLowerCase()));
+            }
             
             emitProgress(io, processId, 'guild-fetch', {
                 message: `Found ${trimmedList.length} eligible guild members`,
                 success: true,
                 memberCount: trimmedList.length
             });
+            if (onRosterLoaded) await onRosterLoaded(trimmedList.length);
         } catch (guildError) {
             await logError({
                 type: 'guild-fetch',
@@ -149,55 +201,54 @@ export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], pro
             throw guildError;
         }
 
+        // Snapshot the stored roster before any member is added, so departures and joins can be diffed afterwards
+        let previousMembers = null;
+        try {
+            previousMembers = await getMemberKeys();
+        } catch (membersError) {
+            await logError({
+                type: 'guild-fetch',
+                endpoint: 'roster-churn',
+                error: membersError,
+                context: { processId, note: 'Could not load stored members, skipping departure detection' },
+                processId
+            });
+        }
+
         // Process members
         emitProgress(io, processId, 'member-processing', {
-            message: 'Processing guild members...',
+            message: `Processing guild members (${GUILD_FETCH_CONCURRENCY} at a time)...`,
             total: trimmedList.length,
-            current: 0
+            current: 0,
+            concurrency: GUILD_FETCH_CONCURRENCY
         });
 
-        let index = 0;
+        let started = 0;
+        let completed = 0;
         
+        // Transmog collections are not part of the member document (see services/transmogCollection)
+        const characterDataTypes = dataTypes.filter(type => type !== 'transmog');
+
         const handleMember = async (member) => {
+            // Once cancelled, the members still waiting in the pool are skipped
+            if (signal?.aborted) return;
+
             const characterName = member.name || member.character.name.toLowerCase();
             const server = member.server || member.character.realm.slug.toLowerCase();
+            const memberResult = { character: `${characterName}-${server}`, name: characterName, server };
 
+            started++;
             emitProgress(io, processId, 'member-processing', {
                 message: `Processing ${characterName}-${server}`,
                 total: trimmedList.length,
-                current: index + 1,
+                current: started,
+                completed,
                 character: `${characterName}-${server}`
             });
 
             try {
-                // Use the character fetch endpoint to get fresh data
-                // This endpoint uses getConfig() internally, so it will use database settings
-                const host = process.env.HOST || 'localhost';
-                const port = process.env.PORT || 8000;
-                const fetchUrl = `http://${host}:${port}/api/fetch/${server}/${characterName}?dataTypes=${dataTypes.join(',')}`;
-                
-                const response = await fetch(fetchUrl);
-                const result = await response.json();
-                
-                if (!response.ok) {
-                    const fetchError = new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    fetchError.status = response.status;
-                    await logError({
-                        type: 'guild-fetch',
-                        endpoint: 'character-fetch',
-                        error: fetchError,
-                        context: { 
-                            processId, 
-                            character: `${characterName}-${server}`,
-                            fetchUrl,
-                            responseStatus: response.status,
-                            responseBody: JSON.stringify(result)
-                        },
-                        processId,
-                        character: `${characterName}-${server}`
-                    });
-                    throw fetchError;
-                }
+                // Fetch in-process; unless forced, unchanged Battle.net resources keep their stored data
+                const result = await fetchCharacterData(server, characterName, characterDataTypes, { force });
                 
                 if (result.success && result.character) {
                     const character = result.character;
@@ -214,16 +265,28 @@ export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], pro
                         if (existingMember) {
                             // Update existing member
                             await updateMember(characterName, server, character);
-                            console.log(`✅ Updated existing member: ${characterName}-${server}`);
+                            if (result.unchanged) {
+                                unchangedCount++;
+                                memberResult.outcome = 'unchanged';
+                                log.info(`♻️ Unchanged member: ${characterName}-${server}`);
+                            } else {
+                                memberResult.outcome = 'updated';
+                                log.info(`✅ Updated existing member: ${characterName}-${server}`);
+                            }
                         } else {
                             // Add new member
                             await addMember(character);
-                            console.log(`✅ Added new member: ${characterName}-${server}`);
+                            joinedCharacters.push(character);
+                            memberResult.outcome = 'added';
+                            log.info(`✅ Added new member: ${characterName}-${server}`);
                         }
                         
                         // Track this member as updated
                         updatedMemberNames.push(characterName);
+                        updatedCharacters.push(character);
                     } catch (dbError) {
+                        memberResult.outcome = 'db_error';
+                        memberResult.error = dbError.message;
                         await logError({
                             type: 'guild-fetch',
                             endpoint: 'database-operation',
@@ -236,13 +299,33 @@ export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], pro
                             processId,
                             character: `${characterName}-${server}`
                         });
-                        console.error(`❌ Database error for ${characterName}-${server}:`, dbError.message);
+                        log.error(`❌ Database error for ${characterName}-${server}:`, { error: dbError.message });
                         // Continue processing other characters even if this one fails
                     }
+
+                    // Transmog collections are cached separately and never fail the member
+                    if (dataTypes.includes('transmog') && memberResult.outcome !== 'db_error') {
+                        try {
+                            await refreshTransmogCollection(server, characterName, { force });
+                        } catch (transmogError) {
+                            await logError({
+                                type: 'guild-fetch',
+                                endpoint: 'transmog-collection',
+                                error: transmogError,
+                                context: { processId, character: `${characterName}-${server}` },
+                                processId,
+                                character: `${characterName}-${server}`
+                            });
+                        }
+                    }
                 } else {
-                    console.log(`⚠️ Character ${characterName}-${server} not found or skipped: ${result.message || 'Unknown reason'}`);
+                    memberResult.outcome = 'skipped';
+                    memberResult.error = result.message || 'Unknown reason';
+                    log.info(`⚠️ Character ${characterName}-${server} not found or skipped: ${result.message || 'Unknown reason'}`);
                 }
             } catch (error) {
+                memberResult.outcome = 'fetch_error';
+                memberResult.error = error.message;
                 // Log error but don't throw - continue processing other characters
                 await logError({
                     type: 'guild-fetch',
@@ -266,14 +349,83 @@ export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], pro
                 });
             }
 
-            index++;
-            
-            if (trimmedList[index]) {
-                await handleMember(trimmedList[index]);
-            }
+            guildMemberFetches.inc({ outcome: memberResult.outcome });
+            if (onMemberResult) await onMemberResult(memberResult);
+            completed++;
         };
 
-        await handleMember(trimmedList[index]);
+        await runWorkerPool(trimmedList, GUILD_FETCH_CONCURRENCY, handleMember);
+        signal?.throwIfAborted();
+
+        // Diff the Battle.net roster against the stored members
+        // An empty roster response is never trusted, and the very first import records no joins
+        // A retry of a few members is not a full roster pass, so it is not diffed either
+        if (previousMembers && guild.members.length > 0 && !members) {
+            try {
+                const departed = findDepartedMembers(previousMembers, guild.members);
+                const leftEvents = await archiveDepartedMembers(departed, processId);
+                leftEvents.forEach(event => {
+                    emitProgress(io, processId, 'member-left', {
+                        message: `${event.name}-${event.server} left the guild`,
+                        character: `${event.name}-${event.server}`,
+                        departedAt: event.timestamp
+                    });
+                });
+
+                const joinedEvents = previousMembers.length > 0
+                    ? await recordJoinedMembers(joinedCharacters, processId)
+                    : [];
+                joinedEvents.forEach(event => {
+                    emitProgress(io, processId, 'member-joined', {
+                        message: `${event.name}-${event.server} ${event.returning ? 'rejoined' : 'joined'} the guild`,
+                        character: `${event.name}-${event.server}`,
+                        returning: event.returning
+                    });
+                });
+            } catch (churnError) {
+                await logError({
+                    type: 'guild-fetch',
+                    endpoint: 'roster-churn',
+                    error: churnError,
+                    context: { 
+                        processId, 
+                        rosterSize: guild.members.length,
+                        storedMembers: previousMembers.length
+                    },
+                    processId
+                });
+                // Don't throw error, churn tracking must not fail the update
+            }
+        }
+
+        // Record a history snapshot for every updated member and apply retention
+        emitProgress(io, processId, 'history', {
+            message: 'Recording member history snapshots...'
+        });
+
+        try {
+            const snapshotCount = await recordMemberSnapshots(updatedCharacters, processId);
+            const compaction = await compactMemberHistory(config);
+
+            emitProgress(io, processId, 'history', {
+                message: `Recorded ${snapshotCount} member snapshots`,
+                success: true,
+                snapshots: snapshotCount,
+                compaction
+            });
+        } catch (historyError) {
+            await logError({
+                type: 'guild-fetch',
+                endpoint: 'member-history',
+                error: historyError,
+                context: { 
+                    processId, 
+                    memberCount: updatedCharacters.length
+                },
+                processId
+            });
+            // Don't throw error, history must not fail the update
+        }
 
         // Process seasonal statistics if mplus data was fetched
         if (dataTypes.includes('mplus')) {
@@ -338,17 +490,48 @@ export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], pro
             }
         }
 
+        stopTimer({ outcome: 'success' });
+        await saveGuildUpdateRun({
+            processId,
+            dataTypes,
+            startedAt,
+            finishedAt: new Date(),
+            success: true,
+            memberCount: updatedMemberNames.length,
+            error: null
+        });
+
         emitProgress(io, processId, 'complete', {
             message: 'Guild data update completed successfully!',
             success: true,
             statistics: {
                 totalMembers: updatedMemberNames.length,
-                updatedMembers: updatedMemberNames.length,
+                updatedMembers: updatedMemberNames.length - unchangedCount,
+                unchangedMembers: unchangedCount,
                 dataTypes
             }
         });
         
     } catch (error) {
+        const cancelled = signal?.aborted && error === signal.reason;
+        stopTimer({ outcome: cancelled ? 'cancelled' : 'failure' });
+        await saveGuildUpdateRun({
+            processId,
+            dataTypes,
+            startedAt,
+            finishedAt: new Date(),
+            success: false,
+            memberCount: updatedMemberNames.length,
+            error: cancelled ? 'Cancelled' : error.message
+        });
+
+        if (cancelled) {
+            emitProgress(io, processId, 'cancelled', {
+                message: `Guild update cancelled after ${updatedMemberNames.length} members`
+            });
+            throw error;
+        }
+
         await logError({
             type: 'guild-fetch',
             endpoint: 'guild-update-process',
@@ -366,7 +549,29 @@ export const startGuildUpdate = async (dataTypes = ['raid', 'mplus', 'pvp'], pro
             error: error.message
         });
         throw error;
+    } finally {
+        runningProcessId = null;
     }
 };
 
+/**
+ * Run a guild update under its own correlation id (guild-update-<id>), so its logs,
+ * logged errors and Socket.IO events can be traced back to one run
+ * @param {Array} dataTypes - Array of data types to fetch ['raid', 'mplus', 'pvp', 'transmog']
+ * @param {string} processId - Unique process identifier (the job ID when run by the job queue)
+ * @param {Object} io - Socket.io instance for real-time updates
+ * @param {Object} options - Job hooks
+ * @param {AbortSignal} options.signal - Cancels the run: remaining members are skipped and the promise rejects with signal.reason
+ * @param {Array} options.members - Only refetch these members ([{ name, server }]), roster changes are not diffed
+ * @param {boolean} options.force - Refetch every resource, ignoring Battle.net last-modified dates
+ * @param {Function} options.onRosterLoaded - async (memberCount) called once the roster is known
+ * @param {Function} options.onMemberResult - async ({ character, name, server, outcome, error }) called per member;
+ * outcome is updated, unchanged, added, skipped, db_error or fetch_error
+ * @returns {Promise} Promise that resolves when the process completes
+ */
+export const startGuildUpdate = (dataTypes = ['raid', 'mplus', 'pvp'], processId, io, options = {}) => {
+    const correlationId = String(processId).startsWith('guild-update-') ? processId : `guild-update-${processId}`;
+    return withCorrelationId(correlationId, () => runGuildUpdate(dataTypes, processId, io, options));
+};
+
 export default startGuildUpdate;
\ No newline at end of file
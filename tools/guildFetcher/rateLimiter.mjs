@@ -0,0 +1,136 @@
+/**
+ * @file Token-bucket rate limiting for outbound Battle.net API calls
+ * @module tools/guildFetcher/rateLimiter
+ */
+
+// Battle.net API quotas for a single client: 100 requests/second, 36,000 requests/hour
+const DEFAULT_PER_SECOND = 100;
+const DEFAULT_PER_HOUR = 36000;
+
+const RATE_LIMIT_FIELDS = ['perSecond', 'perHour'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a token bucket that refills continuously.
+ * @param {number} capacity - Maximum number of tokens held
+ * @param {number} intervalMs - Time in which a full bucket is refilled
+ * @returns {{ tryTake: Function, msUntilAvailable: Function }} Bucket handle
+ */
+export function createTokenBucket(capacity, intervalMs) {
+  const refillPerMs = capacity / intervalMs;
+  let tokens = capacity;
+  let lastRefill = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - lastRefill) * refillPerMs);
+    lastRefill = now;
+  };
+
+  return {
+    tryTake() {
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return true;
+      }
+      return false;
+    },
+    msUntilAvailable() {
+      refill();
+      return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs);
+    },
+  };
+}
+
+/**
+ * Create a limiter that enforces both a per-second and a per-hour quota.
+ * A call to acquire() resolves once a token is available in both buckets.
+ * @param {Object} [options]
+ * @param {number} [options.perSecond] - Maximum requests per second
+ * @param {number} [options.perHour] - Maximum requests per hour
+ * @returns {{ acquire: Function, schedule: Function }} Limiter handle
+ * @throws {RangeError} When a quota is not a number of at least 1 (acquire() would never return)
+ */
+export function createRateLimiter({ perSecond = DEFAULT_PER_SECOND, perHour = DEFAULT_PER_HOUR } = {}) {
+  Object.entries({ perSecond, perHour }).forEach(([name, quota]) => {
+    if (!Number.isFinite(quota) || quota < 1) {
+      throw new RangeError(`Rate limit ${name} must be a number of at least 1, got ${quota}`);
+    }
+  });
+
+  const secondBucket = createTokenBucket(perSecond, 1000);
+  const hourBucket = createTokenBucket(perHour, 60 * 60 * 1000);
+
+  const acquire = async () => {
+    for (;;) {
+      const wait = Math.max(secondBucket.msUntilAvailable(), hourBucket.msUntilAvailable());
+      if (wait === 0) {
+        // Both checks happen synchronously, so no other caller can take the token in between
+        secondBucket.tryTake();
+        hourBucket.tryTake();
+        return;
+      }
+      await sleep(wait);
+    }
+  };
+
+  return {
+    acquire,
+    /**
+     * Run a task once the limiter grants a token.
+     * @param {Function} task - Async function to run
+     * @returns {Promise<any>} Result of the task
+     */
+    async schedule(task) {
+      await acquire();
+      return task();
+    },
+  };
+}
+
+let battlenetLimiter = null;
+let battlenetLimiterKey = null;
+
+/**
+ * Get the process-wide limiter shared by every Battle.net caller.
+ * The limiter is rebuilt when the configured quotas change.
+ * @param {Object} config - App config (reads BATTLENET_RATE_LIMIT)
+ * @returns {{ acquire: Function, schedule: Function }} Shared limiter
+ */
+export function getBattlenetLimiter(config = {}) {
+  const { perSecond = DEFAULT_PER_SECOND, perHour = DEFAULT_PER_HOUR } = config.BATTLENET_RATE_LIMIT || {};
+  const key = `${perSecond}:${perHour}`;
+
+  if (!battlenetLimiter || battlenetLimiterKey !== key) {
+    battlenetLimiter = createRateLimiter({ perSecond, perHour });
+    battlenetLimiterKey = key;
+  }
+  return battlenetLimiter;
+}
+
+/**
+ * Validate the BATTLENET_RATE_LIMIT setting.
+ * @param {any} rateLimit - { perSecond, perHour }; null restores the defaults
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export function validateBattlenetRateLimit(rateLimit) {
+  if (rateLimit === null) {
+    return { isValid: true, errors: [] };
+  }
+  if (typeof rateLimit !== 'object' || Array.isArray(rateLimit)) {
+    return { isValid: false, errors: ['BATTLENET_RATE_LIMIT must be an object with perSecond and/or perHour'] };
+  }
+
+  const errors = [];
+  Object.entries(rateLimit).forEach(([field, quota]) => {
+    if (!RATE_LIMIT_FIELDS.includes(field)) {
+      errors.push(`BATTLENET_RATE_LIMIT.${field} is not a setting, use: ${RATE_LIMIT_FIELDS.join(', ')}`);
+    } else if (!Number.isFinite(quota) || quota < 1) {
+      errors.push(`BATTLENET_RATE_LIMIT.${field} must be a number of at least 1`);
+    }
+  });
+
+  return { isValid: errors.length === 0, errors };
+}
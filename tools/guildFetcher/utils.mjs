@@ -20,25 +20,26 @@ const {
 
 //
 // Builds API urls and standardizes character and server names
-const getCharacterInformation = (member, token) => {
+// (the Battle.net client sends the access token as a header)
+const getCharacterInformation = (member) => {
     const characterName = member.name || member.character.name.toLowerCase()
     const server = member.server || member.character.realm.slug.toLowerCase()
 
     return {
         characterName,
         server,
-        mediaUrl: `/profile/wow/character/${server}/${characterName}/character-media?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
-        profileUrl: `/profile/wow/character/${server}/${characterName}?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
-        raidProgressUrl: `/profile/wow/character/${server}/${characterName}/encounters/raids?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
-        equipmentUrl: `/profile/wow/character/${server}/${characterName}/equipment?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
-        pvpProgressUrl: `/profile/wow/character/${server}/${characterName}/pvp-summary?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
+        mediaUrl: `/profile/wow/character/${server}/${characterName}/character-media?${API_PARAM_REQUIREMENTGS}`,
+        profileUrl: `/profile/wow/character/${server}/${characterName}?${API_PARAM_REQUIREMENTGS}`,
+        raidProgressUrl: `/profile/wow/character/${server}/${characterName}/encounters/raids?${API_PARAM_REQUIREMENTGS}`,
+        equipmentUrl: `/profile/wow/character/${server}/${characterName}/equipment?${API_PARAM_REQUIREMENTGS}`,
+        pvpProgressUrl: `/profile/wow/character/${server}/${characterName}/pvp-summary?${API_PARAM_REQUIREMENTGS}`,
         bracketProgressUrl: (bracket) =>
-            `/profile/wow/character/${server}/${characterName}/pvp-bracket/${bracket}?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
-        mythicProgressUrl: `/profile/wow/character/${server}/${characterName}/mythic-keystone-profile?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
+            `/profile/wow/character/${server}/${characterName}/pvp-bracket/${bracket}?${API_PARAM_REQUIREMENTGS}`,
+        mythicProgressUrl: `/profile/wow/character/${server}/${characterName}/mythic-keystone-profile?${API_PARAM_REQUIREMENTGS}`,
         mythicSeasonUrl: (seasonId) =>
-            `/profile/wow/character/${server}/${characterName}/mythic-keystone-profile/season/${seasonId ?? CURRENT_MPLUS_SEASON}?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
-        statisticsUrl: `/profile/wow/character/${server}/${characterName}/statistics?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
-        transmogsUrl: `/profile/wow/character/${server}/${characterName}/collections/transmogs?${API_PARAM_REQUIREMENTGS}&access_token=${token}`,
+            `/profile/wow/character/${server}/${characterName}/mythic-keystone-profile/season/${seasonId ?? CURRENT_MPLUS_SEASON}?${API_PARAM_REQUIREMENTGS}`,
+        statisticsUrl: `/profile/wow/character/${server}/${characterName}/statistics?${API_PARAM_REQUIREMENTGS}`,
+        transmogsUrl: `/profile/wow/character/${server}/${characterName}/collections/transmogs?${API_PARAM_REQUIREMENTGS}`,
     }
 }
 
@@ -50,14 +51,56 @@ const needsEnchant = (ENCHANTABLE_PIECES, item) => {
 }
 
 //
-// @TODO - this can lead to false positives, some items can have multiple 'enchantments' E.G - Crafted gear
+// Permanent enchant of an item, with its crafting quality rank (1-3) when the display
+// string carries one. Crafted gear also lists bonus stats and other enchantment slots,
+// which are not enchants; entries without slot information are taken as permanent.
+const getPermanentEnchant = (item) => {
+    const enchant = item?.enchantments?.find(enchantment =>
+        !enchantment.enchantment_slot || enchantment.enchantment_slot.type === 'PERMANENT'
+    )
+    if (!enchant) return null
+
+    const display = enchant.display_string || ''
+    const rank = display.match(/Quality-Tier(\d)/)
+    return {
+        id: enchant.enchantment_id ?? null,
+        name: display.replace(/\|A:[^|]*\|a/g, '').replace(/^Enchanted:\s*/, '').trim() || null,
+        rank: rank ? Number(rank[1]) : null,
+    }
+}
+
 const hasEnchant = (item) => {
-    return item?.enchantments?.length
+    return Boolean(getPermanentEnchant(item))
+}
+
+//
+// Sockets of an item and the gems in them
+const getSockets = (item) => {
+    const sockets = item?.sockets || []
+    const gems = sockets.filter(socket => socket.item).map(socket => socket.item.name || socket.display_string || null)
+
+    return {
+        total: sockets.length,
+        filled: gems.length,
+        gems,
+    }
 }
 
 //
-// @TODO - Need to add a sanity check here, to make sure it's CURRENT tier
-const isTierItem = (item) => {
+// Name of the embellishment on an item, or null. Embellished items carry the
+// "Unique-Equipped: Embellished" limit category; the effect is the item spell.
+const getEmbellishment = (item) => {
+    if (!/embellished/i.test(item?.limit_category || '')) return null
+    return item.spells?.[0]?.spell?.name || item.name || null
+}
+
+//
+// With a tier catalog (TIER_CATALOG) tier pieces are recognised by item set ID;
+// without one, any item from a set of 4+ items counts
+const isTierItem = (item, tierSetIds = null) => {
+    if (tierSetIds?.size) {
+        return tierSetIds.has(item?.set?.item_set?.id)
+    }
     return item?.set?.items.length >= 4
 }
 
@@ -190,6 +233,9 @@ const generateLockedMetaData = (data) => {
 export {
     needsEnchant,
     hasEnchant,
+    getPermanentEnchant,
+    getSockets,
+    getEmbellishment,
     isTierItem,
     generateLockedMetaData,
     buildInitialClassList,
@@ -0,0 +1,40 @@
+/**
+ * @file Bounded worker pool for processing roster members concurrently
+ * @module tools/guildFetcher/workerPool
+ */
+
+/**
+ * Process items with at most `concurrency` workers running at once.
+ * Workers pull the next item from a shared cursor, so a slow member never
+ * holds up the rest of the roster and no recursion is involved.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items in flight
+ * @param {Function} worker - async (item, index) => void; should handle its own errors
+ * @returns {Promise<void>} Resolves when every item has been processed
+ */
+export async function runWorkerPool(items, concurrency, worker) {
+  const size = Math.max(1, Math.min(Number(concurrency) || 1, items.length));
+  let cursor = 0;
+
+  const runners = Array.from({ length: size }, async () => {
+    while (cursor < items.length) {
+      const index = cursor++;
+      await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+}
+
+/**
+ * Validate the GUILD_FETCH_CONCURRENCY setting.
+ * @param {any} concurrency - Members fetched in parallel
+ * @returns {{ isValid: boolean, errors: string[] }} Validation result
+ */
+export function validateFetchConcurrency(concurrency) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    return { isValid: false, errors: ['GUILD_FETCH_CONCURRENCY must be a whole number of at least 1'] };
+  }
+  return { isValid: true, errors: [] };
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * @file Local mock of the Battle.net OAuth provider and account profile API,
+ * so the /api/auth login flow can be exercised without real Battle.net accounts.
+ *
+ * Start it, then run the API with:
+ *   BNET_OAUTH_HOST=http://127.0.0.1:3100
+ *   BNET_API_HOST=http://127.0.0.1:3100
+ *   BNET_OAUTH_CALLBACK_URL=http://localhost:8000/api/auth/bnet/callback
+ *
+ * The authorize endpoint approves immediately, logging in as the account in
+ * MOCK_OAUTH_ACCOUNT (or ?account=<id> on the authorize URL; default: the first one).
+ * Accounts come from the JSON file in MOCK_OAUTH_ACCOUNTS_FILE, or the defaults below.
+ * The integration tests import startMockBnetOAuth to run it on a free port.
+ *
+ * @module tools/mockOAuth/mockBnetOAuth
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { bearerToken, listen } from '../fakeApis/fakeServer.mjs';
+
+export const DEFAULT_ACCOUNTS = [
+  {
+    id: 100001,
+    battletag: 'Holybarry#1234',
+    characters: [
+      { name: 'Holybarry', realm: 'sylvanas', class: 'Paladin', level: 90 },
+      { name: 'Barrytank', realm: 'sylvanas', class: 'Warrior', level: 90 }
+    ]
+  },
+  {
+    id: 100002,
+    battletag: 'Raider#5678',
+    characters: [
+      { name: 'Raiderone', realm: 'sylvanas', class: 'Mage', level: 90 }
+    ]
+  }
+];
+
+/**
+ * Start the mock provider.
+ * @param {Object} [options] - Options
+ * @param {number} [options.port] - Port, any free port when omitted
+ * @param {Object[]} [options.accounts] - Account fixtures ({ id, battletag, characters })
+ * @param {string|number} [options.defaultAccount] - Account approved when the authorize URL has no ?account=
+ * @param {boolean} [options.logRequests] - Log every request to the console
+ * @returns {Promise<{ url: string, close: Function }>} Base URL and close()
+ */
+export async function startMockBnetOAuth({
+  port = 0,
+  accounts = DEFAULT_ACCOUNTS,
+  defaultAccount = null,
+  logRequests = false
+} = {}) {
+  // Authorization codes and access tokens → account ID
+  const codes = new Map();
+  const tokens = new Map();
+
+  const findAccount = (id) => accounts.find(account => String(account.id) === String(id));
+  const accountFromToken = (req) => findAccount(tokens.get(bearerToken(req)));
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  if (logRequests) {
+    app.use((req, res, next) => {
+      console.log(`[mock-oauth] ${req.method} ${req.path}`);
+      next();
+    });
+  }
+
+  // Authorization endpoint — approves immediately and redirects back with a code
+  app.get('/oauth/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state, account } = req.query;
+    const selected = findAccount(account || defaultAccount) || accounts[0];
+
+    if (!redirectUri) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'redirect_uri is required' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, selected.id);
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(target.toString());
+  });
+
+  // Token endpoint — exchanges a code for an access token (single use)
+  app.post('/oauth/token', (req, res) => {
+    const accountId = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!accountId) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or used authorization code' });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString('hex');
+    tokens.set(accessToken, accountId);
+    res.json({
+      access_token: accessToken,
+      token_type: 'bearer',
+      expires_in: 86399,
+      scope: 'openid wow.profile',
+      sub: String(accountId)
+    });
+  });
+
+  // User info — the profile passport-bnet hands to the verify callback
+  app.get('/oauth/userinfo', (req, res) => {
+    const account = accountFromToken(req);
+    if (!account) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    res.json({ sub: String(account.id), id: account.id, battletag: account.battletag });
+  });
+
+  // Account profile — WoW characters on the account (wow.profile scope)
+  app.get('/profile/user/wow', (req, res) => {
+    const account = accountFromToken(req);
+    if (!account) {
+      return res.status(401).json({ code: 401, type: 'BLZWEBAPI00000401', detail: 'Unauthorized' });
+    }
+
+    res.json({
+      id: account.id,
+      wow_accounts: [{
+        id: 1,
+        characters: account.characters.map((character, index) => ({
+          id: account.id * 100 + index,
+          name: character.name,
+          level: character.level,
+          realm: { slug: character.realm, name: character.realm },
+          playable_class: { name: character.class }
+        }))
+      }]
+    });
+  });
+
+  return listen(app, port);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const accounts = process.env.MOCK_OAUTH_ACCOUNTS_FILE
+    ? JSON.parse(fs.readFileSync(process.env.MOCK_OAUTH_ACCOUNTS_FILE, 'utf8'))
+    : DEFAULT_ACCOUNTS;
+
+  const mock = await startMockBnetOAuth({
+    port: Number(process.env.MOCK_OAUTH_PORT) || 3100,
+    accounts,
+    defaultAccount: process.env.MOCK_OAUTH_ACCOUNT,
+    logRequests: true
+  });
+
+  console.log(`🧪 Mock Battle.net OAuth provider running on ${mock.url}`);
+  console.log(`   Accounts: ${accounts.map(account => `${account.battletag} (${account.id})`).join(', ')}`);
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
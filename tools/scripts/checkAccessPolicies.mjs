@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Access policy check.
+ *
+ * Builds the API routers from src/routes/index.js and fails (exit code 1) when:
+ *   - a registered route has no declared access policy, or
+ *   - a member/admin route answers an anonymous request with anything but 401.
+ * No database connection is needed: anonymous requests are rejected before any lookup.
+ *
+ * Usage:
+ *   npm run check:policies
+ */
+
+import 'dotenv/config';
+import express from 'express';
+import chalk from 'chalk';
+
+// database.js refuses to load without these; the check never connects, so placeholders will do
+const PLACEHOLDER_ENV = {
+  MONGODB: 'mongodb://127.0.0.1:1',
+  DATABASE_NAME: 'policy-check',
+  SIGNUP_COLLECTION: 'signups',
+  MEMBERS_COLLECTION_NAME: 'members',
+  ERRORS_COLLECTION_NAME: 'errors'
+};
+Object.entries(PLACEHOLDER_ENV).forEach(([key, value]) => {
+  process.env[key] = process.env[key] || value;
+});
+
+const { ROUTES, registerRoutes } = await import('../../src/routes/index.js');
+const { findRoutesWithoutPolicy } = await import('../../src/services/accessPolicy.js');
+
+/**
+ * Policy that applies to one route of a router entry.
+ * @param {Object} policy - Router policy
+ * @param {string} method - HTTP method
+ * @param {string} path - Route path
+ * @returns {Object|undefined} Route policy
+ */
+const routePolicy = (policy, method, path) => (policy.level === 'routes' ? policy.map[`${method} ${path}`] : policy);
+
+/**
+ * List the protected routes (member or admin) with a concrete URL to probe.
+ * Setup routes are skipped because their policy depends on the database.
+ * @returns {Object[]} Array of { method, url, level }
+ */
+function listProtectedRoutes() {
+  return ROUTES.flatMap(({ path: mountPath, router, policy }) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => {
+      const routePath = layer.route.path;
+      const target = routePolicy(policy, method.toUpperCase(), routePath);
+      return {
+        method: method.toUpperCase(),
+        url: `${mountPath}${routePath === '/' ? '' : routePath.replace(/:[^/]+/g, 'policy-check')}`,
+        level: target?.level
+      };
+    }))
+    .filter(route => route.level === 'member' || route.level === 'admin'));
+}
+
+async function main() {
+  const app = express();
+  app.use(express.json());
+  registerRoutes(app);
+
+  const missing = findRoutesWithoutPolicy(app);
+  missing.forEach(problem => console.log(chalk.red(`❌ ${problem}`)));
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const leaks = [];
+  try {
+    for (const route of listProtectedRoutes()) {
+      const response = await fetch(`${baseUrl}${route.url}`, {
+        method: route.method,
+        headers: { 'Content-Type': 'application/json' },
+        body: ['GET', 'HEAD'].includes(route.method) ? undefined : '{}'
+      });
+      if (response.status !== 401) {
+        leaks.push(`${route.method} ${route.url} (${route.level}) answered ${response.status} without credentials`);
+      }
+    }
+  } finally {
+    server.close();
+  }
+  leaks.forEach(problem => console.log(chalk.red(`❌ ${problem}`)));
+
+  if (missing.length || leaks.length) {
+    console.log(chalk.red(`\n${missing.length + leaks.length} access policy problem(s) found`));
+    process.exit(1);
+  }
+
+  console.log(chalk.green(`✅ All routes across ${ROUTES.length} routers have an access policy and protected routes reject anonymous requests`));
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error(chalk.red(`❌ Access policy check failed: ${error.message}`));
+  process.exit(1);
+});
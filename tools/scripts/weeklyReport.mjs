@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Weekly progression report CLI.
+ *
+ * Compares current member data in MongoDB against the history snapshots
+ * recorded a week earlier and prints item level / M+ rating gains, new
+ * Mythic boss kills per CURRENT_EXPANSION instance and fixed enchants.
+ *
+ * Usage:
+ *   npm run weeklyReport -- [--format=json|markdown|csv] [--since=2025-08-01] [--out=report.md]
+ */
+
+import fs from 'fs';
+import ora from 'ora';
+import chalk from 'chalk';
+import { closeDatabase } from '../../src/database.js';
+import { buildWeeklyReport, renderWeeklyReport, REPORT_FORMATS } from '../../src/services/weeklyReport.js';
+
+/**
+ * Parse --key=value arguments into an object.
+ * @param {string[]} argv - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  return argv.reduce((options, arg) => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (match) options[match[1]] = match[2];
+    return options;
+  }, {});
+}
+
+async function main() {
+  const { format = 'markdown', since, out } = parseArgs(process.argv.slice(2));
+
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  const sinceDate = since ? new Date(since) : null;
+  if (sinceDate && isNaN(sinceDate)) {
+    throw new Error('--since must be a valid date');
+  }
+
+  // Spinner goes to stderr so stdout stays clean when piping the report
+  const spinner = ora({ text: 'Building weekly report...', stream: process.stderr }).start();
+  const report = await buildWeeklyReport({ since: sinceDate });
+  spinner.succeed(`Compared ${chalk.green(report.summary.membersWithBaseline)}/${report.summary.members} members since ${report.since}`);
+
+  const { body } = renderWeeklyReport(report, format);
+
+  if (out) {
+    fs.writeFileSync(out, body, 'utf8');
+    console.error(chalk.blue(`📝 Report written to ${out}`));
+  } else {
+    process.stdout.write(body);
+  }
+}
+
+main()
+  .then(async () => {
+    await closeDatabase();
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error(chalk.red('💥 Weekly report failed:'), error.message);
+    await closeDatabase();
+    process.exit(1);
+  });